@@ -0,0 +1,130 @@
+/**
+ * functions/api/v1/[[path]].js — Phase 18C Cloudflare Pages Function for /api/v1/*.
+ *
+ * Thin host adapter over lib/api/query-server.js. The Export Contract is read
+ * from the deployed static /exports/ artifacts through the ASSETS binding
+ * (Pages Functions have no filesystem) and cached for the isolate's lifetime.
+ * Earlier releases for /changes?since= are read the same way from /releases/{version}/
+ * when the deployment includes them.
+ */
+
+import { EXPORT_FILES, parseExportContract } from '../../../lib/api/export-api.js';
+import {
+  CORS_HEADERS,
+  MAX_BODY_BYTES,
+  createApiContext,
+  handleApiRequest,
+  payloadTooLargeResult,
+} from '../../../lib/api/query-server.js';
+import { RELEASE_SNAPSHOT_FILES, parseReleaseSnapshot } from '../../../lib/api/release-diff.js';
+
+let apiPromise = null;
+
+async function loadApiFromAssets(env, requestUrl) {
+  const textByKey = {};
+  for (const [key, fileName] of Object.entries(EXPORT_FILES)) {
+    const response = await env.ASSETS.fetch(new URL(`/exports/${fileName}`, requestUrl));
+    if (!response.ok) {
+      throw new Error(`Missing export artifact: exports/${fileName} (HTTP ${response.status})`);
+    }
+    textByKey[key] = await response.text();
+  }
+  return createApiContext(parseExportContract(textByKey), {
+    loadSnapshot: (version) => loadSnapshotFromAssets(env, requestUrl, version),
+  });
+}
+
+async function loadSnapshotFromAssets(env, requestUrl, version) {
+  const textByKey = {};
+  for (const [key, relPath] of Object.entries(RELEASE_SNAPSHOT_FILES)) {
+    const response = await env.ASSETS.fetch(new URL(`/releases/${version}/${relPath}`, requestUrl));
+    if (response.ok) textByKey[key] = await response.text();
+    else if (key === 'manifest') return null;
+  }
+  return parseReleaseSnapshot(textByKey);
+}
+
+/**
+ * The POST body as text, or null once its Content-Length or the bytes read so
+ * far pass MAX_BODY_BYTES; the rest of the stream is then cancelled unread.
+ */
+async function readBody(request) {
+  if (Number(request.headers.get('Content-Length')) > MAX_BODY_BYTES) return null;
+  if (!request.body) return '';
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > MAX_BODY_BYTES) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * The 503 sent while the Export Contract cannot be loaded. There is no
+ * contract to wrap, so the body is serve-api's bare `{ error }` envelope.
+ */
+function contractUnavailableResponse() {
+  const error = { status: 503, code: 'service_unavailable', message: 'Export Contract unavailable.' };
+  return new Response(`${JSON.stringify({ error })}\n`, {
+    status: 503,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+}
+
+/** Pulls NDJSON chunks from the query server's iterable one at a time. */
+function iterableToStream(chunks) {
+  const iterator = chunks[Symbol.iterator]();
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    pull(controller) {
+      const { value, done } = iterator.next();
+      if (done) controller.close();
+      else controller.enqueue(encoder.encode(value));
+    },
+    cancel() {
+      iterator.return?.();
+    },
+  });
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (!apiPromise) {
+    apiPromise = loadApiFromAssets(env, request.url).catch((error) => {
+      apiPromise = null;
+      throw error;
+    });
+  }
+
+  let api;
+  try {
+    api = await apiPromise;
+  } catch (error) {
+    console.error('Export Contract load failed:', error);
+    return contractUnavailableResponse();
+  }
+  const body = request.method === 'POST' ? await readBody(request) : undefined;
+  const result =
+    body === null
+      ? payloadTooLargeResult(api, request.url)
+      : await handleApiRequest(api, { method: request.method, url: request.url, headers: request.headers, body });
+
+  const responseBody =
+    result.body == null || typeof result.body === 'string' ? result.body : iterableToStream(result.body);
+  return new Response(responseBody, { status: result.status, headers: result.headers });
+}
@@ -0,0 +1,344 @@
+/**
+ * nameorigin.io — relationship-explorer.js
+ * Name-family explorer for /relationships/explorer/: draws the ego network of a
+ * name (/relationships/graph/{slug}.json) as a force-directed SVG graph, with
+ * relationship-type toggles, click-to-recenter and a related-names list kept
+ * in sync for keyboard and screen-reader users.
+ * Standalone: no dependencies.
+ */
+(function () {
+  'use strict';
+  var root = document.getElementById('relationship-graph-explorer');
+  if (!root || !window.fetch) return;
+
+  var SVG_NS = 'http://www.w3.org/2000/svg';
+  var ITERATIONS = 300;
+  var LINK_LENGTH = 110;
+  var SPRING = 0.04;
+  var REPULSION = 2400;
+  var GRAVITY = 0.01;
+  var MAX_STEP = 24;
+  var PARALLEL_OFFSET = 6;
+  var SLUG_PATTERN = /^[a-z0-9-]+$/;
+  var CONFIDENCE_WIDTH = { exact: 3, strong: 2.5, moderate: 1.75, weak: 1 };
+
+  var base = root.getAttribute('data-graph-base') || '/relationships/graph/';
+  var canvas = root.querySelector('.relationship-graph__canvas');
+  var list = root.querySelector('.relationship-graph__list');
+  var status = root.querySelector('.relationship-graph__status');
+  var form = root.querySelector('.relationship-graph__search');
+  var input = root.querySelector('#relationship-graph-search');
+  var datalist = root.querySelector('#relationship-graph-names');
+  var toggles = root.querySelectorAll('.relationship-graph__types input');
+  var network = null;
+  var index = null;
+  var latestRequest = 0;
+
+  function modifier(type) {
+    return String(type || '').toLowerCase().replace(/_/g, '-');
+  }
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function svgElement(name, attributes) {
+    var element = document.createElementNS(SVG_NS, name);
+    for (var key in attributes) {
+      if (Object.prototype.hasOwnProperty.call(attributes, key)) element.setAttribute(key, attributes[key]);
+    }
+    return element;
+  }
+
+  function enabledTypes() {
+    var enabled = {};
+    for (var i = 0; i < toggles.length; i++) {
+      if (toggles[i].checked) enabled[toggles[i].value] = true;
+    }
+    return enabled;
+  }
+
+  /** Edges of enabled types, the names they reach from the center, and the edges among those names. */
+  function visibleGraph() {
+    var enabled = enabledTypes();
+    var keep = {};
+    keep[network.slug] = true;
+    var edges = network.edges.filter(function (edge) { return enabled[edge.relationship]; });
+    edges.forEach(function (edge) {
+      if (edge.source === network.slug) keep[edge.target] = true;
+    });
+    return {
+      nodes: network.nodes.filter(function (node) { return keep[node.slug]; }),
+      edges: edges.filter(function (edge) { return keep[edge.source] && keep[edge.target]; })
+    };
+  }
+
+  /**
+   * Force-directed layout: pairwise repulsion, springs along linked pairs and a
+   * weak pull to the middle, with the center pinned at the origin. Starts from
+   * a circle in node order, so the same network always gets the same layout.
+   */
+  function layout(graph) {
+    var nodes = graph.nodes;
+    var position = {};
+    var ring = Math.max(1, nodes.length - 1);
+    var placed = 0;
+    nodes.forEach(function (node) {
+      if (node.depth === 0) {
+        position[node.slug] = { x: 0, y: 0 };
+        return;
+      }
+      var angle = (2 * Math.PI * placed) / ring;
+      placed += 1;
+      position[node.slug] = { x: Math.cos(angle) * LINK_LENGTH, y: Math.sin(angle) * LINK_LENGTH };
+    });
+
+    var pairs = {};
+    graph.edges.forEach(function (edge) { pairs[edge.source + '|' + edge.target] = [edge.source, edge.target]; });
+    var links = Object.keys(pairs).map(function (key) { return pairs[key]; });
+
+    for (var step = 0; step < ITERATIONS; step++) {
+      var cooling = 1 - step / ITERATIONS;
+      var force = {};
+      nodes.forEach(function (node) { force[node.slug] = { x: 0, y: 0 }; });
+
+      for (var i = 0; i < nodes.length; i++) {
+        for (var j = i + 1; j < nodes.length; j++) {
+          var a = position[nodes[i].slug];
+          var b = position[nodes[j].slug];
+          var dx = a.x - b.x;
+          var dy = a.y - b.y;
+          var distanceSquared = Math.max(dx * dx + dy * dy, 1);
+          var distance = Math.sqrt(distanceSquared);
+          var push = REPULSION / distanceSquared;
+          force[nodes[i].slug].x += (dx / distance) * push;
+          force[nodes[i].slug].y += (dy / distance) * push;
+          force[nodes[j].slug].x -= (dx / distance) * push;
+          force[nodes[j].slug].y -= (dy / distance) * push;
+        }
+      }
+
+      links.forEach(function (link) {
+        var from = position[link[0]];
+        var to = position[link[1]];
+        var dx = to.x - from.x;
+        var dy = to.y - from.y;
+        var distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+        var pull = (distance - LINK_LENGTH) * SPRING;
+        force[link[0]].x += (dx / distance) * pull;
+        force[link[0]].y += (dy / distance) * pull;
+        force[link[1]].x -= (dx / distance) * pull;
+        force[link[1]].y -= (dy / distance) * pull;
+      });
+
+      nodes.forEach(function (node) {
+        if (node.depth === 0) return;
+        var point = position[node.slug];
+        var fx = force[node.slug].x - point.x * GRAVITY;
+        var fy = force[node.slug].y - point.y * GRAVITY;
+        var length = Math.sqrt(fx * fx + fy * fy);
+        var limit = MAX_STEP * cooling;
+        if (length > limit) {
+          fx = (fx / length) * limit;
+          fy = (fy / length) * limit;
+        }
+        point.x += fx;
+        point.y += fy;
+      });
+    }
+    return position;
+  }
+
+  /** Quadratic path between two points, bowed sideways so parallel edges of one pair stay apart. */
+  function edgePath(from, to, offset) {
+    var dx = to.x - from.x;
+    var dy = to.y - from.y;
+    var length = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+    var cx = (from.x + to.x) / 2 - (dy / length) * offset;
+    var cy = (from.y + to.y) / 2 + (dx / length) * offset;
+    return 'M' + from.x.toFixed(1) + ' ' + from.y.toFixed(1) +
+      ' Q' + cx.toFixed(1) + ' ' + cy.toFixed(1) +
+      ' ' + to.x.toFixed(1) + ' ' + to.y.toFixed(1);
+  }
+
+  function drawGraph(graph) {
+    var position = layout(graph);
+    var minX = 0;
+    var minY = 0;
+    var maxX = 0;
+    var maxY = 0;
+    graph.nodes.forEach(function (node) {
+      var point = position[node.slug];
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+      maxX = Math.max(maxX, point.x);
+      maxY = Math.max(maxY, point.y);
+    });
+    var padding = 60;
+    var svg = svgElement('svg', {
+      class: 'relationship-graph__svg',
+      viewBox: [minX - padding, minY - padding, maxX - minX + 2 * padding, maxY - minY + 2 * padding]
+        .map(function (value) { return value.toFixed(1); })
+        .join(' '),
+      focusable: 'false'
+    });
+
+    var edgeLayer = svgElement('g', { class: 'relationship-graph__edges' });
+    var parallel = {};
+    graph.edges.forEach(function (edge) {
+      var key = edge.source + '|' + edge.target;
+      parallel[key] = (parallel[key] || 0) + 1;
+    });
+    var drawn = {};
+    graph.edges.forEach(function (edge) {
+      var key = edge.source + '|' + edge.target;
+      var nth = drawn[key] || 0;
+      drawn[key] = nth + 1;
+      var offset = (nth - (parallel[key] - 1) / 2) * PARALLEL_OFFSET;
+      var path = svgElement('path', {
+        class: 'relationship-graph__edge relationship-graph__edge--' + modifier(edge.relationship),
+        d: edgePath(position[edge.source], position[edge.target], offset),
+        'stroke-width': CONFIDENCE_WIDTH[edge.confidence] || 1
+      });
+      var title = svgElement('title', {});
+      title.textContent = edge.relationshipLabel + ' (' + edge.confidence + ')';
+      path.appendChild(title);
+      edgeLayer.appendChild(path);
+    });
+    svg.appendChild(edgeLayer);
+
+    var nodeLayer = svgElement('g', { class: 'relationship-graph__nodes' });
+    graph.nodes.forEach(function (node) {
+      var point = position[node.slug];
+      var group = svgElement('g', {
+        class: 'relationship-graph__node' + (node.depth === 0 ? ' relationship-graph__node--center' : ''),
+        transform: 'translate(' + point.x.toFixed(1) + ' ' + point.y.toFixed(1) + ')',
+        'data-slug': node.slug
+      });
+      group.appendChild(svgElement('circle', { r: node.depth === 0 ? 14 : 8 }));
+      var label = svgElement('text', { y: node.depth === 0 ? -20 : -12, 'text-anchor': 'middle' });
+      label.textContent = node.displayName;
+      group.appendChild(label);
+      nodeLayer.appendChild(group);
+    });
+    svg.appendChild(nodeLayer);
+
+    canvas.innerHTML = '';
+    canvas.appendChild(svg);
+  }
+
+  function drawList(graph) {
+    var badgesByTarget = {};
+    graph.edges.forEach(function (edge) {
+      if (edge.source !== network.slug) return;
+      badgesByTarget[edge.target] = (badgesByTarget[edge.target] || '') +
+        '<span class="relationship-badge relationship-badge--type relationship-graph__type--' + modifier(edge.relationship) + '">' +
+        escapeHtml(edge.relationshipLabel) + '</span>' +
+        '<span class="relationship-badge relationship-badge--confidence">' + escapeHtml(edge.confidence) + '</span>';
+    });
+    list.innerHTML = graph.nodes
+      .filter(function (node) { return node.depth === 1; })
+      .map(function (node) {
+        return '<li class="relationship-graph__item">' +
+          '<a href="' + escapeHtml(node.href) + '">' + escapeHtml(node.displayName) + '</a>' +
+          '<span class="relationship-graph__badges">' + (badgesByTarget[node.slug] || '') + '</span>' +
+          '<button type="button" class="relationship-graph__recenter" data-slug="' + escapeHtml(node.slug) + '">' +
+          'Center on ' + escapeHtml(node.displayName) + '</button>' +
+          '</li>';
+      })
+      .join('');
+  }
+
+  function draw() {
+    var graph = visibleGraph();
+    drawGraph(graph);
+    drawList(graph);
+    var count = graph.nodes.length - 1;
+    status.innerHTML = count + (count === 1 ? ' name' : ' names') + ' related to ' +
+      '<a href="' + escapeHtml(network.href) + '">' + escapeHtml(network.displayName) + '</a>';
+  }
+
+  function load(slug, focusList) {
+    if (!slug || !SLUG_PATTERN.test(slug)) return;
+    var request = ++latestRequest;
+    fetch(base + slug + '.json')
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .catch(function () { return null; })
+      .then(function (data) {
+        if (request !== latestRequest) return;
+        if (!data) {
+          status.textContent = 'No relationship graph is available for that name.';
+          return;
+        }
+        network = data;
+        input.value = data.displayName;
+        if (window.history && history.replaceState) {
+          history.replaceState(null, '', window.location.pathname + '?name=' + encodeURIComponent(data.slug));
+        }
+        draw();
+        if (focusList) {
+          var first = list.querySelector('a');
+          if (first) first.focus();
+        }
+      });
+  }
+
+  function loadIndex() {
+    if (index) return;
+    index = [];
+    fetch(base + 'index.json')
+      .then(function (r) { return r.ok ? r.json() : { names: [] }; })
+      .catch(function () { return { names: [] }; })
+      .then(function (data) {
+        index = data.names || [];
+        datalist.innerHTML = index
+          .map(function (row) { return '<option value="' + escapeHtml(row.displayName) + '">'; })
+          .join('');
+      });
+  }
+
+  function findSlug(query) {
+    var key = String(query || '').trim().toLowerCase();
+    if (!key) return null;
+    for (var i = 0; i < (index || []).length; i++) {
+      if (index[i].displayName.toLowerCase() === key || index[i].slug === key) return index[i].slug;
+    }
+    var slug = key.replace(/\s+/g, '-');
+    return SLUG_PATTERN.test(slug) ? slug : null;
+  }
+
+  canvas.addEventListener('click', function (event) {
+    var target = event.target.closest ? event.target.closest('[data-slug]') : null;
+    if (!target) return;
+    var slug = target.getAttribute('data-slug');
+    if (slug === network.slug) window.location.href = network.href;
+    else load(slug, false);
+  });
+
+  list.addEventListener('click', function (event) {
+    var button = event.target.closest ? event.target.closest('.relationship-graph__recenter') : null;
+    if (button) load(button.getAttribute('data-slug'), true);
+  });
+
+  for (var i = 0; i < toggles.length; i++) {
+    toggles[i].addEventListener('change', function () {
+      if (network) draw();
+    });
+  }
+
+  input.addEventListener('focus', loadIndex);
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var slug = findSlug(input.value);
+    if (slug) load(slug, false);
+  });
+
+  var requested = /[?&]name=([a-z0-9-]+)/.exec(window.location.search);
+  var initialSlug = requested ? requested[1] : root.getAttribute('data-initial-slug');
+  if (!initialSlug) return;
+  load(initialSlug, false);
+})();
@@ -26,6 +26,7 @@ const DATA_DIR = path.join(ROOT, 'data');
 /** Fixed build timestamp — metadata is not consumed by Wave 1 generators, but keeps entity assembly deterministic. */
 const ADAPTER_BUILD_TIMESTAMP = '1970-01-01T00:00:00.000Z';
 
+let entityCache = null;
 let adapterCache = null;
 let adapterBuildCount = 0;
 
@@ -39,12 +40,24 @@ function loadJsonFromFile(name) {
   return JSON.parse(fs.readFileSync(p, 'utf8'));
 }
 
+/**
+ * The canonical entities the adapter collections are built from, assembled
+ * once per process. For generators that render a domain with no legacy
+ * collection (religion, culture, structured etymology and history, IPA): they
+ * read it here, through the same domain builders, and never parse the
+ * editorial record files themselves. Not affected by NAMEORIGIN_LEGACY_DATA.
+ */
+function loadCanonicalEntities() {
+  if (!entityCache) {
+    adapterBuildCount += 1;
+    entityCache = buildAllEntities(loadAll(), ADAPTER_BUILD_TIMESTAMP);
+  }
+  return entityCache;
+}
+
 function loadAdapterDatasets() {
   if (!adapterCache) {
-    adapterBuildCount += 1;
-    const ctx = loadAll();
-    const entities = buildAllEntities(ctx, ADAPTER_BUILD_TIMESTAMP);
-    adapterCache = buildLegacyDatasets(entities);
+    adapterCache = buildLegacyDatasets(loadCanonicalEntities());
   }
   return adapterCache;
 }
@@ -57,7 +70,7 @@ function getAdapterCacheStats() {
 }
 
 /**
- * @param {'names'|'namesEnriched'|'namesBase'|'popularity'|'categories'|'variants'} collection
+ * @param {'names'|'namesEnriched'|'namesBase'|'popularity'|'categories'|'variants'|'nicknames'} collection
  */
 function loadLegacyCollection(collection) {
   if (collection === 'namesBase') {
@@ -81,6 +94,7 @@ module.exports = {
   useLegacyFiles,
   loadJsonFromFile,
   loadLegacyCollection,
+  loadCanonicalEntities,
   loadAdapterDatasets,
   getAdapterCacheStats,
 };
@@ -3,7 +3,8 @@
  *
  * Exposes the FULL canonical entity collection as the flat, relational
  * dataset shapes today's generators load via loadJson('names'),
- * loadJson('popularity'), loadJson('categories'), loadJson('variants').
+ * loadJson('popularity'), loadJson('categories'), loadJson('variants'),
+ * loadJson('nicknames').
  * Built entirely from lib/canonical/entity-builder.js output (via
  * lib/adapters/legacy-name-record.js for the per-entity shape) — no
  * canonical data is re-derived here, only reshaped.
@@ -80,6 +81,26 @@ function toLegacyVariants(entities) {
   return rows;
 }
 
+/**
+ * nicknames: flattens entity.nicknames back to data/nicknames.json's
+ * {name_id, nickname, kind, citation_ids} rows — common nicknames first,
+ * then diminutives, each in curated order. Rows the canonical builder
+ * dropped (a repeated form, or the name itself) do not come back.
+ */
+function toLegacyNicknames(entities) {
+  const rows = [];
+  for (const e of entities) {
+    if (!e.nicknames) continue;
+    const citationIds = e.nicknames.citationIds || {};
+    for (const [kind, forms] of [['nickname', e.nicknames.commonNicknames], ['diminutive', e.nicknames.diminutives]]) {
+      for (const form of forms || []) {
+        rows.push({ name_id: e.identity.id, nickname: form, kind, citation_ids: citationIds[form] || [] });
+      }
+    }
+  }
+  return rows;
+}
+
 /** Builds every legacy collection at once from one canonical entity array. */
 function buildLegacyDatasets(entities) {
   return {
@@ -88,6 +109,7 @@ function buildLegacyDatasets(entities) {
     popularity: toLegacyPopularity(entities),
     categories: toLegacyCategories(entities),
     variants: toLegacyVariants(entities),
+    nicknames: toLegacyNicknames(entities),
   };
 }
 
@@ -97,5 +119,6 @@ module.exports = {
   toLegacyPopularity,
   toLegacyCategories,
   toLegacyVariants,
+  toLegacyNicknames,
   buildLegacyDatasets,
 };
@@ -35,6 +35,10 @@
  * `phonetic` as the closer of the two candidates — documented here, not
  * silently decided, and revisited if/when either field is ever populated
  * (see audit/adapter-coverage.json for this exact caveat, re-surfaced).
+ * Revisited for Pronunciation Records v1: `ipa` is now the primary cited
+ * transcription from data/pronunciation-records.json, and the mapping stands —
+ * legacy `phonetic` carries that one IPA string; per-locale variants and
+ * audio are canonical-only (the name page reads them from the records).
  */
 
 function boolToLegacyFlag(v) {
@@ -0,0 +1,230 @@
+/**
+ * lib/analysis/community-detection.js — Weighted affinity and community detection
+ * for the Phase 17A knowledge graph.
+ *
+ * Pair affinity combines every relationship signal between two names into one
+ * weight. Large equivalence groups (origin, language, cultural, …) are split
+ * into communities with Louvain modularity optimisation over that affinity, so
+ * their edges follow real sub-clusters instead of a star around the
+ * lexicographically first slug. Deterministic: nodes are visited in a seeded
+ * shuffle of slug order. Pure functions — no I/O.
+ */
+
+/** Strength of one relationship type as evidence that two names belong together. */
+const SIGNAL_WEIGHTS = Object.freeze({
+  HAS_VARIANT: 1,
+  NICKNAME_OF: 1,
+  DIMINUTIVE_OF: 1,
+  CROSS_LANGUAGE_EQUIVALENT: 0.9,
+  SHARES_ROOT: 0.8,
+  RELATED_MEANING: 0.6,
+  SIMILAR_PRONUNCIATION: 0.6,
+  SAME_CULTURAL_GROUP: 0.3,
+  SAME_LANGUAGE: 0.25,
+  SAME_ORIGIN: 0.25,
+});
+
+const CONFIDENCE_WEIGHTS = Object.freeze({ exact: 1, strong: 0.8, moderate: 0.6, weak: 0.4 });
+
+const LOUVAIN_SEED = 17;
+const MAX_LOUVAIN_PASSES = 20;
+const WEIGHT_DECIMALS = 4;
+
+function signalWeight(edge) {
+  return (SIGNAL_WEIGHTS[edge.relationshipType] || 0) * (CONFIDENCE_WEIGHTS[edge.confidence] || 0);
+}
+
+function pairKey(slugA, slugB) {
+  return slugA < slugB ? `${slugA}|${slugB}` : `${slugB}|${slugA}`;
+}
+
+/**
+ * Pair affinity over an edge list, keyed by `pairKey`: a noisy-or of the
+ * strongest signal per relationship type, 1 − Π(1 − w), so it stays in (0, 1]
+ * and grows with every independent signal.
+ */
+function pairWeights(edges) {
+  // Edge ids are unique per relationship type and pair, so the strongest signal per id is the one per type.
+  const strongest = new Map();
+  for (const edge of edges) {
+    const weight = signalWeight(edge);
+    const seen = strongest.get(edge.id);
+    if (!seen) strongest.set(edge.id, [pairKey(edge.source, edge.target), weight]);
+    else if (weight > seen[1]) seen[1] = weight;
+  }
+
+  const remainders = new Map();
+  for (const [key, weight] of strongest.values()) remainders.set(key, (remainders.get(key) ?? 1) * (1 - weight));
+
+  const weights = new Map();
+  for (const [key, remainder] of remainders) {
+    const weight = Number((1 - remainder).toFixed(WEIGHT_DECIMALS));
+    if (weight > 0) weights.set(key, weight);
+  }
+  return weights;
+}
+
+/** pairWeights() as an adjacency: `neighbors` is slug → Map(neighbor → weight). */
+function buildAffinityIndex(edges) {
+  const neighbors = new Map();
+  const link = (from, to, weight) => {
+    if (!neighbors.has(from)) neighbors.set(from, new Map());
+    neighbors.get(from).set(to, weight);
+  };
+  for (const [key, weight] of pairWeights(edges)) {
+    const [slugA, slugB] = key.split('|');
+    link(slugA, slugB, weight);
+    link(slugB, slugA, weight);
+  }
+  return { neighbors };
+}
+
+/** mulberry32 — small seeded PRNG for the Louvain visiting order. */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededOrder(count, seed) {
+  const random = createRandom(seed);
+  const order = Array.from({ length: count }, (_, i) => i);
+  for (let i = count - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * One Louvain local-moving phase. `links[i]` is an array of [j, weight] with
+ * j ≠ i; `selfWeight[i]` is the internal weight an aggregated node carries.
+ * Returns the community index of every node and whether any node moved.
+ */
+function moveNodes(links, selfWeight, order) {
+  const count = links.length;
+  const degree = links.map((nodeLinks, i) => nodeLinks.reduce((sum, [, weight]) => sum + weight, selfWeight[i]));
+  const totalWeight = degree.reduce((sum, value) => sum + value, 0);
+  const community = Array.from({ length: count }, (_, i) => i);
+  const communityDegree = [...degree];
+  if (totalWeight === 0) return { community, moved: false };
+
+  let moved = false;
+  for (let pass = 0; pass < MAX_LOUVAIN_PASSES; pass += 1) {
+    let movedThisPass = false;
+    for (const node of order) {
+      const current = community[node];
+      const weightTo = new Map();
+      for (const [neighbor, weight] of links[node]) {
+        const target = community[neighbor];
+        weightTo.set(target, (weightTo.get(target) || 0) + weight);
+      }
+
+      communityDegree[current] -= degree[node];
+      const gain = (target) => (weightTo.get(target) || 0) - (communityDegree[target] * degree[node]) / totalWeight;
+      let best = current;
+      let bestGain = gain(current);
+      for (const target of weightTo.keys()) {
+        const candidate = gain(target);
+        const tiedWithOtherBest = best !== current && Math.abs(candidate - bestGain) <= 1e-12 && target < best;
+        if (candidate > bestGain + 1e-12 || tiedWithOtherBest) {
+          best = target;
+          bestGain = candidate;
+        }
+      }
+      communityDegree[best] += degree[node];
+
+      if (best !== current) {
+        community[node] = best;
+        movedThisPass = true;
+        moved = true;
+      }
+    }
+    if (!movedThisPass) break;
+  }
+  return { community, moved };
+}
+
+/**
+ * Louvain community detection over the affinity subgraph induced by `slugs`.
+ * Returns communities as slug arrays, largest first, ties by first slug; each
+ * community is in slug order. Names with no affinity to any other member come
+ * back as singletons.
+ */
+function detectCommunities(slugs, affinity, seed = LOUVAIN_SEED) {
+  const sorted = [...new Set(slugs)].sort((a, b) => a.localeCompare(b));
+  const indexBySlug = new Map(sorted.map((slug, i) => [slug, i]));
+
+  let links = sorted.map((slug) => {
+    const nodeLinks = [];
+    for (const [neighbor, weight] of affinity.neighbors.get(slug) || []) {
+      const j = indexBySlug.get(neighbor);
+      if (j !== undefined) nodeLinks.push([j, weight]);
+    }
+    return nodeLinks.sort((left, right) => left[0] - right[0]);
+  });
+  let selfWeight = sorted.map(() => 0);
+  let membersOf = sorted.map((_, i) => [i]);
+
+  for (;;) {
+    const { community, moved } = moveNodes(links, selfWeight, seededOrder(links.length, seed));
+    if (!moved) break;
+
+    const renumber = new Map();
+    for (const id of community) if (!renumber.has(id)) renumber.set(id, renumber.size);
+    if (renumber.size === links.length) break;
+    const nextMembers = Array.from({ length: renumber.size }, () => []);
+    const nextSelf = Array.from({ length: renumber.size }, () => 0);
+    const nextLinks = Array.from({ length: renumber.size }, () => new Map());
+    for (let i = 0; i < links.length; i += 1) {
+      const from = renumber.get(community[i]);
+      nextMembers[from].push(...membersOf[i]);
+      nextSelf[from] += selfWeight[i];
+      for (const [j, weight] of links[i]) {
+        const to = renumber.get(community[j]);
+        if (to === from) nextSelf[from] += weight;
+        else nextLinks[from].set(to, (nextLinks[from].get(to) || 0) + weight);
+      }
+    }
+    membersOf = nextMembers;
+    selfWeight = nextSelf;
+    links = nextLinks.map((nodeLinks) => [...nodeLinks].sort((left, right) => left[0] - right[0]));
+  }
+
+  return membersOf
+    .map((members) => members.map((i) => sorted[i]).sort((a, b) => a.localeCompare(b)))
+    .sort((left, right) => right.length - left.length || left[0].localeCompare(right[0]));
+}
+
+/** Member with the highest affinity to the rest of its community; ties by slug. */
+function communityAnchor(members, affinity) {
+  const memberSet = new Set(members);
+  let anchor = members[0];
+  let anchorStrength = -1;
+  for (const slug of members) {
+    let strength = 0;
+    for (const [neighbor, weight] of affinity.neighbors.get(slug) || []) {
+      if (memberSet.has(neighbor)) strength += weight;
+    }
+    if (strength > anchorStrength) {
+      anchor = slug;
+      anchorStrength = strength;
+    }
+  }
+  return anchor;
+}
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  CONFIDENCE_WEIGHTS,
+  LOUVAIN_SEED,
+  pairKey,
+  pairWeights,
+  buildAffinityIndex,
+  detectCommunities,
+  communityAnchor,
+};
@@ -0,0 +1,339 @@
+/**
+ * lib/analysis/graph-anomalies.js — Semantic contradiction detector for the
+ * Phase 17A knowledge graph.
+ *
+ * validateKnowledgeGraph() proves the graph is well-formed; this module asks
+ * whether connected entities agree with each other. It flags:
+ *   - HAS_VARIANT pairs recorded with different genders (neither unisex);
+ *   - HAS_VARIANT pairs with conflicting origin clusters (or countries, when
+ *     neither side has a cluster);
+ *   - HAS_VARIANT chains connecting names with different etymological roots —
+ *     the edges where the nearest recorded roots on either side differ;
+ *   - RELATED_MEANING concept hubs that are oversized or rest mostly on one
+ *     generic lemma (reported per concept, not per edge).
+ * Findings are editorial signals, not build failures. Pure functions — no I/O.
+ */
+
+const { isFallbackMarker } = require('../render/meaning.js');
+const { MEANING_CONCEPTS, meaningConcepts, conceptLabel } = require('./meaning-taxonomy.js');
+
+const ANOMALY_VERSION = '17A-anomalies-v2';
+
+/** Every finding code, with the canonical field an editor should review and its severity. */
+const ANOMALY_CODES = Object.freeze({
+  VARIANT_GENDER_MISMATCH: Object.freeze({ field: 'gender', severity: 'high' }),
+  VARIANT_ORIGIN_CONFLICT: Object.freeze({ field: 'origin', severity: 'medium' }),
+  VARIANT_ROOT_CONFLICT: Object.freeze({ field: 'etymology', severity: 'medium' }),
+  MEANING_HUB_OVERSIZED: Object.freeze({ field: 'meaning', severity: 'medium' }),
+  MEANING_HUB_WEAK_GROUNDING: Object.freeze({ field: 'meaning', severity: 'high' }),
+});
+
+/**
+ * When a meaning concept is a hub worth reviewing: it has at least `minNames`
+ * names and either holds more than `maxShare` of all names with a meaning, or
+ * one lemma matched at least `dominantTermShare` of its names.
+ */
+const MEANING_HUB_LIMITS = Object.freeze({ minNames: 50, maxShare: 0.05, dominantTermShare: 0.75 });
+
+const COMBINED_CONCEPTS = new Set(MEANING_CONCEPTS.filter((concept) => concept.allOf).map((concept) => concept.id));
+
+const SEVERITY_ORDER = Object.freeze(['high', 'medium', 'low']);
+
+function normalizeText(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+function makeReason(code, detail, values) {
+  return { code, severity: ANOMALY_CODES[code].severity, field: ANOMALY_CODES[code].field, detail, values };
+}
+
+function variantGenderReason(source, target) {
+  const sourceGender = normalizeText(source.identity?.gender);
+  const targetGender = normalizeText(target.identity?.gender);
+  if (!sourceGender || !targetGender || sourceGender === targetGender) return null;
+  if (sourceGender === 'unisex' || targetGender === 'unisex') return null;
+  return makeReason(
+    'VARIANT_GENDER_MISMATCH',
+    `${source.identity.name} is recorded as ${sourceGender} but its variant ${target.identity.name} as ${targetGender}.`,
+    { source: sourceGender, target: targetGender },
+  );
+}
+
+function variantOriginReason(source, target) {
+  const sourceCluster = normalizeText(source.origin?.cluster);
+  const targetCluster = normalizeText(target.origin?.cluster);
+  if (sourceCluster && targetCluster) {
+    if (sourceCluster === targetCluster) return null;
+    return makeReason(
+      'VARIANT_ORIGIN_CONFLICT',
+      `Variants ${source.identity.name} and ${target.identity.name} have different origin clusters.`,
+      { source: source.origin.cluster, target: target.origin.cluster, basis: 'origin.cluster' },
+    );
+  }
+  if (sourceCluster || targetCluster) return null;
+
+  const sourceCountry = normalizeText(source.origin?.country);
+  const targetCountry = normalizeText(target.origin?.country);
+  if (!sourceCountry || !targetCountry || sourceCountry === targetCountry) return null;
+  return makeReason(
+    'VARIANT_ORIGIN_CONFLICT',
+    `Variants ${source.identity.name} and ${target.identity.name} have different origin countries.`,
+    { source: source.origin.country, target: target.origin.country, basis: 'origin.country' },
+  );
+}
+
+/**
+ * Names behind each meaning concept, the same grouping buildRelatedMeaningEdges
+ * uses (fallback meanings skipped), with how many of them each lemma matched,
+ * and the number of names with a meaning at all.
+ * @returns {{ members: Map<string, { slugs: string[], terms: Map<string, number> }>, withMeaning: number }}
+ */
+function conceptMembers(entities) {
+  const members = new Map();
+  let withMeaning = 0;
+  for (const entity of entities) {
+    const primary = entity.meaning?.primary;
+    if (!primary || isFallbackMarker(primary)) continue;
+    withMeaning += 1;
+    for (const concept of meaningConcepts(primary)) {
+      if (!members.has(concept.id)) members.set(concept.id, { slugs: [], terms: new Map() });
+      const member = members.get(concept.id);
+      member.slugs.push(entity.identity.slug);
+      for (const term of concept.matchedTerms) member.terms.set(term, (member.terms.get(term) || 0) + 1);
+    }
+  }
+  return { members, withMeaning };
+}
+
+/**
+ * Meaning concepts whose RELATED_MEANING group is too large to say much, or
+ * rests mostly on one generic lemma ("god", "son"). Groups below
+ * MEANING_HUB_LIMITS.minNames are never flagged. `allOf` concepts always need
+ * one word from each list, so only their size is checked.
+ */
+function meaningHubs(entities, report) {
+  const { members, withMeaning } = conceptMembers(entities);
+  const edgeCounts = countBy(
+    report.edges.filter((edge) => edge.relationshipType === 'RELATED_MEANING' && edge.explanation?.meaningConcept),
+    (edge) => edge.explanation.meaningConcept,
+  );
+
+  const hubs = [];
+  for (const [conceptId, { slugs, terms }] of members) {
+    if (slugs.length < MEANING_HUB_LIMITS.minNames) continue;
+    const [dominantTerm, dominantCount] = [...terms.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+    const share = slugs.length / withMeaning;
+    const dominantShare = dominantCount / slugs.length;
+    const label = conceptLabel(conceptId);
+    const reasons = [];
+    if (share > MEANING_HUB_LIMITS.maxShare) {
+      reasons.push(
+        makeReason('MEANING_HUB_OVERSIZED', `${label} links ${slugs.length} names, ${formatShare(share)} of names with a meaning.`, {
+          names: slugs.length,
+          share: roundShare(share),
+        }),
+      );
+    }
+    if (!COMBINED_CONCEPTS.has(conceptId) && dominantShare >= MEANING_HUB_LIMITS.dominantTermShare) {
+      reasons.push(
+        makeReason('MEANING_HUB_WEAK_GROUNDING', `${formatShare(dominantShare)} of ${label} rests on the single word "${dominantTerm}".`, {
+          term: dominantTerm,
+          names: dominantCount,
+          share: roundShare(dominantShare),
+        }),
+      );
+    }
+    if (!reasons.length) continue;
+    hubs.push({
+      meaningConcept: conceptId,
+      meaningConceptLabel: label,
+      names: slugs.length,
+      edges: edgeCounts[conceptId] || 0,
+      terms: Object.fromEntries([...terms.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))),
+      reasons: sortReasons(reasons),
+    });
+  }
+  return hubs.sort((a, b) => b.names - a.names || a.meaningConcept.localeCompare(b.meaningConcept));
+}
+
+function roundShare(share) {
+  return Math.round(share * 1000) / 1000;
+}
+
+function formatShare(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+function rootOf(entity) {
+  const word = normalizeText(entity?.etymology?.rootWord);
+  return word ? { word, rootWord: entity.etymology.rootWord, rootLanguage: entity.etymology.rootLanguage || null } : null;
+}
+
+/**
+ * Nearest recorded root for every slug reached by HAS_VARIANT edges: a
+ * breadth-first search from all rooted names at once, seeded in root then
+ * slug order so ties resolve the same way on every build.
+ * @returns {Map<string, { word: string, rootWord: string, rootLanguage: string|null, from: string, hops: number }>}
+ */
+function nearestRoots(variantEdges, entityBySlug) {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, []);
+    neighbours.get(a).push(b);
+  };
+  for (const edge of variantEdges) {
+    link(edge.source, edge.target);
+    link(edge.target, edge.source);
+  }
+  for (const list of neighbours.values()) list.sort((a, b) => a.localeCompare(b));
+
+  const seeds = [...neighbours.keys()]
+    .map((slug) => ({ slug, root: rootOf(entityBySlug.get(slug)) }))
+    .filter((seed) => seed.root)
+    .sort((a, b) => a.root.word.localeCompare(b.root.word) || a.slug.localeCompare(b.slug));
+
+  const labels = new Map();
+  const queue = [];
+  for (const { slug, root } of seeds) {
+    labels.set(slug, { ...root, from: slug, hops: 0 });
+    queue.push(slug);
+  }
+  for (let head = 0; head < queue.length; head += 1) {
+    const slug = queue[head];
+    const label = labels.get(slug);
+    for (const next of neighbours.get(slug)) {
+      if (labels.has(next)) continue;
+      labels.set(next, { ...label, hops: label.hops + 1 });
+      queue.push(next);
+    }
+  }
+  return labels;
+}
+
+function variantRootReason(edge, labels, entityBySlug) {
+  const sourceRoot = labels.get(edge.source);
+  const targetRoot = labels.get(edge.target);
+  if (!sourceRoot || !targetRoot || sourceRoot.word === targetRoot.word) return null;
+  const nameOf = (slug) => entityBySlug.get(slug).identity.name;
+  const direct = sourceRoot.hops === 0 && targetRoot.hops === 0;
+  return makeReason(
+    'VARIANT_ROOT_CONFLICT',
+    direct
+      ? `Variants ${nameOf(edge.source)} and ${nameOf(edge.target)} record different roots.`
+      : `This variant link joins a chain from ${nameOf(sourceRoot.from)} (root "${sourceRoot.rootWord}") to ${nameOf(targetRoot.from)} (root "${targetRoot.rootWord}").`,
+    {
+      source: { slug: sourceRoot.from, rootWord: sourceRoot.rootWord, rootLanguage: sourceRoot.rootLanguage, hops: sourceRoot.hops },
+      target: { slug: targetRoot.from, rootWord: targetRoot.rootWord, rootLanguage: targetRoot.rootLanguage, hops: targetRoot.hops },
+    },
+  );
+}
+
+function sortReasons(reasons) {
+  return reasons.sort(
+    (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || a.code.localeCompare(b.code),
+  );
+}
+
+function countBy(items, keyFor) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyFor(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Per-entity rollup: every flagged edge counts once for both of its ends.
+ * Ordered by high-severity findings, then all findings, then slug.
+ */
+function summarizeEntities(anomalies, entityBySlug) {
+  const bySlug = new Map();
+  for (const anomaly of anomalies) {
+    for (const slug of [anomaly.source, anomaly.target]) {
+      if (!bySlug.has(slug)) bySlug.set(slug, { edgeIds: [], reasons: [] });
+      bySlug.get(slug).edgeIds.push(anomaly.edgeId);
+      bySlug.get(slug).reasons.push(...anomaly.reasons);
+    }
+  }
+  return [...bySlug.entries()]
+    .map(([slug, { edgeIds, reasons }]) => ({
+      slug,
+      displayName: entityBySlug.get(slug).identity.name,
+      anomalyEdges: edgeIds.length,
+      highSeverity: reasons.filter((reason) => reason.severity === 'high').length,
+      codes: [...new Set(reasons.map((reason) => reason.code))].sort(),
+      fields: [...new Set(reasons.map((reason) => reason.field))].sort(),
+      edgeIds,
+    }))
+    .sort((a, b) => b.highSeverity - a.highSeverity || b.anomalyEdges - a.anomalyEdges || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Flags semantic contradictions between entities the graph connects.
+ * @param {object[]} entities - canonical entities the graph was built from
+ * @param {{ edges: object[] }} report - buildKnowledgeGraphReport() result
+ * @returns {{ anomalyVersion: string, anomalies: object[], entities: object[], meaningHubs: object[], metrics: object }}
+ */
+function detectGraphAnomalies(entities, report) {
+  const entityBySlug = new Map(entities.map((entity) => [entity.identity.slug, entity]));
+  const variantEdges = report.edges.filter((edge) => edge.relationshipType === 'HAS_VARIANT');
+  const roots = nearestRoots(variantEdges, entityBySlug);
+
+  const anomalies = [];
+  for (const edge of report.edges) {
+    const source = entityBySlug.get(edge.source);
+    const target = entityBySlug.get(edge.target);
+    if (!source || !target) continue;
+
+    let reasons = [];
+    if (edge.relationshipType === 'HAS_VARIANT') {
+      reasons = [
+        variantGenderReason(source, target),
+        variantOriginReason(source, target),
+        variantRootReason(edge, roots, entityBySlug),
+      ].filter(Boolean);
+    }
+    if (!reasons.length) continue;
+
+    sortReasons(reasons);
+    anomalies.push({
+      edgeId: edge.id,
+      source: edge.source,
+      target: edge.target,
+      relationshipType: edge.relationshipType,
+      confidence: edge.confidence,
+      reasons,
+    });
+  }
+
+  const hubs = meaningHubs(entities, report);
+  const reasons = [...anomalies, ...hubs].flatMap((finding) => finding.reasons);
+  const flaggedEntities = summarizeEntities(anomalies, entityBySlug);
+  return {
+    anomalyVersion: ANOMALY_VERSION,
+    anomalies,
+    entities: flaggedEntities,
+    meaningHubs: hubs,
+    metrics: {
+      edgesChecked: variantEdges.length,
+      anomalousEdges: anomalies.length,
+      anomalousEntities: flaggedEntities.length,
+      meaningHubs: hubs.length,
+      reasonCount: reasons.length,
+      byCode: countBy(reasons, (reason) => reason.code),
+      bySeverity: countBy(reasons, (reason) => reason.severity),
+      byField: countBy(reasons, (reason) => reason.field),
+    },
+  };
+}
+
+module.exports = {
+  ANOMALY_VERSION,
+  ANOMALY_CODES,
+  MEANING_HUB_LIMITS,
+  detectGraphAnomalies,
+};
@@ -71,13 +71,24 @@ function scoreEtymology(entity) {
   return researched ? WEIGHTS.etymology : 0;
 }
 
+/** A dated first attestation from data/history-records.json: a year or century plus where it was recorded. */
+function hasFirstRecordedUse(attestation) {
+  if (!attestation || typeof attestation !== 'object') return false;
+  const dated = Number.isInteger(attestation.year) || Number.isInteger(attestation.century);
+  return dated && hasNonEmptyString(attestation.region) && hasNonEmptyString(attestation.source);
+}
+
+function isNotableBearer(bearer) {
+  return Boolean(bearer) && hasNonEmptyString(bearer.name) && hasNonEmptyString(bearer.role);
+}
+
 function scoreHistory(entity) {
   const history = entity.history;
   if (!history) return 0;
   const researched =
-    hasNonEmptyString(history.firstRecordedUse) ||
+    hasFirstRecordedUse(history.firstRecordedUse) ||
     hasNonEmptyString(history.historicalUsageNotes) ||
-    (Array.isArray(history.notableBearers) && history.notableBearers.some(hasNonEmptyString));
+    (Array.isArray(history.notableBearers) && history.notableBearers.some(isNotableBearer));
   return researched ? WEIGHTS.history : 0;
 }
 
@@ -0,0 +1,491 @@
+/**
+ * lib/analysis/meaning-taxonomy.js — Curated meaning-concept taxonomy for RELATED_MEANING edges.
+ *
+ * Maps free-text `meaning.primary` values ("bringer of light", "radiant",
+ * "gift of God") onto shared concepts through keyword and lemma matching.
+ * The taxonomy is a fixed table in this file: offline, deterministic, no
+ * embeddings. Keywords are lemmas (singular, uninflected). A few keywords
+ * are ambiguous on their own and only count in the context CONTEXT_RULES
+ * allows; closed compounds ("sunflower", "lighthouse") are split into
+ * their parts.
+ */
+
+/**
+ * `keywords` — any one lemma tags the concept.
+ * `allOf` — every list needs at least one lemma (for concepts such as
+ * "divine gift" that only a combination of words expresses).
+ */
+const MEANING_CONCEPTS = Object.freeze([
+  {
+    id: 'light',
+    label: 'Light',
+    keywords: ['light', 'bright', 'shine', 'radiant', 'radiance', 'ray', 'glow', 'gleam', 'luminous', 'illuminate', 'brilliant', 'beam', 'lamp', 'torch', 'lucid', 'splendor', 'dawn', 'aurora'],
+  },
+  {
+    id: 'fire',
+    label: 'Fire',
+    keywords: ['fire', 'fiery', 'flame', 'blaze', 'burn', 'ember', 'spark', 'ardent', 'hearth'],
+  },
+  {
+    id: 'celestial',
+    label: 'Sky and Stars',
+    keywords: ['star', 'moon', 'sun', 'sky', 'celestial', 'planet', 'comet', 'lunar', 'solar', 'stellar', 'heavenly', 'rainbow', 'cloud'],
+  },
+  {
+    id: 'water',
+    label: 'Water and Sea',
+    keywords: ['water', 'sea', 'ocean', 'river', 'lake', 'stream', 'brook', 'rain', 'wave', 'pond', 'fountain', 'dew', 'pool', 'marine', 'shore', 'bay', 'coast', 'mere', 'sailor', 'mariner'],
+  },
+  {
+    id: 'flowers',
+    label: 'Flowers',
+    keywords: ['flower', 'blossom', 'bloom', 'rose', 'lily', 'daisy', 'violet', 'jasmine', 'lotus', 'iris', 'petal', 'floral', 'orchid', 'tulip', 'magnolia', 'camellia', 'dahlia', 'poppy', 'marigold', 'hyacinth', 'flora', 'lilac', 'azalea', 'primrose'],
+  },
+  {
+    id: 'trees-and-plants',
+    label: 'Trees and Plants',
+    keywords: ['tree', 'oak', 'ash', 'olive', 'laurel', 'leaf', 'forest', 'wood', 'grove', 'willow', 'pine', 'birch', 'elm', 'branch', 'garden', 'herb', 'ivy', 'fern', 'heather', 'vine', 'grape', 'fruit', 'berry', 'apple', 'seed', 'plant', 'reed', 'holly', 'hazel', 'myrtle', 'cedar', 'palm'],
+  },
+  {
+    id: 'land',
+    label: 'Land and Earth',
+    keywords: ['earth', 'land', 'stone', 'rock', 'mountain', 'hill', 'valley', 'island', 'meadow', 'field', 'clearing', 'glen', 'dale', 'moor', 'cliff', 'plain', 'nature', 'ground'],
+  },
+  {
+    id: 'animals',
+    label: 'Animals',
+    keywords: ['wolf', 'lion', 'bear', 'eagle', 'dove', 'deer', 'horse', 'bird', 'fox', 'hawk', 'raven', 'lamb', 'fish', 'dolphin', 'swan', 'falcon', 'tiger', 'serpent', 'bee', 'butterfly', 'animal', 'cub', 'fawn', 'boar', 'stag', 'hart', 'colt', 'sparrow', 'nightingale', 'gazelle', 'leopard'],
+  },
+  {
+    id: 'strength',
+    label: 'Strength',
+    keywords: ['strong', 'strength', 'mighty', 'might', 'power', 'powerful', 'brave', 'bravery', 'bold', 'valiant', 'valor', 'vigor', 'vigorous', 'sturdy', 'firm', 'hardy', 'force', 'courage', 'courageous', 'fearless', 'robust', 'tough'],
+  },
+  {
+    id: 'warrior',
+    label: 'Warrior',
+    keywords: ['warrior', 'war', 'battle', 'fight', 'fighter', 'soldier', 'army', 'spear', 'sword', 'armor', 'hero', 'heroic', 'knight', 'combat', 'warlike', 'archer'],
+  },
+  {
+    id: 'victory',
+    label: 'Victory',
+    keywords: ['victory', 'victorious', 'triumph', 'triumphant', 'win', 'winner', 'conquer', 'conqueror', 'champion', 'success'],
+  },
+  {
+    id: 'protection',
+    label: 'Protection',
+    keywords: ['protect', 'protector', 'protection', 'guard', 'guardian', 'defend', 'defender', 'shelter', 'shield', 'helmet', 'keeper', 'watchman', 'safe', 'refuge'],
+  },
+  {
+    id: 'divine',
+    label: 'Divine',
+    keywords: ['god', 'goddess', 'divine', 'holy', 'sacred', 'heaven', 'saint', 'prayer', 'worship', 'deity', 'angel', 'yahweh', 'jehovah', 'allah', 'spirit', 'soul', 'faith', 'pious', 'devout', 'christ', 'messiah'],
+  },
+  {
+    id: 'divine-gift',
+    label: 'Gift of God',
+    allOf: [
+      ['gift', 'give', 'bestow', 'present', 'grant'],
+      ['god', 'divine', 'heaven', 'lord', 'yahweh', 'jehovah', 'allah', 'deity'],
+    ],
+  },
+  {
+    id: 'gift',
+    label: 'Gift',
+    keywords: ['gift', 'give', 'bestow', 'offering', 'grant'],
+  },
+  {
+    id: 'grace',
+    label: 'Grace and Mercy',
+    keywords: ['grace', 'gracious', 'favor', 'favour', 'mercy', 'merciful', 'compassion', 'compassionate', 'kind', 'kindness', 'benevolent', 'charity', 'blessing', 'bless'],
+  },
+  {
+    id: 'love',
+    label: 'Love',
+    keywords: ['love', 'beloved', 'dear', 'darling', 'affection', 'cherish', 'adore', 'sweetheart', 'amorous', 'tender'],
+  },
+  {
+    id: 'friendship',
+    label: 'Friendship',
+    keywords: ['friend', 'friendly', 'friendship', 'companion', 'ally', 'comrade', 'fellow'],
+  },
+  {
+    id: 'beauty',
+    label: 'Beauty',
+    keywords: ['beautiful', 'beauty', 'pretty', 'lovely', 'fair', 'elegant', 'charming', 'handsome', 'attractive', 'gorgeous', 'graceful', 'comely', 'exquisite'],
+  },
+  {
+    id: 'wisdom',
+    label: 'Wisdom',
+    keywords: ['wise', 'wisdom', 'knowledge', 'intelligent', 'intelligence', 'clever', 'learned', 'sage', 'counsel', 'counselor', 'advice', 'understanding', 'thought', 'mind', 'scholar', 'teacher', 'insight'],
+  },
+  {
+    id: 'peace',
+    label: 'Peace',
+    keywords: ['peace', 'peaceful', 'calm', 'serene', 'serenity', 'tranquil', 'quiet', 'harmony', 'rest', 'gentle'],
+  },
+  {
+    id: 'joy',
+    label: 'Joy',
+    keywords: ['joy', 'joyful', 'joyous', 'happy', 'happiness', 'glad', 'cheerful', 'merry', 'delight', 'laughter', 'laugh', 'bliss', 'rejoice', 'smile'],
+  },
+  {
+    id: 'life',
+    label: 'Life',
+    keywords: ['life', 'live', 'living', 'alive', 'vitality', 'breath', 'lively'],
+  },
+  {
+    id: 'hope-and-faith',
+    label: 'Hope and Faithfulness',
+    keywords: ['hope', 'faithful', 'trust', 'loyal', 'loyalty', 'true', 'truth', 'honest', 'honesty', 'believe', 'sincere', 'constant', 'oath', 'promise', 'pledge'],
+  },
+  {
+    id: 'nobility',
+    label: 'Nobility and Rule',
+    keywords: ['noble', 'king', 'queen', 'prince', 'princess', 'royal', 'ruler', 'rule', 'lord', 'lady', 'crown', 'chief', 'leader', 'regal', 'emperor', 'empress', 'duke', 'majestic', 'sovereign', 'master', 'kingdom', 'reign', 'aristocrat'],
+  },
+  {
+    id: 'wealth',
+    label: 'Wealth and Fortune',
+    keywords: ['rich', 'wealth', 'wealthy', 'prosperous', 'prosperity', 'fortune', 'fortunate', 'lucky', 'luck', 'gold', 'golden', 'treasure', 'jewel', 'gem', 'pearl', 'precious', 'silver', 'diamond', 'emerald', 'ruby', 'sapphire', 'abundance'],
+  },
+  {
+    id: 'purity',
+    label: 'Purity',
+    keywords: ['pure', 'purity', 'innocent', 'innocence', 'chaste', 'clean', 'spotless', 'virtuous', 'virtue'],
+  },
+  {
+    id: 'glory',
+    label: 'Glory and Fame',
+    keywords: ['praise', 'glory', 'glorious', 'famous', 'fame', 'renown', 'renowned', 'honor', 'honour', 'esteemed', 'exalted', 'celebrated', 'illustrious', 'magnificent'],
+  },
+  {
+    id: 'freedom',
+    label: 'Freedom',
+    keywords: ['free', 'freedom', 'freeman', 'liberty', 'liberate'],
+  },
+  {
+    id: 'healing',
+    label: 'Healing',
+    keywords: ['heal', 'healer', 'health', 'healthy', 'medicine', 'cure', 'physician', 'remedy', 'well-being'],
+  },
+  {
+    id: 'music',
+    label: 'Song and Music',
+    keywords: ['song', 'sing', 'singer', 'music', 'melody', 'poet', 'poetry', 'lyric', 'hymn', 'harp', 'bard'],
+  },
+  {
+    id: 'seasons',
+    label: 'Seasons and Time',
+    keywords: ['summer', 'winter', 'autumn', 'season', 'morning', 'evening', 'night', 'day', 'noon', 'twilight', 'month', 'june', 'april'],
+  },
+  {
+    id: 'child',
+    label: 'Child and Youth',
+    keywords: ['child', 'young', 'youth', 'youthful', 'daughter', 'son', 'baby', 'infant', 'offspring', 'heir', 'descendant'],
+  },
+]);
+
+/** Irregular forms the suffix rules below would get wrong. */
+const IRREGULAR_LEMMAS = Object.freeze({
+  bringer: 'bring',
+  children: 'child',
+  wolves: 'wolf',
+  leaves: 'leaf',
+  lives: 'life',
+  given: 'give',
+  gave: 'give',
+  gives: 'give',
+  giver: 'give',
+  shone: 'shine',
+  shining: 'shine',
+  stronger: 'strong',
+  strongest: 'strong',
+  brighter: 'bright',
+  brightest: 'bright',
+  wiser: 'wise',
+  wisest: 'wise',
+  fought: 'fight',
+  won: 'win',
+  beloved: 'beloved',
+  lovely: 'lovely',
+  heavens: 'heaven',
+  men: 'man',
+  women: 'woman',
+  bearer: 'bearer',
+  bearing: 'bearing',
+});
+
+/**
+ * Keywords that are also verbs. An "-er" rewrite only lands on one of these:
+ * on a noun it names a different thing ("bearer" is not a bear, "fisher" is
+ * not a fish), so agent nouns from noun stems stay unmatched.
+ */
+const VERB_LEMMAS = Object.freeze(new Set([
+  'light', 'shine', 'illuminate', 'glow', 'gleam', 'beam', 'burn', 'blaze', 'bloom', 'blossom',
+  'fight', 'win', 'conquer', 'protect', 'guard', 'defend', 'shelter', 'shield',
+  'give', 'bestow', 'grant', 'bless', 'love', 'cherish', 'adore', 'rest', 'laugh', 'rejoice',
+  'smile', 'delight', 'live', 'hope', 'trust', 'believe', 'promise', 'pledge', 'rule', 'reign',
+  'praise', 'honor', 'honour', 'liberate', 'heal', 'cure', 'sing', 'worship', 'counsel',
+]));
+
+/**
+ * Keywords with a second, unrelated sense. A keyword with a rule only counts
+ * when its neighbours allow it: `notBefore` / `notAfter` list words that may
+ * not follow / precede it, `onlyAfter` the words that must precede it, and
+ * `notForms` surface forms that never count.
+ */
+const CONTEXT_RULES = Object.freeze({
+  // "bay horse", "reddish-brown bay": the coat colour; "bay laurel": the tree.
+  bay: {
+    notBefore: ['horse', 'mare', 'colt', 'color', 'colour', 'colored', 'coloured', 'laurel', 'tree', 'leaf'],
+    notAfter: ['red', 'reddish', 'brown'],
+  },
+  // "mere child": the adjective. The lake is "the mere", "by a mere".
+  mere: { onlyAfter: ['the', 'a', 'of', 'by', 'from'] },
+  // "she rose up", "the sun rose": the verb.
+  rose: {
+    notBefore: ['up', 'again', 'above', 'from'],
+    notAfter: ['he', 'she', 'it', 'who', 'sun', 'moon'],
+  },
+  // "ashes", "ash-grey": what a fire leaves, not the tree.
+  ash: {
+    notForms: ['ashes'],
+    notBefore: ['grey', 'gray', 'color', 'colour', 'colored', 'coloured', 'blond', 'blonde'],
+  },
+});
+
+/**
+ * Heads a closed compound may end in without being keywords themselves
+ * ("lighthouse", "seaman"). The modifier before them must be a keyword, so
+ * "mankind" is not split into man + kind.
+ */
+const COMPOUND_HEADS = Object.freeze(new Set(['house', 'man', 'woman', 'born', 'side', 'ward']));
+
+/**
+ * Real meaning strings and the concepts they must map to, exactly. A lemma
+ * rule that starts tagging one of these with an unrelated concept fails
+ * validateMeaningTaxonomy.
+ */
+const MEANING_FIXTURES = Object.freeze([
+  ['Christ-bearer', ['divine']],
+  ['bearer of victory', ['victory']],
+  ['bringer of victory', ['victory']],
+  ['bold as a bear', ['animals', 'strength']],
+  ['wolf', ['animals']],
+  ['fisherman', []],
+  ['gift of God', ['divine-gift', 'gift', 'divine']],
+  ['God is gracious', ['divine', 'grace']],
+  ['light-bearing', ['light']],
+  ['shining one', ['light']],
+  ['ruler of the home', ['nobility']],
+  ['protector of mankind', ['protection']],
+  ['singer', ['music']],
+  ['healer', ['healing']],
+  ['of the bay', ['water']],
+  ['bay horse', ['animals']],
+  ['reddish-brown, bay', []],
+  ['dweller by the mere', ['water']],
+  ['mere child', ['child']],
+  ['rose', ['flowers']],
+  ['she rose up', []],
+  ['the sun rose', ['celestial']],
+  ['ash tree', ['trees-and-plants']],
+  ['ash-grey', []],
+  ['from the ashes', []],
+  ['broad ford', []],
+  ['sunflower', ['celestial', 'flowers']],
+  ['lighthouse', ['light']],
+  ['moonlight', ['celestial', 'light']],
+  ['protector of mankind', ['protection']],
+  ['peacock', []],
+  ['starling', []],
+]);
+
+/**
+ * Suffix rewrites tried in order; the first result that is a known keyword
+ * wins. Rewrites marked `verbOnly` must land on a VERB_LEMMAS entry.
+ */
+const SUFFIX_RULES = Object.freeze([
+  ['ies', 'y'],
+  ['es', ''],
+  ['s', ''],
+  ['ing', ''],
+  ['ing', 'e'],
+  ['ed', ''],
+  ['ed', 'e'],
+  ['er', '', { verbOnly: true }],
+  ['er', 'e', { verbOnly: true }],
+  ['ness', ''],
+  ['ful', ''],
+  ['ly', ''],
+]);
+
+function buildKeywordIndex(concepts) {
+  const index = new Map();
+  for (const concept of concepts) {
+    const lemmas = concept.keywords || concept.allOf.flat();
+    for (const lemma of lemmas) {
+      if (!index.has(lemma)) index.set(lemma, []);
+      index.get(lemma).push(concept.id);
+    }
+  }
+  return index;
+}
+
+const KEYWORD_INDEX = buildKeywordIndex(MEANING_CONCEPTS);
+const CONCEPT_BY_ID = new Map(MEANING_CONCEPTS.map((concept) => [concept.id, concept]));
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z-]+/)
+    .flatMap((token) => (KEYWORD_INDEX.has(token) ? [token] : token.split('-')))
+    .filter(Boolean);
+}
+
+/**
+ * Lemma for a token: irregular forms first, then the token itself if it is a
+ * keyword, then suffix rewrites that land on a keyword (a verb, for "-er").
+ * Tokens that reach no keyword are returned unchanged.
+ */
+function lemmatize(token) {
+  if (IRREGULAR_LEMMAS[token]) return IRREGULAR_LEMMAS[token];
+  if (KEYWORD_INDEX.has(token)) return token;
+  for (const [suffix, replacement, options = {}] of SUFFIX_RULES) {
+    if (token.length - suffix.length < 3 || !token.endsWith(suffix)) continue;
+    const candidate = token.slice(0, -suffix.length) + replacement;
+    if (options.verbOnly && !VERB_LEMMAS.has(candidate)) continue;
+    if (KEYWORD_INDEX.has(candidate)) return candidate;
+    if (IRREGULAR_LEMMAS[candidate]) return IRREGULAR_LEMMAS[candidate];
+  }
+  return token;
+}
+
+function isKeyword(token) {
+  return KEYWORD_INDEX.has(lemmatize(token));
+}
+
+/**
+ * Keyword lemmas of a closed compound: a keyword modifier followed by a
+ * keyword or a COMPOUND_HEADS head, each part at least three letters.
+ * Returns [] when no split fits.
+ */
+function compoundLemmas(token) {
+  for (let split = 3; split <= token.length - 3; split += 1) {
+    const modifier = token.slice(0, split);
+    const head = token.slice(split);
+    if (!isKeyword(modifier)) continue;
+    if (isKeyword(head)) return [lemmatize(modifier), lemmatize(head)];
+    if (COMPOUND_HEADS.has(head)) return [lemmatize(modifier)];
+  }
+  return [];
+}
+
+function allowedInContext(lemma, tokens, index) {
+  const rule = CONTEXT_RULES[lemma];
+  if (!rule) return true;
+  const previous = tokens[index - 1];
+  const next = tokens[index + 1];
+  if (rule.notForms && rule.notForms.includes(tokens[index])) return false;
+  if (rule.notBefore && rule.notBefore.includes(next)) return false;
+  if (rule.notAfter && rule.notAfter.includes(previous)) return false;
+  if (rule.onlyAfter && !rule.onlyAfter.includes(previous)) return false;
+  return true;
+}
+
+/** Keyword lemmas of a meaning text after context rules and compound splits. */
+function textLemmas(text) {
+  const tokens = tokenize(text);
+  const lemmas = new Set();
+  tokens.forEach((token, index) => {
+    const lemma = lemmatize(token);
+    if (KEYWORD_INDEX.has(lemma)) {
+      if (allowedInContext(lemma, tokens, index)) lemmas.add(lemma);
+      return;
+    }
+    for (const part of compoundLemmas(token)) lemmas.add(part);
+  });
+  return lemmas;
+}
+
+/**
+ * Concepts expressed by a meaning text, in taxonomy order, each with the
+ * lemmas that matched it.
+ * @returns {{ id: string, label: string, matchedTerms: string[] }[]}
+ */
+function meaningConcepts(text) {
+  const lemmas = textLemmas(text);
+  const matches = [];
+  for (const concept of MEANING_CONCEPTS) {
+    if (concept.allOf) {
+      const hits = concept.allOf.map((group) => group.filter((lemma) => lemmas.has(lemma)));
+      if (hits.every((group) => group.length > 0)) {
+        matches.push({ id: concept.id, label: concept.label, matchedTerms: [...new Set(hits.flat())].sort() });
+      }
+      continue;
+    }
+    const hits = concept.keywords.filter((lemma) => lemmas.has(lemma));
+    if (hits.length) matches.push({ id: concept.id, label: concept.label, matchedTerms: [...hits].sort() });
+  }
+  return matches;
+}
+
+function conceptLabel(conceptId) {
+  return CONCEPT_BY_ID.get(conceptId)?.label || null;
+}
+
+/**
+ * Structural checks on the taxonomy table (unique ids, labels, lowercase
+ * lemma keywords, verb lemmas and context rules that are keywords, compound
+ * heads that are not), then MEANING_FIXTURES — positive and negative
+ * glosses — against the live matcher.
+ */
+function validateMeaningTaxonomy(concepts = MEANING_CONCEPTS) {
+  const errors = [];
+  const ids = new Set();
+  for (const concept of concepts) {
+    if (!/^[a-z]+(-[a-z]+)*$/.test(concept.id || '')) errors.push(`Invalid meaning concept id: ${concept.id}`);
+    if (ids.has(concept.id)) errors.push(`Duplicate meaning concept id: ${concept.id}`);
+    ids.add(concept.id);
+    if (!concept.label) errors.push(`Meaning concept ${concept.id} has no label.`);
+    const hasKeywords = Array.isArray(concept.keywords) && concept.keywords.length > 0;
+    const hasAllOf = Array.isArray(concept.allOf) && concept.allOf.length > 0 && concept.allOf.every((group) => group.length > 0);
+    if (hasKeywords === hasAllOf) errors.push(`Meaning concept ${concept.id} needs exactly one of keywords / allOf.`);
+    for (const lemma of concept.keywords || (concept.allOf || []).flat()) {
+      if (!/^[a-z]+(-[a-z]+)*$/.test(lemma)) errors.push(`Meaning concept ${concept.id} has a non-lemma keyword: ${lemma}`);
+    }
+  }
+  for (const lemma of VERB_LEMMAS) {
+    if (!KEYWORD_INDEX.has(lemma)) errors.push(`Verb lemma ${lemma} is not a meaning keyword.`);
+  }
+  for (const lemma of Object.keys(CONTEXT_RULES)) {
+    if (!KEYWORD_INDEX.has(lemma)) errors.push(`Context rule ${lemma} is not a meaning keyword.`);
+  }
+  for (const head of COMPOUND_HEADS) {
+    if (KEYWORD_INDEX.has(head)) errors.push(`Compound head ${head} is already a meaning keyword.`);
+  }
+  for (const [text, expected] of MEANING_FIXTURES) {
+    const actual = meaningConcepts(text).map((concept) => concept.id).sort();
+    if (actual.join(',') !== [...expected].sort().join(',')) {
+      errors.push(`Meaning "${text}" maps to [${actual.join(', ')}], expected [${expected.join(', ')}].`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  MEANING_CONCEPTS,
+  IRREGULAR_LEMMAS,
+  VERB_LEMMAS,
+  CONTEXT_RULES,
+  COMPOUND_HEADS,
+  MEANING_FIXTURES,
+  tokenize,
+  lemmatize,
+  meaningConcepts,
+  conceptLabel,
+  validateMeaningTaxonomy,
+};
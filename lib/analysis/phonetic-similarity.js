@@ -0,0 +1,747 @@
+/**
+ * lib/analysis/phonetic-similarity.js — Phonetic similarity for SIMILAR_PRONUNCIATION edges.
+ *
+ * Double Metaphone keys (Lawrence Philips, 2000) for every name, and a
+ * feature-weighted edit distance over IPA segments when both names carry
+ * `pronunciation.ipa`. Distances are in [0, 1] and graded into the graph's
+ * strong / moderate / weak confidence tiers. Pure and deterministic — no I/O.
+ */
+
+const CODE_LENGTH = 4;
+
+/** Share of the Double Metaphone distance in the blended score; the rest is spelling distance. */
+const CODE_WEIGHT = 0.7;
+const SPELLING_WEIGHT = 0.3;
+
+/** Added to a key distance when either key is a secondary (alternate) Double Metaphone key. */
+const SECONDARY_CODE_PENALTY = 0.25;
+
+/** Upper distance bound (inclusive) for each confidence tier. */
+const DISTANCE_THRESHOLDS = Object.freeze({
+  strong: 0.15,
+  moderate: 0.3,
+  weak: 0.4,
+});
+
+/** Graded (non-exact) neighbours kept per name, nearest first. */
+const MAX_PHONETIC_NEIGHBORS = 10;
+
+const PHONETIC_METHODS = Object.freeze(['phonetic-spelling', 'ipa', 'double-metaphone']);
+
+function roundDistance(value) {
+  return Number(value.toFixed(4));
+}
+
+/** Lowercase a–z only: diacritics stripped, everything else dropped. */
+function foldLetters(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .replace(/æ/g, 'ae')
+    .replace(/œ/g, 'oe')
+    .replace(/ø/g, 'o')
+    .replace(/[^a-z]/g, '');
+}
+
+function levenshtein(left, right) {
+  if (left === right) return 0;
+  let previous = new Array(right.length + 1);
+  let current = new Array(right.length + 1);
+  for (let j = 0; j <= right.length; j += 1) previous[j] = j;
+  for (let i = 1; i <= left.length; i += 1) {
+    current[0] = i;
+    for (let j = 1; j <= right.length; j += 1) {
+      const cost = left.charCodeAt(i - 1) === right.charCodeAt(j - 1) ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[right.length];
+}
+
+/** Edit distance divided by the longer length; 0 for two empty strings. */
+function normalizedEditDistance(left, right) {
+  const longest = Math.max(left.length, right.length);
+  return longest === 0 ? 0 : levenshtein(left, right) / longest;
+}
+
+/**
+ * Double Metaphone primary and secondary keys (uppercase, at most four
+ * characters; "0" encodes TH). Input is folded to a–z first, so the
+ * reference algorithm's word-boundary rules apply to the end of the name.
+ * @returns {[string, string]}
+ */
+function doubleMetaphone(text) {
+  const value = foldLetters(text).toUpperCase();
+  if (!value) return ['', ''];
+
+  const length = value.length;
+  const last = length - 1;
+  const isSlavoGermanic = /W|K|CZ|WITZ/.test(value);
+  const isGermanic = /^(VAN|VON|SCH)/.test(value);
+  const at = (i) => (i >= 0 && i < length ? value[i] : '');
+  const stringAt = (start, count, ...options) => start >= 0 && options.includes(value.substr(start, count));
+  const isVowel = (i) => 'AEIOUY'.includes(at(i)) && at(i) !== '';
+
+  let primary = '';
+  let secondary = '';
+  const add = (main, alternate = main) => {
+    primary += main;
+    secondary += alternate;
+  };
+
+  let index = 0;
+  if (stringAt(0, 2, 'GN', 'KN', 'PN', 'WR', 'PS')) index += 1;
+  if (at(0) === 'X') {
+    add('S');
+    index += 1;
+  }
+
+  while (index < length && (primary.length < CODE_LENGTH || secondary.length < CODE_LENGTH)) {
+    switch (at(index)) {
+      case 'A':
+      case 'E':
+      case 'I':
+      case 'O':
+      case 'U':
+      case 'Y':
+        if (index === 0) add('A');
+        index += 1;
+        break;
+      case 'B':
+        add('P');
+        index += at(index + 1) === 'B' ? 2 : 1;
+        break;
+      case 'C':
+        if (
+          index > 1 &&
+          !isVowel(index - 2) &&
+          stringAt(index - 1, 3, 'ACH') &&
+          at(index + 2) !== 'I' &&
+          (at(index + 2) !== 'E' || stringAt(index - 2, 6, 'BACHER', 'MACHER'))
+        ) {
+          add('K');
+          index += 2;
+        } else if (index === 0 && stringAt(index, 6, 'CAESAR')) {
+          add('S');
+          index += 2;
+        } else if (stringAt(index, 4, 'CHIA')) {
+          add('K');
+          index += 2;
+        } else if (stringAt(index, 2, 'CH')) {
+          if (index > 0 && stringAt(index, 4, 'CHAE')) {
+            add('K', 'X');
+          } else if (
+            index === 0 &&
+            (stringAt(index + 1, 5, 'HARAC', 'HARIS') || stringAt(index + 1, 3, 'HOR', 'HYM', 'HIA', 'HEM')) &&
+            !stringAt(0, 5, 'CHORE')
+          ) {
+            add('K');
+          } else if (
+            isGermanic ||
+            stringAt(index - 2, 6, 'ORCHES', 'ARCHIT', 'ORCHID') ||
+            stringAt(index + 2, 1, 'T', 'S') ||
+            ((index === 0 || stringAt(index - 1, 1, 'A', 'O', 'U', 'E')) &&
+              (index + 2 >= length || stringAt(index + 2, 1, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W')))
+          ) {
+            add('K');
+          } else if (index > 0) {
+            if (stringAt(0, 2, 'MC')) add('K');
+            else add('X', 'K');
+          } else {
+            add('X');
+          }
+          index += 2;
+        } else if (stringAt(index, 2, 'CZ') && !stringAt(index - 2, 4, 'WICZ')) {
+          add('S', 'X');
+          index += 2;
+        } else if (stringAt(index + 1, 3, 'CIA')) {
+          add('X');
+          index += 3;
+        } else if (stringAt(index, 2, 'CC') && !(index === 1 && at(0) === 'M')) {
+          if (stringAt(index + 2, 1, 'I', 'E', 'H') && !stringAt(index + 2, 2, 'HU')) {
+            if ((index === 1 && at(0) === 'A') || stringAt(index - 1, 5, 'UCCEE', 'UCCES')) add('KS');
+            else add('X');
+            index += 3;
+          } else {
+            add('K');
+            index += 2;
+          }
+        } else if (stringAt(index, 2, 'CK', 'CG', 'CQ')) {
+          add('K');
+          index += 2;
+        } else if (stringAt(index, 2, 'CI', 'CE', 'CY')) {
+          if (stringAt(index, 3, 'CIO', 'CIE', 'CIA')) add('S', 'X');
+          else add('S');
+          index += 2;
+        } else {
+          add('K');
+          index += stringAt(index + 1, 1, 'C', 'K', 'Q') && !stringAt(index + 1, 2, 'CE', 'CI') ? 2 : 1;
+        }
+        break;
+      case 'D':
+        if (stringAt(index, 2, 'DG')) {
+          if (stringAt(index + 2, 1, 'I', 'E', 'Y')) {
+            add('J');
+            index += 3;
+          } else {
+            add('TK');
+            index += 2;
+          }
+        } else {
+          add('T');
+          index += stringAt(index, 2, 'DT', 'DD') ? 2 : 1;
+        }
+        break;
+      case 'F':
+        add('F');
+        index += at(index + 1) === 'F' ? 2 : 1;
+        break;
+      case 'G':
+        if (at(index + 1) === 'H') {
+          if (index > 0 && !isVowel(index - 1)) {
+            add('K');
+          } else if (index === 0) {
+            add(at(index + 2) === 'I' ? 'J' : 'K');
+          } else if (
+            (index > 1 && stringAt(index - 2, 1, 'B', 'H', 'D')) ||
+            (index > 2 && stringAt(index - 3, 1, 'B', 'H', 'D')) ||
+            (index > 3 && stringAt(index - 4, 1, 'B', 'H'))
+          ) {
+            // Parker's rule: silent, as in "hugh".
+          } else if (index > 2 && at(index - 1) === 'U' && stringAt(index - 3, 1, 'C', 'G', 'L', 'R', 'T')) {
+            add('F');
+          } else if (at(index - 1) !== 'I') {
+            add('K');
+          }
+          index += 2;
+        } else if (at(index + 1) === 'N') {
+          if (index === 1 && isVowel(0) && !isSlavoGermanic) add('KN', 'N');
+          else if (!stringAt(index + 2, 2, 'EY') && !isSlavoGermanic) add('N', 'KN');
+          else add('KN');
+          index += 2;
+        } else if (stringAt(index + 1, 2, 'LI') && !isSlavoGermanic) {
+          add('KL', 'L');
+          index += 2;
+        } else if (
+          index === 0 &&
+          (at(index + 1) === 'Y' ||
+            stringAt(index + 1, 2, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))
+        ) {
+          add('K', 'J');
+          index += 2;
+        } else if (
+          (stringAt(index + 1, 2, 'ER') || at(index + 1) === 'Y') &&
+          !stringAt(0, 6, 'DANGER', 'RANGER', 'MANGER') &&
+          !stringAt(index - 1, 1, 'E', 'I') &&
+          !stringAt(index - 1, 3, 'RGY', 'OGY')
+        ) {
+          add('K', 'J');
+          index += 2;
+        } else if (stringAt(index + 1, 1, 'E', 'I', 'Y') || stringAt(index - 1, 4, 'AGGI', 'OGGI')) {
+          if (isGermanic || stringAt(index + 1, 2, 'ET')) add('K');
+          else if (stringAt(index + 1, 3, 'IER') && index + 3 === length) add('J');
+          else add('J', 'K');
+          index += 2;
+        } else {
+          add('K');
+          index += at(index + 1) === 'G' ? 2 : 1;
+        }
+        break;
+      case 'H':
+        if ((index === 0 || isVowel(index - 1)) && isVowel(index + 1)) {
+          add('H');
+          index += 2;
+        } else {
+          index += 1;
+        }
+        break;
+      case 'J':
+        if (stringAt(index, 4, 'JOSE')) {
+          if (index === 0 && index + 4 === length) add('H');
+          else add('J', 'H');
+          index += 1;
+          break;
+        }
+        if (index === 0) add('J', 'A');
+        else if (isVowel(index - 1) && !isSlavoGermanic && stringAt(index + 1, 1, 'A', 'O')) add('J', 'H');
+        else if (index === last) add('J', '');
+        else if (!stringAt(index + 1, 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !stringAt(index - 1, 1, 'S', 'K', 'L')) {
+          add('J');
+        }
+        index += at(index + 1) === 'J' ? 2 : 1;
+        break;
+      case 'K':
+        add('K');
+        index += at(index + 1) === 'K' ? 2 : 1;
+        break;
+      case 'L':
+        if (at(index + 1) === 'L') {
+          if (
+            (index === length - 3 && stringAt(index - 1, 4, 'ILLO', 'ILLA', 'ALLE')) ||
+            ((stringAt(last - 1, 2, 'AS', 'OS') || stringAt(last, 1, 'A', 'O')) && stringAt(index - 1, 4, 'ALLE'))
+          ) {
+            add('L', '');
+          } else {
+            add('L');
+          }
+          index += 2;
+        } else {
+          add('L');
+          index += 1;
+        }
+        break;
+      case 'M':
+        add('M');
+        index +=
+          (stringAt(index - 1, 3, 'UMB') && (index + 1 === last || stringAt(index + 2, 2, 'ER'))) || at(index + 1) === 'M'
+            ? 2
+            : 1;
+        break;
+      case 'N':
+        add('N');
+        index += at(index + 1) === 'N' ? 2 : 1;
+        break;
+      case 'P':
+        if (at(index + 1) === 'H') {
+          add('F');
+          index += 2;
+        } else {
+          add('P');
+          index += stringAt(index + 1, 1, 'P', 'B') ? 2 : 1;
+        }
+        break;
+      case 'Q':
+        add('K');
+        index += at(index + 1) === 'Q' ? 2 : 1;
+        break;
+      case 'R':
+        if (index === last && !isSlavoGermanic && stringAt(index - 2, 2, 'IE') && !stringAt(index - 4, 2, 'ME', 'MA')) {
+          add('', 'R');
+        } else {
+          add('R');
+        }
+        index += at(index + 1) === 'R' ? 2 : 1;
+        break;
+      case 'S':
+        if (stringAt(index - 1, 3, 'ISL', 'YSL')) {
+          index += 1;
+        } else if (index === 0 && stringAt(index, 5, 'SUGAR')) {
+          add('X', 'S');
+          index += 1;
+        } else if (stringAt(index, 2, 'SH')) {
+          add(stringAt(index + 1, 4, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X');
+          index += 2;
+        } else if (stringAt(index, 3, 'SIO', 'SIA')) {
+          if (isSlavoGermanic) add('S');
+          else add('S', 'X');
+          index += 3;
+        } else if ((index === 0 && stringAt(index + 1, 1, 'M', 'N', 'L', 'W')) || stringAt(index + 1, 1, 'Z')) {
+          add('S', 'X');
+          index += stringAt(index + 1, 1, 'Z') ? 2 : 1;
+        } else if (stringAt(index, 2, 'SC')) {
+          if (at(index + 2) === 'H') {
+            if (stringAt(index + 3, 2, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+              if (stringAt(index + 3, 2, 'ER', 'EN')) add('X', 'SK');
+              else add('SK');
+            } else if (index === 0 && !isVowel(3) && at(3) !== 'W') {
+              add('X', 'S');
+            } else {
+              add('X');
+            }
+          } else if (stringAt(index + 2, 1, 'I', 'E', 'Y')) {
+            add('S');
+          } else {
+            add('SK');
+          }
+          index += 3;
+        } else {
+          if (index === last && stringAt(index - 2, 2, 'AI', 'OI')) add('', 'S');
+          else add('S');
+          index += stringAt(index + 1, 1, 'S', 'Z') ? 2 : 1;
+        }
+        break;
+      case 'T':
+        if (stringAt(index, 4, 'TION') || stringAt(index, 3, 'TIA', 'TCH')) {
+          add('X');
+          index += 3;
+        } else if (stringAt(index, 2, 'TH') || stringAt(index, 3, 'TTH')) {
+          if (stringAt(index + 2, 2, 'OM', 'AM') || isGermanic) add('T');
+          else add('0', 'T');
+          index += 2;
+        } else {
+          add('T');
+          index += stringAt(index + 1, 1, 'T', 'D') ? 2 : 1;
+        }
+        break;
+      case 'V':
+        add('F');
+        index += at(index + 1) === 'V' ? 2 : 1;
+        break;
+      case 'W':
+        if (stringAt(index, 2, 'WR')) {
+          add('R');
+          index += 2;
+          break;
+        }
+        if (index === 0 && (isVowel(index + 1) || stringAt(index, 2, 'WH'))) {
+          if (isVowel(index + 1)) add('A', 'F');
+          else add('A');
+        }
+        if (
+          (index === last && isVowel(index - 1)) ||
+          stringAt(index - 1, 5, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') ||
+          stringAt(0, 3, 'SCH')
+        ) {
+          add('', 'F');
+          index += 1;
+        } else if (stringAt(index, 4, 'WICZ', 'WITZ')) {
+          add('TS', 'FX');
+          index += 4;
+        } else {
+          index += 1;
+        }
+        break;
+      case 'X':
+        if (!(index === last && (stringAt(index - 3, 3, 'IAU', 'EAU') || stringAt(index - 2, 2, 'AU', 'OU')))) {
+          add('KS');
+        }
+        index += stringAt(index + 1, 1, 'C', 'X') ? 2 : 1;
+        break;
+      case 'Z':
+        if (at(index + 1) === 'H') {
+          add('J');
+          index += 2;
+        } else {
+          if (stringAt(index + 1, 2, 'ZO', 'ZI', 'ZA') || (isSlavoGermanic && index > 0 && at(index - 1) !== 'T')) {
+            add('S', 'TS');
+          } else {
+            add('S');
+          }
+          index += at(index + 1) === 'Z' ? 2 : 1;
+        }
+        break;
+      default:
+        index += 1;
+    }
+  }
+
+  return [primary.slice(0, CODE_LENGTH), secondary.slice(0, CODE_LENGTH)];
+}
+
+/*
+ * IPA segment features. Consonants: place (bilabial 0 → glottal 1), manner
+ * (stop 0 → approximant 1) and voicing. Vowels: height (close 0 → open 1),
+ * backness (front 0 → back 1) and rounding.
+ */
+const PLACES = ['bilabial', 'labiodental', 'dental', 'alveolar', 'postalveolar', 'retroflex', 'palatal', 'velar', 'uvular', 'pharyngeal', 'glottal'];
+const MANNERS = ['stop', 'affricate', 'fricative', 'nasal', 'trill', 'lateral', 'approximant'];
+
+function consonant(place, manner, voiced) {
+  return {
+    kind: 'consonant',
+    place: PLACES.indexOf(place) / (PLACES.length - 1),
+    manner: MANNERS.indexOf(manner) / (MANNERS.length - 1),
+    voiced: voiced ? 1 : 0,
+  };
+}
+
+function vowel(height, backness, rounded) {
+  return { kind: 'vowel', height, backness, rounded: rounded ? 1 : 0 };
+}
+
+const IPA_FEATURES = Object.freeze({
+  p: consonant('bilabial', 'stop', false),
+  b: consonant('bilabial', 'stop', true),
+  m: consonant('bilabial', 'nasal', true),
+  ɸ: consonant('bilabial', 'fricative', false),
+  β: consonant('bilabial', 'fricative', true),
+  f: consonant('labiodental', 'fricative', false),
+  v: consonant('labiodental', 'fricative', true),
+  ʋ: consonant('labiodental', 'approximant', true),
+  θ: consonant('dental', 'fricative', false),
+  ð: consonant('dental', 'fricative', true),
+  t: consonant('alveolar', 'stop', false),
+  d: consonant('alveolar', 'stop', true),
+  n: consonant('alveolar', 'nasal', true),
+  s: consonant('alveolar', 'fricative', false),
+  z: consonant('alveolar', 'fricative', true),
+  ts: consonant('alveolar', 'affricate', false),
+  dz: consonant('alveolar', 'affricate', true),
+  r: consonant('alveolar', 'trill', true),
+  ɾ: consonant('alveolar', 'trill', true),
+  ɹ: consonant('alveolar', 'approximant', true),
+  l: consonant('alveolar', 'lateral', true),
+  ɫ: consonant('alveolar', 'lateral', true),
+  ʃ: consonant('postalveolar', 'fricative', false),
+  ʒ: consonant('postalveolar', 'fricative', true),
+  tʃ: consonant('postalveolar', 'affricate', false),
+  dʒ: consonant('postalveolar', 'affricate', true),
+  ʧ: consonant('postalveolar', 'affricate', false),
+  ʤ: consonant('postalveolar', 'affricate', true),
+  ʂ: consonant('retroflex', 'fricative', false),
+  ʐ: consonant('retroflex', 'fricative', true),
+  ʈ: consonant('retroflex', 'stop', false),
+  ɖ: consonant('retroflex', 'stop', true),
+  ɳ: consonant('retroflex', 'nasal', true),
+  ɻ: consonant('retroflex', 'approximant', true),
+  ɭ: consonant('retroflex', 'lateral', true),
+  ɕ: consonant('palatal', 'fricative', false),
+  ʑ: consonant('palatal', 'fricative', true),
+  tɕ: consonant('palatal', 'affricate', false),
+  dʑ: consonant('palatal', 'affricate', true),
+  c: consonant('palatal', 'stop', false),
+  ɟ: consonant('palatal', 'stop', true),
+  ɲ: consonant('palatal', 'nasal', true),
+  ç: consonant('palatal', 'fricative', false),
+  j: consonant('palatal', 'approximant', true),
+  ʎ: consonant('palatal', 'lateral', true),
+  k: consonant('velar', 'stop', false),
+  g: consonant('velar', 'stop', true),
+  ɡ: consonant('velar', 'stop', true),
+  ŋ: consonant('velar', 'nasal', true),
+  x: consonant('velar', 'fricative', false),
+  ɣ: consonant('velar', 'fricative', true),
+  w: consonant('velar', 'approximant', true),
+  q: consonant('uvular', 'stop', false),
+  χ: consonant('uvular', 'fricative', false),
+  ʁ: consonant('uvular', 'fricative', true),
+  ʀ: consonant('uvular', 'trill', true),
+  ħ: consonant('pharyngeal', 'fricative', false),
+  ʕ: consonant('pharyngeal', 'fricative', true),
+  ʔ: consonant('glottal', 'stop', false),
+  h: consonant('glottal', 'fricative', false),
+  ɦ: consonant('glottal', 'fricative', true),
+  i: vowel(0, 0, false),
+  y: vowel(0, 0, true),
+  ɨ: vowel(0, 0.5, false),
+  ʉ: vowel(0, 0.5, true),
+  ɯ: vowel(0, 1, false),
+  u: vowel(0, 1, true),
+  ɪ: vowel(0.15, 0.1, false),
+  ʏ: vowel(0.15, 0.1, true),
+  ʊ: vowel(0.15, 0.9, true),
+  e: vowel(0.33, 0, false),
+  ø: vowel(0.33, 0, true),
+  ɘ: vowel(0.33, 0.5, false),
+  ɵ: vowel(0.33, 0.5, true),
+  ɤ: vowel(0.33, 1, false),
+  o: vowel(0.33, 1, true),
+  ə: vowel(0.5, 0.5, false),
+  ɛ: vowel(0.67, 0, false),
+  œ: vowel(0.67, 0, true),
+  ɜ: vowel(0.67, 0.5, false),
+  ɞ: vowel(0.67, 0.5, true),
+  ʌ: vowel(0.67, 1, false),
+  ɔ: vowel(0.67, 1, true),
+  æ: vowel(0.83, 0, false),
+  ɐ: vowel(0.83, 0.5, false),
+  a: vowel(1, 0, false),
+  ɶ: vowel(1, 0, true),
+  ɑ: vowel(1, 1, false),
+  ɒ: vowel(1, 1, true),
+});
+
+/** Delimiters, combining marks (tie bars included) and modifier letters (stress, length, aspiration). */
+const IPA_IGNORED = /[\s/[\]().‿'-]|[\u0300-\u036f]|[\u02b0-\u02ff]/u;
+const AFFRICATE_ONSETS = new Set(['t', 'd']);
+
+/** IPA transcription → segments; t/d + fricative (with or without a tie bar) is one affricate. */
+function ipaSegments(ipa) {
+  const chars = [...String(ipa || '').normalize('NFD')].filter((ch) => !IPA_IGNORED.test(ch));
+  const segments = [];
+  for (let i = 0; i < chars.length; i += 1) {
+    const pair = chars[i] + (chars[i + 1] || '');
+    if (AFFRICATE_ONSETS.has(chars[i]) && IPA_FEATURES[pair]) {
+      segments.push(pair);
+      i += 1;
+    } else {
+      segments.push(chars[i]);
+    }
+  }
+  return segments;
+}
+
+/** Substitution cost in [0, 1]: 0 for equal segments, 1 across consonant / vowel or for unknown symbols. */
+function segmentCost(left, right) {
+  if (left === right) return 0;
+  const a = IPA_FEATURES[left];
+  const b = IPA_FEATURES[right];
+  if (!a || !b || a.kind !== b.kind) return 1;
+  if (a.kind === 'consonant') {
+    return 0.4 * Math.abs(a.place - b.place) + 0.4 * Math.abs(a.manner - b.manner) + 0.2 * Math.abs(a.voiced - b.voiced);
+  }
+  return 0.5 * Math.abs(a.height - b.height) + 0.35 * Math.abs(a.backness - b.backness) + 0.15 * Math.abs(a.rounded - b.rounded);
+}
+
+/** Feature-weighted edit distance between two IPA transcriptions, divided by the longer segment count. */
+function ipaDistance(leftIpa, rightIpa) {
+  const left = ipaSegments(leftIpa);
+  const right = ipaSegments(rightIpa);
+  const longest = Math.max(left.length, right.length);
+  if (longest === 0) return 0;
+
+  let previous = Array.from({ length: right.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= left.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j += 1) {
+      current.push(
+        Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + segmentCost(left[i - 1], right[j - 1])),
+      );
+    }
+    previous = current;
+  }
+  return roundDistance(previous[right.length] / longest);
+}
+
+function normalizePhoneticSpelling(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Everything the comparison needs for one name: spelling letters, Double
+ * Metaphone keys of the name and of its respelling, and IPA when present.
+ * `phoneticSpelling` and `ipa` should already exclude fallback markers.
+ */
+function buildPhoneticProfile({ slug, name, phoneticSpelling = null, ipa = null }) {
+  const codes = new Set();
+  const primaryCodes = new Set();
+  for (const source of [name, phoneticSpelling]) {
+    const [primary, secondary] = doubleMetaphone(source);
+    if (primary) primaryCodes.add(primary);
+    for (const code of [primary, secondary]) if (code) codes.add(code);
+  }
+  return {
+    slug,
+    letters: foldLetters(name),
+    phoneticSpelling: phoneticSpelling || null,
+    phoneticKey: normalizePhoneticSpelling(phoneticSpelling) || null,
+    primaryCode: doubleMetaphone(name)[0] || null,
+    codes: [...codes].sort(),
+    primaryCodes: [...primaryCodes].sort(),
+    ipa: ipa && ipaSegments(ipa).length ? ipa : null,
+  };
+}
+
+/**
+ * Distance between two profiles:
+ * - identical normalized respellings → 0 (`phonetic-spelling`)
+ * - both have IPA → feature-weighted IPA distance (`ipa`)
+ * - otherwise the closest pair of Double Metaphone keys (secondary keys
+ *   penalised), blended with spelling distance (`double-metaphone`)
+ * @returns {{ method: string, distance: number }}
+ */
+function comparePhoneticProfiles(left, right) {
+  if (left.phoneticKey && left.phoneticKey === right.phoneticKey) {
+    return { method: 'phonetic-spelling', distance: 0 };
+  }
+  if (left.ipa && right.ipa) {
+    return { method: 'ipa', distance: ipaDistance(left.ipa, right.ipa) };
+  }
+  let codeDistance = left.codes.length && right.codes.length ? Infinity : 1;
+  for (const a of left.codes) {
+    for (const b of right.codes) {
+      const penalty = left.primaryCodes.includes(a) && right.primaryCodes.includes(b) ? 0 : SECONDARY_CODE_PENALTY;
+      codeDistance = Math.min(codeDistance, normalizedEditDistance(a, b) + penalty);
+    }
+  }
+  codeDistance = Math.min(codeDistance, 1);
+  const spellingDistance = normalizedEditDistance(left.letters, right.letters);
+  return {
+    method: 'double-metaphone',
+    distance: roundDistance(CODE_WEIGHT * codeDistance + SPELLING_WEIGHT * spellingDistance),
+  };
+}
+
+/** Confidence tier for a comparison, or null when the names are too far apart to link. */
+function classifyPhoneticDistance({ method, distance }) {
+  if (distance === 0 && method !== 'double-metaphone') return 'exact';
+  if (distance <= DISTANCE_THRESHOLDS.strong) return 'strong';
+  if (distance <= DISTANCE_THRESHOLDS.moderate) return 'moderate';
+  if (distance <= DISTANCE_THRESHOLDS.weak) return 'weak';
+  return null;
+}
+
+/** A key and every single-character deletion of it. */
+function deletionKeys(code) {
+  const keys = new Set([code]);
+  for (let i = 0; i < code.length; i += 1) keys.add(code.slice(0, i) + code.slice(i + 1));
+  return keys;
+}
+
+/** Buckets up to this size are compared pairwise; larger ones use a sorted-neighbourhood window. */
+const MAX_CANDIDATE_BUCKET = 128;
+
+/** Neighbours on each side compared per member of an oversized bucket, per sort order. */
+const SORTED_NEIGHBORHOOD_WINDOW = 12;
+
+/**
+ * Candidate pairs [i, j] (i < j, profile indexes) whose Double Metaphone keys
+ * share a deletion key, i.e. are at most two edits apart. Comparing every
+ * pair would be quadratic in the corpus size; pairs further apart rarely
+ * pass the weak threshold.
+ *
+ * Short deletion keys ("N", "AN") collect a bucket that grows with the corpus.
+ * Buckets above MAX_CANDIDATE_BUCKET are sorted by spelling, forwards and
+ * reversed, and each member is paired with its SORTED_NEIGHBORHOOD_WINDOW
+ * neighbours in each order, so the candidate count stays linear.
+ */
+function candidatePairs(profiles) {
+  const buckets = new Map();
+  profiles.forEach((profile, index) => {
+    const keys = new Set(profile.codes.flatMap((code) => [...deletionKeys(code)]));
+    for (const key of keys) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    }
+  });
+
+  const pairs = new Set();
+  const addPair = (a, b) => pairs.add(Math.min(a, b) * profiles.length + Math.max(a, b));
+  const reversed = profiles.map((profile) => [...profile.letters].reverse().join(''));
+  const byLetters = (a, b) => profiles[a].letters.localeCompare(profiles[b].letters) || a - b;
+  const byReversed = (a, b) => reversed[a].localeCompare(reversed[b]) || a - b;
+
+  for (const members of buckets.values()) {
+    if (members.length <= MAX_CANDIDATE_BUCKET) {
+      for (let a = 0; a < members.length; a += 1) {
+        for (let b = a + 1; b < members.length; b += 1) addPair(members[a], members[b]);
+      }
+      continue;
+    }
+    for (const order of [byLetters, byReversed]) {
+      const sorted = [...members].sort(order);
+      for (let a = 0; a < sorted.length; a += 1) {
+        const end = Math.min(sorted.length, a + 1 + SORTED_NEIGHBORHOOD_WINDOW);
+        for (let b = a + 1; b < end; b += 1) addPair(sorted[a], sorted[b]);
+      }
+    }
+  }
+  return [...pairs].sort((x, y) => x - y).map((pair) => [Math.floor(pair / profiles.length), pair % profiles.length]);
+}
+
+module.exports = {
+  CODE_LENGTH,
+  CODE_WEIGHT,
+  SPELLING_WEIGHT,
+  SECONDARY_CODE_PENALTY,
+  DISTANCE_THRESHOLDS,
+  MAX_PHONETIC_NEIGHBORS,
+  MAX_CANDIDATE_BUCKET,
+  SORTED_NEIGHBORHOOD_WINDOW,
+  PHONETIC_METHODS,
+  levenshtein,
+  doubleMetaphone,
+  ipaSegments,
+  ipaDistance,
+  normalizePhoneticSpelling,
+  buildPhoneticProfile,
+  comparePhoneticProfiles,
+  classifyPhoneticDistance,
+  candidatePairs,
+};
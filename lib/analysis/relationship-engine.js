@@ -7,8 +7,25 @@
 
 const crypto = require('crypto');
 const { isFallbackMarker } = require('../render/meaning.js');
-
-const GRAPH_VERSION = '17A-v1';
+const {
+  MAX_PHONETIC_NEIGHBORS,
+  buildPhoneticProfile,
+  candidatePairs,
+  classifyPhoneticDistance,
+  comparePhoneticProfiles,
+} = require('./phonetic-similarity.js');
+const { MEANING_CONCEPTS, conceptLabel, meaningConcepts, validateMeaningTaxonomy } = require('./meaning-taxonomy.js');
+const {
+  LOUVAIN_SEED,
+  pairKey,
+  pairWeights,
+  buildAffinityIndex,
+  detectCommunities,
+  communityAnchor,
+} = require('./community-detection.js');
+const { normSlug } = require('../../scripts/utils/name-equivalents.js');
+
+const GRAPH_VERSION = '17A-v2';
 
 const RELATIONSHIP_TYPES = Object.freeze([
   'HAS_VARIANT',
@@ -17,13 +34,26 @@ const RELATIONSHIP_TYPES = Object.freeze([
   'RELATED_MEANING',
   'SIMILAR_PRONUNCIATION',
   'SAME_CULTURAL_GROUP',
+  'NICKNAME_OF',
+  'DIMINUTIVE_OF',
+  'SHARES_ROOT',
+  'CROSS_LANGUAGE_EQUIVALENT',
 ]);
 
+/**
+ * Directed types: `source` is the nickname / diminutive and `target` the full
+ * name it shortens. Edge ids stay canonical (sorted pair) like every other type.
+ */
+const DIRECTED_RELATIONSHIP_TYPES = Object.freeze(['NICKNAME_OF', 'DIMINUTIVE_OF']);
+
 const CONFIDENCE_LEVELS = Object.freeze(['exact', 'strong', 'moderate', 'weak']);
 
-/** Groups larger than this use star topology (hub = lexicographically first slug). */
+/** Groups up to this size are full cliques; larger ones are split into communities (see linkLargeGroup). */
 const MAX_FULL_CLIQUE = 30;
 
+/** Communities inside a large group up to this size are cliques; larger ones link through their anchor. */
+const MAX_COMMUNITY_CLIQUE = 8;
+
 function stableHash(value) {
   return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
 }
@@ -35,13 +65,6 @@ function normalizeText(value) {
     .replace(/\s+/g, ' ');
 }
 
-function normalizePronunciation(value) {
-  return String(value || '')
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '');
-}
-
 function normalizeKey(name) {
   return String(name || '').trim().toLowerCase();
 }
@@ -65,35 +88,58 @@ function sortEdges(edges) {
   });
 }
 
-function pairsFromGroup(slugs) {
+function cliquePairs(slugs) {
   const sorted = [...slugs].sort((a, b) => a.localeCompare(b));
-  if (sorted.length <= 1) return [];
-
-  if (sorted.length <= MAX_FULL_CLIQUE) {
-    const pairs = [];
-    for (let i = 0; i < sorted.length; i += 1) {
-      for (let j = i + 1; j < sorted.length; j += 1) {
-        pairs.push([sorted[i], sorted[j]]);
-      }
+  const pairs = [];
+  for (let i = 0; i < sorted.length; i += 1) {
+    for (let j = i + 1; j < sorted.length; j += 1) {
+      pairs.push([sorted[i], sorted[j]]);
     }
-    return pairs;
   }
+  return pairs;
+}
 
-  const hub = sorted[0];
-  return sorted.slice(1).map((slug) => [hub, slug]);
+/**
+ * Pairs to link inside one equivalence group. Groups up to MAX_FULL_CLIQUE are
+ * cliques. Larger groups return no pairs yet: they are queued on
+ * `indexes.largeGroups` and linked by community once every signal is known.
+ * @param {object} group - { relationshipType, explanation, edgeFor(source, target) }
+ */
+function groupPairs(indexes, slugs, group) {
+  if (slugs.length <= MAX_FULL_CLIQUE) return cliquePairs(slugs);
+  indexes.largeGroups.push({ ...group, slugs: [...slugs].sort((a, b) => a.localeCompare(b)) });
+  return [];
 }
 
+/**
+ * Per-slug indexes built once per graph. Edge builders look entities up here
+ * instead of scanning their groups, so explanation lookups stay O(1) per edge.
+ */
 function buildIndexes(entities) {
   const slugSet = new Set();
   const nameToSlug = new Map();
+  const entityBySlug = new Map();
 
   for (const entity of entities) {
     const slug = entity.identity.slug;
     slugSet.add(slug);
     nameToSlug.set(normalizeKey(entity.identity.name), slug);
+    entityBySlug.set(slug, entity);
   }
 
-  return { slugSet, nameToSlug };
+  return { slugSet, nameToSlug, entityBySlug, largeGroups: [] };
+}
+
+/** Slugs grouped by `keyFor(entity)`; entities with no key are left out. */
+function groupSlugs(entities, keyFor) {
+  const grouped = new Map();
+  for (const entity of entities) {
+    const key = keyFor(entity);
+    if (!key) continue;
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(entity.identity.slug);
+  }
+  return grouped;
 }
 
 function buildNodes(entities) {
@@ -113,26 +159,22 @@ function makeEdge({ source, target, relationshipType, confidence, derivedFrom, e
     target,
     relationshipType,
     confidence,
+    weight: null,
     derivedFrom,
     explanation,
     version: GRAPH_VERSION,
   };
 }
 
-function addGroupEdges(edges, groupedSlugs, relationshipType, confidence, derivedFrom, explanationForSlug) {
+function addGroupEdges(edges, indexes, groupedSlugs, relationshipType, confidence, derivedFrom, explanationForSlug) {
   for (const slugs of groupedSlugs.values()) {
     if (slugs.length < 2) continue;
-    for (const [source, target] of pairsFromGroup(slugs)) {
-      edges.push(
-        makeEdge({
-          source,
-          target,
-          relationshipType,
-          confidence,
-          derivedFrom,
-          explanation: explanationForSlug(source),
-        }),
-      );
+    // A large group shares one explanation, from its first slug, so it stays a single explorer group.
+    const explanation = explanationForSlug([...slugs].sort((a, b) => a.localeCompare(b))[0]);
+    const edgeFor = (source, target, pairExplanation = explanation) =>
+      makeEdge({ source, target, relationshipType, confidence, derivedFrom, explanation: pairExplanation });
+    for (const [source, target] of groupPairs(indexes, slugs, { relationshipType, explanation, edgeFor })) {
+      edges.push(edgeFor(source, target, explanationForSlug(source)));
     }
   }
 }
@@ -165,89 +207,43 @@ function buildVariantEdges(entities, indexes) {
   return edges;
 }
 
-function buildSameOriginEdges(entities) {
-  const byCluster = new Map();
-  const byCountry = new Map();
-
-  for (const entity of entities) {
-    const slug = entity.identity.slug;
-    const cluster = normalizeText(entity.origin?.cluster);
-    const country = normalizeText(entity.origin?.country);
-
-    if (cluster) {
-      if (!byCluster.has(cluster)) byCluster.set(cluster, []);
-      byCluster.get(cluster).push({ slug, cluster: entity.origin.cluster, country: entity.origin?.country || null });
-    } else if (country) {
-      if (!byCountry.has(country)) byCountry.set(country, []);
-      byCountry.get(country).push({ slug, cluster: null, country: entity.origin.country });
-    }
-  }
+function buildSameOriginEdges(entities, indexes) {
+  const byCluster = groupSlugs(entities, (entity) => normalizeText(entity.origin?.cluster));
+  const byCountry = groupSlugs(
+    entities,
+    (entity) => !normalizeText(entity.origin?.cluster) && normalizeText(entity.origin?.country),
+  );
+  const originOf = (slug) => indexes.entityBySlug.get(slug).origin;
 
   const edges = [];
 
-  addGroupEdges(
-    edges,
-    new Map([...byCluster.entries()].map(([key, rows]) => [key, rows.map((row) => row.slug)])),
-    'SAME_ORIGIN',
-    'strong',
-    ['origin.cluster'],
-    (slug) => {
-      const row = [...byCluster.values()].flat().find((entry) => entry.slug === slug);
-      return { originCluster: row?.cluster || null, originCountry: row?.country || null };
-    },
-  );
+  addGroupEdges(edges, indexes, byCluster, 'SAME_ORIGIN', 'strong', ['origin.cluster'], (slug) => ({
+    originCluster: originOf(slug).cluster || null,
+    originCountry: originOf(slug).country || null,
+  }));
 
-  addGroupEdges(
-    edges,
-    new Map([...byCountry.entries()].map(([key, rows]) => [key, rows.map((row) => row.slug)])),
-    'SAME_ORIGIN',
-    'moderate',
-    ['origin.country'],
-    (slug) => {
-      const row = [...byCountry.values()].flat().find((entry) => entry.slug === slug);
-      return { originCountry: row?.country || null };
-    },
-  );
+  addGroupEdges(edges, indexes, byCountry, 'SAME_ORIGIN', 'moderate', ['origin.country'], (slug) => ({
+    originCountry: originOf(slug).country || null,
+  }));
 
   return edges;
 }
 
-function buildSameLanguageEdges(entities) {
-  const grouped = new Map();
-
-  for (const entity of entities) {
-    const language = normalizeText(entity.language?.primary);
-    if (!language) continue;
-    if (!grouped.has(language)) grouped.set(language, []);
-    grouped.get(language).push({ slug: entity.identity.slug, language: entity.language.primary });
-  }
+function buildSameLanguageEdges(entities, indexes) {
+  const grouped = groupSlugs(entities, (entity) => normalizeText(entity.language?.primary));
 
   const edges = [];
-  addGroupEdges(
-    edges,
-    new Map([...grouped.entries()].map(([key, rows]) => [key, rows.map((row) => row.slug)])),
-    'SAME_LANGUAGE',
-    'strong',
-    ['language.primary'],
-    (slug) => {
-      const row = [...grouped.values()].flat().find((entry) => entry.slug === slug);
-      return { language: row?.language || null };
-    },
-  );
+  addGroupEdges(edges, indexes, grouped, 'SAME_LANGUAGE', 'strong', ['language.primary'], (slug) => ({
+    language: indexes.entityBySlug.get(slug).language.primary || null,
+  }));
 
   return edges;
 }
 
-function meaningClusterKey(meaningPrimary) {
-  const normalized = normalizeText(meaningPrimary);
-  if (!normalized || isFallbackMarker(meaningPrimary)) return null;
-  const firstClause = normalized.split(';')[0].split(',')[0].trim();
-  return firstClause || null;
-}
-
-function buildRelatedMeaningEdges(entities) {
+function buildRelatedMeaningEdges(entities, indexes) {
   const exactGroups = new Map();
-  const clusterGroups = new Map();
+  const conceptGroups = new Map();
+  const conceptsBySlug = new Map();
 
   for (const entity of entities) {
     const primary = entity.meaning?.primary;
@@ -255,110 +251,213 @@ function buildRelatedMeaningEdges(entities) {
 
     const slug = entity.identity.slug;
     const exactKey = normalizeText(primary);
-    const clusterKey = meaningClusterKey(primary);
     if (!exactKey) continue;
 
     if (!exactGroups.has(exactKey)) exactGroups.set(exactKey, []);
-    exactGroups.get(exactKey).push({ slug, meaning: primary });
+    exactGroups.get(exactKey).push(slug);
 
-    if (clusterKey && clusterKey !== exactKey) {
-      if (!clusterGroups.has(clusterKey)) clusterGroups.set(clusterKey, []);
-      clusterGroups.get(clusterKey).push({ slug, meaning: primary, cluster: clusterKey });
+    const concepts = meaningConcepts(primary).map((concept) => concept.id);
+    conceptsBySlug.set(slug, concepts);
+    for (const conceptId of concepts) {
+      if (!conceptGroups.has(conceptId)) conceptGroups.set(conceptId, []);
+      conceptGroups.get(conceptId).push(slug);
     }
   }
 
+  // Every meaning edge lists all concepts both names share, so navigation can
+  // place the pair in each concept hub even when an exact edge wins dedupe.
+  const sharedConcepts = (source, target) => {
+    const targetConcepts = new Set(conceptsBySlug.get(target) || []);
+    return (conceptsBySlug.get(source) || [])
+      .filter((conceptId) => targetConcepts.has(conceptId))
+      .map((conceptId) => ({ id: conceptId, label: conceptLabel(conceptId) }));
+  };
+
   const edges = [];
 
-  addGroupEdges(
-    edges,
-    new Map([...exactGroups.entries()].map(([key, rows]) => [key, rows.map((row) => row.slug)])),
-    'RELATED_MEANING',
-    'exact',
-    ['meaning.primary'],
-    (slug) => {
-      const row = [...exactGroups.values()].flat().find((entry) => entry.slug === slug);
-      return { meaning: row?.meaning || null };
-    },
-  );
+  const meaningOf = (slug) => indexes.entityBySlug.get(slug).meaning.primary;
+  const exactEdge = (source, target, meaning = meaningOf(source)) =>
+    makeEdge({
+      source,
+      target,
+      relationshipType: 'RELATED_MEANING',
+      confidence: 'exact',
+      derivedFrom: ['meaning.primary'],
+      explanation: { meaning, meaningConcepts: sharedConcepts(source, target) },
+    });
+  for (const slugs of exactGroups.values()) {
+    const meaning = meaningOf([...slugs].sort((a, b) => a.localeCompare(b))[0]);
+    const group = {
+      relationshipType: 'RELATED_MEANING',
+      explanation: { meaning },
+      edgeFor: (source, target) => exactEdge(source, target, meaning),
+    };
+    for (const [source, target] of groupPairs(indexes, slugs, group)) edges.push(exactEdge(source, target));
+  }
 
-  addGroupEdges(
-    edges,
-    new Map([...clusterGroups.entries()].map(([key, rows]) => [key, rows.map((row) => row.slug)])),
-    'RELATED_MEANING',
-    'moderate',
-    ['meaning.primary'],
-    (slug) => {
-      const row = [...clusterGroups.values()].flat().find((entry) => entry.slug === slug);
-      return { meaningCluster: row?.cluster || null };
-    },
-  );
+  // The pair is explained by its most specific shared concept: smallest group first, then taxonomy order.
+  const conceptOrder = MEANING_CONCEPTS.map((concept) => concept.id);
+  const specificity = (a, b) =>
+    conceptGroups.get(a.id).length - conceptGroups.get(b.id).length ||
+    conceptOrder.indexOf(a.id) - conceptOrder.indexOf(b.id);
+  const conceptEdge = (source, target) => {
+    const shared = sharedConcepts(source, target);
+    const primary = [...shared].sort(specificity)[0];
+    return makeEdge({
+      source,
+      target,
+      relationshipType: 'RELATED_MEANING',
+      confidence: 'moderate',
+      derivedFrom: ['meaning.primary'],
+      explanation: { meaningConcept: primary.id, meaningConceptLabel: primary.label, meaningConcepts: shared },
+    });
+  };
+  const conceptPairs = new Map();
+  for (const [conceptId, slugs] of conceptGroups) {
+    const group = {
+      relationshipType: 'RELATED_MEANING',
+      explanation: { meaningConcept: conceptId, meaningConceptLabel: conceptLabel(conceptId) },
+      edgeFor: conceptEdge,
+    };
+    for (const [source, target] of groupPairs(indexes, slugs, group)) {
+      conceptPairs.set(`${source}|${target}`, [source, target]);
+    }
+  }
+
+  for (const [source, target] of conceptPairs.values()) edges.push(conceptEdge(source, target));
 
   return edges;
 }
 
-function buildSimilarPronunciationEdges(entities) {
-  const grouped = new Map();
+function phoneticProfileForEntity(entity) {
+  const phoneticSpelling = entity.pronunciation?.phoneticSpelling;
+  const ipa = entity.pronunciation?.ipa;
+  return buildPhoneticProfile({
+    slug: entity.identity.slug,
+    name: entity.identity.name,
+    phoneticSpelling: phoneticSpelling && !isFallbackMarker(phoneticSpelling) ? phoneticSpelling : null,
+    ipa: ipa && !isFallbackMarker(ipa) ? ipa : null,
+  });
+}
 
-  for (const entity of entities) {
-    const phonetic = entity.pronunciation?.phoneticSpelling;
-    if (!phonetic || isFallbackMarker(phonetic)) continue;
-    const key = normalizePronunciation(phonetic);
-    if (!key) continue;
-    if (!grouped.has(key)) grouped.set(key, []);
-    grouped.get(key).push({
-      slug: entity.identity.slug,
-      pronunciation: phonetic,
-    });
+function pronunciationExplanation(source, target, comparison) {
+  const explanation = {
+    pronunciation: source.phoneticSpelling,
+    method: comparison.method,
+    distance: comparison.distance,
+    phoneticCodes: [source.primaryCode, target.primaryCode],
+  };
+  if (comparison.method === 'ipa') explanation.ipa = [source.ipa, target.ipa];
+  return explanation;
+}
+
+/**
+ * Identical phonetic respellings keep their `exact` group edges (clique /
+ * communities as for every group type). Every other candidate pair is scored by
+ * lib/analysis/phonetic-similarity.js and graded strong / moderate / weak;
+ * an edge is kept when it is among either name's MAX_PHONETIC_NEIGHBORS nearest.
+ */
+function buildSimilarPronunciationEdges(entities, indexes) {
+  const profiles = entities
+    .map(phoneticProfileForEntity)
+    .sort((a, b) => a.slug.localeCompare(b.slug));
+  const profileBySlug = new Map(profiles.map((profile) => [profile.slug, profile]));
+
+  const grouped = new Map();
+  for (const profile of profiles) {
+    if (!profile.phoneticKey) continue;
+    if (!grouped.has(profile.phoneticKey)) grouped.set(profile.phoneticKey, []);
+    grouped.get(profile.phoneticKey).push(profile.slug);
   }
 
   const edges = [];
   addGroupEdges(
     edges,
-    new Map([...grouped.entries()].map(([key, rows]) => [key, rows.map((row) => row.slug)])),
+    indexes,
+    grouped,
     'SIMILAR_PRONUNCIATION',
     'exact',
     ['pronunciation.phoneticSpelling'],
-    (slug) => {
-      const row = [...grouped.values()].flat().find((entry) => entry.slug === slug);
-      return { pronunciation: row?.pronunciation || null };
-    },
+    (slug) => ({
+      pronunciation: profileBySlug.get(slug).phoneticSpelling,
+      method: 'phonetic-spelling',
+      distance: 0,
+      phoneticCodes: [profileBySlug.get(slug).primaryCode, profileBySlug.get(slug).primaryCode],
+    }),
   );
 
+  const graded = [];
+  for (const [i, j] of candidatePairs(profiles)) {
+    const source = profiles[i];
+    const target = profiles[j];
+    if (source.phoneticKey && source.phoneticKey === target.phoneticKey) continue;
+    const comparison = comparePhoneticProfiles(source, target);
+    const confidence = classifyPhoneticDistance(comparison);
+    if (!confidence) continue;
+    graded.push({ source, target, comparison, confidence });
+  }
+
+  const byDistance = (left, right) =>
+    left.comparison.distance - right.comparison.distance ||
+    left.source.slug.localeCompare(right.source.slug) ||
+    left.target.slug.localeCompare(right.target.slug);
+  const nearest = new Map();
+  for (const pair of graded) {
+    for (const slug of [pair.source.slug, pair.target.slug]) {
+      if (!nearest.has(slug)) nearest.set(slug, []);
+      nearest.get(slug).push(pair);
+    }
+  }
+  const kept = new Set();
+  for (const pairs of nearest.values()) {
+    pairs.sort(byDistance).slice(0, MAX_PHONETIC_NEIGHBORS).forEach((pair) => kept.add(pair));
+  }
+
+  for (const { source, target, comparison, confidence } of [...kept].sort(byDistance)) {
+    const derivedFrom =
+      comparison.method === 'ipa'
+        ? ['pronunciation.ipa']
+        : source.phoneticSpelling || target.phoneticSpelling
+          ? ['identity.name', 'pronunciation.phoneticSpelling']
+          : ['identity.name'];
+    edges.push(
+      makeEdge({
+        source: source.slug,
+        target: target.slug,
+        relationshipType: 'SIMILAR_PRONUNCIATION',
+        confidence,
+        derivedFrom,
+        explanation: pronunciationExplanation(source, target, comparison),
+      }),
+    );
+  }
+
   return edges;
 }
 
-function buildSameCulturalGroupEdges(entities) {
-  const grouped = new Map();
-
-  for (const entity of entities) {
+function buildSameCulturalGroupEdges(entities, indexes) {
+  const grouped = groupSlugs(entities, (entity) => {
     const cluster = normalizeText(entity.origin?.cluster);
     const country = normalizeText(entity.origin?.country);
     const language = normalizeText(entity.language?.primary);
-    if (!cluster && !country && !language) continue;
-
-    const key = [cluster || '*', country || '*', language || '*'].join('|');
-    if (!grouped.has(key)) grouped.set(key, []);
-    grouped.get(key).push({
-      slug: entity.identity.slug,
-      originCluster: entity.origin?.cluster || null,
-      originCountry: entity.origin?.country || null,
-      language: entity.language?.primary || null,
-    });
-  }
+    if (!cluster && !country && !language) return null;
+    return [cluster || '*', country || '*', language || '*'].join('|');
+  });
 
   const edges = [];
   addGroupEdges(
     edges,
-    new Map([...grouped.entries()].map(([key, rows]) => [key, rows.map((row) => row.slug)])),
+    indexes,
+    grouped,
     'SAME_CULTURAL_GROUP',
     'moderate',
     ['origin.cluster', 'origin.country', 'language.primary'],
     (slug) => {
-      const row = [...grouped.values()].flat().find((entry) => entry.slug === slug);
+      const entity = indexes.entityBySlug.get(slug);
       return {
-        originCluster: row?.originCluster || null,
-        originCountry: row?.originCountry || null,
-        language: row?.language || null,
+        originCluster: entity.origin?.cluster || null,
+        originCountry: entity.origin?.country || null,
+        language: entity.language?.primary || null,
       };
     },
   );
@@ -366,6 +465,106 @@ function buildSameCulturalGroupEdges(entities) {
   return edges;
 }
 
+/**
+ * NICKNAME_OF / DIMINUTIVE_OF from the full name's `nicknames` domain. Each
+ * listed form that resolves to a corpus entity yields one `exact` edge from
+ * the short form to the full name.
+ */
+function buildShortFormEdges(entities, indexes, field, relationshipType, formKey) {
+  const edges = [];
+
+  for (const entity of entities) {
+    const forms = entity.nicknames?.[field] || [];
+    for (const form of forms) {
+      const formSlug = indexes.nameToSlug.get(normalizeKey(form));
+      if (!formSlug || formSlug === entity.identity.slug) continue;
+      edges.push(
+        makeEdge({
+          source: formSlug,
+          target: entity.identity.slug,
+          relationshipType,
+          confidence: 'exact',
+          derivedFrom: [`nicknames.${field}`],
+          explanation: { [formKey]: form, fullName: entity.identity.name },
+        }),
+      );
+    }
+  }
+
+  return edges;
+}
+
+function buildNicknameEdges(entities, indexes) {
+  return buildShortFormEdges(entities, indexes, 'commonNicknames', 'NICKNAME_OF', 'nickname');
+}
+
+function buildDiminutiveEdges(entities, indexes) {
+  return buildShortFormEdges(entities, indexes, 'diminutives', 'DIMINUTIVE_OF', 'diminutive');
+}
+
+/**
+ * SHARES_ROOT: same etymological root word. Root word + root language is
+ * `strong`; root word alone (no language recorded) is `moderate`.
+ */
+function buildSharesRootEdges(entities, indexes) {
+  const byWordAndLanguage = groupSlugs(entities, (entity) => {
+    const word = normalizeText(entity.etymology?.rootWord);
+    const language = normalizeText(entity.etymology?.rootLanguage);
+    return word && language ? `${word}|${language}` : null;
+  });
+  const byWord = groupSlugs(entities, (entity) =>
+    normalizeText(entity.etymology?.rootLanguage) ? null : normalizeText(entity.etymology?.rootWord),
+  );
+  const etymologyOf = (slug) => indexes.entityBySlug.get(slug).etymology;
+
+  const edges = [];
+
+  addGroupEdges(edges, indexes, byWordAndLanguage, 'SHARES_ROOT', 'strong', ['etymology.rootWord', 'etymology.rootLanguage'], (slug) => ({
+    rootWord: etymologyOf(slug).rootWord,
+    rootLanguage: etymologyOf(slug).rootLanguage,
+  }));
+
+  addGroupEdges(edges, indexes, byWord, 'SHARES_ROOT', 'moderate', ['etymology.rootWord'], (slug) => ({
+    rootWord: etymologyOf(slug).rootWord,
+    rootLanguage: null,
+  }));
+
+  return edges;
+}
+
+/**
+ * CROSS_LANGUAGE_EQUIVALENT from the curated equivalents set
+ * (data/name-equivalents.json → `relatedNames.equivalents`). Equivalent slugs
+ * are normalized with scripts/utils/name-equivalents.js `normSlug`, the same
+ * rule the name pages use, and must resolve to a corpus entity.
+ */
+function buildCrossLanguageEquivalentEdges(entities, indexes) {
+  const edges = [];
+
+  for (const entity of entities) {
+    for (const equivalent of entity.relatedNames?.equivalents || []) {
+      const targetSlug = normSlug(equivalent.nameId);
+      if (!targetSlug || !indexes.slugSet.has(targetSlug) || targetSlug === entity.identity.slug) continue;
+      edges.push(
+        makeEdge({
+          source: entity.identity.slug,
+          target: targetSlug,
+          relationshipType: 'CROSS_LANGUAGE_EQUIVALENT',
+          confidence: 'exact',
+          derivedFrom: ['relatedNames.equivalents'],
+          explanation: {
+            anchorName: entity.identity.name,
+            anchorSlug: entity.identity.slug,
+            equivalentLanguage: equivalent.language || null,
+          },
+        }),
+      );
+    }
+  }
+
+  return edges;
+}
+
 function dedupeEdges(edges) {
   const seen = new Map();
   for (const edge of edges) {
@@ -382,17 +581,137 @@ function dedupeEdges(edges) {
   return sortEdges([...seen.values()]);
 }
 
+/**
+ * Pairs inside one community of a large group. Small communities are cliques;
+ * larger ones link every member to the anchor and to its strongest neighbour
+ * in the community, ties by slug.
+ */
+function communityPairs(members, anchor, affinity) {
+  if (members.length <= MAX_COMMUNITY_CLIQUE) return cliquePairs(members);
+
+  const memberSet = new Set(members);
+  const pairs = new Map();
+  const addPair = (slugA, slugB) => {
+    if (slugA !== slugB) pairs.set(pairKey(slugA, slugB), canonicalPair(slugA, slugB));
+  };
+  for (const slug of members) {
+    addPair(anchor, slug);
+    const strongest = strongestNeighbor(slug, memberSet, affinity);
+    if (strongest) addPair(slug, strongest);
+  }
+  return [...pairs.values()];
+}
+
+/** The member of `memberSet` with the highest affinity to `slug`, ties by slug; null when none has any. */
+function strongestNeighbor(slug, memberSet, affinity) {
+  let strongest = null;
+  let strongestWeight = 0;
+  for (const [neighbor, weight] of affinity.neighbors.get(slug) || []) {
+    if (neighbor === slug || !memberSet.has(neighbor)) continue;
+    if (weight > strongestWeight || (weight === strongestWeight && neighbor.localeCompare(strongest) < 0)) {
+      strongest = neighbor;
+      strongestWeight = weight;
+    }
+  }
+  return strongest;
+}
+
+/** Louvain communities of one queued group, with their anchors, and its `unclustered` singletons. */
+function splitLargeGroup(group, affinity) {
+  const communities = [];
+  const unclustered = [];
+  for (const members of detectCommunities(group.slugs, affinity, LOUVAIN_SEED)) {
+    if (members.length > 1) communities.push({ anchor: communityAnchor(members, affinity), members });
+    else unclustered.push(members[0]);
+  }
+  unclustered.sort((a, b) => a.localeCompare(b));
+  return { communities, unclustered };
+}
+
+/**
+ * Links one group queued by groupPairs. Each Louvain community over the
+ * affinity of every smaller relationship is linked by communityPairs and
+ * bridged through its anchor to the group anchor (the anchor of the largest
+ * community). Names Louvain leaves on their own stay `unclustered`. Each
+ * links to the group member it has the strongest affinity with, if any, and
+ * to an anchor: that member's community anchor, or else the group anchor. So
+ * every member keeps an edge of the group's type, and a group with no affinity
+ * at all becomes a star on its first name.
+ * @returns {{ edges: object[], community: object }}
+ */
+function linkLargeGroup(group, affinity) {
+  const { communities, unclustered } = splitLargeGroup(group, affinity);
+
+  const groupAnchor = communities.length ? communities[0].anchor : unclustered[0];
+  const pairs = [];
+  for (const { anchor, members } of communities) {
+    pairs.push(...communityPairs(members, anchor, affinity));
+    if (anchor !== groupAnchor) pairs.push(canonicalPair(groupAnchor, anchor));
+  }
+  const memberSet = new Set(group.slugs);
+  const anchorBySlug = new Map();
+  for (const { anchor, members } of communities) {
+    for (const slug of members) anchorBySlug.set(slug, anchor);
+  }
+  for (const slug of unclustered) {
+    const strongest = strongestNeighbor(slug, memberSet, affinity);
+    if (strongest) pairs.push(canonicalPair(slug, strongest));
+    const anchor = anchorBySlug.get(strongest) || groupAnchor;
+    if (anchor !== slug && anchor !== strongest) pairs.push(canonicalPair(slug, anchor));
+  }
+
+  return {
+    edges: pairs.map(([source, target]) => group.edgeFor(source, target)),
+    community: {
+      relationshipType: group.relationshipType,
+      explanation: group.explanation,
+      memberCount: group.slugs.length,
+      anchor: groupAnchor,
+      communities: communities.map(({ anchor, members }) => ({ anchor, memberCount: members.length, members })),
+      unclustered,
+    },
+  };
+}
+
+/**
+ * Every edge plus the community split of each large group. Large groups are
+ * linked last, over the affinity of all other edges; `weight` is then the
+ * pair affinity over the final edge set (lib/analysis/community-detection.js).
+ * @returns {{ edges: object[], communities: object[] }}
+ */
 function buildAllEdges(entities, indexes) {
-  const edges = dedupeEdges([
+  const linked = [
     ...buildVariantEdges(entities, indexes),
-    ...buildSameOriginEdges(entities),
-    ...buildSameLanguageEdges(entities),
-    ...buildRelatedMeaningEdges(entities),
-    ...buildSimilarPronunciationEdges(entities),
-    ...buildSameCulturalGroupEdges(entities),
-  ]);
+    ...buildSameOriginEdges(entities, indexes),
+    ...buildSameLanguageEdges(entities, indexes),
+    ...buildRelatedMeaningEdges(entities, indexes),
+    ...buildSimilarPronunciationEdges(entities, indexes),
+    ...buildSameCulturalGroupEdges(entities, indexes),
+    ...buildNicknameEdges(entities, indexes),
+    ...buildDiminutiveEdges(entities, indexes),
+    ...buildSharesRootEdges(entities, indexes),
+    ...buildCrossLanguageEquivalentEdges(entities, indexes),
+  ];
+
+  const affinity = buildAffinityIndex(linked);
+  const communities = [];
+  for (const group of indexes.largeGroups) {
+    const { edges, community } = linkLargeGroup(group, affinity);
+    for (const edge of edges) linked.push(edge);
+    communities.push(community);
+  }
+
+  const edges = dedupeEdges(linked).filter((edge) => edge.source !== edge.target);
+  const weights = pairWeights(edges);
+  for (const edge of edges) edge.weight = weights.get(pairKey(edge.source, edge.target));
 
-  return edges.filter((edge) => edge.source !== edge.target);
+  communities.sort(
+    (left, right) =>
+      left.relationshipType.localeCompare(right.relationshipType) ||
+      right.memberCount - left.memberCount ||
+      left.anchor.localeCompare(right.anchor),
+  );
+  return { edges, communities };
 }
 
 function countByRelationshipType(edges) {
@@ -444,7 +763,7 @@ function countDisconnectedComponents(nodes, edges) {
 function buildKnowledgeGraphReport(entities, generatedAt = new Date().toISOString()) {
   const indexes = buildIndexes(entities);
   const nodes = buildNodes(entities);
-  const edges = buildAllEdges(entities, indexes);
+  const { edges, communities } = buildAllEdges(entities, indexes);
   const relationshipCounts = countByRelationshipType(edges);
 
   return {
@@ -457,12 +776,15 @@ function buildKnowledgeGraphReport(entities, generatedAt = new Date().toISOStrin
     entityCount: entities.length,
     nodes,
     edges,
+    communities,
     metrics: {
       nodeCount: nodes.length,
       edgeCount: edges.length,
       averageDegree: computeAverageDegree(nodes.length, edges),
       relationshipCounts,
       disconnectedComponents: countDisconnectedComponents(nodes, edges),
+      largeGroupCount: communities.length,
+      communityCount: communities.reduce((sum, group) => sum + group.communities.length, 0),
     },
   };
 }
@@ -473,6 +795,7 @@ function hashGraphSemantic(report) {
     entityCount: report.entityCount,
     nodes: report.nodes,
     edges: report.edges,
+    communities: report.communities,
     metrics: report.metrics,
   });
 }
@@ -481,10 +804,73 @@ function filterEdgesByType(edges, relationshipType) {
   return edges.filter((edge) => edge.relationshipType === relationshipType);
 }
 
-function validateKnowledgeGraph(report) {
+function shortFormRule(formKey) {
+  return (edge, nodeBySlug) => {
+    const errors = [];
+    if (edge.confidence !== 'exact') errors.push(`${edge.id} must be exact.`);
+    if (normalizeKey(edge.explanation?.[formKey]) !== normalizeKey(nodeBySlug.get(edge.source)?.displayName)) {
+      errors.push(`${edge.id} source is not the ${formKey} named in its explanation.`);
+    }
+    if (edge.explanation?.fullName !== nodeBySlug.get(edge.target)?.displayName) {
+      errors.push(`${edge.id} target is not the full name named in its explanation.`);
+    }
+    return errors;
+  };
+}
+
+/** Per-type checks for relationship types whose explanation fixes direction or tier. */
+const EDGE_RULES = Object.freeze({
+  NICKNAME_OF: shortFormRule('nickname'),
+  DIMINUTIVE_OF: shortFormRule('diminutive'),
+  SHARES_ROOT: (edge) => {
+    const errors = [];
+    if (!normalizeText(edge.explanation?.rootWord)) errors.push(`${edge.id} has no root word.`);
+    const hasLanguage = Boolean(normalizeText(edge.explanation?.rootLanguage));
+    if (edge.confidence !== (hasLanguage ? 'strong' : 'moderate')) {
+      errors.push(`${edge.id} confidence does not match its root language.`);
+    }
+    return errors;
+  },
+  CROSS_LANGUAGE_EQUIVALENT: (edge) => {
+    const errors = [];
+    if (edge.confidence !== 'exact') errors.push(`${edge.id} must be exact.`);
+    if (edge.explanation?.anchorSlug !== edge.source) errors.push(`${edge.id} source is not its anchor name.`);
+    return errors;
+  },
+});
+
+/**
+ * A large group whose names share nothing else: 40 names with only an origin
+ * cluster, in Hebrew script so no pronunciation edge links them either.
+ * Louvain leaves all of them unclustered; each must still get a SAME_ORIGIN
+ * and a SAME_CULTURAL_GROUP edge.
+ */
+function validateIsolatedLargeGroup() {
+  const letters = 'אבגדהוזחטיכלמנסעפצקרשת';
+  const entities = Array.from({ length: 40 }, (_, i) => ({
+    identity: { slug: `isolated-${i}`, name: `${letters[i % letters.length]}${letters[Math.floor(i / letters.length)]}` },
+    origin: { cluster: 'Hebrew' },
+  }));
+  const report = buildKnowledgeGraphReport(entities, null);
   const errors = [];
+  for (const relationshipType of ['SAME_ORIGIN', 'SAME_CULTURAL_GROUP']) {
+    const linked = new Set();
+    for (const edge of filterEdgesByType(report.edges, relationshipType)) {
+      linked.add(edge.source);
+      linked.add(edge.target);
+    }
+    const missing = entities.filter((entity) => !linked.has(entity.identity.slug)).length;
+    if (missing) errors.push(`Isolated large group: ${missing} of ${entities.length} names have no ${relationshipType} edge.`);
+  }
+  return errors;
+}
+
+function validateKnowledgeGraph(report) {
+  const errors = [...validateMeaningTaxonomy(), ...validateIsolatedLargeGroup()];
   const slugSet = new Set(report.nodes.map((node) => node.slug));
+  const nodeBySlug = new Map(report.nodes.map((node) => [node.slug, node]));
   const edgeIds = new Set();
+  const weights = pairWeights(report.edges);
 
   if (report.nodes.length !== report.entityCount) {
     errors.push('Node count does not match entity count.');
@@ -510,6 +896,25 @@ function validateKnowledgeGraph(report) {
     if (edge.id !== edgeId(edge.relationshipType, edge.source, edge.target)) {
       errors.push(`Edge id mismatch: ${edge.id}`);
     }
+    if (edge.weight !== weights.get(pairKey(edge.source, edge.target))) {
+      errors.push(`Edge weight does not match pair affinity: ${edge.id}`);
+    }
+    if (EDGE_RULES[edge.relationshipType]) errors.push(...EDGE_RULES[edge.relationshipType](edge, nodeBySlug));
+  }
+
+  const linkedByType = new Map(RELATIONSHIP_TYPES.map((type) => [type, new Set()]));
+  for (const edge of report.edges) {
+    linkedByType.get(edge.relationshipType)?.add(edge.source).add(edge.target);
+  }
+  for (const group of report.communities || []) {
+    const members = [...group.communities.flatMap((community) => community.members), ...group.unclustered];
+    if (members.length !== group.memberCount || new Set(members).size !== members.length) {
+      errors.push(`Communities of ${group.relationshipType} group ${group.anchor} do not partition its members.`);
+    }
+    const unlinked = members.filter((slug) => !linkedByType.get(group.relationshipType)?.has(slug));
+    if (unlinked.length) {
+      errors.push(`${unlinked.length} members of ${group.relationshipType} group ${group.anchor} have no ${group.relationshipType} edge.`);
+    }
   }
 
   const sorted = sortEdges(report.edges);
@@ -536,8 +941,10 @@ function validateKnowledgeGraph(report) {
 module.exports = {
   GRAPH_VERSION,
   RELATIONSHIP_TYPES,
+  DIRECTED_RELATIONSHIP_TYPES,
   CONFIDENCE_LEVELS,
   MAX_FULL_CLIQUE,
+  MAX_COMMUNITY_CLIQUE,
   normalizeKey,
   stableHash,
   buildIndexes,
@@ -2,30 +2,57 @@
  * lib/api/export-api.js — Phase 18B AI / Research API v1.
  *
  * Deterministic read-only query layer over the frozen Export Contract.
- * Imports only exports/ artifacts. Never reads data/, graph, navigation, or editorial sources.
+ * Reads only exports/ artifacts, never data/, graph or editorial sources. Code
+ * imports outside lib/api/ are limited to the pure ranking and phonetic helpers
+ * (lib/navigation/related-ranking.js, lib/analysis/phonetic-similarity.js).
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { normalizeSearchTerm, buildSearchIndex, rankSearchResults } = require('./fuzzy-search.js');
+const {
+  FACET_NAMES,
+  buildFacetIndex,
+  normalizeFacetFilters,
+  countFacets,
+  filterSlugs,
+  decodeCursor,
+  cursorPage,
+} = require('./facet-query.js');
+const { indexReleaseSnapshot } = require('./release-diff.js');
+const { normalizeRankingOptions, rankRelatedNames } = require('../navigation/related-ranking.js');
+const {
+  buildGraphIndex,
+  findShortestPath,
+  findNeighborhood,
+  findComponent,
+  rankCentrality,
+} = require('./graph-query.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const EXPORT_DIR = path.join(ROOT, 'exports');
 
 const API_VERSION = '1';
 const MAX_SEARCH_RESULTS = 25;
+const MAX_PAGE_LIMIT = 100;
+const MAX_BATCH_SIZE = 500;
+const MAX_CACHED_CENTRALITY_RANKINGS = 64;
 
 const EXPORT_FILES = Object.freeze({
   manifest: 'manifest.json',
   knowledge: 'knowledge.json',
   citations: 'citations.json',
   popularity: 'popularity.json',
+  entities: 'entities.json',
+  graphEdges: 'graph-edges.json',
   navigationRelated: 'navigation-related.json',
   navigationOrigin: 'navigation-origin.json',
   navigationLanguage: 'navigation-language.json',
   navigationMeaning: 'navigation-meaning.json',
   navigationPronunciation: 'navigation-pronunciation.json',
   navigationCultural: 'navigation-cultural.json',
+  variants: 'variants.json',
 });
 
 function stableHash(value) {
@@ -37,13 +64,6 @@ function hashFile(absPath) {
   return crypto.createHash('sha256').update(fs.readFileSync(absPath, 'utf8')).digest('hex');
 }
 
-function loadJson(absPath) {
-  if (!fs.existsSync(absPath)) {
-    throw new Error(`Missing export artifact: ${path.relative(ROOT, absPath)}`);
-  }
-  return JSON.parse(fs.readFileSync(absPath, 'utf8'));
-}
-
 function slugFromName(name) {
   return String(name || '')
     .trim()
@@ -61,40 +81,63 @@ function groupIdToPathSegment(groupId) {
     .replace(/\s+/g, '-');
 }
 
+/** Folds diacritics before slug normalization, so "Zoë" queries as "zoe" rather than "zo". */
 function normalizeSearchQuery(query) {
-  return String(query || '')
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9-]/g, '');
+  return normalizeSearchTerm(query);
 }
 
-function loadExportContract(exportDir = EXPORT_DIR) {
-  const manifest = loadJson(path.join(exportDir, EXPORT_FILES.manifest));
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Builds the contract object from raw artifact text keyed like EXPORT_FILES.
+ * Hashes match hashFile() on the same bytes, so hosts without a filesystem
+ * (the Pages Function) produce the same exportHashes as loadExportContract().
+ */
+function parseExportContract(textByKey, exportDir = null) {
+  for (const [key, fileName] of Object.entries(EXPORT_FILES)) {
+    if (typeof textByKey[key] !== 'string') {
+      throw new Error(`Missing export artifact: exports/${fileName}`);
+    }
+  }
+  const parse = (key) => JSON.parse(textByKey[key]);
 
   return {
     exportDir,
-    manifest,
+    manifest: parse('manifest'),
     exportHashes: Object.fromEntries(
-      Object.entries(EXPORT_FILES).map(([key, fileName]) => [
-        key,
-        hashFile(path.join(exportDir, fileName)),
-      ]),
+      Object.keys(EXPORT_FILES).map((key) => [key, hashText(textByKey[key])]),
     ),
-    knowledge: loadJson(path.join(exportDir, EXPORT_FILES.knowledge)),
-    citations: loadJson(path.join(exportDir, EXPORT_FILES.citations)),
-    popularity: loadJson(path.join(exportDir, EXPORT_FILES.popularity)),
+    knowledge: parse('knowledge'),
+    citations: parse('citations'),
+    popularity: parse('popularity'),
+    entities: parse('entities'),
+    graphEdges: parse('graphEdges'),
+    variants: parse('variants'),
     navigation: {
-      related: loadJson(path.join(exportDir, EXPORT_FILES.navigationRelated)),
-      origin: loadJson(path.join(exportDir, EXPORT_FILES.navigationOrigin)),
-      language: loadJson(path.join(exportDir, EXPORT_FILES.navigationLanguage)),
-      meaning: loadJson(path.join(exportDir, EXPORT_FILES.navigationMeaning)),
-      pronunciation: loadJson(path.join(exportDir, EXPORT_FILES.navigationPronunciation)),
-      cultural: loadJson(path.join(exportDir, EXPORT_FILES.navigationCultural)),
+      related: parse('navigationRelated'),
+      origin: parse('navigationOrigin'),
+      language: parse('navigationLanguage'),
+      meaning: parse('navigationMeaning'),
+      pronunciation: parse('navigationPronunciation'),
+      cultural: parse('navigationCultural'),
     },
   };
 }
 
+function loadExportContract(exportDir = EXPORT_DIR) {
+  const textByKey = {};
+  for (const [key, fileName] of Object.entries(EXPORT_FILES)) {
+    const absPath = path.join(exportDir, fileName);
+    if (!fs.existsSync(absPath)) {
+      throw new Error(`Missing export artifact: ${path.relative(ROOT, absPath)}`);
+    }
+    textByKey[key] = fs.readFileSync(absPath, 'utf8');
+  }
+  return parseExportContract(textByKey, exportDir);
+}
+
 function indexRecordsBySlug(records, nameField = 'name') {
   const map = new Map();
   for (const record of records || []) {
@@ -124,6 +167,7 @@ function buildApiIndexes(contract) {
   const knowledgeBySlug = indexRecordsBySlug(contract.knowledge.records);
   const citationBySlug = indexRecordsBySlug(contract.citations.records);
   const popularityBySlug = indexRecordsBySlug(contract.popularity.records);
+  const entityBySlug = indexRecordsBySlug(contract.entities.records);
   const navigationBySlug = indexNavigationEntities(contract.navigation.related.entities);
 
   const slugs = [...knowledgeBySlug.keys()].sort((a, b) => a.localeCompare(b));
@@ -133,11 +177,23 @@ function buildApiIndexes(contract) {
     citationBySlug,
     popularityBySlug,
     navigationBySlug,
+    entityBySlug,
+    popularityRegions: [
+      ...new Set(contract.popularity.records.flatMap((record) => Object.keys(record.popularity?.regions || {}))),
+    ].sort((a, b) => a.localeCompare(b)),
+    rankingAttributes: new Map(
+      [...navigationBySlug].map(([slug, navigation]) => [slug, navigation.rankingAttributes || null]),
+    ),
     originByPath: indexGroupsByPathSegment(contract.navigation.origin.groups),
     languageByPath: indexGroupsByPathSegment(contract.navigation.language.groups),
     meaningByPath: indexGroupsByPathSegment(contract.navigation.meaning.groups),
+    pronunciationByPath: indexGroupsByPathSegment(contract.navigation.pronunciation.groups),
     culturalByPath: indexGroupsByPathSegment(contract.navigation.cultural.groups),
     slugs,
+    graph: buildGraphIndex(contract.graphEdges.edges, slugs),
+    centralityRankings: new Map(),
+    searchIndex: buildSearchIndex(knowledgeBySlug, contract.variants.records),
+    facetsBySlug: buildFacetIndex(slugs, knowledgeBySlug, popularityBySlug, entityBySlug),
     pathSegmentToGroupId: {
       origin: Object.fromEntries(
         (contract.navigation.origin.groups || []).map((group) => [
@@ -167,6 +223,21 @@ function buildApiIndexes(contract) {
   };
 }
 
+/** Offset/limit window over an already-ordered list. nextOffset is null on the last page. */
+function paginate(items, { offset = 0, limit = items.length } = {}) {
+  const page = items.slice(offset, offset + limit);
+  const nextOffset = offset + page.length < items.length ? offset + page.length : null;
+  return {
+    items: page,
+    pagination: {
+      offset,
+      limit,
+      total: items.length,
+      nextOffset,
+    },
+  };
+}
+
 function wrapApiResponse(contract, payload) {
   return {
     apiVersion: API_VERSION,
@@ -184,22 +255,59 @@ function buildManifestResponse(contract) {
   });
 }
 
-function buildNameResponse(contract, indexes, slug) {
-  const normalizedSlug = String(slug || '').trim().toLowerCase();
+/** The four per-name blocks of a name response, or null for an unknown slug. */
+function lookupNameRecords(indexes, normalizedSlug) {
   const knowledge = indexes.knowledgeBySlug.get(normalizedSlug);
   if (!knowledge) return null;
-
-  return wrapApiResponse(contract, {
-    endpoint: `/api/v1/name/${normalizedSlug}`,
-    slug: normalizedSlug,
+  return {
     knowledge,
     citation: indexes.citationBySlug.get(normalizedSlug) || null,
     popularity: indexes.popularityBySlug.get(normalizedSlug) || null,
     navigation: indexes.navigationBySlug.get(normalizedSlug) || null,
+  };
+}
+
+function buildNameResponse(contract, indexes, slug) {
+  const normalizedSlug = String(slug || '').trim().toLowerCase();
+  const records = lookupNameRecords(indexes, normalizedSlug);
+  if (!records) return null;
+
+  return wrapApiResponse(contract, {
+    endpoint: `/api/v1/name/${normalizedSlug}`,
+    slug: normalizedSlug,
+    ...records,
+  });
+}
+
+/**
+ * Many name lookups in one response. `results` is keyed by normalized slug in
+ * request order (duplicates collapse); each entry carries the same blocks as
+ * /api/v1/name/{slug} plus `status: 'found'`, or only `status: 'not_found'`.
+ */
+function buildBatchResponse(contract, indexes, slugs) {
+  const results = new Map();
+  for (const slug of slugs) {
+    const normalizedSlug = String(slug || '').trim().toLowerCase();
+    if (results.has(normalizedSlug)) continue;
+    const records = lookupNameRecords(indexes, normalizedSlug);
+    results.set(normalizedSlug, records ? { status: 'found', ...records } : { status: 'not_found' });
+  }
+  const notFound = [...results].filter(([, entry]) => entry.status === 'not_found').map(([slug]) => slug);
+
+  return wrapApiResponse(contract, {
+    endpoint: '/api/v1/batch',
+    requested: results.size,
+    found: results.size - notFound.length,
+    notFound,
+    results: Object.fromEntries(results),
   });
 }
 
-function buildRelationshipsResponse(contract, indexes, slug) {
+/**
+ * Navigation entity plus its related names ranked for `rankingOptions`
+ * (lib/navigation/related-ranking.js normalizeRankingOptions(); default profile when omitted).
+ */
+function buildRelationshipsResponse(contract, indexes, slug, rankingOptions = normalizeRankingOptions()) {
   const normalizedSlug = String(slug || '').trim().toLowerCase();
   const navigation = indexes.navigationBySlug.get(normalizedSlug);
   if (!navigation) return null;
@@ -208,68 +316,216 @@ function buildRelationshipsResponse(contract, indexes, slug) {
     endpoint: `/api/v1/relationships/${normalizedSlug}`,
     slug: normalizedSlug,
     navigation,
+    ranking: {
+      ...rankingOptions,
+      names: rankRelatedNames(navigation, indexes.rankingAttributes, rankingOptions),
+    },
   });
 }
 
-function buildOriginResponse(contract, indexes, pathSegment) {
+function buildExplorerGroupResponse(contract, groupsByPath, route, pathSegment, page) {
   const key = String(pathSegment || '').trim().toLowerCase();
-  const group = indexes.originByPath.get(key);
+  const group = groupsByPath.get(key);
   if (!group) return null;
 
+  const { items, pagination } = paginate(group.members || [], page);
   return wrapApiResponse(contract, {
-    endpoint: `/api/v1/origin/${key}`,
+    endpoint: `/api/v1/${route}/${key}`,
     groupId: group.id,
-    group,
+    group: { ...group, members: items },
+    pagination,
   });
 }
 
-function buildLanguageResponse(contract, indexes, pathSegment) {
-  const key = String(pathSegment || '').trim().toLowerCase();
-  const group = indexes.languageByPath.get(key);
-  if (!group) return null;
+function buildOriginResponse(contract, indexes, pathSegment, page) {
+  return buildExplorerGroupResponse(contract, indexes.originByPath, 'origin', pathSegment, page);
+}
+
+function buildLanguageResponse(contract, indexes, pathSegment, page) {
+  return buildExplorerGroupResponse(contract, indexes.languageByPath, 'language', pathSegment, page);
+}
+
+function buildMeaningResponse(contract, indexes, pathSegment, page) {
+  return buildExplorerGroupResponse(contract, indexes.meaningByPath, 'meaning', pathSegment, page);
+}
+
+function buildCulturalResponse(contract, indexes, pathSegment, page) {
+  return buildExplorerGroupResponse(contract, indexes.culturalByPath, 'cultural', pathSegment, page);
+}
+
+/**
+ * Ranked search over names and variant spellings (lib/api/fuzzy-search.js).
+ * `matches` keeps the slug list of earlier responses; `results` carries the
+ * score and match reason for each slug in the same order.
+ */
+function buildSearchResponse(contract, indexes, query, page = { offset: 0, limit: MAX_SEARCH_RESULTS }) {
+  const normalizedQuery = normalizeSearchQuery(query);
+  const { items: results, pagination } = paginate(
+    rankSearchResults(indexes.searchIndex, normalizedQuery),
+    page,
+  );
 
   return wrapApiResponse(contract, {
-    endpoint: `/api/v1/language/${key}`,
-    groupId: group.id,
-    group,
+    endpoint: '/api/v1/search',
+    query: normalizedQuery,
+    matchCount: results.length,
+    matches: results.map((result) => result.slug),
+    results,
+    pagination,
   });
 }
 
-function buildMeaningResponse(contract, indexes, pathSegment) {
-  const key = String(pathSegment || '').trim().toLowerCase();
-  const group = indexes.meaningByPath.get(key);
-  if (!group) return null;
+/**
+ * Faceted listing over every entity. `filters` is normalizeFacetFilters()
+ * output; `page.after` is a slug decoded from a previous nextCursor.
+ */
+function buildFacetResponse(contract, indexes, filters = {}, page = { after: null, limit: MAX_PAGE_LIMIT }) {
+  const slugs = filterSlugs(indexes.facetsBySlug, filters);
+  const { items, pagination } = cursorPage(slugs, page.after ?? null, page.limit ?? MAX_PAGE_LIMIT, filters);
 
   return wrapApiResponse(contract, {
-    endpoint: `/api/v1/meaning/${key}`,
-    groupId: group.id,
-    group,
+    endpoint: '/api/v1/facets',
+    filters,
+    facets: countFacets(indexes.facetsBySlug, filters),
+    matchCount: items.length,
+    results: items.map((slug) => ({
+      slug,
+      name: indexes.knowledgeBySlug.get(slug).name,
+      facets: indexes.facetsBySlug.get(slug),
+    })),
+    pagination,
   });
 }
 
-function buildCulturalResponse(contract, indexes, pathSegment) {
-  const key = String(pathSegment || '').trim().toLowerCase();
-  const group = indexes.culturalByPath.get(key);
-  if (!group) return null;
+function graphFilterEcho({ relationshipTypes = null, minConfidence = null } = {}) {
+  return {
+    relationshipTypes: relationshipTypes && relationshipTypes.length ? relationshipTypes : null,
+    minConfidence: minConfidence || null,
+  };
+}
+
+/**
+ * Fewest-hop chain between two names (lib/api/graph-query.js). Each hop names
+ * the edge it crosses, its direction, confidence and explanation fields.
+ * Null when either slug is unknown; `found: false` when no chain exists.
+ */
+function buildGraphPathResponse(contract, indexes, from, to, filters = {}) {
+  const fromSlug = String(from || '').trim().toLowerCase();
+  const toSlug = String(to || '').trim().toLowerCase();
+  const result = findShortestPath(indexes.graph, fromSlug, toSlug, filters);
+  if (!result) return null;
 
   return wrapApiResponse(contract, {
-    endpoint: `/api/v1/cultural/${key}`,
-    groupId: group.id,
-    group,
+    endpoint: '/api/v1/graph/path',
+    from: fromSlug,
+    to: toSlug,
+    filters: graphFilterEcho(filters),
+    ...result,
   });
 }
 
-function buildSearchResponse(contract, indexes, query) {
-  const normalizedQuery = normalizeSearchQuery(query);
-  const matches = normalizedQuery
-    ? indexes.slugs.filter((slug) => slug.startsWith(normalizedQuery)).slice(0, MAX_SEARCH_RESULTS)
-    : indexes.slugs.slice(0, MAX_SEARCH_RESULTS);
+/** Names within `depth` hops of one name, paged in distance-then-slug order. */
+function buildGraphNeighborhoodResponse(contract, indexes, slug, depth, filters = {}, page = { offset: 0, limit: MAX_PAGE_LIMIT }) {
+  const normalizedSlug = String(slug || '').trim().toLowerCase();
+  const members = findNeighborhood(indexes.graph, normalizedSlug, depth, filters);
+  if (!members) return null;
+  const { items, pagination } = paginate(members, page);
 
   return wrapApiResponse(contract, {
-    endpoint: '/api/v1/search',
-    query: normalizedQuery,
-    matchCount: matches.length,
-    matches,
+    endpoint: `/api/v1/graph/neighborhood/${normalizedSlug}`,
+    slug: normalizedSlug,
+    depth,
+    filters: graphFilterEcho(filters),
+    members: items,
+    pagination,
+  });
+}
+
+function buildGraphComponentResponse(contract, indexes, slug, filters = {}, page = { offset: 0, limit: MAX_PAGE_LIMIT }) {
+  const normalizedSlug = String(slug || '').trim().toLowerCase();
+  const members = findComponent(indexes.graph, normalizedSlug, filters);
+  if (!members) return null;
+  const { items, pagination } = paginate(members, page);
+
+  return wrapApiResponse(contract, {
+    endpoint: `/api/v1/graph/component/${normalizedSlug}`,
+    slug: normalizedSlug,
+    filters: graphFilterEcho(filters),
+    componentSize: members.length,
+    members: items,
+    pagination,
+  });
+}
+
+/**
+ * Centrality rankings are computed once per measure and filter set and kept on
+ * the indexes; the graph does not change while the contract is loaded. Only
+ * the most recent MAX_CACHED_CENTRALITY_RANKINGS filter sets are kept.
+ */
+function loadCentralityRanking(indexes, measure, filters) {
+  const { relationshipTypes, minConfidence } = graphFilterEcho(filters);
+  const key = [measure, relationshipTypes ? [...new Set(relationshipTypes)].sort().join(',') : '', minConfidence || ''].join('|');
+  let ranking = indexes.centralityRankings.get(key);
+  if (ranking) {
+    indexes.centralityRankings.delete(key);
+  } else {
+    ranking = rankCentrality(indexes.graph, measure, filters);
+    if (indexes.centralityRankings.size >= MAX_CACHED_CENTRALITY_RANKINGS) {
+      indexes.centralityRankings.delete(indexes.centralityRankings.keys().next().value);
+    }
+  }
+  indexes.centralityRankings.set(key, ranking);
+  return ranking;
+}
+
+function buildGraphCentralityResponse(contract, indexes, measure, filters = {}, page = { offset: 0, limit: MAX_PAGE_LIMIT }) {
+  const { items, pagination } = paginate(loadCentralityRanking(indexes, measure, filters), page);
+
+  return wrapApiResponse(contract, {
+    endpoint: '/api/v1/graph/centrality',
+    measure,
+    filters: graphFilterEcho(filters),
+    results: items,
+    pagination,
+  });
+}
+
+/** The loaded contract as a release-diff snapshot (lib/api/release-diff.js). */
+function buildContractSnapshot(contract) {
+  return indexReleaseSnapshot({
+    datasetVersion: contract.manifest.exportVersion,
+    knowledge: contract.knowledge,
+    citations: contract.citations,
+    popularity: contract.popularity,
+    graphEdges: contract.graphEdges,
+  });
+}
+
+/**
+ * Per-entity changes since an earlier release. `changes` is a
+ * diffReleaseSnapshots() result; its entity list is paged, the summary is not.
+ */
+function buildChangesResponse(contract, changes, page = { offset: 0, limit: MAX_PAGE_LIMIT }) {
+  const { items: entities, pagination } = paginate(changes.entities, page);
+
+  return wrapApiResponse(contract, {
+    endpoint: '/api/v1/changes',
+    since: changes.fromVersion,
+    changesVersion: changes.changesVersion,
+    relationshipsCompared: changes.relationshipsCompared,
+    summary: changes.summary,
+    entities,
+    pagination,
+  });
+}
+
+function buildNameListResponse(contract, indexes, page = { offset: 0, limit: MAX_PAGE_LIMIT }) {
+  const { items: slugs, pagination } = paginate(indexes.slugs, page);
+
+  return wrapApiResponse(contract, {
+    endpoint: '/api/v1/names',
+    slugs,
+    pagination,
   });
 }
 
@@ -308,6 +564,9 @@ function buildApiReport(contract, indexes) {
       languageGroups: indexes.languageByPath.size,
       meaningGroups: indexes.meaningByPath.size,
       culturalGroups: indexes.culturalByPath.size,
+      searchTerms: indexes.searchIndex.termCount,
+      searchVariantTerms: indexes.searchIndex.variantCount,
+      searchTransliterationTerms: indexes.searchIndex.transliterationCount,
     },
     endpoints: {
       manifest: 1,
@@ -318,11 +577,13 @@ function buildApiReport(contract, indexes) {
       meaning: explorerResponses.meaning.length,
       cultural: explorerResponses.cultural.length,
       searchIndex: 1,
+      facets: 1,
     },
     nameResponses,
     relationshipResponses,
     explorerResponses,
     manifestResponse: buildManifestResponse(contract),
+    facetResponse: buildFacetResponse(contract, indexes),
     searchIndex: {
       slugs: indexes.slugs,
       maxResults: MAX_SEARCH_RESULTS,
@@ -340,6 +601,7 @@ function hashApiSemantic(report, contract, indexes) {
     indexes: report.indexes,
     endpoints: report.endpoints,
     manifestResponse: report.manifestResponse,
+    facets: report.facetResponse.facets,
     searchIndex: report.searchIndex,
     sampleNameSlugs: report.nameResponses.slice(0, 5).map((row) => row.slug),
     sampleSearch,
@@ -390,6 +652,55 @@ function validateApiReport(report, contract, indexes) {
     }
   }
 
+  for (let i = 1; i < searchA.results.length; i += 1) {
+    if (searchA.results[i - 1].score < searchA.results[i].score) {
+      errors.push('Search results are not ranked by score.');
+      break;
+    }
+  }
+
+  for (const slug of indexes.slugs.slice(0, 25)) {
+    const exact = buildSearchResponse(contract, indexes, slug, { offset: 0, limit: 1 });
+    if (exact.matches[0] !== slug) {
+      errors.push(`Exact search for "${slug}" did not rank it first.`);
+    }
+  }
+
+  for (const name of FACET_NAMES) {
+    const facetTotal = Object.values(report.facetResponse.facets[name]).reduce((sum, count) => sum + count, 0);
+    if (facetTotal !== indexes.slugs.length) {
+      errors.push(`Facet "${name}" counts ${facetTotal} entities, expected ${indexes.slugs.length}.`);
+    }
+  }
+
+  const pagedSlugs = [];
+  let page = buildFacetResponse(contract, indexes);
+  for (;;) {
+    pagedSlugs.push(...page.results.map((row) => row.slug));
+    if (!page.pagination.nextCursor) break;
+    const after = decodeCursor(page.pagination.nextCursor, {});
+    if (after == null) {
+      errors.push('Facet nextCursor does not decode.');
+      break;
+    }
+    page = buildFacetResponse(contract, indexes, {}, { after, limit: MAX_PAGE_LIMIT });
+  }
+  if (JSON.stringify(pagedSlugs) !== JSON.stringify(indexes.slugs)) {
+    errors.push('Facet cursor pagination did not visit every slug exactly once in order.');
+  }
+
+  for (const slug of indexes.slugs.slice(0, 5)) {
+    const target = indexes.slugs[indexes.slugs.length - 1];
+    const forward = buildGraphPathResponse(contract, indexes, slug, target);
+    const backward = buildGraphPathResponse(contract, indexes, target, slug);
+    if (forward.found !== backward.found || forward.length !== backward.length) {
+      errors.push(`Graph path ${slug} -> ${target} is not symmetric.`);
+    }
+    for (const hop of forward.hops) {
+      if (!indexes.knowledgeBySlug.has(hop.to)) errors.push(`Graph path reached unknown slug: ${hop.to}`);
+    }
+  }
+
   if (buildNameResponse(contract, indexes, 'not-a-real-slug')) {
     errors.push('Unknown slug should not resolve.');
   }
@@ -404,6 +715,8 @@ function validateApiReport(report, contract, indexes) {
 module.exports = {
   API_VERSION,
   MAX_SEARCH_RESULTS,
+  MAX_PAGE_LIMIT,
+  MAX_BATCH_SIZE,
   EXPORT_DIR,
   EXPORT_FILES,
   stableHash,
@@ -411,17 +724,31 @@ module.exports = {
   slugFromName,
   groupIdToPathSegment,
   normalizeSearchQuery,
+  parseExportContract,
   loadExportContract,
   buildApiIndexes,
+  paginate,
   wrapApiResponse,
   buildManifestResponse,
   buildNameResponse,
+  buildBatchResponse,
   buildRelationshipsResponse,
   buildOriginResponse,
   buildLanguageResponse,
   buildMeaningResponse,
   buildCulturalResponse,
   buildSearchResponse,
+  buildNameListResponse,
+  FACET_NAMES,
+  normalizeFacetFilters,
+  decodeCursor,
+  buildFacetResponse,
+  buildGraphPathResponse,
+  buildGraphNeighborhoodResponse,
+  buildGraphComponentResponse,
+  buildGraphCentralityResponse,
+  buildContractSnapshot,
+  buildChangesResponse,
   buildApiReport,
   hashApiSemantic,
   validateApiReport,
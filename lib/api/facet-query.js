@@ -0,0 +1,200 @@
+/**
+ * lib/api/facet-query.js — Faceted filtering for the AI / Research API v1.
+ *
+ * Derives one facet value per dimension for every entity from the Export
+ * Contract (knowledge, popularity and entities artifacts), filters on any
+ * combination of dimensions, counts facet values, and pages the full result
+ * set with keyset cursors. Pure functions — no I/O.
+ */
+
+const crypto = require('crypto');
+
+const FACET_NAMES = Object.freeze(['gender', 'origin', 'syllables', 'popularity', 'trend', 'letter']);
+const UNKNOWN_FACET_VALUE = 'unknown';
+const CURSOR_VERSION = 1;
+
+/** Best rank in the latest year of the primary region; upper bounds are inclusive. */
+const POPULARITY_BANDS = Object.freeze([
+  { id: 'top-10', maxRank: 10 },
+  { id: 'top-100', maxRank: 100 },
+  { id: 'top-500', maxRank: 500 },
+  { id: 'top-1000', maxRank: 1000 },
+  { id: 'ranked', maxRank: Infinity },
+]);
+const UNRANKED_BAND = 'unranked';
+
+function facetToken(value) {
+  if (value == null || value === '') return UNKNOWN_FACET_VALUE;
+  return String(value).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+function latestRecord(records) {
+  let latest = null;
+  for (const record of records || []) {
+    if (!latest || record.year > latest.year) latest = record;
+  }
+  return latest;
+}
+
+/**
+ * Primary region = the region whose latest-year record has the best rank
+ * (ties by region code). Regions without any rank are used only when no
+ * region is ranked, so trend still resolves for count-only series.
+ */
+function primaryPopularityRecord(popularityRecord) {
+  const regions = popularityRecord?.popularity?.regions || {};
+  let best = null;
+  for (const region of Object.keys(regions).sort((a, b) => a.localeCompare(b))) {
+    const latest = latestRecord(regions[region].records);
+    if (!latest) continue;
+    if (!best) {
+      best = latest;
+      continue;
+    }
+    if (latest.rank != null && (best.rank == null || latest.rank < best.rank)) best = latest;
+  }
+  return best;
+}
+
+function popularityBand(rank) {
+  if (rank == null) return UNRANKED_BAND;
+  return POPULARITY_BANDS.find((band) => rank <= band.maxRank).id;
+}
+
+/**
+ * Facet values per slug, in slug order.
+ * @returns {Map<string, { gender, origin, syllables, popularity, trend, letter }>}
+ */
+function buildFacetIndex(slugs, knowledgeBySlug, popularityBySlug, entityBySlug) {
+  const facetsBySlug = new Map();
+  for (const slug of slugs) {
+    const knowledge = knowledgeBySlug.get(slug);
+    const entity = entityBySlug.get(slug);
+    const primary = primaryPopularityRecord(popularityBySlug.get(slug));
+    facetsBySlug.set(slug, {
+      gender: facetToken(entity?.gender),
+      origin: facetToken(knowledge?.origin?.value?.origin_cluster),
+      syllables: facetToken(entity?.syllables),
+      popularity: popularityBand(primary?.rank),
+      trend: facetToken(primary?.trendDirection),
+      letter: facetToken(entity?.firstLetter || slug[0]),
+    });
+  }
+  return facetsBySlug;
+}
+
+/**
+ * Normalizes raw filter values: each facet takes one or more comma-separated
+ * values (OR within a facet, AND across facets). Facets without values are dropped.
+ */
+function normalizeFacetFilters(rawFilters) {
+  const filters = {};
+  for (const name of FACET_NAMES) {
+    const raw = rawFilters?.[name];
+    if (raw == null) continue;
+    const values = [...new Set(
+      (Array.isArray(raw) ? raw : [raw])
+        .flatMap((value) => String(value).split(','))
+        .filter((value) => value.trim() !== '')
+        .map((value) => facetToken(value)),
+    )].sort((a, b) => a.localeCompare(b));
+    if (values.length) filters[name] = values;
+  }
+  return filters;
+}
+
+function matchesFilters(facets, filters, skipFacet = null) {
+  for (const [name, values] of Object.entries(filters)) {
+    if (name === skipFacet) continue;
+    if (!values.includes(facets[name])) return false;
+  }
+  return true;
+}
+
+/**
+ * Counts for each facet are taken over entities matching every *other*
+ * active filter, so a client can show how many results selecting another
+ * value in the same facet would add.
+ */
+function countFacets(facetsBySlug, filters) {
+  const counts = Object.fromEntries(FACET_NAMES.map((name) => [name, {}]));
+  for (const facets of facetsBySlug.values()) {
+    for (const name of FACET_NAMES) {
+      if (!matchesFilters(facets, filters, name)) continue;
+      counts[name][facets[name]] = (counts[name][facets[name]] || 0) + 1;
+    }
+  }
+  for (const name of FACET_NAMES) {
+    counts[name] = Object.fromEntries(
+      Object.entries(counts[name]).sort((left, right) => left[0].localeCompare(right[0])),
+    );
+  }
+  return counts;
+}
+
+function filterSlugs(facetsBySlug, filters) {
+  const slugs = [];
+  for (const [slug, facets] of facetsBySlug) {
+    if (matchesFilters(facets, filters)) slugs.push(slug);
+  }
+  return slugs;
+}
+
+function filterFingerprint(filters) {
+  return crypto.createHash('sha256').update(JSON.stringify(filters)).digest('hex').slice(0, 16);
+}
+
+/** Opaque keyset cursor: the last slug served plus the filters it was issued for. */
+function encodeCursor(afterSlug, filters) {
+  const payload = JSON.stringify({ v: CURSOR_VERSION, after: afterSlug, f: filterFingerprint(filters) });
+  return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+/**
+ * @returns {string|null} the slug to resume after, or null when the cursor is
+ * malformed or was issued for different filters.
+ */
+function decodeCursor(cursor, filters) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.v !== CURSOR_VERSION || typeof payload.after !== 'string') return null;
+  if (payload.f !== filterFingerprint(filters)) return null;
+  return payload.after;
+}
+
+/**
+ * Keyset page over slug-ordered results. Resuming after a slug rather than an
+ * offset keeps pages stable when entities are added or removed between requests.
+ */
+function cursorPage(slugs, afterSlug, limit, filters) {
+  const start = afterSlug == null ? 0 : slugs.findIndex((slug) => slug.localeCompare(afterSlug) > 0);
+  const from = start === -1 ? slugs.length : start;
+  const items = slugs.slice(from, from + limit);
+  const hasMore = from + items.length < slugs.length;
+  return {
+    items,
+    pagination: {
+      limit,
+      total: slugs.length,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], filters) : null,
+    },
+  };
+}
+
+module.exports = {
+  FACET_NAMES,
+  POPULARITY_BANDS,
+  UNRANKED_BAND,
+  UNKNOWN_FACET_VALUE,
+  buildFacetIndex,
+  normalizeFacetFilters,
+  countFacets,
+  filterSlugs,
+  encodeCursor,
+  decodeCursor,
+  cursorPage,
+};
@@ -0,0 +1,245 @@
+/**
+ * lib/api/fuzzy-search.js — Ranked name search for the AI / Research API v1.
+ *
+ * Prefix, edit-distance and phonetic (Soundex / Double Metaphone) matching
+ * over diacritic-folded, romanized terms. Terms come from Export Contract
+ * artifacts only: knowledge record names and slugs plus every spelling in the
+ * variants export (variants.json); Greek and Cyrillic spellings are indexed
+ * by their transliteration. Edit distance and Double Metaphone are the graph's
+ * own (lib/analysis/phonetic-similarity.js). Pure functions — no I/O, same
+ * forbidden-import rule as export-api.js.
+ */
+
+const { levenshtein, doubleMetaphone } = require('../analysis/phonetic-similarity.js');
+
+const MIN_FUZZY_QUERY_LENGTH = 3;
+
+/** Scores per match type; variant hits score VARIANT_PENALTY lower than the same hit on a name. */
+const MATCH_SCORES = Object.freeze({
+  exact: 1,
+  prefix: 0.9,
+  fuzzy: 0.8,
+  doubleMetaphone: 0.6,
+  soundex: 0.5,
+});
+const FUZZY_STEP_PENALTY = 0.15;
+/** Taken off a Double Metaphone hit that needed a secondary (alternate) key. */
+const SECONDARY_KEY_PENALTY = 0.05;
+/** Taken off a hit on a variant spelling or transliteration rather than the name. */
+const VARIANT_PENALTY = 0.05;
+
+/** Letters NFD does not decompose into base + combining mark. */
+const LIGATURE_FOLDS = Object.freeze({
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  ł: 'l',
+  đ: 'd',
+  ð: 'd',
+  þ: 'th',
+  ı: 'i',
+});
+
+/** Greek and Cyrillic letters (after accents are stripped) in common Latin romanization. */
+const SCRIPT_FOLDS = Object.freeze({
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+  ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ж: 'zh', з: 'z', и: 'i', к: 'k', л: 'l', м: 'm',
+  н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh',
+  щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya', є: 'ye', і: 'i', ґ: 'g', ј: 'j', ђ: 'dj',
+  ћ: 'c', љ: 'lj', њ: 'nj', џ: 'dz',
+});
+
+const NON_LATIN_LETTER = /[\u0370-\u03ff\u0400-\u04ff]/;
+
+function foldDiacritics(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæœøłđðþı]/g, (ch) => LIGATURE_FOLDS[ch])
+    .replace(/[\u0370-\u03ff\u0400-\u04ff]/g, (ch) => SCRIPT_FOLDS[ch] ?? '');
+}
+
+/** True when a spelling is written in Greek or Cyrillic, so its term is a transliteration. */
+function isTransliterated(text) {
+  return NON_LATIN_LETTER.test(String(text || '').toLowerCase().normalize('NFD'));
+}
+
+/** Same slug shape as export-api slugFromName(), after folding — "José María" → "jose-maria", "Иван" → "ivan". */
+function normalizeSearchTerm(text) {
+  return foldDiacritics(text)
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '');
+}
+
+function lettersOnly(term) {
+  return foldDiacritics(term).replace(/[^a-z]/g, '');
+}
+
+const SOUNDEX_CODES = Object.freeze({
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6',
+});
+
+/** American Soundex: first letter + three digits; H and W do not separate equal codes. */
+function soundex(text) {
+  const letters = lettersOnly(text);
+  if (!letters) return '';
+  let code = letters[0].toUpperCase();
+  let last = SOUNDEX_CODES[letters[0]] || '';
+  for (let i = 1; i < letters.length && code.length < 4; i += 1) {
+    const ch = letters[i];
+    const digit = SOUNDEX_CODES[ch];
+    if (digit) {
+      if (digit !== last) code += digit;
+      last = digit;
+    } else if (ch !== 'h' && ch !== 'w') {
+      last = '';
+    }
+  }
+  return code.padEnd(4, '0');
+}
+
+function buildTerm(term, slug, name, kind) {
+  return {
+    term,
+    slug,
+    name,
+    kind,
+    soundex: soundex(term),
+    metaphone: doubleMetaphone(term),
+  };
+}
+
+/**
+ * Builds the ranked-search term list once per loaded contract. Each name is
+ * indexed under its slug and its folded spelling, which differ when the slug
+ * drops letters ("Zoë" → slug "zo", term "zoe").
+ * @param {Map<string, object>} knowledgeBySlug
+ * @param {object[]} variantRows variants export records ({ slug, variant })
+ * @returns {{ terms: object[], termCount: number, variantCount: number, transliterationCount: number }}
+ */
+function buildSearchIndex(knowledgeBySlug, variantRows) {
+  const terms = [];
+  const seen = new Set();
+  const add = (term, slug, name, kind) => {
+    const key = `${slug}|${term}`;
+    if (!term || seen.has(key)) return;
+    seen.add(key);
+    terms.push(buildTerm(term, slug, name, kind));
+  };
+
+  const slugs = [...knowledgeBySlug.keys()].sort((a, b) => a.localeCompare(b));
+  for (const slug of slugs) {
+    const name = knowledgeBySlug.get(slug).name || slug;
+    add(slug, slug, name, 'name');
+    add(normalizeSearchTerm(name), slug, name, 'name');
+  }
+
+  // Every spelling in the export is indexed, not just the ones that are names
+  // themselves; a row whose name has no knowledge record is skipped.
+  for (const row of variantRows || []) {
+    if (!knowledgeBySlug.has(row.slug)) continue;
+    const spelling = row.variant;
+    add(normalizeSearchTerm(spelling), row.slug, spelling, isTransliterated(spelling) ? 'transliteration' : 'variant');
+  }
+
+  return {
+    terms,
+    termCount: terms.length,
+    variantCount: terms.filter((row) => row.kind === 'variant').length,
+    transliterationCount: terms.filter((row) => row.kind === 'transliteration').length,
+  };
+}
+
+function maxEditsFor(query) {
+  return query.length >= 6 ? 2 : 1;
+}
+
+function scoreTerm(entry, query, queryCodes) {
+  if (entry.term === query) return { matchType: 'exact', score: MATCH_SCORES.exact };
+  if (entry.term.startsWith(query)) return { matchType: 'prefix', score: MATCH_SCORES.prefix };
+  if (query.length < MIN_FUZZY_QUERY_LENGTH) return null;
+
+  const maxEdits = maxEditsFor(query);
+  const distance = Math.abs(query.length - entry.term.length) > maxEdits ? maxEdits + 1 : levenshtein(query, entry.term);
+  if (distance <= maxEdits) {
+    return {
+      matchType: 'fuzzy',
+      score: MATCH_SCORES.fuzzy - FUZZY_STEP_PENALTY * (distance - 1),
+      distance,
+    };
+  }
+  const [queryPrimary, querySecondary] = queryCodes.metaphone;
+  const [entryPrimary, entrySecondary] = entry.metaphone;
+  if (queryPrimary && queryPrimary === entryPrimary) {
+    return { matchType: 'phonetic', score: MATCH_SCORES.doubleMetaphone, algorithm: 'double-metaphone' };
+  }
+  if (queryPrimary && [queryPrimary, querySecondary].some((key) => key === entryPrimary || key === entrySecondary)) {
+    return { matchType: 'phonetic', score: MATCH_SCORES.doubleMetaphone - SECONDARY_KEY_PENALTY, algorithm: 'double-metaphone' };
+  }
+  if (queryCodes.soundex && entry.soundex === queryCodes.soundex) {
+    return { matchType: 'phonetic', score: MATCH_SCORES.soundex, algorithm: 'soundex' };
+  }
+  return null;
+}
+
+function roundScore(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Ranks every slug with at least one matching term; one result per slug
+ * (its best term). Order: score desc, then slug — so a pure prefix query
+ * keeps the alphabetical order of the Phase 18B prefix lookup.
+ * An empty query matches every name at prefix score.
+ */
+function rankSearchResults(searchIndex, normalizedQuery) {
+  const queryCodes = {
+    soundex: soundex(normalizedQuery),
+    metaphone: doubleMetaphone(normalizedQuery),
+  };
+  const bestBySlug = new Map();
+
+  for (const entry of searchIndex.terms) {
+    const hit = scoreTerm(entry, normalizedQuery, queryCodes);
+    if (!hit) continue;
+    const score = roundScore(hit.score - (entry.kind === 'name' ? 0 : VARIANT_PENALTY));
+    const current = bestBySlug.get(entry.slug);
+    if (current && current.score >= score) continue;
+
+    const result = {
+      slug: entry.slug,
+      name: entry.name,
+      score,
+      matchType: hit.matchType,
+      matchedOn: entry.kind,
+      matchedTerm: entry.term,
+    };
+    if (hit.distance != null) result.distance = hit.distance;
+    if (hit.algorithm) result.algorithm = hit.algorithm;
+    bestBySlug.set(entry.slug, result);
+  }
+
+  return [...bestBySlug.values()].sort(
+    (left, right) => right.score - left.score || left.slug.localeCompare(right.slug),
+  );
+}
+
+module.exports = {
+  MIN_FUZZY_QUERY_LENGTH,
+  MATCH_SCORES,
+  foldDiacritics,
+  normalizeSearchTerm,
+  isTransliterated,
+  soundex,
+  buildSearchIndex,
+  rankSearchResults,
+};
@@ -0,0 +1,240 @@
+/**
+ * lib/api/graph-query.js — Knowledge graph queries for the AI / Research API v1.
+ *
+ * Shortest paths with per-hop explanations, k-hop neighborhoods, connected
+ * components and centrality rankings over exports/graph-edges.json. Edges are
+ * walked in both directions; each hop reports which way its edge points.
+ * Every result is ordered deterministically. Pure functions — no I/O.
+ */
+
+const RELATIONSHIP_TYPES = Object.freeze([
+  'HAS_VARIANT',
+  'SAME_ORIGIN',
+  'SAME_LANGUAGE',
+  'RELATED_MEANING',
+  'SIMILAR_PRONUNCIATION',
+  'SAME_CULTURAL_GROUP',
+  'NICKNAME_OF',
+  'DIMINUTIVE_OF',
+  'SHARES_ROOT',
+  'CROSS_LANGUAGE_EQUIVALENT',
+]);
+
+/** Strongest first; `minConfidence` keeps a tier and every tier before it. */
+const CONFIDENCE_LEVELS = Object.freeze(['exact', 'strong', 'moderate', 'weak']);
+const CENTRALITY_MEASURES = Object.freeze(['degree', 'pagerank']);
+const MAX_NEIGHBORHOOD_DEPTH = 3;
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 50;
+const SCORE_DECIMALS = 6;
+
+function confidenceRank(confidence) {
+  const rank = CONFIDENCE_LEVELS.indexOf(confidence);
+  return rank === -1 ? CONFIDENCE_LEVELS.length : rank;
+}
+
+/**
+ * Undirected adjacency over the edge list. Each slug's neighbor list is sorted
+ * by neighbor slug, then strongest confidence, then relationship type, so the
+ * first allowed edge to a neighbor is the one a path reports.
+ * @param {object[]} edges - graph-edges.json `edges`
+ * @param {string[]} slugs - every entity slug, including isolated ones
+ */
+function buildGraphIndex(edges, slugs) {
+  const adjacency = new Map(slugs.map((slug) => [slug, []]));
+  const link = (from, to, edge) => {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    adjacency.get(from).push({ neighbor: to, edge });
+  };
+  for (const edge of edges || []) {
+    link(edge.source, edge.target, edge);
+    link(edge.target, edge.source, edge);
+  }
+  for (const links of adjacency.values()) {
+    links.sort(
+      (left, right) =>
+        left.neighbor.localeCompare(right.neighbor) ||
+        confidenceRank(left.edge.confidence) - confidenceRank(right.edge.confidence) ||
+        left.edge.relationshipType.localeCompare(right.edge.relationshipType) ||
+        left.edge.id.localeCompare(right.edge.id),
+    );
+  }
+  return {
+    adjacency,
+    slugs: [...adjacency.keys()].sort((a, b) => a.localeCompare(b)),
+    edgeCount: (edges || []).length,
+  };
+}
+
+/**
+ * Edge predicate for `{ relationshipTypes, minConfidence }`. Both are optional;
+ * callers validate values against RELATIONSHIP_TYPES / CONFIDENCE_LEVELS.
+ */
+function edgeFilter({ relationshipTypes = null, minConfidence = null } = {}) {
+  const types = relationshipTypes && relationshipTypes.length ? new Set(relationshipTypes) : null;
+  const maxRank = minConfidence ? confidenceRank(minConfidence) : CONFIDENCE_LEVELS.length;
+  return (edge) => (!types || types.has(edge.relationshipType)) && confidenceRank(edge.confidence) <= maxRank;
+}
+
+/** One neighbor per slug: the first allowed edge in adjacency order. */
+function allowedNeighbors(index, slug, allowed) {
+  const result = [];
+  let previous = null;
+  for (const { neighbor, edge } of index.adjacency.get(slug) || []) {
+    if (neighbor === previous || !allowed(edge)) continue;
+    result.push({ neighbor, edge });
+    previous = neighbor;
+  }
+  return result;
+}
+
+function describeHop(from, edge) {
+  const forward = edge.source === from;
+  return {
+    from,
+    to: forward ? edge.target : edge.source,
+    edgeId: edge.id,
+    relationshipType: edge.relationshipType,
+    direction: forward ? 'forward' : 'reverse',
+    confidence: edge.confidence,
+    weight: edge.weight ?? null,
+    derivedFrom: edge.derivedFrom,
+    explanation: edge.explanation ?? null,
+  };
+}
+
+/** Breadth-first search from `start`; `reached` maps slug → { distance, via } (via is null for start). */
+function breadthFirst(index, start, allowed, { maxDepth = Infinity, stopAt = null } = {}) {
+  const reached = new Map([[start, { distance: 0, via: null }]]);
+  let frontier = [start];
+  for (let depth = 1; depth <= maxDepth && frontier.length; depth += 1) {
+    const next = [];
+    for (const slug of frontier) {
+      for (const { neighbor, edge } of allowedNeighbors(index, slug, allowed)) {
+        if (reached.has(neighbor)) continue;
+        reached.set(neighbor, { distance: depth, via: { from: slug, edge } });
+        if (neighbor === stopAt) return reached;
+        next.push(neighbor);
+      }
+    }
+    frontier = next;
+  }
+  return reached;
+}
+
+/**
+ * Fewest-hop path between two slugs. Returns null when either slug is not a
+ * node; `found: false` when no path uses only allowed edges. Ties between
+ * equal-length paths go to the alphabetically first neighbor at each step.
+ */
+function findShortestPath(index, from, to, filters = {}) {
+  if (!index.adjacency.has(from) || !index.adjacency.has(to)) return null;
+  const reached = breadthFirst(index, from, edgeFilter(filters), { stopAt: to });
+  if (!reached.has(to)) return { found: false, length: null, nodes: [], hops: [] };
+
+  const hops = [];
+  for (let slug = to; reached.get(slug).via; slug = reached.get(slug).via.from) {
+    const { via } = reached.get(slug);
+    hops.unshift(describeHop(via.from, via.edge));
+  }
+  return {
+    found: true,
+    length: hops.length,
+    nodes: [from, ...hops.map((hop) => hop.to)],
+    hops,
+  };
+}
+
+/**
+ * Every slug within `depth` hops, ordered by distance then slug. Each entry
+ * but the start carries the hop that first reached it, so the list doubles
+ * as a shortest-path tree. Returns null for an unknown slug.
+ */
+function findNeighborhood(index, slug, depth, filters = {}) {
+  if (!index.adjacency.has(slug)) return null;
+  const reached = breadthFirst(index, slug, edgeFilter(filters), { maxDepth: depth });
+  return [...reached]
+    .map(([member, { distance, via }]) => ({
+      slug: member,
+      distance,
+      via: via ? describeHop(via.from, via.edge) : null,
+    }))
+    .sort((left, right) => left.distance - right.distance || left.slug.localeCompare(right.slug));
+}
+
+/** Members of the connected component containing `slug`, in slug order; null for an unknown slug. */
+function findComponent(index, slug, filters = {}) {
+  if (!index.adjacency.has(slug)) return null;
+  return [...breadthFirst(index, slug, edgeFilter(filters)).keys()].sort((a, b) => a.localeCompare(b));
+}
+
+function roundScore(value) {
+  return Number(value.toFixed(SCORE_DECIMALS));
+}
+
+/** Distinct allowed neighbors per slug. */
+function degreeScores(index, allowed) {
+  return new Map(index.slugs.map((slug) => [slug, allowedNeighbors(index, slug, allowed).length]));
+}
+
+/**
+ * Undirected PageRank over distinct allowed neighbors, with a fixed iteration
+ * count so scores are reproducible. Isolated slugs spread their rank evenly.
+ */
+function pagerankScores(index, allowed) {
+  const count = index.slugs.length;
+  const neighbors = new Map(
+    index.slugs.map((slug) => [slug, allowedNeighbors(index, slug, allowed).map((link) => link.neighbor)]),
+  );
+  let rank = new Map(index.slugs.map((slug) => [slug, 1 / count]));
+
+  for (let iteration = 0; iteration < PAGERANK_ITERATIONS; iteration += 1) {
+    let dangling = 0;
+    for (const slug of index.slugs) {
+      if (neighbors.get(slug).length === 0) dangling += rank.get(slug);
+    }
+    const base = (1 - PAGERANK_DAMPING) / count + (PAGERANK_DAMPING * dangling) / count;
+    const next = new Map(index.slugs.map((slug) => [slug, base]));
+    for (const slug of index.slugs) {
+      const links = neighbors.get(slug);
+      if (links.length === 0) continue;
+      const share = (PAGERANK_DAMPING * rank.get(slug)) / links.length;
+      for (const neighbor of links) next.set(neighbor, next.get(neighbor) + share);
+    }
+    rank = next;
+  }
+  return rank;
+}
+
+/**
+ * Every slug ranked by centrality, highest score first, ties by slug.
+ * `rank` is 1-based and shared by tied scores.
+ * @param {'degree'|'pagerank'} measure
+ */
+function rankCentrality(index, measure, filters = {}) {
+  const allowed = edgeFilter(filters);
+  const scores = measure === 'pagerank' ? pagerankScores(index, allowed) : degreeScores(index, allowed);
+  const ranked = index.slugs
+    .map((slug) => ({ slug, score: roundScore(scores.get(slug)) }))
+    .sort((left, right) => right.score - left.score || left.slug.localeCompare(right.slug));
+
+  let rank = 0;
+  return ranked.map((entry, position) => {
+    if (position === 0 || entry.score !== ranked[position - 1].score) rank = position + 1;
+    return { rank, ...entry };
+  });
+}
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  CONFIDENCE_LEVELS,
+  CENTRALITY_MEASURES,
+  MAX_NEIGHBORHOOD_DEPTH,
+  buildGraphIndex,
+  edgeFilter,
+  findShortestPath,
+  findNeighborhood,
+  findComponent,
+  rankCentrality,
+};
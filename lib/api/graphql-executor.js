@@ -0,0 +1,679 @@
+/**
+ * lib/api/graphql-executor.js — Schema compilation, validation and execution
+ * for the read-only GraphQL endpoint.
+ *
+ * Small, dependency-free subset of GraphQL execution sized for a schema of
+ * object, enum and scalar types only (no interfaces, unions, input objects,
+ * mutations or subscriptions). Every query is planned before anything runs:
+ * planning resolves fragments, directives and arguments, rejects unknown
+ * fields, and enforces the depth and cost limits. Execution then walks the
+ * plan and completes values in document order, so identical queries produce
+ * byte-identical responses.
+ */
+
+const { parseGraphql } = require('./graphql-language.js');
+
+const TYPENAME_FIELD = '__typename';
+
+/** Errors safe to return to the client; anything else is a server fault and is rethrown. */
+function graphqlError(message, { locations = [], path = null } = {}) {
+  const error = new Error(message);
+  error.graphqlLocations = locations;
+  error.graphqlPath = path;
+  return error;
+}
+
+function isGraphqlError(error) {
+  return Array.isArray(error?.graphqlLocations);
+}
+
+function formatError(error) {
+  const formatted = { message: error.message };
+  if (error.graphqlLocations?.length) formatted.locations = error.graphqlLocations;
+  if (error.graphqlPath) formatted.path = error.graphqlPath;
+  return formatted;
+}
+
+const BUILT_IN_SCALARS = Object.freeze({
+  Int: {
+    kind: 'SCALAR',
+    description: 'Signed 32-bit integer.',
+    serialize: (value) => (Number.isInteger(value) ? value : undefined),
+    parseValue: (value) => (Number.isInteger(value) && Math.abs(value) <= 2147483647 ? value : undefined),
+  },
+  Float: {
+    kind: 'SCALAR',
+    description: 'Double-precision number.',
+    serialize: (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined),
+    parseValue: (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined),
+  },
+  String: {
+    kind: 'SCALAR',
+    description: 'UTF-8 text.',
+    serialize: (value) => (typeof value === 'string' ? value : undefined),
+    parseValue: (value) => (typeof value === 'string' ? value : undefined),
+  },
+  Boolean: {
+    kind: 'SCALAR',
+    description: 'true or false.',
+    serialize: (value) => (typeof value === 'boolean' ? value : undefined),
+    parseValue: (value) => (typeof value === 'boolean' ? value : undefined),
+  },
+  ID: {
+    kind: 'SCALAR',
+    description: 'Opaque identifier, serialized as a string.',
+    serialize: (value) => (typeof value === 'string' || Number.isInteger(value) ? String(value) : undefined),
+    parseValue: (value) => (typeof value === 'string' || Number.isInteger(value) ? String(value) : undefined),
+  },
+});
+
+/** "[Name!]!" → { kind: 'NON_NULL', ofType: { kind: 'LIST', ofType: { kind: 'NON_NULL', ofType: { kind: 'NAMED', name: 'Name' } } } } */
+function parseTypeString(ref) {
+  const text = String(ref).trim();
+  if (text.endsWith('!')) return { kind: 'NON_NULL', ofType: parseTypeString(text.slice(0, -1)) };
+  if (text.startsWith('[') && text.endsWith(']')) return { kind: 'LIST', ofType: parseTypeString(text.slice(1, -1)) };
+  if (!/^[_A-Za-z][_0-9A-Za-z]*$/.test(text)) throw new Error(`Invalid GraphQL type reference: ${ref}`);
+  return { kind: 'NAMED', name: text };
+}
+
+function typeRefFromAst(node) {
+  if (node.kind === 'NonNullType') return { kind: 'NON_NULL', ofType: typeRefFromAst(node.type) };
+  if (node.kind === 'ListType') return { kind: 'LIST', ofType: typeRefFromAst(node.type) };
+  return { kind: 'NAMED', name: node.name };
+}
+
+function printTypeRef(typeRef) {
+  if (typeRef.kind === 'NON_NULL') return `${printTypeRef(typeRef.ofType)}!`;
+  if (typeRef.kind === 'LIST') return `[${printTypeRef(typeRef.ofType)}]`;
+  return typeRef.name;
+}
+
+function namedTypeOf(typeRef) {
+  let current = typeRef;
+  while (current.kind !== 'NAMED') current = current.ofType;
+  return current.name;
+}
+
+function isListType(typeRef) {
+  return (typeRef.kind === 'NON_NULL' ? typeRef.ofType : typeRef).kind === 'LIST';
+}
+
+/**
+ * Compiles a plain-object schema definition:
+ *   { query: 'Query', types: { Name: { kind: 'OBJECT', fields: { slug: { type: 'String!', args, resolve, listSize } } } } }
+ * Throws on dangling type references so a broken schema fails at load time.
+ */
+function compileSchema(definition) {
+  const types = new Map(Object.entries(BUILT_IN_SCALARS).map(([name, type]) => [name, { ...type, name }]));
+
+  for (const [name, type] of Object.entries(definition.types)) {
+    if (types.has(name)) throw new Error(`GraphQL type ${name} is already defined.`);
+    types.set(name, { ...type, name });
+  }
+
+  const requireType = (typeRef, where, allowed) => {
+    const type = types.get(namedTypeOf(typeRef));
+    if (!type) throw new Error(`Unknown GraphQL type ${printTypeRef(typeRef)} referenced by ${where}.`);
+    if (!allowed.includes(type.kind)) {
+      throw new Error(`GraphQL type ${type.name} (${type.kind}) cannot be used at ${where}.`);
+    }
+  };
+
+  for (const type of types.values()) {
+    if (type.kind !== 'OBJECT') continue;
+    const fields = new Map();
+    for (const [fieldName, field] of Object.entries(type.fields)) {
+      const compiled = {
+        ...field,
+        name: fieldName,
+        type: parseTypeString(field.type),
+        args: Object.entries(field.args || {}).map(([argName, arg]) => ({
+          ...arg,
+          name: argName,
+          type: parseTypeString(arg.type),
+        })),
+      };
+      requireType(compiled.type, `${type.name}.${fieldName}`, ['OBJECT', 'SCALAR', 'ENUM']);
+      for (const arg of compiled.args) {
+        requireType(arg.type, `${type.name}.${fieldName}(${arg.name})`, ['SCALAR', 'ENUM']);
+      }
+      fields.set(fieldName, compiled);
+    }
+    type.fields = fields;
+  }
+
+  const queryType = types.get(definition.query);
+  if (!queryType || queryType.kind !== 'OBJECT') throw new Error(`Missing GraphQL query type ${definition.query}.`);
+
+  return { queryTypeName: definition.query, types };
+}
+
+function printDescription(description, indent) {
+  return description ? `${indent}"""${description}"""\n` : '';
+}
+
+function printDefaultValue(schema, arg) {
+  const isEnum = schema.types.get(namedTypeOf(arg.type)).kind === 'ENUM';
+  return isEnum ? String(arg.defaultValue) : JSON.stringify(arg.defaultValue);
+}
+
+/** Renders the compiled schema as SDL, types in definition order (built-in scalars omitted). */
+function printSchema(schema) {
+  const blocks = [`schema {\n  query: ${schema.queryTypeName}\n}`];
+  for (const type of schema.types.values()) {
+    if (BUILT_IN_SCALARS[type.name]) continue;
+    let block = printDescription(type.description, '');
+    if (type.kind === 'SCALAR') {
+      block += `scalar ${type.name}`;
+    } else if (type.kind === 'ENUM') {
+      block += `enum ${type.name} {\n${type.values.map((value) => `  ${value}`).join('\n')}\n}`;
+    } else {
+      const fields = [...type.fields.values()].map((field) => {
+        const args = field.args.length
+          ? `(${field.args
+              .map((arg) => `${arg.name}: ${printTypeRef(arg.type)}${arg.defaultValue !== undefined ? ` = ${printDefaultValue(schema, arg)}` : ''}`)
+              .join(', ')})`
+          : '';
+        return `${printDescription(field.description, '  ')}  ${field.name}${args}: ${printTypeRef(field.type)}`;
+      });
+      block += `type ${type.name} {\n${fields.join('\n')}\n}`;
+    }
+    blocks.push(block);
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/** Coerces a JSON variable value to an input type (scalars, enums and lists only). */
+function coerceInputValue(schema, typeRef, value, label) {
+  if (typeRef.kind === 'NON_NULL') {
+    if (value == null) throw graphqlError(`${label} of non-null type ${printTypeRef(typeRef)} must not be null.`);
+    return coerceInputValue(schema, typeRef.ofType, value, label);
+  }
+  if (value == null) return null;
+  if (typeRef.kind === 'LIST') {
+    const items = Array.isArray(value) ? value : [value];
+    return items.map((item, index) => coerceInputValue(schema, typeRef.ofType, item, `${label}[${index}]`));
+  }
+  const type = schema.types.get(typeRef.name);
+  if (type.kind === 'ENUM') {
+    if (!type.values.includes(value)) {
+      throw graphqlError(`${label} expected a value of enum ${type.name}, got ${JSON.stringify(value)}.`);
+    }
+    return value;
+  }
+  const coerced = type.parseValue(value);
+  if (coerced === undefined) {
+    throw graphqlError(`${label} expected type ${type.name}, got ${JSON.stringify(value)}.`);
+  }
+  return coerced;
+}
+
+/** Coerces an argument literal, substituting variables (already coerced against their declared types). */
+function valueFromAst(schema, typeRef, node, variables, label) {
+  if (node.kind === 'Variable') {
+    if (!variables.defined.has(node.name)) {
+      throw graphqlError(`Variable "$${node.name}" is not defined.`, { locations: [node.loc] });
+    }
+    const value = variables.values[node.name];
+    if (value === undefined || value === null) {
+      if (typeRef.kind === 'NON_NULL') {
+        throw graphqlError(`${label} of non-null type ${printTypeRef(typeRef)} must not be null.`, { locations: [node.loc] });
+      }
+      return value === undefined ? undefined : null;
+    }
+    return withLocation(() => coerceInputValue(schema, typeRef, value, label), node.loc);
+  }
+  if (typeRef.kind === 'NON_NULL') {
+    if (node.kind === 'NullValue') {
+      throw graphqlError(`${label} of non-null type ${printTypeRef(typeRef)} must not be null.`, { locations: [node.loc] });
+    }
+    return valueFromAst(schema, typeRef.ofType, node, variables, label);
+  }
+  if (node.kind === 'NullValue') return null;
+  if (typeRef.kind === 'LIST') {
+    const items = node.kind === 'ListValue' ? node.values : [node];
+    return items.map((item, index) => valueFromAst(schema, typeRef.ofType, item, variables, `${label}[${index}]`));
+  }
+
+  const type = schema.types.get(typeRef.name);
+  const fail = () => {
+    throw graphqlError(`${label} expected type ${type.name}.`, { locations: [node.loc] });
+  };
+  if (type.kind === 'ENUM') {
+    if (node.kind !== 'EnumValue' || !type.values.includes(node.value)) fail();
+    return node.value;
+  }
+  let literal;
+  switch (node.kind) {
+    case 'IntValue':
+      literal = type.name === 'Float' ? Number(node.value) : type.name === 'ID' ? node.value : Number(node.value);
+      break;
+    case 'FloatValue':
+      literal = Number(node.value);
+      break;
+    case 'StringValue':
+    case 'BooleanValue':
+      literal = node.value;
+      break;
+    default:
+      fail();
+  }
+  if (type.name === 'ID' && node.kind !== 'StringValue' && node.kind !== 'IntValue') fail();
+  const coerced = type.parseValue(literal);
+  if (coerced === undefined) fail();
+  return coerced;
+}
+
+function withLocation(fn, loc) {
+  try {
+    return fn();
+  } catch (error) {
+    if (isGraphqlError(error) && error.graphqlLocations.length === 0) error.graphqlLocations = [loc];
+    throw error;
+  }
+}
+
+function coerceVariables(schema, operation, rawVariables) {
+  const values = {};
+  const defined = new Set();
+  for (const definition of operation.variableDefinitions) {
+    const typeRef = typeRefFromAst(definition.type);
+    const type = schema.types.get(namedTypeOf(typeRef));
+    if (!type || (type.kind !== 'SCALAR' && type.kind !== 'ENUM')) {
+      throw graphqlError(`Variable "$${definition.variable}" cannot be of non-input type "${printTypeRef(typeRef)}".`, {
+        locations: [definition.loc],
+      });
+    }
+    defined.add(definition.variable);
+    const label = `Variable "$${definition.variable}"`;
+    if (Object.prototype.hasOwnProperty.call(rawVariables, definition.variable)) {
+      values[definition.variable] = withLocation(
+        () => coerceInputValue(schema, typeRef, rawVariables[definition.variable], label),
+        definition.loc,
+      );
+    } else if (definition.defaultValue) {
+      values[definition.variable] = valueFromAst(schema, typeRef, definition.defaultValue, { defined, values }, label);
+    } else if (typeRef.kind === 'NON_NULL') {
+      throw graphqlError(`${label} of required type "${printTypeRef(typeRef)}" was not provided.`, {
+        locations: [definition.loc],
+      });
+    }
+  }
+  return { defined, values };
+}
+
+function shouldInclude(node, variables, schema) {
+  for (const directive of node.directives || []) {
+    if (directive.name !== 'skip' && directive.name !== 'include') {
+      throw graphqlError(`Unknown directive "@${directive.name}".`, { locations: [directive.loc] });
+    }
+    const arg = directive.arguments.find((candidate) => candidate.name === 'if');
+    if (!arg) {
+      throw graphqlError(`Directive "@${directive.name}" argument "if" of type "Boolean!" is required.`, {
+        locations: [directive.loc],
+      });
+    }
+    const value = valueFromAst(schema, parseTypeString('Boolean!'), arg.value, variables, `Argument "if" of @${directive.name}`);
+    if (directive.name === 'skip' && value) return false;
+    if (directive.name === 'include' && !value) return false;
+  }
+  return true;
+}
+
+/**
+ * Spec CollectFields: groups selections by response key, expanding fragments.
+ * `visited` stops a fragment from being expanded twice in one selection set,
+ * which also bounds "fragment bomb" documents.
+ */
+function collectFields(state, typeName, selectionSet, grouped, visited) {
+  for (const selection of selectionSet.selections) {
+    if (!shouldInclude(selection, state.variables, state.schema)) continue;
+
+    if (selection.kind === 'Field') {
+      const key = selection.alias || selection.name;
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(selection);
+      continue;
+    }
+
+    let fragmentType;
+    let fragmentSelectionSet;
+    if (selection.kind === 'FragmentSpread') {
+      if (visited.has(selection.name)) continue;
+      visited.add(selection.name);
+      const fragment = state.fragments.get(selection.name);
+      if (!fragment) {
+        throw graphqlError(`Unknown fragment "${selection.name}".`, { locations: [selection.loc] });
+      }
+      fragmentType = fragment.typeCondition;
+      fragmentSelectionSet = fragment.selectionSet;
+    } else {
+      fragmentType = selection.typeCondition || typeName;
+      fragmentSelectionSet = selection.selectionSet;
+    }
+
+    const conditionType = state.schema.types.get(fragmentType);
+    if (!conditionType || conditionType.kind !== 'OBJECT') {
+      throw graphqlError(`Unknown type "${fragmentType}".`, { locations: [selection.loc] });
+    }
+    if (fragmentType !== typeName) {
+      throw graphqlError(
+        `Fragment cannot be spread here as objects of type "${typeName}" can never be of type "${fragmentType}".`,
+        { locations: [selection.loc] },
+      );
+    }
+    collectFields(state, typeName, fragmentSelectionSet, grouped, visited);
+  }
+  return grouped;
+}
+
+function coerceArguments(state, typeName, fieldDef, fieldNode) {
+  const args = {};
+  for (const argNode of fieldNode.arguments) {
+    if (!fieldDef.args.some((arg) => arg.name === argNode.name)) {
+      throw graphqlError(`Unknown argument "${argNode.name}" on field "${typeName}.${fieldDef.name}".`, {
+        locations: [argNode.loc],
+      });
+    }
+  }
+  for (const arg of fieldDef.args) {
+    const argNode = fieldNode.arguments.find((candidate) => candidate.name === arg.name);
+    const label = `Argument "${arg.name}" of "${typeName}.${fieldDef.name}"`;
+    let value = argNode ? valueFromAst(state.schema, arg.type, argNode.value, state.variables, label) : undefined;
+    if (value === undefined && arg.defaultValue !== undefined) value = arg.defaultValue;
+    if (value == null && arg.type.kind === 'NON_NULL') {
+      throw graphqlError(`${label} of type "${printTypeRef(arg.type)}" is required.`, { locations: [fieldNode.loc] });
+    }
+    if (value !== undefined) args[arg.name] = value;
+  }
+  return args;
+}
+
+/**
+ * Plans one selection set on an object type. Returns the ordered field plans
+ * and the estimated cost: each object-valued field costs 1 plus its children,
+ * multiplied by the field's expected list size.
+ */
+function planSelectionSet(state, typeName, selectionSets, depth) {
+  const grouped = new Map();
+  const visited = new Set();
+  for (const selectionSet of selectionSets) collectFields(state, typeName, selectionSet, grouped, visited);
+
+  const type = state.schema.types.get(typeName);
+  const fields = [];
+  let cost = 0;
+
+  for (const [responseKey, nodes] of grouped) {
+    const node = nodes[0];
+    for (const other of nodes.slice(1)) {
+      if (other.name !== node.name || !sameArgumentValues(other.arguments, node.arguments)) {
+        throw graphqlError(
+          `Fields "${responseKey}" conflict because they select different fields or arguments. Use different aliases on the fields to fetch both.`,
+          { locations: [node.loc, other.loc] },
+        );
+      }
+    }
+
+    if (node.name === TYPENAME_FIELD) {
+      if (node.selectionSet) {
+        throw graphqlError(`Field "${TYPENAME_FIELD}" must not have a selection.`, { locations: [node.loc] });
+      }
+      fields.push({ responseKey, fieldName: TYPENAME_FIELD, loc: node.loc });
+      continue;
+    }
+
+    const fieldDef = type.fields.get(node.name);
+    if (!fieldDef) {
+      throw graphqlError(`Cannot query field "${node.name}" on type "${typeName}".`, { locations: [node.loc] });
+    }
+    if (depth > state.limits.maxDepth) {
+      throw graphqlError(`Query depth exceeds the maximum of ${state.limits.maxDepth}.`, { locations: [node.loc] });
+    }
+    state.maxDepthSeen = Math.max(state.maxDepthSeen, depth);
+
+    const args = coerceArguments(state, typeName, fieldDef, node);
+    const returnTypeName = namedTypeOf(fieldDef.type);
+    const returnType = state.schema.types.get(returnTypeName);
+    const childSets = nodes.map((candidate) => candidate.selectionSet).filter(Boolean);
+
+    let plan = null;
+    if (returnType.kind === 'OBJECT') {
+      if (childSets.length === 0) {
+        throw graphqlError(
+          `Field "${node.name}" of type "${printTypeRef(fieldDef.type)}" must have a selection of subfields.`,
+          { locations: [node.loc] },
+        );
+      }
+      plan = planSelectionSet(state, returnTypeName, childSets, depth + 1);
+      const multiplier = isListType(fieldDef.type) ? Math.max(1, fieldDef.listSize ? fieldDef.listSize(args) : 1) : 1;
+      cost += multiplier * (1 + plan.cost);
+    } else if (childSets.length > 0) {
+      throw graphqlError(
+        `Field "${node.name}" must not have a selection since type "${printTypeRef(fieldDef.type)}" has no subfields.`,
+        { locations: [node.loc] },
+      );
+    }
+
+    fields.push({ responseKey, fieldName: node.name, fieldDef, args, plan, loc: node.loc });
+  }
+
+  if (cost > state.limits.maxCost) {
+    throw graphqlError(`Query cost ${cost} exceeds the maximum of ${state.limits.maxCost}.`, {
+      locations: [selectionSets[0].loc],
+    });
+  }
+  return { typeName, fields, cost };
+}
+
+function sameArgumentValues(left, right) {
+  const strip = (value) => JSON.stringify(value, (key, inner) => (key === 'loc' ? undefined : inner));
+  const sorted = (args) => [...args].sort((a, b) => a.name.localeCompare(b.name));
+  return strip(sorted(left)) === strip(sorted(right));
+}
+
+/** Returned by completeValue when a non-null position resolved to null; the nearest nullable parent becomes null. */
+const NULL_PROPAGATION = Symbol('null-propagation');
+
+function completeValue(run, typeRef, value, field, path) {
+  if (typeRef.kind === 'NON_NULL') {
+    const completed = completeValue(run, typeRef.ofType, value, field, path);
+    if (completed === null) {
+      if (value != null || !run.failedPaths.has(path.join('.'))) {
+        run.errors.push(
+          graphqlError(`Cannot return null for non-nullable field ${field.parentType}.${field.fieldName}.`, {
+            locations: [field.loc],
+            path,
+          }),
+        );
+      }
+      return NULL_PROPAGATION;
+    }
+    return completed;
+  }
+
+  const completed = completeNullable(run, typeRef, value, field, path);
+  return completed === NULL_PROPAGATION ? null : completed;
+}
+
+function completeNullable(run, typeRef, value, field, path) {
+  if (value == null) return null;
+
+  if (typeRef.kind === 'LIST') {
+    if (!Array.isArray(value)) throw new Error(`Resolver for ${field.parentType}.${field.fieldName} must return an array.`);
+    const items = [];
+    for (let index = 0; index < value.length; index += 1) {
+      const item = completeValue(run, typeRef.ofType, value[index], field, [...path, index]);
+      if (item === NULL_PROPAGATION) return NULL_PROPAGATION;
+      items.push(item);
+    }
+    return items;
+  }
+
+  const type = run.schema.types.get(typeRef.name);
+  if (type.kind === 'OBJECT') return executePlan(run, field.plan, value, path);
+
+  const serialized = type.kind === 'ENUM' ? (type.values.includes(value) ? value : undefined) : type.serialize(value);
+  if (serialized === undefined) {
+    throw new Error(`${type.name} cannot represent value ${JSON.stringify(value)} at ${path.join('.')}.`);
+  }
+  return serialized;
+}
+
+function executePlan(run, plan, parent, path) {
+  const result = {};
+  for (const field of plan.fields) {
+    const fieldPath = [...path, field.responseKey];
+    if (field.fieldName === TYPENAME_FIELD) {
+      result[field.responseKey] = plan.typeName;
+      continue;
+    }
+
+    let value;
+    try {
+      value = field.fieldDef.resolve
+        ? field.fieldDef.resolve(parent, field.args, run.context)
+        : parent[field.fieldName];
+    } catch (error) {
+      if (!isGraphqlError(error)) throw error;
+      run.errors.push(graphqlError(error.message, { locations: [field.loc], path: fieldPath }));
+      run.failedPaths.add(fieldPath.join('.'));
+      value = null;
+    }
+
+    const completed = completeValue(
+      run,
+      field.fieldDef.type,
+      value,
+      { ...field, parentType: plan.typeName },
+      fieldPath,
+    );
+    if (completed === NULL_PROPAGATION) return NULL_PROPAGATION;
+    result[field.responseKey] = completed;
+  }
+  return result;
+}
+
+function selectOperation(document, operationName) {
+  const operations = document.definitions.filter((definition) => definition.kind === 'OperationDefinition');
+  if (operationName) {
+    const named = operations.find((operation) => operation.name === operationName);
+    if (!named) throw graphqlError(`Unknown operation named "${operationName}".`);
+    return named;
+  }
+  if (operations.length !== 1) {
+    throw graphqlError(
+      operations.length === 0
+        ? 'Must provide an operation.'
+        : 'Must provide operation name if query contains multiple operations.',
+    );
+  }
+  return operations[0];
+}
+
+function indexFragments(document) {
+  const fragments = new Map();
+  for (const definition of document.definitions) {
+    if (definition.kind !== 'FragmentDefinition') continue;
+    if (fragments.has(definition.name)) {
+      throw graphqlError(`There can be only one fragment named "${definition.name}".`, { locations: [definition.loc] });
+    }
+    fragments.set(definition.name, definition);
+  }
+  return fragments;
+}
+
+/** Fragment spreads anywhere inside `selectionSet`, in document order. */
+function fragmentSpreads(selectionSet, spreads = []) {
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === 'FragmentSpread') spreads.push(selection);
+    else if (selection.selectionSet) fragmentSpreads(selection.selectionSet, spreads);
+  }
+  return spreads;
+}
+
+/**
+ * Spec NoFragmentCycles: no fragment may spread itself, directly or through
+ * other fragments. Checked for every defined fragment, used or not.
+ */
+function rejectFragmentCycles(fragments) {
+  const checked = new Set();
+  const spreadPath = [];
+  const pathIndex = new Map();
+
+  function visit(fragment) {
+    if (checked.has(fragment.name)) return;
+    checked.add(fragment.name);
+    pathIndex.set(fragment.name, spreadPath.length);
+    for (const spread of fragmentSpreads(fragment.selectionSet)) {
+      const cycleStart = pathIndex.get(spread.name);
+      spreadPath.push(spread);
+      if (cycleStart !== undefined) {
+        const cycle = spreadPath.slice(cycleStart);
+        const via = cycle.slice(0, -1).map((node) => `"${node.name}"`).join(', ');
+        throw graphqlError(`Cannot spread fragment "${spread.name}" within itself${via ? ` via ${via}` : ''}.`, {
+          locations: cycle.map((node) => node.loc),
+        });
+      }
+      const target = fragments.get(spread.name);
+      if (target) visit(target);
+      spreadPath.pop();
+    }
+    pathIndex.delete(fragment.name);
+  }
+
+  for (const fragment of fragments.values()) visit(fragment);
+}
+
+/**
+ * Parses, plans and executes one query.
+ * @param {object} schema - compileSchema() result
+ * @param {{ query: string, variables?: object, operationName?: string, context?: object,
+ *           limits: { maxDepth: number, maxCost: number } }} request
+ * @returns {{ data?: object|null, errors?: object[], depth?: number, cost?: number }}
+ *   `data` is absent when the request failed before execution (syntax, validation, limits).
+ */
+function executeGraphql(schema, request) {
+  let plan;
+  let state;
+  try {
+    const document = parseGraphql(request.query, { maxDepth: request.limits.maxDepth });
+    const operation = selectOperation(document, request.operationName || null);
+    if (operation.operation !== 'query') {
+      throw graphqlError(`Only query operations are supported; got ${operation.operation}.`, {
+        locations: [operation.loc],
+      });
+    }
+    const fragments = indexFragments(document);
+    rejectFragmentCycles(fragments);
+    state = {
+      schema,
+      fragments,
+      variables: null,
+      limits: request.limits,
+      maxDepthSeen: 0,
+    };
+    state.variables = coerceVariables(schema, operation, request.variables || {});
+    if (operation.directives.length) {
+      throw graphqlError('Directives on operations are not supported.', { locations: [operation.directives[0].loc] });
+    }
+    plan = planSelectionSet(state, schema.queryTypeName, [operation.selectionSet], 1);
+  } catch (error) {
+    if (!isGraphqlError(error)) throw error;
+    return { errors: [formatError(error)] };
+  }
+
+  const run = { schema, context: request.context, errors: [], failedPaths: new Set() };
+  const data = executePlan(run, plan, {}, []);
+  const response = { data: data === NULL_PROPAGATION ? null : data };
+  if (run.errors.length) response.errors = run.errors.map(formatError);
+  response.depth = state.maxDepthSeen;
+  response.cost = plan.cost;
+  return response;
+}
+
+module.exports = {
+  graphqlError,
+  compileSchema,
+  printSchema,
+  executeGraphql,
+};
@@ -0,0 +1,438 @@
+/**
+ * lib/api/graphql-language.js — GraphQL query-document lexer and parser.
+ *
+ * Covers the executable subset of the GraphQL (October 2021) grammar:
+ * operations, variables, fields, aliases, arguments, fragments, inline
+ * fragments and directives. Type-system definitions (SDL) are not parsed —
+ * the API schema is declared in lib/api/graphql-schema.js.
+ *
+ * AST nodes are plain objects tagged with `kind` and `loc: { line, column }`.
+ */
+
+const PUNCTUATORS = '!$&()[]{}:=@|';
+
+/**
+ * Deepest nesting of selection sets, list / object values and list types the
+ * parser descends into. Keeps a hostile document from exhausting the stack.
+ */
+const MAX_NESTING = 64;
+
+function syntaxError(message, loc) {
+  const error = new Error(`Syntax Error: ${message}`);
+  error.graphqlLocations = loc ? [loc] : [];
+  return error;
+}
+
+/** The executor's depth-limit error, raised early for documents nested past it. */
+function depthError(maxDepth, loc) {
+  const error = new Error(`Query depth exceeds the maximum of ${maxDepth}.`);
+  error.graphqlLocations = [loc];
+  return error;
+}
+
+function lineStartOffsets(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i += 1) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  return lineStarts;
+}
+
+/** Resolves a character offset to a 1-based line/column. */
+function locationAt(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: index - lineStarts[low] + 1 };
+}
+
+function readBlockString(source, start, lineStarts) {
+  let i = start + 3;
+  let raw = '';
+  while (i < source.length) {
+    if (source.startsWith('"""', i)) {
+      return { value: dedentBlockString(raw), end: i + 3 };
+    }
+    if (source.startsWith('\\"""', i)) {
+      raw += '"""';
+      i += 4;
+      continue;
+    }
+    raw += source[i];
+    i += 1;
+  }
+  throw syntaxError('Unterminated string.', locationAt(lineStarts, start));
+}
+
+function dedentBlockString(raw) {
+  const lines = raw.split(/\r\n|[\n\r]/);
+  let common = null;
+  for (let i = 1; i < lines.length; i += 1) {
+    const indent = lines[i].length - lines[i].replace(/^[\t ]+/, '').length;
+    if (indent < lines[i].length && (common === null || indent < common)) common = indent;
+  }
+  const out = lines.map((line, i) => (i === 0 || common === null ? line : line.slice(common)));
+  while (out.length && out[0].trim() === '') out.shift();
+  while (out.length && out[out.length - 1].trim() === '') out.pop();
+  return out.join('\n');
+}
+
+const STRING_ESCAPES = Object.freeze({ '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' });
+
+function readString(source, start, lineStarts) {
+  let i = start + 1;
+  let value = '';
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '"') return { value, end: i + 1 };
+    if (ch === '\n' || ch === '\r') break;
+    if (ch === '\\') {
+      const next = source[i + 1];
+      if (next === 'u') {
+        const hex = source.slice(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+          throw syntaxError('Invalid Unicode escape sequence.', locationAt(lineStarts, i));
+        }
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      if (!(next in STRING_ESCAPES)) {
+        throw syntaxError(`Invalid character escape sequence: \\${next}.`, locationAt(lineStarts, i));
+      }
+      value += STRING_ESCAPES[next];
+      i += 2;
+      continue;
+    }
+    value += ch;
+    i += 1;
+  }
+  throw syntaxError('Unterminated string.', locationAt(lineStarts, start));
+}
+
+/** Splits a document into tokens; commas, whitespace, comments and BOMs are insignificant. */
+function tokenize(source) {
+  const tokens = [];
+  const lineStarts = lineStartOffsets(source);
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === ',' || ch === '\uFEFF') {
+      i += 1;
+      continue;
+    }
+    if (ch === '#') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i += 1;
+      continue;
+    }
+
+    const loc = locationAt(lineStarts, i);
+    if (source.startsWith('...', i)) {
+      tokens.push({ kind: 'punct', value: '...', loc });
+      i += 3;
+    } else if (PUNCTUATORS.includes(ch)) {
+      tokens.push({ kind: 'punct', value: ch, loc });
+      i += 1;
+    } else if (/[_A-Za-z]/.test(ch)) {
+      const match = /^[_A-Za-z][_0-9A-Za-z]*/.exec(source.slice(i));
+      tokens.push({ kind: 'name', value: match[0], loc });
+      i += match[0].length;
+    } else if (ch === '-' || /[0-9]/.test(ch)) {
+      const match = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(source.slice(i));
+      if (!match || /[_A-Za-z.]/.test(source[i + match[0].length] || '')) {
+        throw syntaxError(`Invalid number starting with "${source.slice(i, i + 8)}".`, loc);
+      }
+      tokens.push({ kind: match[2] || match[3] ? 'float' : 'int', value: match[0], loc });
+      i += match[0].length;
+    } else if (source.startsWith('"""', i)) {
+      const { value, end } = readBlockString(source, i, lineStarts);
+      tokens.push({ kind: 'string', value, loc });
+      i = end;
+    } else if (ch === '"') {
+      const { value, end } = readString(source, i, lineStarts);
+      tokens.push({ kind: 'string', value, loc });
+      i = end;
+    } else {
+      throw syntaxError(`Unexpected character "${ch}".`, loc);
+    }
+  }
+  tokens.push({ kind: 'eof', value: '<EOF>', loc: locationAt(lineStarts, source.length) });
+  return tokens;
+}
+
+/**
+ * Parses a GraphQL query document. A selection set under a field already at
+ * `maxDepth` (the executor's depth limit; root fields are depth 1) is
+ * rejected before it is parsed, so a deeply nested document fails fast.
+ * @param {string} source
+ * @param {{ maxDepth?: number }} [options]
+ * @returns {{ kind: 'Document', definitions: object[] }}
+ * @throws {Error} with `graphqlLocations` on the first syntax error
+ */
+function parseGraphql(source, { maxDepth = Infinity } = {}) {
+  const tokens = tokenize(String(source));
+  let position = 0;
+  let nesting = 0;
+  let fieldDepth = 0;
+
+  const peek = () => tokens[position];
+  const describe = (token) => (token.kind === 'eof' ? '<EOF>' : `"${token.value}"`);
+  const isPunct = (value) => peek().kind === 'punct' && peek().value === value;
+  const isName = (value) => peek().kind === 'name' && (value == null || peek().value === value);
+
+  function expectPunct(value) {
+    const token = peek();
+    if (token.kind !== 'punct' || token.value !== value) {
+      throw syntaxError(`Expected "${value}", found ${describe(token)}.`, token.loc);
+    }
+    position += 1;
+    return token;
+  }
+
+  function expectName() {
+    const token = peek();
+    if (token.kind !== 'name') {
+      throw syntaxError(`Expected Name, found ${describe(token)}.`, token.loc);
+    }
+    position += 1;
+    return token.value;
+  }
+
+  /** Runs `parse` one nesting level down. */
+  function nested(loc, parse) {
+    if (nesting >= MAX_NESTING) throw syntaxError(`Nesting exceeds the maximum of ${MAX_NESTING}.`, loc);
+    nesting += 1;
+    try {
+      return parse();
+    } finally {
+      nesting -= 1;
+    }
+  }
+
+  function many(open, parseItem, close) {
+    expectPunct(open);
+    const items = [];
+    do {
+      items.push(parseItem());
+    } while (!isPunct(close));
+    expectPunct(close);
+    return items;
+  }
+
+  function parseValue(isConst) {
+    const token = peek();
+    if (token.kind === 'punct' && token.value === '$') {
+      if (isConst) throw syntaxError('Unexpected variable in constant value.', token.loc);
+      position += 1;
+      return { kind: 'Variable', name: expectName(), loc: token.loc };
+    }
+    if (token.kind === 'punct' && token.value === '[') {
+      position += 1;
+      const values = [];
+      while (!isPunct(']')) values.push(nested(token.loc, () => parseValue(isConst)));
+      expectPunct(']');
+      return { kind: 'ListValue', values, loc: token.loc };
+    }
+    if (token.kind === 'punct' && token.value === '{') {
+      position += 1;
+      const fields = [];
+      while (!isPunct('}')) {
+        const fieldLoc = peek().loc;
+        const name = expectName();
+        expectPunct(':');
+        fields.push({ kind: 'ObjectField', name, value: nested(token.loc, () => parseValue(isConst)), loc: fieldLoc });
+      }
+      expectPunct('}');
+      return { kind: 'ObjectValue', fields, loc: token.loc };
+    }
+    position += 1;
+    switch (token.kind) {
+      case 'int':
+        return { kind: 'IntValue', value: token.value, loc: token.loc };
+      case 'float':
+        return { kind: 'FloatValue', value: token.value, loc: token.loc };
+      case 'string':
+        return { kind: 'StringValue', value: token.value, loc: token.loc };
+      case 'name':
+        if (token.value === 'true' || token.value === 'false') {
+          return { kind: 'BooleanValue', value: token.value === 'true', loc: token.loc };
+        }
+        if (token.value === 'null') return { kind: 'NullValue', loc: token.loc };
+        return { kind: 'EnumValue', value: token.value, loc: token.loc };
+      default:
+        throw syntaxError(`Unexpected ${describe(token)}.`, token.loc);
+    }
+  }
+
+  function parseArguments(isConst) {
+    if (!isPunct('(')) return [];
+    return many(
+      '(',
+      () => {
+        const loc = peek().loc;
+        const name = expectName();
+        expectPunct(':');
+        return { kind: 'Argument', name, value: parseValue(isConst), loc };
+      },
+      ')',
+    );
+  }
+
+  function parseDirectives(isConst) {
+    const directives = [];
+    while (isPunct('@')) {
+      const loc = expectPunct('@').loc;
+      directives.push({ kind: 'Directive', name: expectName(), arguments: parseArguments(isConst), loc });
+    }
+    return directives;
+  }
+
+  function parseTypeReference() {
+    const loc = peek().loc;
+    let type;
+    if (isPunct('[')) {
+      position += 1;
+      type = { kind: 'ListType', type: nested(loc, parseTypeReference), loc };
+      expectPunct(']');
+    } else {
+      type = { kind: 'NamedType', name: expectName(), loc };
+    }
+    if (isPunct('!')) {
+      position += 1;
+      return { kind: 'NonNullType', type, loc };
+    }
+    return type;
+  }
+
+  function parseSelection() {
+    const loc = peek().loc;
+    if (isPunct('...')) {
+      position += 1;
+      if (isName() && peek().value !== 'on') {
+        return { kind: 'FragmentSpread', name: expectName(), directives: parseDirectives(false), loc };
+      }
+      let typeCondition = null;
+      if (isName('on')) {
+        position += 1;
+        typeCondition = expectName();
+      }
+      return {
+        kind: 'InlineFragment',
+        typeCondition,
+        directives: parseDirectives(false),
+        selectionSet: parseSelectionSet(),
+        loc,
+      };
+    }
+
+    let alias = null;
+    let name = expectName();
+    if (isPunct(':')) {
+      position += 1;
+      alias = name;
+      name = expectName();
+    }
+    const args = parseArguments(false);
+    const directives = parseDirectives(false);
+    let selectionSet = null;
+    if (isPunct('{')) {
+      // The executor rejects this field anyway: it is too deep, or __typename with a selection.
+      if (fieldDepth >= maxDepth) throw depthError(maxDepth, loc);
+      fieldDepth += 1;
+      selectionSet = parseSelectionSet();
+      fieldDepth -= 1;
+    }
+    return { kind: 'Field', alias, name, arguments: args, directives, selectionSet, loc };
+  }
+
+  function parseSelectionSet() {
+    const loc = peek().loc;
+    return { kind: 'SelectionSet', selections: nested(loc, () => many('{', parseSelection, '}')), loc };
+  }
+
+  function parseVariableDefinitions() {
+    if (!isPunct('(')) return [];
+    return many(
+      '(',
+      () => {
+        const loc = expectPunct('$').loc;
+        const variable = expectName();
+        expectPunct(':');
+        const type = parseTypeReference();
+        let defaultValue = null;
+        if (isPunct('=')) {
+          position += 1;
+          defaultValue = parseValue(true);
+        }
+        return {
+          kind: 'VariableDefinition',
+          variable,
+          type,
+          defaultValue,
+          directives: parseDirectives(true),
+          loc,
+        };
+      },
+      ')',
+    );
+  }
+
+  function parseDefinition() {
+    const token = peek();
+    if (token.kind === 'punct' && token.value === '{') {
+      return {
+        kind: 'OperationDefinition',
+        operation: 'query',
+        name: null,
+        variableDefinitions: [],
+        directives: [],
+        selectionSet: parseSelectionSet(),
+        loc: token.loc,
+      };
+    }
+    if (token.kind === 'name' && ['query', 'mutation', 'subscription'].includes(token.value)) {
+      position += 1;
+      return {
+        kind: 'OperationDefinition',
+        operation: token.value,
+        name: isName() ? expectName() : null,
+        variableDefinitions: parseVariableDefinitions(),
+        directives: parseDirectives(false),
+        selectionSet: parseSelectionSet(),
+        loc: token.loc,
+      };
+    }
+    if (token.kind === 'name' && token.value === 'fragment') {
+      position += 1;
+      const name = expectName();
+      if (name === 'on') throw syntaxError('Unexpected "on".', token.loc);
+      if (!isName('on')) throw syntaxError(`Expected "on", found ${describe(peek())}.`, peek().loc);
+      position += 1;
+      return {
+        kind: 'FragmentDefinition',
+        name,
+        typeCondition: expectName(),
+        directives: parseDirectives(false),
+        selectionSet: parseSelectionSet(),
+        loc: token.loc,
+      };
+    }
+    throw syntaxError(`Unexpected ${describe(token)}.`, token.loc);
+  }
+
+  const definitions = [];
+  do {
+    definitions.push(parseDefinition());
+  } while (peek().kind !== 'eof');
+
+  return { kind: 'Document', definitions };
+}
+
+module.exports = {
+  tokenize,
+  parseGraphql,
+};
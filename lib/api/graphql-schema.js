@@ -0,0 +1,416 @@
+/**
+ * lib/api/graphql-schema.js — Read-only GraphQL schema over the Export Contract.
+ *
+ * Resolves Name, Citation, PopularitySeries, RelationshipEdge and Group from
+ * the same buildApiIndexes() lookups as the REST routes, so a client can
+ * traverse name → variants → their popularity in one request instead of
+ * joining the export files by slug. Lookup and serialization only; imports
+ * lib/api/ modules only (same forbidden-import rule as Phase 18B).
+ */
+
+const {
+  API_VERSION,
+  MAX_PAGE_LIMIT,
+  MAX_SEARCH_RESULTS,
+  groupIdToPathSegment,
+  buildSearchResponse,
+} = require('./export-api.js');
+const { graphqlError, compileSchema, printSchema, executeGraphql } = require('./graphql-executor.js');
+const { RELATIONSHIP_TYPES } = require('./graph-query.js');
+
+const MAX_GRAPHQL_DEPTH = 8;
+const MAX_GRAPHQL_COST = 10000;
+const DEFAULT_POINT_LIMIT = 50;
+const MAX_POINT_LIMIT = 200;
+/** Cost estimate for the popularity series list, which has no limit argument (one series per region). */
+const POPULARITY_SERIES_ESTIMATE = 4;
+
+/** GroupKind → navigation export key and buildApiIndexes() path index. */
+const GROUP_KINDS = Object.freeze({
+  ORIGIN: { navigationKey: 'origin', indexKey: 'originByPath' },
+  LANGUAGE: { navigationKey: 'language', indexKey: 'languageByPath' },
+  MEANING: { navigationKey: 'meaning', indexKey: 'meaningByPath' },
+  PRONUNCIATION: { navigationKey: 'pronunciation', indexKey: 'pronunciationByPath' },
+  CULTURAL: { navigationKey: 'cultural', indexKey: 'culturalByPath' },
+});
+
+const KNOWLEDGE_TEXT_DOMAINS = Object.freeze(['meaning', 'pronunciation', 'etymology', 'history']);
+
+function checkRange(name, value, min, max) {
+  if (value < min || value > max) {
+    throw graphqlError(`Argument "${name}" must be between ${min} and ${max}.`);
+  }
+  return value;
+}
+
+function pageOf(items, offset, limit) {
+  checkRange('offset', offset, 0, Number.MAX_SAFE_INTEGER);
+  checkRange('limit', limit, 1, MAX_PAGE_LIMIT);
+  return items.slice(offset, offset + limit);
+}
+
+/** Name parents are `{ slug }`; only slugs present in the knowledge export resolve. */
+function nameRef(indexes, slug) {
+  return indexes.knowledgeBySlug.has(slug) ? { slug } : null;
+}
+
+function navigationEntries(indexes, slug, type) {
+  const entity = indexes.navigationBySlug.get(slug);
+  if (!entity) return [];
+  if (type) return entity.byRelationship?.[type]?.entries || [];
+  return entity.entries || RELATIONSHIP_TYPES.flatMap((key) => entity.byRelationship?.[key]?.entries || []);
+}
+
+function knowledgeField(record, domain) {
+  const field = record?.[domain];
+  if (!field) return null;
+  return {
+    value: field.value == null ? null : String(field.value),
+    confidence: field.confidence ?? null,
+    confidenceLevel: field.confidenceLevel || null,
+    sources: field.sources || [],
+    notes: field.notes || null,
+  };
+}
+
+function groupRef(kind, group) {
+  return group ? { kind, group } : null;
+}
+
+const limitSize = (args) => args.limit;
+
+const SCHEMA_DEFINITION = {
+  query: 'Query',
+  types: {
+    JSON: {
+      kind: 'SCALAR',
+      description: 'Arbitrary JSON value, passed through from the Export Contract.',
+      serialize: (value) => value,
+      parseValue: (value) => value,
+    },
+    RelationshipType: { kind: 'ENUM', values: [...RELATIONSHIP_TYPES] },
+    GroupKind: { kind: 'ENUM', values: Object.keys(GROUP_KINDS) },
+    Query: {
+      kind: 'OBJECT',
+      fields: {
+        manifest: {
+          type: 'Manifest!',
+          resolve: (_parent, _args, ctx) => ctx.contract.manifest,
+        },
+        name: {
+          type: 'Name',
+          description: 'One name by slug.',
+          args: { slug: { type: 'String!' } },
+          resolve: (_parent, args, ctx) => nameRef(ctx.indexes, String(args.slug).trim().toLowerCase()),
+        },
+        names: {
+          type: '[Name!]!',
+          description: 'All names in slug order.',
+          args: { offset: { type: 'Int', defaultValue: 0 }, limit: { type: 'Int', defaultValue: 25 } },
+          listSize: limitSize,
+          resolve: (_parent, args, ctx) =>
+            pageOf(ctx.indexes.slugs, args.offset, args.limit).map((slug) => ({ slug })),
+        },
+        search: {
+          type: '[SearchHit!]!',
+          description: 'Ranked search, as GET /api/v1/search.',
+          args: { query: { type: 'String!' }, limit: { type: 'Int', defaultValue: MAX_SEARCH_RESULTS } },
+          listSize: limitSize,
+          resolve: (_parent, args, ctx) => {
+            checkRange('limit', args.limit, 1, MAX_PAGE_LIMIT);
+            return buildSearchResponse(ctx.contract, ctx.indexes, args.query, { offset: 0, limit: args.limit }).results;
+          },
+        },
+        group: {
+          type: 'Group',
+          description: 'One explorer group by navigation group ID or API path segment.',
+          args: { kind: { type: 'GroupKind!' }, id: { type: 'String!' } },
+          resolve: (_parent, args, ctx) =>
+            groupRef(args.kind, ctx.indexes[GROUP_KINDS[args.kind].indexKey].get(groupIdToPathSegment(args.id))),
+        },
+        groups: {
+          type: '[Group!]!',
+          description: 'Explorer groups of one kind in group ID order.',
+          args: {
+            kind: { type: 'GroupKind!' },
+            offset: { type: 'Int', defaultValue: 0 },
+            limit: { type: 'Int', defaultValue: 25 },
+          },
+          listSize: limitSize,
+          resolve: (_parent, args, ctx) =>
+            pageOf(ctx.contract.navigation[GROUP_KINDS[args.kind].navigationKey].groups || [], args.offset, args.limit)
+              .map((group) => groupRef(args.kind, group)),
+        },
+      },
+    },
+    Manifest: {
+      kind: 'OBJECT',
+      fields: {
+        exportVersion: { type: 'String!' },
+        semanticHash: { type: 'String!' },
+        generatedAt: { type: 'String!' },
+        recordCounts: { type: 'JSON' },
+      },
+    },
+    Name: {
+      kind: 'OBJECT',
+      fields: {
+        slug: { type: 'String!' },
+        name: {
+          type: 'String!',
+          resolve: (parent, _args, ctx) => ctx.indexes.knowledgeBySlug.get(parent.slug).name,
+        },
+        gender: {
+          type: 'String',
+          resolve: (parent, _args, ctx) => ctx.indexes.entityBySlug.get(parent.slug)?.gender ?? null,
+        },
+        firstLetter: {
+          type: 'String',
+          resolve: (parent, _args, ctx) => ctx.indexes.entityBySlug.get(parent.slug)?.firstLetter ?? null,
+        },
+        syllables: {
+          type: 'Int',
+          resolve: (parent, _args, ctx) => ctx.indexes.entityBySlug.get(parent.slug)?.syllables ?? null,
+        },
+        origin: {
+          type: 'Origin',
+          resolve: (parent, _args, ctx) => {
+            const field = ctx.indexes.knowledgeBySlug.get(parent.slug).origin;
+            if (!field) return null;
+            const value = field.value || {};
+            return {
+              country: value.origin_country || null,
+              cluster: value.origin_cluster || null,
+              language: value.language || null,
+              confidence: field.confidence ?? null,
+              confidenceLevel: field.confidenceLevel || null,
+              sources: field.sources || [],
+              notes: field.notes || null,
+            };
+          },
+        },
+        ...Object.fromEntries(
+          KNOWLEDGE_TEXT_DOMAINS.map((domain) => [
+            domain,
+            {
+              type: 'KnowledgeField',
+              resolve: (parent, _args, ctx) => knowledgeField(ctx.indexes.knowledgeBySlug.get(parent.slug), domain),
+            },
+          ]),
+        ),
+        citations: {
+          type: '[Citation!]!',
+          description: 'Citation IDs per knowledge domain.',
+          listSize: () => KNOWLEDGE_TEXT_DOMAINS.length + 1,
+          resolve: (parent, _args, ctx) =>
+            Object.entries(ctx.indexes.citationBySlug.get(parent.slug)?.citations || {}).map(([domain, ids]) => ({
+              domain,
+              citationIds: ids || [],
+            })),
+        },
+        popularity: {
+          type: '[PopularitySeries!]!',
+          description: 'One series per region, in region order.',
+          args: { region: { type: 'String' } },
+          listSize: () => POPULARITY_SERIES_ESTIMATE,
+          resolve: (parent, args, ctx) => {
+            const regions = ctx.indexes.popularityBySlug.get(parent.slug)?.popularity?.regions || {};
+            return Object.keys(regions)
+              .sort((a, b) => a.localeCompare(b))
+              .filter((region) => args.region == null || region === args.region)
+              .map((region) => ({ region, sourceId: regions[region].sourceId || null, records: regions[region].records || [] }));
+          },
+        },
+        relationships: {
+          type: '[RelationshipEdge!]!',
+          description: 'Navigation entries for this name, optionally one relationship type.',
+          args: { type: { type: 'RelationshipType' }, limit: { type: 'Int', defaultValue: 25 } },
+          listSize: limitSize,
+          resolve: (parent, args, ctx) => {
+            checkRange('limit', args.limit, 1, MAX_PAGE_LIMIT);
+            return navigationEntries(ctx.indexes, parent.slug, args.type).slice(0, args.limit);
+          },
+        },
+        variants: {
+          type: '[Name!]!',
+          description: 'Names linked by HAS_VARIANT.',
+          args: { limit: { type: 'Int', defaultValue: 25 } },
+          listSize: limitSize,
+          resolve: (parent, args, ctx) => {
+            checkRange('limit', args.limit, 1, MAX_PAGE_LIMIT);
+            return navigationEntries(ctx.indexes, parent.slug, 'HAS_VARIANT')
+              .map((entry) => nameRef(ctx.indexes, entry.target))
+              .filter(Boolean)
+              .slice(0, args.limit);
+          },
+        },
+      },
+    },
+    Origin: {
+      kind: 'OBJECT',
+      fields: {
+        country: { type: 'String' },
+        cluster: { type: 'String' },
+        language: { type: 'String' },
+        confidence: { type: 'Float' },
+        confidenceLevel: { type: 'String' },
+        sources: { type: '[Source!]!', listSize: () => 1 },
+        notes: { type: 'String' },
+      },
+    },
+    KnowledgeField: {
+      kind: 'OBJECT',
+      fields: {
+        value: { type: 'String' },
+        confidence: { type: 'Float' },
+        confidenceLevel: { type: 'String' },
+        sources: { type: '[Source!]!', listSize: () => 1 },
+        notes: { type: 'String' },
+      },
+    },
+    Source: {
+      kind: 'OBJECT',
+      fields: {
+        type: { type: 'String' },
+        reference: { type: 'String' },
+      },
+    },
+    Citation: {
+      kind: 'OBJECT',
+      fields: {
+        domain: { type: 'String!' },
+        citationIds: { type: '[String!]!' },
+      },
+    },
+    PopularitySeries: {
+      kind: 'OBJECT',
+      fields: {
+        region: { type: 'String!' },
+        sourceId: { type: 'String' },
+        points: {
+          type: '[PopularityPoint!]!',
+          description: 'Yearly rows in export order; `since` keeps years ≥ since.',
+          args: { since: { type: 'Int' }, limit: { type: 'Int', defaultValue: DEFAULT_POINT_LIMIT } },
+          listSize: limitSize,
+          resolve: (parent, args) => {
+            checkRange('limit', args.limit, 1, MAX_POINT_LIMIT);
+            return parent.records
+              .filter((record) => args.since == null || record.year >= args.since)
+              .slice(0, args.limit);
+          },
+        },
+      },
+    },
+    PopularityPoint: {
+      kind: 'OBJECT',
+      fields: {
+        year: { type: 'Int!' },
+        rank: { type: 'Int' },
+        count: { type: 'Int' },
+        trendDirection: { type: 'String' },
+      },
+    },
+    RelationshipEdge: {
+      kind: 'OBJECT',
+      fields: {
+        type: { type: 'RelationshipType!', resolve: (parent) => parent.relationship },
+        confidence: { type: 'String' },
+        weight: { type: 'Float', description: 'Pair affinity across every relationship type.' },
+        derivedFrom: { type: '[String!]!' },
+        explanation: { type: 'JSON' },
+        targetSlug: { type: 'String!', resolve: (parent) => parent.target },
+        target: { type: 'Name', resolve: (parent, _args, ctx) => nameRef(ctx.indexes, parent.target) },
+      },
+    },
+    Group: {
+      kind: 'OBJECT',
+      fields: {
+        id: { type: 'String!', resolve: (parent) => parent.group.id },
+        kind: { type: 'GroupKind!', resolve: (parent) => parent.kind },
+        pathSegment: { type: 'String!', resolve: (parent) => groupIdToPathSegment(parent.group.id) },
+        relationshipType: { type: 'RelationshipType!', resolve: (parent) => parent.group.relationshipType },
+        label: { type: 'JSON', resolve: (parent) => parent.group.label },
+        memberCount: { type: 'Int!', resolve: (parent) => parent.group.memberCount },
+        members: {
+          type: '[Name!]!',
+          description: 'Listed members (the navigation export keeps at most 25 per group).',
+          args: { offset: { type: 'Int', defaultValue: 0 }, limit: { type: 'Int', defaultValue: 25 } },
+          listSize: limitSize,
+          resolve: (parent, args, ctx) =>
+            pageOf(parent.group.members || [], args.offset, args.limit)
+              .map((slug) => nameRef(ctx.indexes, slug))
+              .filter(Boolean),
+        },
+        subclusters: {
+          type: '[Subcluster!]!',
+          description: 'Communities of a group the graph split by affinity, largest first.',
+          resolve: (parent) => parent.group.subclusters || [],
+        },
+      },
+    },
+    Subcluster: {
+      kind: 'OBJECT',
+      fields: {
+        anchor: { type: 'Name', resolve: (parent, _args, ctx) => nameRef(ctx.indexes, parent.anchor) },
+        anchorSlug: { type: 'String!', resolve: (parent) => parent.anchor },
+        memberCount: { type: 'Int!' },
+        members: {
+          type: '[Name!]!',
+          resolve: (parent, _args, ctx) => parent.members.map((slug) => nameRef(ctx.indexes, slug)).filter(Boolean),
+        },
+      },
+    },
+    SearchHit: {
+      kind: 'OBJECT',
+      fields: {
+        score: { type: 'Float!' },
+        matchType: { type: 'String!' },
+        matchedOn: { type: 'String!' },
+        matchedTerm: { type: 'String!' },
+        name: { type: 'Name!', resolve: (parent, _args, ctx) => nameRef(ctx.indexes, parent.slug) },
+      },
+    },
+  },
+};
+
+const SCHEMA = compileSchema(SCHEMA_DEFINITION);
+const SCHEMA_SDL = printSchema(SCHEMA);
+
+/**
+ * Executes one GraphQL request against a loaded contract. Reproducibility
+ * metadata goes in `extensions`, alongside the planned depth and cost.
+ * @param {object} contract - loadExportContract() / parseExportContract() result
+ * @param {object} indexes - buildApiIndexes() result
+ * @param {{ query: string, variables?: object, operationName?: string }} request
+ */
+function buildGraphqlResponse(contract, indexes, request) {
+  const result = executeGraphql(SCHEMA, {
+    query: request.query,
+    variables: request.variables,
+    operationName: request.operationName,
+    context: { contract, indexes },
+    limits: { maxDepth: MAX_GRAPHQL_DEPTH, maxCost: MAX_GRAPHQL_COST },
+  });
+
+  const response = {};
+  if ('data' in result) response.data = result.data;
+  if (result.errors) response.errors = result.errors;
+  response.extensions = {
+    apiVersion: API_VERSION,
+    datasetVersion: contract.manifest.exportVersion,
+    semanticHash: contract.manifest.semanticHash,
+    generatedAt: contract.manifest.generatedAt,
+  };
+  if (result.cost != null) {
+    response.extensions.cost = result.cost;
+    response.extensions.depth = result.depth;
+  }
+  return response;
+}
+
+module.exports = {
+  MAX_GRAPHQL_DEPTH,
+  MAX_GRAPHQL_COST,
+  SCHEMA_SDL,
+  buildGraphqlResponse,
+};
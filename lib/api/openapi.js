@@ -0,0 +1,642 @@
+/**
+ * lib/api/openapi.js — OpenAPI 3.1 description of the AI / Research API v1.
+ *
+ * Built from the query-server route table: each route's `spec` block names its
+ * path template, parameters and response schema, and this module supplies the
+ * shared parameter definitions plus a JSON Schema for every envelope that
+ * wrapApiResponse() produces. Record schemas mirror the frozen record schemas
+ * under schemas/ (knowledge v2, citation v1, popularity v1). Pure — no I/O.
+ */
+
+const {
+  API_VERSION,
+  MAX_SEARCH_RESULTS,
+  MAX_PAGE_LIMIT,
+  MAX_BATCH_SIZE,
+  FACET_NAMES,
+} = require('./export-api.js');
+const {
+  RELATIONSHIP_TYPES,
+  CONFIDENCE_LEVELS,
+  CENTRALITY_MEASURES,
+  MAX_NEIGHBORHOOD_DEPTH,
+} = require('./graph-query.js');
+const { RANKING_SIGNALS, RANKING_PROFILES, GENDERS } = require('../navigation/related-ranking.js');
+
+const OPENAPI_VERSION = '3.1.0';
+const SCHEMA_PREFIX = '#/components/schemas/';
+
+const ref = (name) => ({ $ref: `${SCHEMA_PREFIX}${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const arrayOf = (items) => ({ type: 'array', items });
+
+const STRING = Object.freeze({ type: 'string' });
+const INTEGER = Object.freeze({ type: 'integer' });
+const STRING_LIST = Object.freeze(arrayOf(STRING));
+const SOURCE_ID = Object.freeze({ type: 'string', pattern: '^[A-Z0-9_]+$' });
+const NAME = Object.freeze({ type: 'string', minLength: 1 });
+
+function object(properties, required = Object.keys(properties), extra = {}) {
+  return { type: 'object', required, additionalProperties: false, properties, ...extra };
+}
+
+/** Fields wrapApiResponse() adds to every JSON response. */
+const ENVELOPE_PROPERTIES = Object.freeze({
+  apiVersion: { type: 'string', const: API_VERSION },
+  datasetVersion: STRING,
+  semanticHash: { type: ['string', 'null'] },
+  generatedAt: { type: ['string', 'null'] },
+});
+
+function envelope(description, properties, required = Object.keys(properties)) {
+  return object(
+    { ...ENVELOPE_PROPERTIES, endpoint: STRING, ...properties },
+    [...Object.keys(ENVELOPE_PROPERTIES), 'endpoint', ...required],
+    { description },
+  );
+}
+
+function domainField(value) {
+  return {
+    allOf: [ref('DomainField'), { properties: { value } }],
+  };
+}
+
+const KNOWLEDGE_DOMAINS = Object.freeze(['origin', 'meaning', 'pronunciation', 'etymology', 'history']);
+
+const RECORD_SCHEMAS = {
+  Source: object({ type: STRING, reference: STRING }),
+  DomainField: object({
+    value: {},
+    confidence: { type: ['number', 'null'] },
+    confidenceLevel: { type: ['string', 'null'], enum: ['high', 'medium', 'low', null] },
+    sources: arrayOf(ref('Source')),
+    notes: { type: ['string', 'null'] },
+  }),
+  OriginValue: object({
+    origin_country: { type: ['string', 'null'] },
+    origin_cluster: { type: ['string', 'null'] },
+    language: { type: ['string', 'null'] },
+  }),
+  KnowledgeRecord: object(
+    {
+      name: NAME,
+      origin: domainField(ref('OriginValue')),
+      meaning: domainField({ type: ['string', 'null'] }),
+      pronunciation: domainField({ type: ['string', 'null'] }),
+      etymology: domainField({ type: ['string', 'null'] }),
+      history: domainField({ type: ['string', 'null'] }),
+      provenance: object(
+        Object.fromEntries(KNOWLEDGE_DOMAINS.map((domain) => [domain, ref('FieldProvenance')])),
+        [],
+        { description: 'Where each populated domain value came from, keyed by domain.' },
+      ),
+    },
+    ['name'],
+    {
+      description:
+        'Knowledge Record v2 (schemas/knowledge-record-v2.schema.json) with its Provenance Record (schemas/provenance-records-v1.schema.json).',
+    },
+  ),
+  FieldProvenance: object({
+    override: STRING,
+    research: { type: ['string', 'null'] },
+    batch: nullable(
+      object({
+        artifact: STRING,
+        title: { type: ['string', 'null'] },
+        phase: { type: ['string', 'null'] },
+        wave: { type: ['integer', 'string', 'null'] },
+        batch: { type: ['integer', 'string', 'null'] },
+        generatedAt: { type: ['string', 'null'] },
+      }),
+    ),
+    applyScript: { type: ['string', 'null'] },
+    citationIds: { ...arrayOf(SOURCE_ID), minItems: 1 },
+  }),
+  CitationRecord: object(
+    {
+      name: NAME,
+      citations: object(
+        Object.fromEntries(KNOWLEDGE_DOMAINS.map((domain) => [domain, { ...arrayOf(SOURCE_ID), minItems: 1 }])),
+        [],
+      ),
+    },
+    ['name', 'citations'],
+    { description: 'Citation Record v1 (schemas/citation-records-v1.schema.json).' },
+  ),
+  PopularityRow: object(
+    {
+      year: INTEGER,
+      rank: { type: ['integer', 'null'] },
+      count: { type: ['integer', 'null'] },
+      trendDirection: { type: ['string', 'null'], enum: ['rising', 'stable', 'falling', null] },
+    },
+    ['year'],
+  ),
+  PopularityRecord: object(
+    {
+      name: NAME,
+      popularity: object({
+        sources: arrayOf(SOURCE_ID),
+        regions: {
+          type: 'object',
+          additionalProperties: object(
+            {
+              sourceId: { type: ['string', 'null'], pattern: SOURCE_ID.pattern },
+              records: { ...arrayOf(ref('PopularityRow')), minItems: 1 },
+            },
+            ['records'],
+          ),
+        },
+      }),
+    },
+    ['name', 'popularity'],
+    { description: 'Popularity Record v1 (schemas/popularity-records-v1.schema.json).' },
+  ),
+  NavigationEntry: object({
+    target: STRING,
+    relationship: STRING,
+    confidence: { type: ['string', 'number'] },
+    weight: { type: ['number', 'null'] },
+    derivedFrom: STRING_LIST,
+    explanation: { type: ['object', 'null'] },
+  }),
+  NavigationEntity: object({
+    slug: STRING,
+    relatedNames: STRING_LIST,
+    sources: STRING_LIST,
+    byRelationship: {
+      type: 'object',
+      additionalProperties: object({ count: INTEGER, entries: arrayOf(ref('NavigationEntry')) }),
+    },
+    entries: arrayOf(ref('NavigationEntry')),
+    rankingAttributes: ref('RankingAttributes'),
+    rankings: object(Object.fromEntries(Object.keys(RANKING_PROFILES).map((profile) => [profile, STRING_LIST]))),
+  }),
+  RankingAttributes: object({
+    gender: nullable({ type: 'string', enum: [...GENDERS] }),
+    completeness: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+    popularity: { type: 'object', additionalProperties: INTEGER },
+  }),
+  RankedName: object({
+    slug: STRING,
+    score: { type: 'number' },
+    signals: object(Object.fromEntries(RANKING_SIGNALS.map((signal) => [signal, { type: 'number' }]))),
+  }),
+  RelatedRanking: object({
+    profile: { type: 'string', enum: Object.keys(RANKING_PROFILES) },
+    weights: object(
+      Object.fromEntries(RANKING_SIGNALS.map((signal) => [signal, { type: 'number', minimum: -1, maximum: 1 }])),
+    ),
+    country: { type: ['string', 'null'] },
+    gender: nullable({ type: 'string', enum: [...GENDERS] }),
+    names: arrayOf(ref('RankedName')),
+  }),
+  GraphHop: object({
+    from: STRING,
+    to: STRING,
+    edgeId: STRING,
+    relationshipType: { type: 'string', enum: [...RELATIONSHIP_TYPES] },
+    direction: { type: 'string', enum: ['forward', 'reverse'] },
+    confidence: { type: 'string', enum: [...CONFIDENCE_LEVELS] },
+    weight: { type: ['number', 'null'] },
+    derivedFrom: STRING_LIST,
+    explanation: { type: ['object', 'null'] },
+  }),
+  ExplorerGroup: object({
+    id: STRING,
+    relationshipType: STRING,
+    derivedFrom: STRING_LIST,
+    label: { type: 'object' },
+    memberCount: INTEGER,
+    members: STRING_LIST,
+    subclusters: arrayOf(object({ anchor: STRING, memberCount: INTEGER, members: STRING_LIST })),
+  }),
+};
+
+const SHARED_SCHEMAS = {
+  OffsetPagination: object({
+    offset: INTEGER,
+    limit: INTEGER,
+    total: INTEGER,
+    nextOffset: { type: ['integer', 'null'] },
+  }),
+  CursorPagination: object({
+    limit: INTEGER,
+    total: INTEGER,
+    nextCursor: { type: ['string', 'null'] },
+  }),
+  SearchResult: object(
+    {
+      slug: STRING,
+      name: STRING,
+      score: { type: 'number' },
+      matchType: { type: 'string', enum: ['exact', 'prefix', 'fuzzy', 'phonetic'] },
+      matchedOn: { type: 'string', enum: ['name', 'variant', 'transliteration'] },
+      matchedTerm: STRING,
+      distance: INTEGER,
+      algorithm: { type: 'string', enum: ['double-metaphone', 'soundex'] },
+    },
+    ['slug', 'name', 'score', 'matchType', 'matchedOn', 'matchedTerm'],
+  ),
+  FacetValues: object(Object.fromEntries(FACET_NAMES.map((name) => [name, STRING]))),
+  BatchEntry: {
+    anyOf: [
+      object({
+        status: { type: 'string', const: 'found' },
+        knowledge: ref('KnowledgeRecord'),
+        citation: nullable(ref('CitationRecord')),
+        popularity: nullable(ref('PopularityRecord')),
+        navigation: nullable(ref('NavigationEntity')),
+      }),
+      object({ status: { type: 'string', const: 'not_found' } }),
+    ],
+  },
+  ChangesSummary: object({
+    entitiesAdded: INTEGER,
+    entitiesRemoved: INTEGER,
+    entitiesChanged: INTEGER,
+    fieldChanges: { type: 'object', additionalProperties: INTEGER },
+    citationChanges: INTEGER,
+    popularityChanges: INTEGER,
+    edgesAdded: INTEGER,
+    edgesRemoved: INTEGER,
+  }),
+  EntityChange: object(
+    {
+      slug: STRING,
+      status: { type: 'string', enum: ['added', 'removed', 'changed'] },
+      fields: {
+        type: 'object',
+        additionalProperties: { type: 'string', enum: ['added', 'removed', 'changed'] },
+      },
+      citations: {
+        type: 'object',
+        additionalProperties: object({ added: STRING_LIST, removed: STRING_LIST }),
+      },
+      popularity: {
+        type: 'object',
+        additionalProperties: object({
+          yearsAdded: arrayOf(INTEGER),
+          yearsRemoved: arrayOf(INTEGER),
+          yearsChanged: arrayOf(INTEGER),
+        }),
+      },
+      relationships: object({ added: STRING_LIST, removed: STRING_LIST, changed: STRING_LIST }),
+    },
+    ['slug', 'status'],
+  ),
+  GraphFilters: object({
+    relationshipTypes: nullable(arrayOf({ type: 'string', enum: [...RELATIONSHIP_TYPES] })),
+    minConfidence: nullable({ type: 'string', enum: [...CONFIDENCE_LEVELS] }),
+  }),
+  GraphqlError: object(
+    {
+      message: STRING,
+      locations: arrayOf(object({ line: INTEGER, column: INTEGER })),
+      path: arrayOf({ type: ['string', 'integer'] }),
+    },
+    ['message'],
+  ),
+  BatchRequest: object({ slugs: { ...STRING_LIST, minItems: 1, maxItems: MAX_BATCH_SIZE } }),
+  GraphqlRequest: object(
+    {
+      query: STRING,
+      variables: { type: ['object', 'null'] },
+      operationName: { type: ['string', 'null'] },
+    },
+    ['query'],
+  ),
+};
+
+const RESPONSE_SCHEMAS = {
+  ManifestResponse: envelope('Export Contract manifest.', {
+    manifest: { type: 'object', required: ['exportVersion'] },
+  }),
+  NameListResponse: envelope('Paginated slug listing.', {
+    slugs: STRING_LIST,
+    pagination: ref('OffsetPagination'),
+  }),
+  NameResponse: envelope('Knowledge, citation, popularity and navigation for one name.', {
+    slug: STRING,
+    knowledge: ref('KnowledgeRecord'),
+    citation: nullable(ref('CitationRecord')),
+    popularity: nullable(ref('PopularityRecord')),
+    navigation: nullable(ref('NavigationEntity')),
+  }),
+  BatchResponse: envelope('Many name lookups keyed by normalized slug.', {
+    requested: INTEGER,
+    found: INTEGER,
+    notFound: STRING_LIST,
+    results: { type: 'object', additionalProperties: ref('BatchEntry') },
+  }),
+  RelationshipsResponse: envelope('Navigation entity for one name.', {
+    slug: STRING,
+    navigation: ref('NavigationEntity'),
+    ranking: ref('RelatedRanking'),
+  }),
+  ExplorerGroupResponse: envelope('One explorer group with paginated members.', {
+    groupId: STRING,
+    group: ref('ExplorerGroup'),
+    pagination: ref('OffsetPagination'),
+  }),
+  FacetResponse: envelope('Faceted listing with disjunctive value counts.', {
+    filters: { type: 'object', additionalProperties: STRING_LIST },
+    facets: object(
+      Object.fromEntries(FACET_NAMES.map((name) => [name, { type: 'object', additionalProperties: INTEGER }])),
+    ),
+    matchCount: INTEGER,
+    results: arrayOf(object({ slug: STRING, name: STRING, facets: ref('FacetValues') })),
+    pagination: ref('CursorPagination'),
+  }),
+  ChangesResponse: envelope('Per-entity changes since an earlier release.', {
+    since: STRING,
+    changesVersion: STRING,
+    relationshipsCompared: { type: 'boolean' },
+    summary: ref('ChangesSummary'),
+    entities: arrayOf(ref('EntityChange')),
+    pagination: ref('OffsetPagination'),
+  }),
+  GraphPathResponse: envelope('Shortest relationship chain between two names.', {
+    from: STRING,
+    to: STRING,
+    filters: ref('GraphFilters'),
+    found: { type: 'boolean' },
+    length: { type: ['integer', 'null'] },
+    nodes: STRING_LIST,
+    hops: arrayOf(ref('GraphHop')),
+  }),
+  GraphNeighborhoodResponse: envelope('Names within k hops, with the hop that first reached each.', {
+    slug: STRING,
+    depth: INTEGER,
+    filters: ref('GraphFilters'),
+    members: arrayOf(object({ slug: STRING, distance: INTEGER, via: nullable(ref('GraphHop')) })),
+    pagination: ref('OffsetPagination'),
+  }),
+  GraphComponentResponse: envelope('Connected component containing one name.', {
+    slug: STRING,
+    filters: ref('GraphFilters'),
+    componentSize: INTEGER,
+    members: STRING_LIST,
+    pagination: ref('OffsetPagination'),
+  }),
+  GraphCentralityResponse: envelope('Names ranked by centrality.', {
+    measure: { type: 'string', enum: [...CENTRALITY_MEASURES] },
+    filters: ref('GraphFilters'),
+    results: arrayOf(object({ rank: INTEGER, slug: STRING, score: { type: 'number' } })),
+    pagination: ref('OffsetPagination'),
+  }),
+  SearchResponse: envelope('Ranked fuzzy search.', {
+    query: STRING,
+    matchCount: INTEGER,
+    matches: STRING_LIST,
+    results: arrayOf(ref('SearchResult')),
+    pagination: ref('OffsetPagination'),
+  }),
+  SearchIndexFile: object(
+    {
+      apiVersion: ENVELOPE_PROPERTIES.apiVersion,
+      datasetVersion: STRING,
+      semanticHash: ENVELOPE_PROPERTIES.semanticHash,
+      endpoint: STRING,
+      maxResults: INTEGER,
+      slugs: STRING_LIST,
+    },
+    undefined,
+    { description: 'Static api/v1/search-index.json (not served by a route).' },
+  ),
+  GraphqlResponse: object(
+    {
+      data: { type: ['object', 'null'] },
+      errors: arrayOf(ref('GraphqlError')),
+      extensions: object(
+        {
+          ...ENVELOPE_PROPERTIES,
+          cost: INTEGER,
+          depth: INTEGER,
+        },
+        Object.keys(ENVELOPE_PROPERTIES),
+      ),
+    },
+    ['extensions'],
+    { description: 'GraphQL result; not wrapped — envelope fields are under extensions.' },
+  ),
+  GraphqlSchemaResponse: envelope('GraphQL schema as SDL.', { sdl: STRING }),
+  OpenApiDocument: {
+    type: 'object',
+    required: ['openapi', 'info', 'paths', 'components'],
+    description: 'This document.',
+  },
+  ErrorResponse: envelope('Error envelope.', {
+    error: object({ status: INTEGER, code: STRING, message: STRING }),
+  }),
+};
+
+const pageParams = (defaultLimit) => ({
+  offset: { in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+  limit: { in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT, default: defaultLimit } },
+});
+
+/** Parameter definitions referenced by name from route `spec.parameters`. */
+const PARAMETERS = {
+  slug: { in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z0-9-]+$' } },
+  group: { in: 'path', required: true, description: 'Group path segment, e.g. cluster-celtic.', schema: STRING },
+  ...pageParams(MAX_PAGE_LIMIT),
+  searchLimit: {
+    name: 'limit',
+    in: 'query',
+    schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT, default: MAX_SEARCH_RESULTS },
+  },
+  q: { in: 'query', schema: { type: 'string', maxLength: 100 } },
+  slugs: {
+    in: 'query',
+    description: `Comma-separated or repeated; 1–${MAX_BATCH_SIZE} slugs.`,
+    schema: STRING_LIST,
+    style: 'form',
+    explode: true,
+  },
+  since: { in: 'query', required: true, description: 'Dataset version of an earlier release.', schema: STRING },
+  cursor: { in: 'query', description: 'nextCursor from the previous page.', schema: STRING },
+  ...Object.fromEntries(
+    FACET_NAMES.map((name) => [
+      name,
+      { in: 'query', description: 'Comma-separated values; OR within the facet.', schema: STRING },
+    ]),
+  ),
+  from: { in: 'query', required: true, schema: { type: 'string', pattern: '^[a-z0-9-]+$' } },
+  to: { in: 'query', required: true, schema: { type: 'string', pattern: '^[a-z0-9-]+$' } },
+  types: {
+    in: 'query',
+    description: 'Relationship types to follow; comma-separated or repeated. Default: all.',
+    schema: arrayOf({ type: 'string', enum: [...RELATIONSHIP_TYPES] }),
+    style: 'form',
+    explode: true,
+  },
+  minConfidence: {
+    in: 'query',
+    description: 'Weakest confidence tier to follow.',
+    schema: { type: 'string', enum: [...CONFIDENCE_LEVELS] },
+  },
+  profile: {
+    in: 'query',
+    description: 'Named related-name ranking profile.',
+    schema: { type: 'string', enum: Object.keys(RANKING_PROFILES), default: 'default' },
+  },
+  weights: {
+    in: 'query',
+    description: `signal:weight pairs overriding the profile, weights in [-1, 1]; signals: ${RANKING_SIGNALS.join(', ')}.`,
+    schema: STRING,
+  },
+  country: { in: 'query', description: 'Region code for the popularity signal, one of the regions in the popularity export, e.g. USA.', schema: STRING },
+  gender: {
+    in: 'query',
+    description: 'Gender to match; defaults to the name\'s own gender.',
+    schema: { type: 'string', enum: [...GENDERS] },
+  },
+  depth: { in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_NEIGHBORHOOD_DEPTH, default: 1 } },
+  measure: { in: 'query', schema: { type: 'string', enum: [...CENTRALITY_MEASURES], default: 'degree' } },
+  query: { in: 'query', description: 'GraphQL document (GET only).', schema: { type: 'string', maxLength: 10000 } },
+  variables: { in: 'query', description: 'JSON object (GET only).', schema: STRING },
+  operationName: { in: 'query', schema: STRING },
+};
+
+function parameterComponent(key) {
+  const { name = key, ...rest } = PARAMETERS[key];
+  return { name, ...rest };
+}
+
+function camelCase(id) {
+  return id.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+}
+
+const ERROR_RESPONSES = Object.freeze({
+  400: { $ref: '#/components/responses/BadRequest' },
+  404: { $ref: '#/components/responses/NotFound' },
+  405: { $ref: '#/components/responses/MethodNotAllowed' },
+});
+
+function successResponse(spec) {
+  if (spec.contentType === 'application/x-ndjson') {
+    return {
+      description: `One ${spec.lineSchema} JSON object per line.`,
+      headers: {
+        'X-Dataset-Version': { schema: STRING },
+        'X-Record-Count': { schema: { type: 'string', pattern: '^[0-9]+$' } },
+      },
+      content: { 'application/x-ndjson': { schema: { type: 'string' }, 'x-line-schema': ref(spec.lineSchema) } },
+    };
+  }
+  return {
+    description: RESPONSE_SCHEMAS[spec.response].description || spec.response,
+    content: { 'application/json': { schema: ref(spec.response) } },
+  };
+}
+
+function buildOperation(route, method) {
+  const { spec } = route;
+  const isPost = method === 'POST';
+  const operation = {
+    operationId: `${camelCase(route.id)}${isPost ? 'Post' : ''}`,
+    summary: spec.summary,
+  };
+  const parameters = (isPost ? [] : spec.parameters || [])
+    .concat(isPost ? (spec.parameters || []).filter((key) => PARAMETERS[key].in === 'path') : [])
+    .map((key) => ({ $ref: `#/components/parameters/${key}` }));
+  if (parameters.length) operation.parameters = parameters;
+  if (isPost) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: ref(spec.requestBody) } },
+    };
+  }
+  operation.responses = {
+    200: successResponse(spec),
+    ...(isPost ? {} : { 304: { description: 'Not Modified (If-None-Match matched the ETag).' } }),
+    ...ERROR_RESPONSES,
+  };
+  return operation;
+}
+
+/**
+ * @param {object[]} routes - query-server ROUTES; each needs a `spec` block
+ *   ({ path, summary, parameters?, response | contentType + lineSchema, requestBody? })
+ */
+function buildOpenApiDocument(routes) {
+  const paths = {};
+  for (const route of routes) {
+    if (!route.spec) throw new Error(`Route "${route.id}" has no OpenAPI spec block.`);
+    const methods = (route.methods || ['GET', 'HEAD']).filter((method) => method !== 'HEAD');
+    paths[route.spec.path] = Object.fromEntries(
+      methods.map((method) => [method.toLowerCase(), buildOperation(route, method)]),
+    );
+  }
+
+  const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: ref('ErrorResponse') } },
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'nameorigin.io AI / Research API',
+      version: API_VERSION,
+      description:
+        'Read-only API over the frozen Export Contract. Every GET route also answers HEAD and OPTIONS; ' +
+        'GET responses carry an ETag and honour If-None-Match.',
+    },
+    servers: [{ url: `/api/v${API_VERSION}` }],
+    paths,
+    components: {
+      schemas: { ...RECORD_SCHEMAS, ...SHARED_SCHEMAS, ...RESPONSE_SCHEMAS },
+      parameters: Object.fromEntries(Object.keys(PARAMETERS).map((key) => [key, parameterComponent(key)])),
+      responses: {
+        BadRequest: errorResponse('Invalid parameter, path, cursor or request body.'),
+        NotFound: errorResponse('Unknown route, resource or release.'),
+        MethodNotAllowed: errorResponse('Method not accepted by this route; see the Allow header.'),
+      },
+    },
+  };
+}
+
+/** Checks that every $ref in the document resolves and every path template parameter is declared. */
+function validateOpenApiDocument(document) {
+  const errors = [];
+  const visit = (node, where) => {
+    if (!node || typeof node !== 'object') return;
+    if (typeof node.$ref === 'string') {
+      const target = node.$ref
+        .slice(2)
+        .split('/')
+        .reduce((current, part) => current?.[part], document);
+      if (!node.$ref.startsWith('#/') || target === undefined) errors.push(`Unresolvable $ref at ${where}: ${node.$ref}`);
+    }
+    for (const [key, child] of Object.entries(node)) visit(child, `${where}/${key}`);
+  };
+  visit(document, '#');
+
+  const operationIds = new Set();
+  for (const [pathTemplate, item] of Object.entries(document.paths)) {
+    const templateParams = [...pathTemplate.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+    for (const [method, operation] of Object.entries(item)) {
+      if (operationIds.has(operation.operationId)) errors.push(`Duplicate operationId: ${operation.operationId}`);
+      operationIds.add(operation.operationId);
+      const declared = (operation.parameters || [])
+        .map((param) => document.components.parameters[param.$ref.split('/').pop()])
+        .filter((param) => param?.in === 'path')
+        .map((param) => param.name);
+      for (const name of templateParams) {
+        if (!declared.includes(name)) errors.push(`${method.toUpperCase()} ${pathTemplate}: path parameter {${name}} not declared.`);
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  SCHEMA_PREFIX,
+  buildOpenApiDocument,
+  validateOpenApiDocument,
+};
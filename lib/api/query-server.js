@@ -0,0 +1,786 @@
+/**
+ * lib/api/query-server.js — Phase 18C AI / Research API v1 query server.
+ *
+ * On-demand request handler for the /api/v1/ routes. Answers every request
+ * with the same build*Response() builders that produce the Phase 18B static
+ * payloads, so a live response and its pre-rendered file are identical for
+ * the same slug or group.
+ *
+ * Host-agnostic: scripts/serve-api.js (local Node server) and
+ * functions/api/v1/[[path]].js (Cloudflare Pages Function) adapt their native
+ * request objects to handleApiRequest() and write back { status, headers, body }.
+ * Imports only lib/api/ modules — same forbidden-import rule as Phase 18B.
+ */
+
+const {
+  API_VERSION,
+  MAX_SEARCH_RESULTS,
+  MAX_PAGE_LIMIT,
+  MAX_BATCH_SIZE,
+  EXPORT_FILES,
+  stableHash,
+  wrapApiResponse,
+  buildApiIndexes,
+  buildManifestResponse,
+  buildNameResponse,
+  buildBatchResponse,
+  buildRelationshipsResponse,
+  buildOriginResponse,
+  buildLanguageResponse,
+  buildMeaningResponse,
+  buildCulturalResponse,
+  buildSearchResponse,
+  buildNameListResponse,
+  FACET_NAMES,
+  normalizeFacetFilters,
+  decodeCursor,
+  buildFacetResponse,
+  buildGraphPathResponse,
+  buildGraphNeighborhoodResponse,
+  buildGraphComponentResponse,
+  buildGraphCentralityResponse,
+  buildContractSnapshot,
+  buildChangesResponse,
+} = require('./export-api.js');
+const {
+  RELATIONSHIP_TYPES,
+  CONFIDENCE_LEVELS,
+  CENTRALITY_MEASURES,
+  MAX_NEIGHBORHOOD_DEPTH,
+} = require('./graph-query.js');
+const { SCHEMA_SDL, buildGraphqlResponse } = require('./graphql-schema.js');
+const { normalizeRankingOptions } = require('../navigation/related-ranking.js');
+const { isValidVersion, diffReleaseSnapshots } = require('./release-diff.js');
+const { buildOpenApiDocument } = require('./openapi.js');
+
+const API_PREFIX = `/api/v${API_VERSION}`;
+const MAX_QUERY_LENGTH = 100;
+const MAX_GRAPHQL_QUERY_LENGTH = 10000;
+/** Largest POST body either host reads; a larger one gets payloadTooLargeResult(). */
+const MAX_BODY_BYTES = 64 * 1024;
+const CACHE_CONTROL = 'public, max-age=300';
+const NDJSON_CHUNK_RECORDS = 200;
+
+const ALLOWED_METHODS = Object.freeze(['GET', 'HEAD', 'POST', 'OPTIONS']);
+/** Methods a route accepts unless it lists its own `methods`. */
+const READ_METHODS = Object.freeze(['GET', 'HEAD']);
+
+const CORS_HEADERS = Object.freeze({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': ALLOWED_METHODS.join(', '),
+  'Access-Control-Allow-Headers': 'Content-Type, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag, X-Dataset-Version, X-Record-Count',
+  'Access-Control-Max-Age': '86400',
+});
+
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+const GROUP_SEGMENT_PATTERN = /^[^/\s]+$/;
+
+/** Client errors carry their HTTP status and envelope code; anything else is a server fault and is rethrown. */
+function requestError(status, code, message) {
+  const error = new Error(message);
+  error.apiStatus = status;
+  error.apiCode = code;
+  return error;
+}
+
+function parseIntegerParam(params, name, { min, max, fallback }) {
+  const raw = params.get(name);
+  if (raw == null || raw === '') return fallback;
+  if (!/^\d+$/.test(raw)) {
+    throw requestError(400, 'invalid_parameter', `Query parameter "${name}" must be a non-negative integer.`);
+  }
+  const value = Number(raw);
+  if (value < min || value > max) {
+    throw requestError(400, 'invalid_parameter', `Query parameter "${name}" must be between ${min} and ${max}.`);
+  }
+  return value;
+}
+
+function parsePage(params, defaultLimit) {
+  return {
+    offset: parseIntegerParam(params, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER, fallback: 0 }),
+    limit: parseIntegerParam(params, 'limit', { min: 1, max: MAX_PAGE_LIMIT, fallback: defaultLimit }),
+  };
+}
+
+function requireSegment(value, pattern, label) {
+  const segment = decodeURIComponent(value).trim().toLowerCase();
+  if (!segment || !pattern.test(segment)) {
+    throw requestError(400, 'invalid_path', `Malformed ${label}: "${value}".`);
+  }
+  return segment;
+}
+
+const FACET_QUERY_PARAMS = Object.freeze([...FACET_NAMES, 'cursor', 'limit']);
+
+function resolveFacetQuery(api, params) {
+  for (const name of params.keys()) {
+    if (!FACET_QUERY_PARAMS.includes(name)) {
+      throw requestError(
+        400,
+        'invalid_parameter',
+        `Unknown query parameter "${name}". Expected one of: ${FACET_QUERY_PARAMS.join(', ')}.`,
+      );
+    }
+  }
+  const filters = normalizeFacetFilters(
+    Object.fromEntries(FACET_NAMES.filter((name) => params.has(name)).map((name) => [name, params.getAll(name)])),
+  );
+  const limit = parseIntegerParam(params, 'limit', { min: 1, max: MAX_PAGE_LIMIT, fallback: MAX_PAGE_LIMIT });
+  const cursor = params.get('cursor');
+  const after = cursor ? decodeCursor(cursor, filters) : null;
+  if (cursor && after == null) {
+    throw requestError(400, 'invalid_cursor', 'Cursor is malformed or was issued for different filters.');
+  }
+  return buildFacetResponse(api.contract, api.indexes, filters, { after, limit });
+}
+
+/** `types` (comma-separated or repeated) and `minConfidence` edge filters for the /graph routes. */
+function parseGraphFilters(params) {
+  const relationshipTypes = params
+    .getAll('types')
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim().toUpperCase())
+    .filter(Boolean);
+  for (const type of relationshipTypes) {
+    if (!RELATIONSHIP_TYPES.includes(type)) {
+      throw requestError(
+        400,
+        'invalid_parameter',
+        `Unknown relationship type "${type}". Expected one of: ${RELATIONSHIP_TYPES.join(', ')}.`,
+      );
+    }
+  }
+  const minConfidence = params.get('minConfidence');
+  if (minConfidence != null && !CONFIDENCE_LEVELS.includes(minConfidence)) {
+    throw requestError(
+      400,
+      'invalid_parameter',
+      `Query parameter "minConfidence" must be one of: ${CONFIDENCE_LEVELS.join(', ')}.`,
+    );
+  }
+  return { relationshipTypes: [...new Set(relationshipTypes)].sort(), minConfidence: minConfidence || null };
+}
+
+/**
+ * `profile`, `weights` (`signal:value` pairs, comma-separated or repeated),
+ * `country` and `gender` for the related-name ranking on /relationships.
+ * `country` must be one of `regions`, the region codes in the popularity export.
+ */
+function parseRankingOptions(params, regions) {
+  const weights = {};
+  for (const pair of params.getAll('weights').flatMap((value) => value.split(','))) {
+    if (!pair.trim()) continue;
+    const [signal, value, ...rest] = pair.split(':').map((part) => part.trim());
+    if (!signal || value == null || value === '' || rest.length) {
+      throw requestError(400, 'invalid_parameter', `Query parameter "weights" expects signal:value pairs, got "${pair}".`);
+    }
+    weights[signal] = Number(value);
+  }
+  const country = params.get('country');
+  if (country != null && !regions.includes(country.trim().toUpperCase())) {
+    throw requestError(
+      400,
+      'invalid_parameter',
+      `Query parameter "country" must be one of: ${regions.join(', ')}, got "${country}".`,
+    );
+  }
+  try {
+    return normalizeRankingOptions({
+      profile: params.get('profile') ?? undefined,
+      weights,
+      country,
+      gender: params.get('gender'),
+    });
+  } catch (error) {
+    throw requestError(400, 'invalid_parameter', error.message);
+  }
+}
+
+function requireSlugParam(params, name) {
+  const value = params.get(name);
+  if (!value) {
+    throw requestError(400, 'invalid_parameter', `Query parameter "${name}" is required.`);
+  }
+  const slug = value.trim().toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw requestError(400, 'invalid_parameter', `Query parameter "${name}" is not a slug: "${value}".`);
+  }
+  return slug;
+}
+
+/**
+ * Diffs are computed once per `since` version and kept for the context's
+ * lifetime; releases are immutable, so a cached diff never goes stale.
+ */
+function loadChanges(api, since) {
+  if (!api.changesByVersion.has(since)) {
+    const pending = (async () => {
+      const current = buildContractSnapshot(api.contract);
+      if (since === current.datasetVersion) return diffReleaseSnapshots(current, current);
+      const previous = api.loadSnapshot ? await api.loadSnapshot(since) : null;
+      return previous ? diffReleaseSnapshots(previous, current) : null;
+    })();
+    api.changesByVersion.set(since, pending);
+    const forget = () => api.changesByVersion.delete(since);
+    pending.then((changes) => {
+      if (!changes) forget();
+    }, forget);
+  }
+  return api.changesByVersion.get(since);
+}
+
+async function resolveChangesQuery(api, params) {
+  const since = params.get('since');
+  if (!since) {
+    throw requestError(400, 'invalid_parameter', 'Query parameter "since" is required.');
+  }
+  if (!isValidVersion(since)) {
+    throw requestError(400, 'invalid_parameter', `Query parameter "since" is not a dataset version: "${since}".`);
+  }
+  const page = parsePage(params, MAX_PAGE_LIMIT);
+  const changes = await loadChanges(api, since);
+  if (!changes) {
+    throw requestError(404, 'unknown_version', `No published release "${since}" is available to compare against.`);
+  }
+  return buildChangesResponse(api.contract, changes, page);
+}
+
+function parseJsonParam(raw, label) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw requestError(400, 'invalid_parameter', `${label} is not valid JSON.`);
+  }
+}
+
+/**
+ * GraphQL over HTTP: GET carries query / variables / operationName as query
+ * parameters; POST carries them as a JSON body.
+ */
+function readGraphqlRequest(params, request) {
+  let body;
+  if (request.method === 'POST') {
+    body = parseJsonParam(request.body || '', 'Request body');
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw requestError(400, 'invalid_parameter', 'Request body must be a JSON object.');
+    }
+  } else {
+    body = {
+      query: params.get('query'),
+      variables: params.has('variables') ? parseJsonParam(params.get('variables'), 'Query parameter "variables"') : null,
+      operationName: params.get('operationName'),
+    };
+  }
+
+  if (typeof body.query !== 'string' || body.query.trim() === '') {
+    throw requestError(400, 'invalid_parameter', 'GraphQL "query" is required.');
+  }
+  if (body.query.length > MAX_GRAPHQL_QUERY_LENGTH) {
+    throw requestError(400, 'invalid_parameter', `GraphQL "query" exceeds ${MAX_GRAPHQL_QUERY_LENGTH} characters.`);
+  }
+  if (body.variables != null && (typeof body.variables !== 'object' || Array.isArray(body.variables))) {
+    throw requestError(400, 'invalid_parameter', 'GraphQL "variables" must be a JSON object.');
+  }
+  return {
+    query: body.query,
+    variables: body.variables || {},
+    operationName: body.operationName || null,
+  };
+}
+
+/**
+ * Batch lookup: GET takes `slugs` as comma-separated or repeated query
+ * parameters; POST takes { "slugs": [...] } as a JSON body.
+ */
+function readBatchRequest(params, request) {
+  let slugs;
+  if (request.method === 'POST') {
+    const body = parseJsonParam(request.body || '', 'Request body');
+    slugs = body?.slugs;
+    if (!Array.isArray(slugs) || slugs.some((slug) => typeof slug !== 'string')) {
+      throw requestError(400, 'invalid_parameter', 'Request body must be { "slugs": [string, ...] }.');
+    }
+  } else {
+    slugs = params.getAll('slugs').flatMap((value) => value.split(','));
+  }
+  slugs = slugs.map((slug) => slug.trim()).filter(Boolean);
+  if (slugs.length === 0) {
+    throw requestError(400, 'invalid_parameter', 'At least one slug is required.');
+  }
+  if (slugs.length > MAX_BATCH_SIZE) {
+    throw requestError(400, 'invalid_parameter', `A batch takes at most ${MAX_BATCH_SIZE} slugs.`);
+  }
+  return slugs;
+}
+
+function explorerRoute(id, routeName, sourceKey, builder) {
+  return {
+    id,
+    pattern: new RegExp(`^/${routeName}/([^/]+)$`),
+    sources: [sourceKey],
+    spec: {
+      path: `/${routeName}/{group}`,
+      summary: `Members of one ${routeName} explorer group`,
+      parameters: ['group', 'offset', 'limit'],
+      response: 'ExplorerGroupResponse',
+    },
+    resolve: (api, match, params) => {
+      const segment = requireSegment(match[1], GROUP_SEGMENT_PATTERN, `${routeName} group`);
+      return builder(api.contract, api.indexes, segment, parsePage(params, MAX_PAGE_LIMIT));
+    },
+  };
+}
+
+/** Streams one export artifact's records as NDJSON — byte-identical to exports/{artifact}.jsonl. */
+function ndjsonRoute(artifact) {
+  return {
+    id: `stream-${artifact}`,
+    pattern: new RegExp(`^/stream/${artifact}(?:\\.ndjson)?$`),
+    sources: [artifact],
+    format: 'ndjson',
+    spec: {
+      path: `/stream/${artifact}`,
+      summary: `Every ${artifact} record as NDJSON`,
+      contentType: 'application/x-ndjson',
+      lineSchema: artifact === 'knowledge' ? 'KnowledgeRecord' : 'PopularityRecord',
+    },
+    resolve: (api) => api.contract[artifact].records,
+  };
+}
+
+/**
+ * Route table. `sources` names the EXPORT_FILES keys a route reads — their
+ * hashes (plus the normalized request) make the route's ETag, so an ETag only
+ * changes when an export artifact the response depends on changes.
+ * `resolve` may return a promise (routes that read earlier releases). Routes
+ * with `format: 'ndjson'` resolve to a record array that is streamed line by line.
+ * `spec` describes the route for the OpenAPI document (lib/api/openapi.js):
+ * path template, summary, parameter names and response schema name.
+ */
+const ROUTES = Object.freeze([
+  {
+    id: 'manifest',
+    pattern: /^\/manifest$/,
+    sources: ['manifest'],
+    spec: { path: '/manifest', summary: 'Export Contract manifest', response: 'ManifestResponse' },
+    resolve: (api) => buildManifestResponse(api.contract),
+  },
+  {
+    id: 'names',
+    pattern: /^\/names$/,
+    sources: ['knowledge'],
+    spec: { path: '/names', summary: 'All slugs, paged', parameters: ['offset', 'limit'], response: 'NameListResponse' },
+    resolve: (api, _match, params) =>
+      buildNameListResponse(api.contract, api.indexes, parsePage(params, MAX_PAGE_LIMIT)),
+  },
+  {
+    id: 'name',
+    pattern: /^\/name\/([^/]+)$/,
+    sources: ['knowledge', 'citations', 'popularity', 'navigationRelated'],
+    spec: { path: '/name/{slug}', summary: 'One name', parameters: ['slug'], response: 'NameResponse' },
+    resolve: (api, match) =>
+      buildNameResponse(api.contract, api.indexes, requireSegment(match[1], SLUG_PATTERN, 'slug')),
+  },
+  {
+    id: 'batch',
+    pattern: /^\/batch$/,
+    methods: ['GET', 'HEAD', 'POST'],
+    sources: ['knowledge', 'citations', 'popularity', 'navigationRelated'],
+    spec: {
+      path: '/batch',
+      summary: 'Many names in one request',
+      parameters: ['slugs'],
+      requestBody: 'BatchRequest',
+      response: 'BatchResponse',
+    },
+    resolve: (api, _match, params, request) =>
+      buildBatchResponse(api.contract, api.indexes, readBatchRequest(params, request)),
+  },
+  ndjsonRoute('knowledge'),
+  ndjsonRoute('popularity'),
+  {
+    id: 'relationships',
+    pattern: /^\/relationships\/([^/]+)$/,
+    sources: ['navigationRelated', 'popularity'],
+    spec: {
+      path: '/relationships/{slug}',
+      summary: 'Navigation entity for one name, with its related names ranked',
+      parameters: ['slug', 'profile', 'weights', 'country', 'gender'],
+      response: 'RelationshipsResponse',
+    },
+    resolve: (api, match, params) =>
+      buildRelationshipsResponse(
+        api.contract,
+        api.indexes,
+        requireSegment(match[1], SLUG_PATTERN, 'slug'),
+        parseRankingOptions(params, api.indexes.popularityRegions),
+      ),
+  },
+  explorerRoute('origin', 'origin', 'navigationOrigin', buildOriginResponse),
+  explorerRoute('language', 'language', 'navigationLanguage', buildLanguageResponse),
+  explorerRoute('meaning', 'meaning', 'navigationMeaning', buildMeaningResponse),
+  explorerRoute('cultural', 'cultural', 'navigationCultural', buildCulturalResponse),
+  {
+    id: 'facets',
+    pattern: /^\/facets$/,
+    sources: ['knowledge', 'popularity', 'entities'],
+    spec: {
+      path: '/facets',
+      summary: 'Faceted listing with value counts',
+      parameters: [...FACET_NAMES, 'cursor', 'limit'],
+      response: 'FacetResponse',
+    },
+    resolve: (api, _match, params) => resolveFacetQuery(api, params),
+  },
+  {
+    id: 'graph-path',
+    pattern: /^\/graph\/path$/,
+    sources: ['knowledge', 'graphEdges'],
+    spec: {
+      path: '/graph/path',
+      summary: 'Shortest relationship chain between two names',
+      parameters: ['from', 'to', 'types', 'minConfidence'],
+      response: 'GraphPathResponse',
+    },
+    resolve: (api, _match, params) =>
+      buildGraphPathResponse(
+        api.contract,
+        api.indexes,
+        requireSlugParam(params, 'from'),
+        requireSlugParam(params, 'to'),
+        parseGraphFilters(params),
+      ),
+  },
+  {
+    id: 'graph-neighborhood',
+    pattern: /^\/graph\/neighborhood\/([^/]+)$/,
+    sources: ['knowledge', 'graphEdges'],
+    spec: {
+      path: '/graph/neighborhood/{slug}',
+      summary: 'Names within k hops of one name',
+      parameters: ['slug', 'depth', 'types', 'minConfidence', 'offset', 'limit'],
+      response: 'GraphNeighborhoodResponse',
+    },
+    resolve: (api, match, params) =>
+      buildGraphNeighborhoodResponse(
+        api.contract,
+        api.indexes,
+        requireSegment(match[1], SLUG_PATTERN, 'slug'),
+        parseIntegerParam(params, 'depth', { min: 1, max: MAX_NEIGHBORHOOD_DEPTH, fallback: 1 }),
+        parseGraphFilters(params),
+        parsePage(params, MAX_PAGE_LIMIT),
+      ),
+  },
+  {
+    id: 'graph-component',
+    pattern: /^\/graph\/component\/([^/]+)$/,
+    sources: ['knowledge', 'graphEdges'],
+    spec: {
+      path: '/graph/component/{slug}',
+      summary: 'Connected component containing one name',
+      parameters: ['slug', 'types', 'minConfidence', 'offset', 'limit'],
+      response: 'GraphComponentResponse',
+    },
+    resolve: (api, match, params) =>
+      buildGraphComponentResponse(
+        api.contract,
+        api.indexes,
+        requireSegment(match[1], SLUG_PATTERN, 'slug'),
+        parseGraphFilters(params),
+        parsePage(params, MAX_PAGE_LIMIT),
+      ),
+  },
+  {
+    id: 'graph-centrality',
+    pattern: /^\/graph\/centrality$/,
+    sources: ['knowledge', 'graphEdges'],
+    spec: {
+      path: '/graph/centrality',
+      summary: 'Names ranked by graph centrality',
+      parameters: ['measure', 'types', 'minConfidence', 'offset', 'limit'],
+      response: 'GraphCentralityResponse',
+    },
+    resolve: (api, _match, params) => {
+      const measure = params.get('measure') || 'degree';
+      if (!CENTRALITY_MEASURES.includes(measure)) {
+        throw requestError(
+          400,
+          'invalid_parameter',
+          `Query parameter "measure" must be one of: ${CENTRALITY_MEASURES.join(', ')}.`,
+        );
+      }
+      return buildGraphCentralityResponse(
+        api.contract,
+        api.indexes,
+        measure,
+        parseGraphFilters(params),
+        parsePage(params, MAX_PAGE_LIMIT),
+      );
+    },
+  },
+  {
+    id: 'changes',
+    pattern: /^\/changes$/,
+    sources: ['manifest', 'knowledge', 'citations', 'popularity', 'graphEdges'],
+    spec: {
+      path: '/changes',
+      summary: 'Per-entity changes since an earlier release',
+      parameters: ['since', 'offset', 'limit'],
+      response: 'ChangesResponse',
+    },
+    resolve: (api, _match, params) => resolveChangesQuery(api, params),
+  },
+  {
+    id: 'graphql',
+    pattern: /^\/graphql$/,
+    methods: ['GET', 'HEAD', 'POST'],
+    sources: Object.keys(EXPORT_FILES),
+    spec: {
+      path: '/graphql',
+      summary: 'GraphQL query',
+      parameters: ['query', 'variables', 'operationName'],
+      requestBody: 'GraphqlRequest',
+      response: 'GraphqlResponse',
+    },
+    resolve: (api, _match, params, request) =>
+      buildGraphqlResponse(api.contract, api.indexes, readGraphqlRequest(params, request)),
+  },
+  {
+    id: 'graphql-schema',
+    pattern: /^\/graphql\/schema$/,
+    sources: ['manifest'],
+    spec: { path: '/graphql/schema', summary: 'GraphQL schema (SDL)', response: 'GraphqlSchemaResponse' },
+    resolve: (api) => wrapApiResponse(api.contract, { endpoint: `${API_PREFIX}/graphql/schema`, sdl: SCHEMA_SDL }),
+  },
+  {
+    id: 'search',
+    pattern: /^\/search$/,
+    sources: ['knowledge', 'variants'],
+    spec: { path: '/search', summary: 'Ranked fuzzy name search', parameters: ['q', 'offset', 'searchLimit'], response: 'SearchResponse' },
+    resolve: (api, _match, params) => {
+      const query = params.get('q') || '';
+      if (query.length > MAX_QUERY_LENGTH) {
+        throw requestError(400, 'invalid_parameter', `Query parameter "q" exceeds ${MAX_QUERY_LENGTH} characters.`);
+      }
+      return buildSearchResponse(api.contract, api.indexes, query, parsePage(params, MAX_SEARCH_RESULTS));
+    },
+  },
+  {
+    id: 'openapi',
+    pattern: /^\/openapi$/,
+    sources: ['manifest'],
+    spec: { path: '/openapi', summary: 'This OpenAPI 3.1 document', response: 'OpenApiDocument' },
+    resolve: () => getOpenApiDocument(),
+  },
+]);
+
+let openApiDocument = null;
+
+/** The route table's OpenAPI document; built on first use, identical to api/v1/openapi.json. */
+function getOpenApiDocument() {
+  if (!openApiDocument) openApiDocument = buildOpenApiDocument(ROUTES);
+  return openApiDocument;
+}
+
+/**
+ * Builds the lookup indexes once per loaded contract; reuse the result across requests.
+ * @param {object} contract - loadExportContract() / parseExportContract() result
+ * @param {{ loadSnapshot?: (version: string) => Promise<object|null>|object|null }} [options] -
+ *   `loadSnapshot` returns an earlier release as a release-diff snapshot, or null when the
+ *   host has no such release; without it /changes only answers `since` = the current version
+ */
+function createApiContext(contract, { loadSnapshot = null } = {}) {
+  return {
+    contract,
+    indexes: buildApiIndexes(contract),
+    loadSnapshot,
+    changesByVersion: new Map(),
+  };
+}
+
+/** Strips the /api/v1 prefix, trailing slash and a static-payload `.json` suffix. Returns null outside the API. */
+function routePath(pathname) {
+  if (pathname !== API_PREFIX && !pathname.startsWith(`${API_PREFIX}/`)) return null;
+  const rest = pathname.slice(API_PREFIX.length).replace(/\/+$/, '');
+  return rest.replace(/\.json$/, '');
+}
+
+function canonicalQuery(params) {
+  return [...params.entries()]
+    .sort((left, right) => left[0].localeCompare(right[0]) || left[1].localeCompare(right[1]))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+function computeEtag(contract, sources, routeKey) {
+  const digest = stableHash({
+    apiVersion: API_VERSION,
+    routeKey,
+    exportHashes: sources.map((key) => contract.exportHashes[key] || null),
+  });
+  return `"${digest.slice(0, 32)}"`;
+}
+
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .some((value) => value === '*' || value === etag);
+}
+
+function jsonResult(status, payload, extraHeaders = {}) {
+  return {
+    status,
+    headers: {
+      ...CORS_HEADERS,
+      'Content-Type': 'application/json; charset=utf-8',
+      ...extraHeaders,
+    },
+    body: `${JSON.stringify(payload, null, 2)}\n`,
+  };
+}
+
+function* ndjsonChunks(records) {
+  for (let start = 0; start < records.length; start += NDJSON_CHUNK_RECORDS) {
+    yield records
+      .slice(start, start + NDJSON_CHUNK_RECORDS)
+      .map((record) => `${JSON.stringify(record)}\n`)
+      .join('');
+  }
+}
+
+/** `body` is a lazy iterable of string chunks; hosts write each chunk as it is produced. */
+function ndjsonResult(contract, records, extraHeaders = {}) {
+  return {
+    status: 200,
+    headers: {
+      ...CORS_HEADERS,
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'X-Dataset-Version': contract.manifest.exportVersion,
+      'X-Record-Count': String(records.length),
+      ...extraHeaders,
+    },
+    body: ndjsonChunks(records),
+  };
+}
+
+function errorResult(contract, status, code, message, endpoint, extraHeaders = {}) {
+  return jsonResult(
+    status,
+    wrapApiResponse(contract, {
+      endpoint,
+      error: { status, code, message },
+    }),
+    { 'Cache-Control': 'no-store', ...extraHeaders },
+  );
+}
+
+/**
+ * The 413 a host sends, instead of calling handleApiRequest(), once a POST
+ * body's Content-Length or streamed size passes MAX_BODY_BYTES.
+ * @param {object} api - createApiContext() result
+ * @param {string} url - absolute URL or path+query of the request
+ */
+function payloadTooLargeResult(api, url) {
+  const endpoint = new URL(url, 'http://localhost').pathname;
+  return errorResult(api.contract, 413, 'payload_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes.`, endpoint);
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const lower = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === lower) return Array.isArray(value) ? value.join(', ') : value;
+  }
+  return null;
+}
+
+/**
+ * Answers one API request.
+ * @param {object} api - createApiContext() result
+ * @param {{ method?: string, url: string, headers?: object, body?: string }} request - absolute URL or path+query;
+ *   `body` is read only by routes that accept POST
+ * @returns {Promise<{ status: number, headers: object, body: string|Iterable<string>|null }>} -
+ *   `body` is an iterable of chunks for NDJSON streams, a string otherwise
+ */
+async function handleApiRequest(api, request) {
+  const method = String(request.method || 'GET').toUpperCase();
+  const url = new URL(request.url, 'http://localhost');
+  const endpoint = url.pathname;
+
+  if (method === 'OPTIONS') {
+    return { status: 204, headers: { ...CORS_HEADERS }, body: null };
+  }
+  if (!ALLOWED_METHODS.includes(method)) {
+    return errorResult(api.contract, 405, 'method_not_allowed', `Method ${method} is not supported.`, endpoint, {
+      Allow: ALLOWED_METHODS.join(', '),
+    });
+  }
+
+  const subPath = routePath(url.pathname);
+  const route = subPath == null ? null : ROUTES.find((candidate) => candidate.pattern.test(subPath));
+  if (!route) {
+    return errorResult(api.contract, 404, 'route_not_found', `No API route matches ${endpoint}.`, endpoint);
+  }
+  const routeMethods = route.methods || READ_METHODS;
+  if (!routeMethods.includes(method)) {
+    return errorResult(api.contract, 405, 'method_not_allowed', `Method ${method} is not supported on ${endpoint}.`, endpoint, {
+      Allow: [...routeMethods, 'OPTIONS'].join(', '),
+    });
+  }
+
+  let payload;
+  try {
+    payload = await route.resolve(api, subPath.match(route.pattern), url.searchParams, { method, body: request.body });
+  } catch (error) {
+    if (error.apiStatus) {
+      return errorResult(api.contract, error.apiStatus, error.apiCode, error.message, endpoint);
+    }
+    if (error instanceof URIError) {
+      return errorResult(api.contract, 400, 'invalid_path', 'Malformed percent-encoding in path.', endpoint);
+    }
+    throw error;
+  }
+
+  if (!payload) {
+    return errorResult(api.contract, 404, 'not_found', `No ${route.id} resource at ${endpoint}.`, endpoint);
+  }
+
+  const toResult = (extraHeaders) =>
+    route.format === 'ndjson' ? ndjsonResult(api.contract, payload, extraHeaders) : jsonResult(200, payload, extraHeaders);
+
+  if (method === 'POST') {
+    return toResult({ 'Cache-Control': 'no-store' });
+  }
+
+  const etag = computeEtag(api.contract, route.sources, `${subPath}?${canonicalQuery(url.searchParams)}`);
+  const cacheHeaders = { ETag: etag, 'Cache-Control': CACHE_CONTROL };
+
+  if (etagMatches(headerValue(request.headers, 'If-None-Match'), etag)) {
+    return { status: 304, headers: { ...CORS_HEADERS, ...cacheHeaders }, body: null };
+  }
+
+  const result = toResult(cacheHeaders);
+  if (method === 'HEAD') result.body = null;
+  return result;
+}
+
+module.exports = {
+  API_PREFIX,
+  MAX_QUERY_LENGTH,
+  MAX_BODY_BYTES,
+  ALLOWED_METHODS,
+  CORS_HEADERS,
+  ROUTES,
+  requestError,
+  createApiContext,
+  routePath,
+  getOpenApiDocument,
+  computeEtag,
+  handleApiRequest,
+  payloadTooLargeResult,
+};
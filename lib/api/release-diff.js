@@ -0,0 +1,272 @@
+/**
+ * lib/api/release-diff.js — Per-entity diffs between dataset releases.
+ *
+ * Compares two Export Contract snapshots (knowledge, citations, popularity and
+ * graph edges) and lists, per slug, which knowledge fields, citation IDs,
+ * popularity years and relationship edges appeared, disappeared or changed.
+ * Used by /api/v1/changes and by the Phase 19A `changes.json` release artifact.
+ * Reads only exports/ and releases/ artifacts — same forbidden-import rule as export-api.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..', '..');
+const RELEASES_DIR = path.join(ROOT, 'releases');
+
+const CHANGES_VERSION = '1';
+
+/** Artifacts a snapshot needs, by path inside a releases/{version}/ bundle. */
+const RELEASE_SNAPSHOT_FILES = Object.freeze({
+  manifest: 'manifest.json',
+  knowledge: 'knowledge/knowledge.json',
+  citations: 'citations/citations.json',
+  popularity: 'popularity/popularity.json',
+  graphEdges: 'graph/graph-edges.json',
+});
+
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+function stableHash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+function slugFromName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '');
+}
+
+function sortStrings(values) {
+  return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+function isValidVersion(version) {
+  return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+function indexBySlug(records) {
+  const map = new Map();
+  for (const record of records || []) {
+    const slug = slugFromName(record.name || record.slug);
+    if (slug) map.set(slug, record);
+  }
+  return map;
+}
+
+/**
+ * Indexes parsed artifacts for diffing. `graphEdges` is optional; without it
+ * relationship changes are not reported.
+ * @param {{ datasetVersion: string, knowledge: object, citations: object, popularity: object, graphEdges?: object }} artifacts
+ */
+function indexReleaseSnapshot({ datasetVersion, knowledge, citations, popularity, graphEdges = null }) {
+  const edgesBySlug = new Map();
+  const edgesById = new Map();
+  for (const edge of graphEdges?.edges || []) {
+    edgesById.set(edge.id, edge);
+    for (const slug of [edge.source, edge.target]) {
+      if (!edgesBySlug.has(slug)) edgesBySlug.set(slug, []);
+      edgesBySlug.get(slug).push(edge.id);
+    }
+  }
+  return {
+    datasetVersion,
+    hasEdges: graphEdges != null,
+    knowledgeBySlug: indexBySlug(knowledge?.records),
+    citationsBySlug: indexBySlug(citations?.records),
+    popularityBySlug: indexBySlug(popularity?.records),
+    edgesById,
+    edgesBySlug,
+  };
+}
+
+/** Parses raw artifact text keyed like RELEASE_SNAPSHOT_FILES. */
+function parseReleaseSnapshot(textByKey) {
+  for (const key of ['manifest', 'knowledge', 'citations', 'popularity']) {
+    if (typeof textByKey[key] !== 'string') {
+      throw new Error(`Release snapshot is missing ${RELEASE_SNAPSHOT_FILES[key]}.`);
+    }
+  }
+  const parse = (key) => (typeof textByKey[key] === 'string' ? JSON.parse(textByKey[key]) : null);
+  return indexReleaseSnapshot({
+    datasetVersion: parse('manifest').datasetVersion,
+    knowledge: parse('knowledge'),
+    citations: parse('citations'),
+    popularity: parse('popularity'),
+    graphEdges: parse('graphEdges'),
+  });
+}
+
+/**
+ * Reads releases/{version}/ from disk.
+ * @returns {object|null} indexed snapshot, or null when the release does not exist
+ */
+function loadReleaseSnapshot(version, releasesDir = RELEASES_DIR) {
+  if (!isValidVersion(version)) return null;
+  const releaseDir = path.join(releasesDir, version);
+  if (!fs.existsSync(path.join(releaseDir, RELEASE_SNAPSHOT_FILES.manifest))) return null;
+  const textByKey = {};
+  for (const [key, relPath] of Object.entries(RELEASE_SNAPSHOT_FILES)) {
+    const absPath = path.join(releaseDir, relPath);
+    if (fs.existsSync(absPath)) textByKey[key] = fs.readFileSync(absPath, 'utf8');
+  }
+  return parseReleaseSnapshot(textByKey);
+}
+
+function isEmptyValue(block) {
+  if (block == null) return true;
+  if (typeof block === 'object' && !Array.isArray(block) && 'value' in block) return block.value == null;
+  return false;
+}
+
+/**
+ * Every knowledge field except the name and the provenance trail; 'added' /
+ * 'removed' mean the value appeared or became null.
+ */
+function diffKnowledgeFields(before, after) {
+  const fields = {};
+  const keys = sortStrings(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]));
+  for (const key of keys) {
+    if (key === 'name' || key === 'provenance') continue;
+    const left = before?.[key];
+    const right = after?.[key];
+    if (stableHash(left ?? null) === stableHash(right ?? null)) continue;
+    if (isEmptyValue(left)) fields[key] = 'added';
+    else if (isEmptyValue(right)) fields[key] = 'removed';
+    else fields[key] = 'changed';
+  }
+  return fields;
+}
+
+function diffIdLists(before = [], after = []) {
+  const left = new Set(before);
+  const right = new Set(after);
+  return {
+    added: sortStrings([...right].filter((id) => !left.has(id))),
+    removed: sortStrings([...left].filter((id) => !right.has(id))),
+  };
+}
+
+function diffCitations(before, after) {
+  const result = {};
+  const domains = sortStrings(new Set([...Object.keys(before?.citations || {}), ...Object.keys(after?.citations || {})]));
+  for (const domain of domains) {
+    const diff = diffIdLists(before?.citations?.[domain] || [], after?.citations?.[domain] || []);
+    if (diff.added.length || diff.removed.length) result[domain] = diff;
+  }
+  return result;
+}
+
+function recordsByYear(records) {
+  return new Map((records || []).map((record) => [record.year, record]));
+}
+
+function diffPopularity(before, after) {
+  const result = {};
+  const leftRegions = before?.popularity?.regions || {};
+  const rightRegions = after?.popularity?.regions || {};
+  for (const region of sortStrings(new Set([...Object.keys(leftRegions), ...Object.keys(rightRegions)]))) {
+    const left = recordsByYear(leftRegions[region]?.records);
+    const right = recordsByYear(rightRegions[region]?.records);
+    const years = [...new Set([...left.keys(), ...right.keys()])].sort((a, b) => a - b);
+    const diff = { yearsAdded: [], yearsRemoved: [], yearsChanged: [] };
+    for (const year of years) {
+      if (!left.has(year)) diff.yearsAdded.push(year);
+      else if (!right.has(year)) diff.yearsRemoved.push(year);
+      else if (stableHash(left.get(year)) !== stableHash(right.get(year))) diff.yearsChanged.push(year);
+    }
+    if (diff.yearsAdded.length || diff.yearsRemoved.length || diff.yearsChanged.length) result[region] = diff;
+  }
+  return result;
+}
+
+function diffEdges(previous, current, slug) {
+  const ids = new Set([...(previous.edgesBySlug.get(slug) || []), ...(current.edgesBySlug.get(slug) || [])]);
+  const diff = { added: [], removed: [], changed: [] };
+  for (const id of sortStrings(ids)) {
+    const left = previous.edgesById.get(id);
+    const right = current.edgesById.get(id);
+    if (!left) diff.added.push(id);
+    else if (!right) diff.removed.push(id);
+    else if (stableHash({ ...left, version: null }) !== stableHash({ ...right, version: null })) diff.changed.push(id);
+  }
+  return diff;
+}
+
+function hasKeys(value) {
+  return Object.keys(value).length > 0;
+}
+
+/**
+ * Per-entity changes from `previous` to `current` (both indexReleaseSnapshot()
+ * results). Lists only slugs with at least one change, in slug order. Added
+ * and removed entities carry their status only — refetch or drop them whole.
+ */
+function diffReleaseSnapshots(previous, current) {
+  const compareEdges = previous.hasEdges && current.hasEdges;
+  const slugs = sortStrings(new Set([...previous.knowledgeBySlug.keys(), ...current.knowledgeBySlug.keys()]));
+  const entities = [];
+  const fieldCounts = {};
+
+  for (const slug of slugs) {
+    const before = previous.knowledgeBySlug.get(slug);
+    const after = current.knowledgeBySlug.get(slug);
+    if (!before || !after) {
+      entities.push({ slug, status: before ? 'removed' : 'added' });
+      continue;
+    }
+
+    const entry = { slug, status: 'changed' };
+    const fields = diffKnowledgeFields(before, after);
+    const citations = diffCitations(previous.citationsBySlug.get(slug), current.citationsBySlug.get(slug));
+    const popularity = diffPopularity(previous.popularityBySlug.get(slug), current.popularityBySlug.get(slug));
+    const relationships = compareEdges ? diffEdges(previous, current, slug) : { added: [], removed: [], changed: [] };
+
+    if (hasKeys(fields)) entry.fields = fields;
+    if (hasKeys(citations)) entry.citations = citations;
+    if (hasKeys(popularity)) entry.popularity = popularity;
+    if (relationships.added.length || relationships.removed.length || relationships.changed.length) {
+      entry.relationships = relationships;
+    }
+    if (Object.keys(entry).length === 2) continue;
+
+    for (const field of Object.keys(fields)) fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+    entities.push(entry);
+  }
+
+  const edgeIds = compareEdges ? sortStrings(new Set([...previous.edgesById.keys(), ...current.edgesById.keys()])) : [];
+  const edgesAdded = edgeIds.filter((id) => !previous.edgesById.has(id)).length;
+  const edgesRemoved = edgeIds.filter((id) => !current.edgesById.has(id)).length;
+
+  return {
+    changesVersion: CHANGES_VERSION,
+    fromVersion: previous.datasetVersion,
+    toVersion: current.datasetVersion,
+    relationshipsCompared: compareEdges,
+    summary: {
+      entitiesAdded: entities.filter((entry) => entry.status === 'added').length,
+      entitiesRemoved: entities.filter((entry) => entry.status === 'removed').length,
+      entitiesChanged: entities.filter((entry) => entry.status === 'changed').length,
+      fieldChanges: Object.fromEntries(Object.entries(fieldCounts).sort((a, b) => a[0].localeCompare(b[0]))),
+      citationChanges: entities.filter((entry) => entry.citations).length,
+      popularityChanges: entities.filter((entry) => entry.popularity).length,
+      edgesAdded,
+      edgesRemoved,
+    },
+    entities,
+  };
+}
+
+module.exports = {
+  RELEASES_DIR,
+  CHANGES_VERSION,
+  RELEASE_SNAPSHOT_FILES,
+  isValidVersion,
+  indexReleaseSnapshot,
+  parseReleaseSnapshot,
+  loadReleaseSnapshot,
+  diffReleaseSnapshots,
+};
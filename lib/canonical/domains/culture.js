@@ -1,11 +1,35 @@
 /**
  * lib/canonical/domains/culture.js — owns ONLY the `culture` domain.
- * No current repository dataset backs this domain. Always returns null.
- * See lib/canonical/domains/etymology.js for the rationale, identical here.
+ * Source: data/religion-culture-records.json exclusively — editorial culture
+ * assertions (schemas/religion-culture-records-v1.schema.json), each with its
+ * own Citation Registry IDs. An assertion without one is dropped; a name with
+ * no cited assertion gets null. See lib/canonical/domains/religion.js.
  */
 
-function build(_nameRow, _ctx) {
-  return null;
+const { nullIfBlank, nullIfAllFieldsBlank, sortedIds, citedIds } = require('../util.js');
+
+function build(nameRow, ctx) {
+  const record = ctx.religionCulture.byName.get(String(nameRow.name).trim().toLowerCase());
+  const culture = record?.culture;
+  if (!culture) return null;
+
+  const significance = citedIds(culture.culturalSignificance).length ? nullIfBlank(culture.culturalSignificance.value) : null;
+  const regionalNotes = (culture.regionalNotes || []).filter(
+    (note) => citedIds(note).length && nullIfBlank(note.region) && nullIfBlank(note.note),
+  );
+
+  return nullIfAllFieldsBlank({
+    culturalSignificance: significance,
+    regionalNotes: nullIfBlank(regionalNotes.map((note) => ({ region: note.region, note: note.note }))),
+    citationIds: nullIfBlank(
+      Object.fromEntries(
+        [
+          ['culturalSignificance', significance ? citedIds(culture.culturalSignificance) : []],
+          ['regionalNotes', sortedIds(regionalNotes.flatMap(citedIds))],
+        ].filter(([, ids]) => ids.length),
+      ),
+    ),
+  });
 }
 
 module.exports = { build };
@@ -4,19 +4,56 @@
  * derivationNotes source: data/names-enriched.json's `etymology` field (Phase 5D
  * editorial overlay — documented etymology text only, never inference).
  *
- * rootWord / rootLanguage: not populated in Wave 1; full editorial etymology
- * prose is stored in derivationNotes per Phase 5D editorial format.
+ * rootWord / rootLanguage / morphemes / derivationChain source:
+ * data/etymology-records.json exclusively — editor-approved structure
+ * (schemas/etymology-records-v1.schema.json) in which every morpheme and
+ * derivation step cites the Citation Registry. rootWord is the oldest step of
+ * the chain, in Latin script where the record gives a transliteration, so
+ * SHARES_ROOT can match it across names. A record with any uncited step or
+ * morpheme is ignored whole — a chain with a gap would misstate the history.
+ * Never parsed from the prose at build time; see
+ * scripts/editorial/propose-etymology-structure.js for the review workflow.
  */
 
-const { nullIfBlank, nullIfAllFieldsBlank } = require('../util.js');
+const { nullIfBlank, nullIfAllFieldsBlank, sortedIds, citedIds } = require('../util.js');
+const { languageName } = require('../etymology-languages.js');
+
+function isCitedItem(item) {
+  return Boolean(nullIfBlank(item?.form)) && Boolean(languageName(item.language)) && citedIds(item).length > 0;
+}
+
+function structuredFields(record) {
+  const chain = record?.derivationChain || [];
+  const morphemes = record?.morphemes || [];
+  if (chain.length === 0 || !chain.every(isCitedItem) || !morphemes.every(isCitedItem)) return null;
+
+  const root = chain[0];
+  return {
+    rootWord: root.transliteration || root.form,
+    rootLanguage: languageName(root.language),
+    morphemes: nullIfBlank(
+      morphemes.map((m) => ({ form: m.form, transliteration: m.transliteration || null, language: m.language, gloss: m.gloss || null })),
+    ),
+    derivationChain: chain.map((s) => ({ form: s.form, transliteration: s.transliteration || null, language: s.language })),
+    citationIds: Object.fromEntries(
+      [
+        ['morphemes', sortedIds(morphemes.flatMap(citedIds))],
+        ['derivationChain', sortedIds(chain.flatMap(citedIds))],
+      ].filter(([, ids]) => ids.length),
+    ),
+  };
+}
 
 function build(nameRow, ctx) {
   const enriched = ctx.namesEnriched.byId.get(nameRow.id);
-  if (!enriched) return null;
+  const structured = structuredFields(ctx.etymologyRecords.byName.get(String(nameRow.name).trim().toLowerCase()));
   return nullIfAllFieldsBlank({
-    rootWord: null,
-    rootLanguage: null,
-    derivationNotes: nullIfBlank(enriched.etymology),
+    rootWord: structured ? structured.rootWord : null,
+    rootLanguage: structured ? structured.rootLanguage : null,
+    derivationNotes: nullIfBlank(enriched?.etymology),
+    morphemes: structured ? structured.morphemes : null,
+    derivationChain: structured ? structured.derivationChain : null,
+    citationIds: structured ? structured.citationIds : null,
   });
 }
 
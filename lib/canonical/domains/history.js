@@ -4,19 +4,47 @@
  * historicalUsageNotes source: data/names-enriched.json's `history` field
  * (Phase 5E editorial overlay — documented historical usage only, never inference).
  *
- * firstRecordedUse / notableBearers: not populated in Wave 1; full editorial
- * history prose is stored in historicalUsageNotes per Phase 5E editorial format.
+ * firstRecordedUse / notableBearers source: data/history-records.json
+ * exclusively — editorial structured history
+ * (schemas/history-records-v1.schema.json), each assertion with its own
+ * Citation Registry IDs. An assertion without one is dropped. Never
+ * extracted from the historicalUsageNotes prose.
  */
 
-const { nullIfBlank, nullIfAllFieldsBlank } = require('../util.js');
+const { nullIfBlank, nullIfAllFieldsBlank, sortedIds, citedIds } = require('../util.js');
+
+function firstRecordedUse(attestation) {
+  if (!attestation || citedIds(attestation).length === 0) return null;
+  if (Number.isInteger(attestation.year) === Number.isInteger(attestation.century)) return null;
+  return {
+    year: Number.isInteger(attestation.year) ? attestation.year : null,
+    century: Number.isInteger(attestation.century) ? attestation.century : null,
+    approximate: Boolean(attestation.approximate),
+    region: nullIfBlank(attestation.region),
+    source: nullIfBlank(attestation.source),
+  };
+}
 
 function build(nameRow, ctx) {
   const enriched = ctx.namesEnriched.byId.get(nameRow.id);
-  if (!enriched) return null;
+  const record = ctx.historyRecords.byName.get(String(nameRow.name).trim().toLowerCase());
+  const attestation = firstRecordedUse(record?.firstRecordedUse);
+  const bearers = (record?.notableBearers || []).filter((b) => citedIds(b).length && nullIfBlank(b.name));
+
   return nullIfAllFieldsBlank({
-    firstRecordedUse: null,
-    notableBearers: null,
-    historicalUsageNotes: nullIfBlank(enriched.history),
+    firstRecordedUse: attestation,
+    notableBearers: nullIfBlank(
+      bearers.map((b) => ({ name: b.name, role: b.role, era: b.era, sortYear: b.sortYear, wikidataQid: b.wikidataQid || null })),
+    ),
+    historicalUsageNotes: nullIfBlank(enriched?.history),
+    citationIds: nullIfBlank(
+      Object.fromEntries(
+        [
+          ['firstRecordedUse', attestation ? citedIds(record.firstRecordedUse) : []],
+          ['notableBearers', sortedIds(bearers.flatMap(citedIds))],
+        ].filter(([, ids]) => ids.length),
+      ),
+    ),
   });
 }
 
@@ -1,11 +1,36 @@
 /**
  * lib/canonical/domains/nicknames.js — owns ONLY the `nicknames` domain.
- * No current repository dataset backs this domain. Always returns null.
- * See lib/canonical/domains/etymology.js for the rationale, identical here.
+ * Source: data/nicknames.json exclusively — curated, cited nickname and
+ * diminutive rows (schemas/nicknames-v1.schema.json). Forms keep the curated
+ * row order; a form repeated for one name (case-insensitively) is kept once.
+ *
+ * Names without rows get null, never a form derived from the name itself.
+ * `citationIds` maps each form to the Citation Registry IDs its row cites.
  */
 
-function build(_nameRow, _ctx) {
-  return null;
+const { nullIfBlank, nullIfAllFieldsBlank } = require('../util.js');
+
+function build(nameRow, ctx) {
+  const rows = ctx.nicknames.byNameId.get(nameRow.id) || [];
+  const seen = new Set();
+  const commonNicknames = [];
+  const diminutives = [];
+  const citationIds = {};
+
+  for (const row of rows) {
+    const form = String(row.nickname).trim();
+    const key = form.toLowerCase();
+    if (seen.has(key) || key === String(nameRow.name).toLowerCase()) continue;
+    seen.add(key);
+    (row.kind === 'diminutive' ? diminutives : commonNicknames).push(form);
+    citationIds[form] = [...new Set(row.citation_ids)].sort((a, b) => a.localeCompare(b));
+  }
+
+  return nullIfAllFieldsBlank({
+    commonNicknames: nullIfBlank(commonNicknames),
+    diminutives: nullIfBlank(diminutives),
+    citationIds: nullIfBlank(citationIds),
+  });
 }
 
 module.exports = { build };
@@ -9,18 +9,51 @@
  * phoneticSpelling source: data/names-enriched.json's `phonetic` field (Phase 5C
  * editorial overlay — documented respelling only, never IPA or inference).
  *
- * ipa / audioUrl: no current dataset populates these — always null, never a placeholder.
+ * ipa / ipaVariants source: data/pronunciation-records.json exclusively —
+ * editor-supplied IPA per locale (schemas/pronunciation-records-v1.schema.json),
+ * each transcription with its own Citation Registry IDs. An uncited or
+ * invalid transcription is dropped. `ipa` is the first in display order
+ * (lib/canonical/pronunciation-locales.js). Never generated from spelling or
+ * from phoneticSpelling.
+ *
+ * audioUrl / audio source: data/pronunciation-audio-manifest.json — locally
+ * stored recordings, kept only when they voice a transcription that survived
+ * above, with the speaker credit and licence the page must show. `audioUrl`
+ * is the recording of the primary transcription.
  */
 
-const { nullIfBlank, nullIfAllFieldsBlank } = require('../util.js');
+const { nullIfBlank, nullIfAllFieldsBlank, sortedIds, citedIds } = require('../util.js');
+const { isValidIpa } = require('../ipa-inventory.js');
+const { orderTranscriptions } = require('../pronunciation-locales.js');
+const { audioAssetUrl } = require('../pronunciation-audio.js');
 
 function build(nameRow, ctx) {
   const enriched = ctx.namesEnriched.byId.get(nameRow.id);
+  const key = String(nameRow.name).trim().toLowerCase();
+  const record = ctx.pronunciationRecords.byName.get(key);
+  const transcriptions = orderTranscriptions((record?.transcriptions || []).filter((t) => citedIds(t).length && isValidIpa(t.ipa)));
+  const locales = new Set(transcriptions.map((t) => t.locale));
+  const audio = (ctx.pronunciationAudio.byName.get(key) || [])
+    .filter((asset) => locales.has(asset.locale))
+    .map((asset) => ({
+      locale: asset.locale,
+      url: audioAssetUrl(asset),
+      mimeType: asset.mimeType,
+      sha256: asset.sha256,
+      speaker: asset.speaker || null,
+      license: asset.license,
+    }));
+  const primary = transcriptions[0] || null;
+  const primaryAudio = primary ? audio.find((a) => a.locale === primary.locale) : null;
+
   return nullIfAllFieldsBlank({
-    ipa: null,
+    ipa: primary ? primary.ipa.normalize('NFC') : null,
+    ipaVariants: nullIfBlank(transcriptions.map((t) => ({ locale: t.locale, ipa: t.ipa.normalize('NFC'), native: Boolean(t.native) }))),
     phoneticSpelling: enriched ? nullIfBlank(enriched.phonetic) : null,
     syllableCount: nameRow.syllables != null ? nameRow.syllables : null,
-    audioUrl: null,
+    audioUrl: primaryAudio ? primaryAudio.url : audio[0]?.url || null,
+    audio: nullIfBlank(audio),
+    citationIds: transcriptions.length ? { ipa: sortedIds(transcriptions.flatMap(citedIds)) } : null,
   });
 }
 
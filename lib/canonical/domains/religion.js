@@ -1,8 +1,9 @@
 /**
  * lib/canonical/domains/religion.js — owns ONLY the `religion` domain.
- * No current repository dataset backs this domain. Confirmed absent from
- * the entire project in Phase 1A (audit/entity-map.json entities.religions,
- * count: 0). Always returns null.
+ * Source: data/religion-culture-records.json exclusively — editorial
+ * religion assertions (schemas/religion-culture-records-v1.schema.json),
+ * each with its own Citation Registry IDs. An assertion without one is
+ * dropped; a name with no cited assertion gets null.
  *
  * Explicitly NOT derived from data/categories.json's "biblical" tag — that
  * tag is a style/theme classification, not a religious-tradition fact, and
@@ -11,8 +12,35 @@
  * docs/CANONICAL_KNOWLEDGE_MODEL.md, "Domain boundaries").
  */
 
-function build(_nameRow, _ctx) {
-  return null;
+const { nullIfBlank, nullIfAllFieldsBlank, sortedIds, citedIds } = require('../util.js');
+
+function citedText(assertion) {
+  return citedIds(assertion).length ? nullIfBlank(assertion.value) : null;
+}
+
+function build(nameRow, ctx) {
+  const record = ctx.religionCulture.byName.get(String(nameRow.name).trim().toLowerCase());
+  const religion = record?.religion;
+  if (!religion) return null;
+
+  const tradition = citedText(religion.tradition);
+  const scripturalReference = citedText(religion.scripturalReference);
+  const feastDays = (religion.feastDays || []).filter((day) => citedIds(day).length && nullIfBlank(day.saint));
+
+  return nullIfAllFieldsBlank({
+    tradition,
+    scripturalReference,
+    feastDays: nullIfBlank(feastDays.map((day) => ({ saint: day.saint, date: day.date, tradition: day.tradition }))),
+    citationIds: nullIfBlank(
+      Object.fromEntries(
+        [
+          ['tradition', tradition ? citedIds(religion.tradition) : []],
+          ['scripturalReference', scripturalReference ? citedIds(religion.scripturalReference) : []],
+          ['feastDays', sortedIds(feastDays.flatMap(citedIds))],
+        ].filter(([, ids]) => ids.length),
+      ),
+    ),
+  });
 }
 
 module.exports = { build };
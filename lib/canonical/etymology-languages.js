@@ -0,0 +1,115 @@
+/**
+ * lib/canonical/etymology-languages.js — language codes for structured
+ * etymology (data/etymology-records.json).
+ *
+ * Codes are ISO 639-1 where one exists, otherwise ISO 639-2/3 (historical
+ * stages such as ang, non, grc) or ISO 639-5 (families such as gem, sla,
+ * cel) for roots only attested at family level. The display name is what
+ * `etymology.rootLanguage` and page copy show; `aliases` are the spellings
+ * the Wave 1 prose uses, for the proposal parser. An alias names exactly one
+ * language; labels the prose uses for several are in AMBIGUOUS_LABELS.
+ */
+
+const ETYMOLOGY_LANGUAGES = Object.freeze({
+  akk: { name: 'Akkadian', aliases: [] },
+  ang: { name: 'Old English', aliases: ['Anglo-Saxon'] },
+  ar: { name: 'Arabic', aliases: [] },
+  arc: { name: 'Aramaic', aliases: [] },
+  bn: { name: 'Bengali', aliases: [] },
+  cel: { name: 'Celtic', aliases: [] },
+  cs: { name: 'Czech', aliases: [] },
+  cy: { name: 'Welsh', aliases: [] },
+  da: { name: 'Danish', aliases: [] },
+  de: { name: 'German', aliases: [] },
+  el: { name: 'Modern Greek', aliases: [] },
+  en: { name: 'English', aliases: [] },
+  enm: { name: 'Middle English', aliases: [] },
+  es: { name: 'Spanish', aliases: [] },
+  eu: { name: 'Basque', aliases: [] },
+  fa: { name: 'Persian', aliases: ['Farsi'] },
+  fi: { name: 'Finnish', aliases: [] },
+  fr: { name: 'French', aliases: [] },
+  fro: { name: 'Old French', aliases: [] },
+  ga: { name: 'Irish', aliases: ['Irish Gaelic'] },
+  gd: { name: 'Scottish Gaelic', aliases: [] },
+  gem: { name: 'Germanic', aliases: ['Old Germanic', 'Proto-Germanic'] },
+  gmq: { name: 'Scandinavian', aliases: ['North Germanic'] },
+  goh: { name: 'Old High German', aliases: [] },
+  grc: { name: 'Greek', aliases: ['Ancient Greek', 'Koine Greek'] },
+  haw: { name: 'Hawaiian', aliases: [] },
+  he: { name: 'Hebrew', aliases: ['Biblical Hebrew'] },
+  hi: { name: 'Hindi', aliases: [] },
+  hu: { name: 'Hungarian', aliases: [] },
+  hy: { name: 'Armenian', aliases: [] },
+  ig: { name: 'Igbo', aliases: [] },
+  it: { name: 'Italian', aliases: [] },
+  ja: { name: 'Japanese', aliases: [] },
+  ka: { name: 'Georgian', aliases: [] },
+  ko: { name: 'Korean', aliases: [] },
+  la: { name: 'Latin', aliases: ['Late Latin', 'Medieval Latin', 'Classical Latin'] },
+  nl: { name: 'Dutch', aliases: [] },
+  no: { name: 'Norwegian', aliases: [] },
+  non: { name: 'Old Norse', aliases: ['Norse'] },
+  pa: { name: 'Punjabi', aliases: [] },
+  pl: { name: 'Polish', aliases: [] },
+  pt: { name: 'Portuguese', aliases: [] },
+  ru: { name: 'Russian', aliases: [] },
+  sa: { name: 'Sanskrit', aliases: [] },
+  sga: { name: 'Old Irish', aliases: [] },
+  sla: { name: 'Slavic', aliases: ['Old Slavic'] },
+  sv: { name: 'Swedish', aliases: [] },
+  sw: { name: 'Swahili', aliases: [] },
+  ta: { name: 'Tamil', aliases: [] },
+  tr: { name: 'Turkish', aliases: [] },
+  ur: { name: 'Urdu', aliases: [] },
+  xno: { name: 'Anglo-Norman', aliases: ['Norman French'] },
+  yo: { name: 'Yoruba', aliases: [] },
+  zh: { name: 'Chinese', aliases: [] },
+});
+
+/**
+ * Labels that name more than one language, with the codes they may stand
+ * for: "Gaelic" is Irish, Old Irish or Scottish Gaelic; "Norman" is
+ * Anglo-Norman or the Old Norse of the early Normans. The parser recognises
+ * them but they get a code only when the name's own language is one of the
+ * candidates; otherwise the step stays without a language for the editor.
+ */
+const AMBIGUOUS_LABELS = Object.freeze({
+  gaelic: Object.freeze(['ga', 'sga', 'gd']),
+  norman: Object.freeze(['xno', 'non']),
+});
+
+const codeByLabel = new Map();
+for (const [code, { name, aliases }] of Object.entries(ETYMOLOGY_LANGUAGES)) {
+  for (const label of [name, ...aliases]) codeByLabel.set(label.toLowerCase(), code);
+}
+
+/** Display name for a code, or null for an unknown code. */
+function languageName(code) {
+  return ETYMOLOGY_LANGUAGES[code]?.name ?? null;
+}
+
+/**
+ * Code for a display name or alias ("Late Latin" → "la"), or null. An
+ * ambiguous label ("Gaelic") resolves to `contextCode`, the name's own
+ * language, when that is one of its candidates, and to null otherwise.
+ */
+function languageCode(label, contextCode = null) {
+  const key = String(label || '').trim().toLowerCase();
+  if (codeByLabel.has(key)) return codeByLabel.get(key);
+  const candidates = AMBIGUOUS_LABELS[key];
+  return candidates && candidates.includes(contextCode) ? contextCode : null;
+}
+
+/** Every display name, alias and ambiguous label, longest first, so "Old English" matches before "English". */
+function languageLabels() {
+  return [...codeByLabel.keys(), ...Object.keys(AMBIGUOUS_LABELS)].sort((a, b) => b.length - a.length || a.localeCompare(b));
+}
+
+module.exports = {
+  ETYMOLOGY_LANGUAGES,
+  AMBIGUOUS_LABELS,
+  languageName,
+  languageCode,
+  languageLabels,
+};
@@ -0,0 +1,93 @@
+/**
+ * lib/canonical/ipa-inventory.js — the IPA character inventory editor-supplied
+ * transcriptions are validated against (data/pronunciation-records.json).
+ *
+ * Letters cover every segment lib/analysis/phonetic-similarity.js has
+ * features for, plus the remaining pulmonic and non-pulmonic consonants and
+ * vowels of the 2020 IPA chart. Diacritics, suprasegmentals and tone letters
+ * follow the same chart. A transcription is phonemic (/…/) or phonetic ([…])
+ * and may use only these characters between its delimiters — so a respelling
+ * such as "WILL-yum" or a stray Latin capital is rejected.
+ *
+ * Text is compared decomposed (NFD): NFC would fold a letter and an IPA
+ * diacritic into a precomposed Latin letter outside the inventory ("ã" in
+ * /ˈsãw̃/, "ā" in /mā/). The one IPA letter that decomposes, "ç", is
+ * recomposed before the check. Callers keep NFC for stored and shown text.
+ */
+
+const CHART_LETTERS = [...'pbmɸβfvʋθðtdnszrɾɹlɫʃʒʂʐʈɖɳɻɭcɟɲçjʎkgɡŋxɣwqχʁʀħʕʔhɦiyɨʉɯuɪʏʊeøɘɵɤoəɛœɜɞʌɔæɐaɶɑɒʧʤ'];
+
+const EXTRA_LETTERS = [
+  // Consonants not in the similarity feature table.
+  'ɢ', 'ɱ', 'ɴ', 'ʙ', 'ⱱ', 'ɽ', 'ʝ', 'ɰ', 'ɬ', 'ɮ', 'ʟ', 'ɺ', 'ʍ', 'ɥ', 'ʜ', 'ʢ', 'ʡ', 'ɧ', 'ɕ', 'ʑ',
+  // Implosives and clicks.
+  'ɓ', 'ɗ', 'ʄ', 'ɠ', 'ʛ', 'ʘ', 'ǀ', 'ǃ', 'ǂ', 'ǁ',
+  // Affricate ligatures and rhotic vowels.
+  'ʦ', 'ʣ', 'ʨ', 'ʥ', 'ɚ', 'ɝ',
+];
+
+// Modifier letters and suprasegmentals: aspiration, breathy-voiced release,
+// labialisation, palatalisation, velarisation, pharyngealisation, glottalisation,
+// nasal and lateral release, ejective, stress, length.
+const MODIFIERS = ['ʰ', 'ʱ', 'ʷ', 'ʲ', 'ˠ', 'ˤ', 'ˀ', 'ⁿ', 'ˡ', 'ʼ', '˞', 'ˈ', 'ˌ', 'ː', 'ˑ'];
+
+// Tone letters and global rise/fall, downstep/upstep.
+const TONES = ['˥', '˦', '˧', '˨', '˩', '↗', '↘', 'ꜜ', 'ꜛ'];
+
+// Combining diacritics, by code point.
+const DIACRITICS = [
+  0x0300, 0x0301, 0x0302, 0x0304, 0x0306, 0x0308, 0x030b, 0x030c, 0x030f, 0x031a, 0x031c, 0x031d, 0x031e,
+  0x031f, 0x0320, 0x0324, 0x0325, 0x0329, 0x032a, 0x032c, 0x032f, 0x0330, 0x0334, 0x0339, 0x033a, 0x033b,
+  0x033c, 0x0318, 0x0319, 0x0303, 0x035c, 0x0361,
+].map((cp) => String.fromCodePoint(cp));
+
+// Syllable break, linking, minor and major group boundaries, and word spaces.
+const BOUNDARIES = ['.', '‿', '|', '‖', ' '];
+
+const IPA_LETTERS = Object.freeze(new Set([...CHART_LETTERS, ...EXTRA_LETTERS]));
+
+const IPA_INVENTORY = Object.freeze(new Set([...IPA_LETTERS, ...MODIFIERS, ...TONES, ...DIACRITICS, ...BOUNDARIES]));
+
+const DELIMITED = /^(\/)(.+)\/$|^(\[)(.+)\]$/u;
+
+// IPA letters whose NFD form is a base letter plus a combining mark.
+const DECOMPOSED_LETTERS = [...IPA_LETTERS].filter((ch) => ch.normalize('NFD') !== ch).map((ch) => [ch.normalize('NFD'), ch]);
+
+/** `ipa` trimmed and decomposed, with decomposable IPA letters put back together. */
+function decompose(ipa) {
+  return DECOMPOSED_LETTERS.reduce((text, [nfd, letter]) => text.split(nfd).join(letter), String(ipa || '').trim().normalize('NFD'));
+}
+
+/** Characters of `ipa` (between its delimiters) that are not in the inventory, deduplicated. */
+function findInvalidIpaCharacters(ipa) {
+  const text = decompose(ipa);
+  const match = text.match(DELIMITED);
+  const body = match ? match[2] || match[4] : text;
+  return [...new Set([...body].filter((ch) => !IPA_INVENTORY.has(ch)))];
+}
+
+/**
+ * Reasons a transcription is not valid IPA: missing /…/ or […] delimiters,
+ * no letter at all, or characters outside the inventory.
+ */
+function findIpaErrors(ipa) {
+  const text = decompose(ipa);
+  const errors = [];
+  if (!DELIMITED.test(text)) errors.push('must be wrapped in /…/ (phonemic) or […] (phonetic)');
+  const invalid = findInvalidIpaCharacters(text);
+  if (invalid.length) errors.push(`characters outside the IPA inventory: ${invalid.map((ch) => JSON.stringify(ch)).join(' ')}`);
+  if (![...text].some((ch) => IPA_LETTERS.has(ch))) errors.push('has no IPA letter');
+  return errors;
+}
+
+function isValidIpa(ipa) {
+  return findIpaErrors(ipa).length === 0;
+}
+
+module.exports = {
+  IPA_LETTERS,
+  IPA_INVENTORY,
+  findInvalidIpaCharacters,
+  findIpaErrors,
+  isValidIpa,
+};
@@ -121,6 +121,129 @@ function loadCountries() {
   return deepFreeze(rows);
 }
 
+const NICKNAME_KINDS = ['nickname', 'diminutive'];
+
+/**
+ * Loads data/nicknames.json — curated, cited name_id -> nickname/diminutive
+ * relational rows ({ name_id, nickname, kind, citation_ids }; see
+ * schemas/nicknames-v1.schema.json). Optional: checkouts without the file
+ * get no rows. A malformed or uncited row fails loudly — an uncited nickname
+ * must never reach an entity. Citation IDs are checked against the registry
+ * by scripts/build/validate-nicknames.js.
+ */
+function loadNicknames() {
+  const absPath = path.join(DATA_DIR, 'nicknames.json');
+  if (!fs.existsSync(absPath)) return deepFreeze({ rows: [], byNameId: new Map() });
+  const rows = readJsonFile(absPath, 'data/nicknames.json');
+  if (!Array.isArray(rows)) {
+    throw new Error('[lib/canonical/loaders] data/nicknames.json must be an array of rows.');
+  }
+  rows.forEach((row, i) => {
+    const cited = Array.isArray(row.citation_ids) && row.citation_ids.length > 0;
+    if (row.name_id == null || !String(row.nickname || '').trim() || !NICKNAME_KINDS.includes(row.kind) || !cited) {
+      throw new Error(`[lib/canonical/loaders] data/nicknames.json row ${i} needs name_id, nickname, kind (${NICKNAME_KINDS.join('|')}) and citation_ids.`);
+    }
+  });
+  const byNameId = indexByNameId(rows);
+  return deepFreeze({ rows, byNameId });
+}
+
+/**
+ * Loads data/religion-culture-records.json — editorial religion and culture
+ * assertions, one record per name (schemas/religion-culture-records-v1.schema.json),
+ * indexed by lowercase name. Optional: checkouts without the file get no
+ * records. Citation IDs are checked against the registry by
+ * scripts/build/validate-religion-culture-records.js; the domains drop any
+ * assertion without one.
+ */
+function loadReligionCulture() {
+  const absPath = path.join(DATA_DIR, 'religion-culture-records.json');
+  if (!fs.existsSync(absPath)) return deepFreeze({ records: [], byName: new Map() });
+  const payload = readJsonFile(absPath, 'data/religion-culture-records.json');
+  if (!payload || !Array.isArray(payload.records)) {
+    throw new Error('[lib/canonical/loaders] data/religion-culture-records.json must have a records array.');
+  }
+  const byName = new Map(payload.records.map((record) => [String(record.name).trim().toLowerCase(), record]));
+  return deepFreeze({ records: payload.records, byName });
+}
+
+/**
+ * Loads data/etymology-records.json — editor-approved structured etymology
+ * (root morphemes and derivation chain, schemas/etymology-records-v1.schema.json),
+ * indexed by lowercase name. Optional: checkouts without the file get no
+ * records. Checked by scripts/build/validate-etymology-records.js; the
+ * etymology domain ignores a record with any uncited step.
+ */
+function loadEtymologyRecords() {
+  const absPath = path.join(DATA_DIR, 'etymology-records.json');
+  if (!fs.existsSync(absPath)) return deepFreeze({ records: [], byName: new Map() });
+  const payload = readJsonFile(absPath, 'data/etymology-records.json');
+  if (!payload || !Array.isArray(payload.records)) {
+    throw new Error('[lib/canonical/loaders] data/etymology-records.json must have a records array.');
+  }
+  const byName = new Map(payload.records.map((record) => [String(record.name).trim().toLowerCase(), record]));
+  return deepFreeze({ records: payload.records, byName });
+}
+
+/**
+ * Loads data/history-records.json — editorial first attestations and notable
+ * bearers, one record per name (schemas/history-records-v1.schema.json),
+ * indexed by lowercase name. Optional: checkouts without the file get no
+ * records. Checked by scripts/build/validate-history-records.js; the history
+ * domain drops any assertion without a Citation ID.
+ */
+function loadHistoryRecords() {
+  const absPath = path.join(DATA_DIR, 'history-records.json');
+  if (!fs.existsSync(absPath)) return deepFreeze({ records: [], byName: new Map() });
+  const payload = readJsonFile(absPath, 'data/history-records.json');
+  if (!payload || !Array.isArray(payload.records)) {
+    throw new Error('[lib/canonical/loaders] data/history-records.json must have a records array.');
+  }
+  const byName = new Map(payload.records.map((record) => [String(record.name).trim().toLowerCase(), record]));
+  return deepFreeze({ records: payload.records, byName });
+}
+
+/**
+ * Loads data/pronunciation-records.json — editor-supplied IPA, one
+ * transcription per locale (schemas/pronunciation-records-v1.schema.json),
+ * indexed by lowercase name. Optional: checkouts without the file get no
+ * records. Checked by scripts/build/validate-pronunciation-records.js; the
+ * pronunciation domain drops any transcription without a Citation ID.
+ */
+function loadPronunciationRecords() {
+  const absPath = path.join(DATA_DIR, 'pronunciation-records.json');
+  if (!fs.existsSync(absPath)) return deepFreeze({ records: [], byName: new Map() });
+  const payload = readJsonFile(absPath, 'data/pronunciation-records.json');
+  if (!payload || !Array.isArray(payload.records)) {
+    throw new Error('[lib/canonical/loaders] data/pronunciation-records.json must have a records array.');
+  }
+  const byName = new Map(payload.records.map((record) => [String(record.name).trim().toLowerCase(), record]));
+  return deepFreeze({ records: payload.records, byName });
+}
+
+/**
+ * Loads data/pronunciation-audio-manifest.json — locally stored recordings
+ * with checksums (schemas/pronunciation-audio-manifest-v1.schema.json), grouped
+ * by lowercase name. Optional: checkouts without the manifest get no audio.
+ * Files and checksums are checked by scripts/build/validate-pronunciation-records.js,
+ * not here.
+ */
+function loadPronunciationAudio() {
+  const absPath = path.join(DATA_DIR, 'pronunciation-audio-manifest.json');
+  if (!fs.existsSync(absPath)) return deepFreeze({ assets: [], byName: new Map() });
+  const payload = readJsonFile(absPath, 'data/pronunciation-audio-manifest.json');
+  if (!payload || !Array.isArray(payload.assets)) {
+    throw new Error('[lib/canonical/loaders] data/pronunciation-audio-manifest.json must have an assets array.');
+  }
+  const byName = new Map();
+  for (const asset of payload.assets) {
+    const key = String(asset.name).trim().toLowerCase();
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(asset);
+  }
+  return deepFreeze({ assets: payload.assets, byName });
+}
+
 /** Loads build/topic-clusters.json — precomputed per-name cluster tuple (by_name, keyed by slug). Read-only; not regenerated by this builder. */
 function loadTopicClusters() {
   const absPath = path.join(BUILD_DIR, 'topic-clusters.json');
@@ -137,6 +260,12 @@ function loadAll() {
     normalizedNames: loadNormalizedNames(),
     categories: loadCategories(),
     variants: loadVariants(),
+    nicknames: loadNicknames(),
+    religionCulture: loadReligionCulture(),
+    etymologyRecords: loadEtymologyRecords(),
+    historyRecords: loadHistoryRecords(),
+    pronunciationRecords: loadPronunciationRecords(),
+    pronunciationAudio: loadPronunciationAudio(),
     popularity: loadPopularity(),
     nameEquivalents: loadNameEquivalents(),
     countryDifferentials: loadCountryDifferentials(),
@@ -151,6 +280,12 @@ module.exports = {
   loadNormalizedNames,
   loadCategories,
   loadVariants,
+  loadNicknames,
+  loadReligionCulture,
+  loadEtymologyRecords,
+  loadHistoryRecords,
+  loadPronunciationRecords,
+  loadPronunciationAudio,
   loadPopularity,
   loadNameEquivalents,
   loadCountryDifferentials,
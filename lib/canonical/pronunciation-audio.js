@@ -0,0 +1,42 @@
+/**
+ * lib/canonical/pronunciation-audio.js — where pronunciation recordings live
+ * and how they are served.
+ *
+ * Files are stored locally in data/pronunciation-audio/ and listed, with a
+ * SHA-256 checksum, in data/pronunciation-audio-manifest.json
+ * (schemas/pronunciation-audio-manifest-v1.schema.json). The page generator
+ * copies each listed file to /audio/pronunciation/ in the output tree; this
+ * module keeps that path and the accepted formats in one place.
+ */
+
+const path = require('path');
+
+const AUDIO_URL_PREFIX = '/audio/pronunciation/';
+
+/** Accepted extensions and the MIME type each must be listed with. */
+const AUDIO_MIME_TYPES = Object.freeze({
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.webm': 'audio/webm',
+});
+
+/** Stored file name for one recording, slugged like name page URLs: ("William", "en-GB", ".mp3") → "william.en-GB.mp3". */
+function audioFileName(name, locale, ext) {
+  const slug = String(name).toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+  return `${slug}.${locale}${ext.toLowerCase()}`;
+}
+
+/** Site-relative URL of one manifest asset. */
+function audioAssetUrl(asset) {
+  return `${AUDIO_URL_PREFIX}${encodeURIComponent(path.basename(asset.file))}`;
+}
+
+module.exports = {
+  AUDIO_URL_PREFIX,
+  AUDIO_MIME_TYPES,
+  audioFileName,
+  audioAssetUrl,
+};
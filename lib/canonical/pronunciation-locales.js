@@ -0,0 +1,59 @@
+/**
+ * lib/canonical/pronunciation-locales.js — locales for IPA transcriptions and
+ * audio (data/pronunciation-records.json, data/pronunciation-audio-manifest.json).
+ *
+ * A locale is a canonical BCP 47 tag: a language, optionally with a region or
+ * script (en-US, en-GB, he, ga-IE, zh-Hans). The display label comes from the
+ * runtime's CLDR data ("American English", "Hebrew"), so no list is kept here;
+ * a tag CLDR cannot name is rejected rather than shown as a raw code.
+ *
+ * Display order puts the native transcription first, then American English
+ * (the site's default audience), then the rest by locale. The first one is
+ * the name's primary `pronunciation.ipa`.
+ */
+
+const LOCALE_NAMES = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+/** Canonical form of `locale` ("en-us" → "en-US"), or null when it is not a BCP 47 tag. */
+function canonicalLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(String(locale || '').trim())[0] || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** "en-GB" → "British English", "he" → "Hebrew"; null for a tag CLDR cannot name. */
+function localeLabel(locale) {
+  const canonical = canonicalLocale(locale);
+  return canonical ? LOCALE_NAMES.of(canonical) || null : null;
+}
+
+/** Reasons `locale` may not be stored: not a BCP 47 tag, not in canonical form, or unnamed. */
+function findLocaleErrors(locale) {
+  const canonical = canonicalLocale(locale);
+  if (!canonical) return [`"${locale}" is not a BCP 47 locale.`];
+  if (canonical !== locale) return [`locale must be written ${canonical}.`];
+  if (!localeLabel(locale)) return [`locale ${locale} has no known display name.`];
+  return [];
+}
+
+const DEFAULT_LOCALE = 'en-US';
+
+function displayRank(transcription) {
+  if (transcription.native) return 0;
+  return transcription.locale === DEFAULT_LOCALE ? 1 : 2;
+}
+
+/** Copy of `transcriptions` in display order; the first is primary. */
+function orderTranscriptions(transcriptions) {
+  return [...(transcriptions || [])].sort((a, b) => displayRank(a) - displayRank(b) || String(a.locale).localeCompare(String(b.locale)));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  canonicalLocale,
+  localeLabel,
+  findLocaleErrors,
+  orderTranscriptions,
+};
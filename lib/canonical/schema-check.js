@@ -9,6 +9,11 @@
  * nested objects, arrays of objects, enum, additionalProperties: false,
  * required), and nothing more. No new dependency was added to validate
  * against the schema; this is intentionally minimal.
+ *
+ * The API OpenAPI document (lib/api/openapi.js) additionally needs allOf,
+ * anyOf, schema-valued additionalProperties and local $ref. $ref is resolved
+ * only when the caller passes `options.root`; without it a $ref node is
+ * skipped, exactly as before, so existing callers see no new checks from refs.
  */
 
 function typeMatches(value, typeSpec) {
@@ -25,11 +30,42 @@ function typeMatches(value, typeSpec) {
   });
 }
 
-/** Validates `value` against a schema node. Returns an array of error strings (empty = valid). Path is for error messages only. */
-function validateNode(value, schemaNode, path) {
+/** Resolves a local JSON pointer ("#/components/schemas/Name") against `root`. */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref (local refs only): ${ref}`);
+  let node = root;
+  for (const part of ref.slice(2).split('/')) {
+    node = node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  if (node === undefined) throw new Error(`Unresolvable $ref: ${ref}`);
+  return node;
+}
+
+/**
+ * Validates `value` against a schema node. Returns an array of error strings (empty = valid). Path is for error messages only.
+ * @param {{ root?: object }} [options] - document that local $ref pointers resolve against
+ */
+function validateNode(value, schemaNode, path, options = {}) {
   const errors = [];
   if (!schemaNode) return errors;
 
+  if (schemaNode.$ref) {
+    if (!options.root) return errors;
+    return validateNode(value, resolveRef(options.root, schemaNode.$ref), path, options);
+  }
+
+  if (Array.isArray(schemaNode.allOf)) {
+    for (const part of schemaNode.allOf) errors.push(...validateNode(value, part, path, options));
+  }
+
+  if (Array.isArray(schemaNode.anyOf)) {
+    const branchErrors = schemaNode.anyOf.map((part) => validateNode(value, part, path, options));
+    if (!branchErrors.some((list) => list.length === 0)) {
+      const closest = branchErrors.reduce((best, list) => (list.length < best.length ? list : best));
+      errors.push(`${path}: matches none of ${schemaNode.anyOf.length} anyOf schemas (closest: ${closest[0]})`);
+    }
+  }
+
   if (schemaNode.const !== undefined) {
     if (value !== schemaNode.const) errors.push(`${path}: expected const ${JSON.stringify(schemaNode.const)}, got ${JSON.stringify(value)}`);
     return errors;
@@ -70,12 +106,17 @@ function validateNode(value, schemaNode, path) {
       if (!(req in value) || value[req] === undefined) errors.push(`${path}: missing required property "${req}"`);
     }
     for (const [key, subSchema] of Object.entries(props)) {
-      if (key in value) errors.push(...validateNode(value[key], subSchema, `${path}.${key}`));
+      if (key in value) errors.push(...validateNode(value[key], subSchema, `${path}.${key}`, options));
+    }
+    if (schemaNode.additionalProperties && typeof schemaNode.additionalProperties === 'object') {
+      for (const key of Object.keys(value)) {
+        if (!(key in props)) errors.push(...validateNode(value[key], schemaNode.additionalProperties, `${path}.${key}`, options));
+      }
     }
   }
 
   if (Array.isArray(value) && schemaNode.items) {
-    value.forEach((item, i) => errors.push(...validateNode(item, schemaNode.items, `${path}[${i}]`)));
+    value.forEach((item, i) => errors.push(...validateNode(item, schemaNode.items, `${path}[${i}]`, options)));
   }
 
   return errors;
@@ -87,4 +128,4 @@ function validateEntity(entity, schema) {
   return { valid: errors.length === 0, errors };
 }
 
-module.exports = { validateEntity, validateNode, typeMatches };
+module.exports = { validateEntity, validateNode, typeMatches, resolveRef };
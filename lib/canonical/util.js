@@ -26,4 +26,18 @@ function nullIfAllFieldsBlank(obj) {
   return hasAny ? obj : null;
 }
 
-module.exports = { isBlank, nullIfBlank, nullIfAllFieldsBlank };
+/** Citation Registry IDs trimmed, de-duplicated and sorted; blanks dropped. */
+function sortedIds(ids) {
+  return [...new Set((ids || []).map((id) => String(id || '').trim()).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * The Citation Registry IDs of one editorial assertion (its `citationIds`),
+ * sorted. The single citation check shared by the record-backed domains and
+ * the render policies in lib/render/: an assertion with none is not researched.
+ */
+function citedIds(assertion) {
+  return sortedIds(Array.isArray(assertion?.citationIds) ? assertion.citationIds : []);
+}
+
+module.exports = { isBlank, nullIfBlank, nullIfAllFieldsBlank, sortedIds, citedIds };
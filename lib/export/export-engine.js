@@ -8,6 +8,17 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { buildSqliteDatabase, PAGE_SIZE: SQLITE_PAGE_SIZE } = require('./sqlite-writer.js');
+const { buildParquetFile, isParquetFile } = require('./parquet-writer.js');
+const {
+  WIKIDATA_QID,
+  buildGraphTriples,
+  buildVocabularyTriples,
+  toNTriples,
+  toTurtle,
+  toJsonLd,
+} = require('./linked-data.js');
+const { isDomainPopulated } = require('../../scripts/editorial/citation-records-v1.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const DATA_DIR = path.join(ROOT, 'data');
@@ -18,8 +29,10 @@ const AUDIT_DIR = path.join(ROOT, 'audit');
 const EXPORT_VERSION = '18A-v1';
 
 const SOURCE_PATHS = Object.freeze({
+  names: path.join(DATA_DIR, 'names.json'),
   knowledgeRecords: path.join(DATA_DIR, 'knowledge-records.json'),
   citationRecords: path.join(DATA_DIR, 'citation-records.json'),
+  provenanceRecords: path.join(DATA_DIR, 'provenance-records.json'),
   popularityRecords: path.join(DATA_DIR, 'popularity-records.json'),
   graphNodes: path.join(GRAPH_DIR, 'nodes.json'),
   graphEdges: path.join(GRAPH_DIR, 'edges.json'),
@@ -32,8 +45,16 @@ const SOURCE_PATHS = Object.freeze({
   knowledgeGraphAudit: path.join(AUDIT_DIR, 'knowledge-graph.json'),
   navigationAudit: path.join(AUDIT_DIR, 'navigation.json'),
   kciAudit: path.join(AUDIT_DIR, 'knowledge-completeness.json'),
+  nicknames: path.join(DATA_DIR, 'nicknames.json'),
+  variants: path.join(DATA_DIR, 'variants.json'),
 });
 
+/** Artifact formats written as raw bytes; hash them with hashFileBinary(). */
+const BINARY_EXPORT_FORMATS = Object.freeze(['sqlite', 'parquet']);
+
+/** RDF serializations of the knowledge graph and its vocabulary. */
+const LINKED_DATA_FORMATS = Object.freeze(['jsonld', 'turtle', 'ntriples']);
+
 const KNOWLEDGE_DOMAINS = Object.freeze([
   'origin',
   'meaning',
@@ -51,6 +72,11 @@ function hashFile(absPath) {
   return crypto.createHash('sha256').update(fs.readFileSync(absPath, 'utf8')).digest('hex');
 }
 
+function hashFileBinary(absPath) {
+  if (!fs.existsSync(absPath)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(absPath)).digest('hex');
+}
+
 function loadJson(absPath) {
   if (!fs.existsSync(absPath)) {
     throw new Error(`Missing required source: ${path.relative(ROOT, absPath)}`);
@@ -121,6 +147,136 @@ function buildCitationCsvRows(records) {
   });
 }
 
+/**
+ * Wikidata QID from the import pipeline: names.json `wikidata_id`, or the QID
+ * in a `wikidata:https://www.wikidata.org/wiki/Q…` meaning / origin source
+ * written by scripts/enrich-meanings.js.
+ */
+function wikidataIdFromNameRow(nameRow) {
+  if (WIKIDATA_QID.test(nameRow.wikidata_id || '')) return nameRow.wikidata_id;
+  for (const source of [nameRow.meaning_source, nameRow.origin_source]) {
+    const match = /^wikidata:https:\/\/www\.wikidata\.org\/wiki\/(Q[1-9]\d*)$/.exec(source || '');
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Identity attributes the knowledge record does not carry (gender, first
+ * letter, syllable count, Wikidata QID), one row per knowledge record in the
+ * same order. Source: data/names.json — the same fields the canonical
+ * identity and pronunciation domains read, plus the import pipeline's QID.
+ */
+function buildEntityRows(nameRows, knowledgeRows) {
+  const nameRowBySlug = new Map();
+  for (const row of nameRows || []) {
+    const slug = slugFromName(row.name);
+    if (slug && !nameRowBySlug.has(slug)) nameRowBySlug.set(slug, row);
+  }
+
+  return knowledgeRows.map((record) => {
+    const slug = slugFromName(record.name);
+    const nameRow = nameRowBySlug.get(slug) || {};
+    return {
+      name: record.name,
+      slug,
+      gender: nameRow.gender || null,
+      firstLetter: nameRow.first_letter ? String(nameRow.first_letter).toUpperCase() : null,
+      syllables: nameRow.syllables != null ? nameRow.syllables : null,
+      wikidataId: wikidataIdFromNameRow(nameRow),
+    };
+  });
+}
+
+/**
+ * Knowledge rows with their field-level provenance trail (override file,
+ * research artifacts, apply script, Citation IDs per populated domain) from
+ * data/provenance-records.json. Rows with no provenance record get `{}`.
+ */
+function withProvenance(knowledgeRows, provenanceRecords) {
+  const fieldsBySlug = new Map(
+    (provenanceRecords.records || []).map((row) => [slugFromName(row.name), row.fields || {}]),
+  );
+  return knowledgeRows.map((record) => ({
+    ...record,
+    provenance: fieldsBySlug.get(slugFromName(record.name)) || {},
+  }));
+}
+
+/**
+ * Populated knowledge domains (the Citation Records test) whose row carries
+ * no provenance entry, as "Name.domain".
+ */
+function findFieldsWithoutProvenance(knowledgeRows) {
+  const missing = [];
+  for (const record of knowledgeRows) {
+    for (const domain of KNOWLEDGE_DOMAINS) {
+      if (!isDomainPopulated(record, domain)) continue;
+      const field = record.provenance?.[domain];
+      if (!field || !field.override || !(field.citationIds || []).length) missing.push(`${record.name}.${domain}`);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Curated nickname rows (data/nicknames.json) joined to their names.json row,
+ * ordered by name with each name's rows in curated order. A row whose name_id
+ * has no names.json row keeps a null name and slug.
+ */
+function buildNicknameRows(nameRows, nicknameRows) {
+  const nameRowById = new Map((nameRows || []).map((row) => [row.id, row]));
+  return (nicknameRows || [])
+    .map((row, index) => {
+      const nameRow = nameRowById.get(row.name_id);
+      return {
+        index,
+        record: {
+          name_id: row.name_id,
+          name: nameRow ? nameRow.name : null,
+          slug: nameRow ? slugFromName(nameRow.name) : null,
+          nickname: row.nickname,
+          kind: row.kind,
+          citation_ids: [...row.citation_ids],
+        },
+      };
+    })
+    .sort((a, b) => String(a.record.name ?? '').localeCompare(String(b.record.name ?? '')) || a.index - b.index)
+    .map(({ record }) => record);
+}
+
+/**
+ * Spelling variant rows (data/variants.json) joined to their names.json row,
+ * ordered by name with each name's rows in dataset order. Each name's own
+ * spelling and repeated spellings are dropped. Unlike HAS_VARIANT edges, a
+ * spelling that is not itself a name in the dataset is kept.
+ */
+function buildVariantRows(nameRows, variantRows) {
+  const nameRowById = new Map((nameRows || []).map((row) => [row.id, row]));
+  const seen = new Set();
+  return (variantRows || [])
+    .map((row, index) => ({ row, index, nameRow: nameRowById.get(row.name_id) }))
+    .filter(({ row, nameRow }) => {
+      const spelling = String(row.variant || '').trim();
+      const key = `${row.name_id}|${spelling.toLowerCase()}`;
+      if (!spelling || seen.has(key) || (nameRow && spelling.toLowerCase() === String(nameRow.name).trim().toLowerCase())) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ row, index, nameRow }) => ({
+      index,
+      record: {
+        name_id: row.name_id,
+        name: nameRow ? nameRow.name : null,
+        slug: nameRow ? slugFromName(nameRow.name) : null,
+        variant: String(row.variant).trim(),
+        language: row.language || null,
+      },
+    }))
+    .sort((a, b) => String(a.record.name ?? '').localeCompare(String(b.record.name ?? '')) || a.index - b.index)
+    .map(({ record }) => record);
+}
+
 function buildPopularityCsvRows(records) {
   const rows = [];
   for (const record of records) {
@@ -176,6 +332,237 @@ function buildPopularityCsvRows(records) {
   return rows;
 }
 
+/** One row per popularity year (names or regions without years are skipped), in popularity CSV order. */
+function buildPopularityTimeSeriesRows(records) {
+  const rows = [];
+  for (const record of records) {
+    const regions = record.popularity?.regions || {};
+    for (const region of Object.keys(regions).sort((a, b) => a.localeCompare(b))) {
+      for (const popRow of regions[region].records || []) {
+        rows.push({
+          slug: slugFromName(record.name),
+          name: record.name,
+          region,
+          source_id: regions[region].sourceId ?? null,
+          year: popRow.year,
+          rank: popRow.rank ?? null,
+          count: popRow.count ?? null,
+          trend_direction: popRow.trendDirection ?? null,
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+const POPULARITY_PARQUET_COLUMNS = Object.freeze([
+  { name: 'slug', type: 'string' },
+  { name: 'name', type: 'string' },
+  { name: 'region', type: 'string' },
+  { name: 'source_id', type: 'string', optional: true },
+  { name: 'year', type: 'int32' },
+  { name: 'rank', type: 'int32', optional: true },
+  { name: 'count', type: 'int64', optional: true },
+  { name: 'trend_direction', type: 'string', optional: true },
+]);
+
+const nameIdColumn = (notNull = true) => ({ name: 'name_id', type: 'INTEGER', notNull, references: 'names(id)' });
+
+/**
+ * Normalized SQLite tables: `names` is the parent of every other table.
+ * Foreign keys use names.id, which follows knowledge record order. Rows whose
+ * slug has no knowledge record keep a NULL name_id and are counted as orphans.
+ */
+function buildSqliteTables({ entityRows, knowledgeRows, citationRows, popularityRows, nicknameRows = [], graphEdges, exportVersion, generatedAt }) {
+  const nameIdBySlug = new Map(entityRows.map((row, i) => [row.slug, i + 1]));
+  const nameIdFor = (slug) => nameIdBySlug.get(slug) ?? null;
+  let orphanRows = 0;
+  const nameIdOrOrphan = (slug) => {
+    const id = nameIdFor(slug);
+    if (id == null) orphanRows += 1;
+    return id;
+  };
+
+  const names = entityRows.map((row, i) => [
+    i + 1,
+    row.slug,
+    row.name,
+    row.gender,
+    row.firstLetter,
+    row.syllables,
+    row.wikidataId,
+  ]);
+
+  const knowledge = knowledgeRows.map((record, i) => {
+    const origin = domainValue(record, 'origin') || {};
+    return [
+      i + 1,
+      origin.origin_country ?? null,
+      origin.origin_cluster ?? null,
+      origin.language ?? null,
+      record.origin?.confidence ?? null,
+      record.origin?.confidenceLevel ?? null,
+      ...KNOWLEDGE_DOMAINS.filter((domain) => domain !== 'origin').flatMap((domain) => [
+        domainValue(record, domain),
+        record[domain]?.confidence ?? null,
+        record[domain]?.confidenceLevel ?? null,
+      ]),
+    ];
+  });
+
+  const citations = [];
+  for (const record of citationRows) {
+    const nameId = nameIdOrOrphan(slugFromName(record.name));
+    for (const domain of KNOWLEDGE_DOMAINS) {
+      for (const citationId of record.citations?.[domain] || []) {
+        citations.push([citations.length + 1, nameId, domain, citationId]);
+      }
+    }
+  }
+
+  const popularity = [];
+  for (const row of buildPopularityTimeSeriesRows(popularityRows)) {
+    popularity.push([
+      popularity.length + 1,
+      nameIdOrOrphan(row.slug),
+      row.region,
+      row.source_id,
+      row.year,
+      row.rank,
+      row.count,
+      row.trend_direction,
+    ]);
+  }
+
+  const nicknames = nicknameRows.map((row, i) => [
+    i + 1,
+    nameIdOrOrphan(row.slug),
+    row.nickname,
+    row.kind,
+    row.citation_ids.join(';'),
+  ]);
+
+  const edges = graphEdges.map((edge, i) => [
+    i + 1,
+    edge.id,
+    nameIdOrOrphan(edge.source),
+    nameIdOrOrphan(edge.target),
+    edge.relationshipType,
+    edge.confidence == null ? null : String(edge.confidence),
+    edge.weight ?? null,
+    JSON.stringify(edge.derivedFrom || []),
+    edge.explanation == null ? null : JSON.stringify(edge.explanation),
+  ]);
+
+  const domainColumns = KNOWLEDGE_DOMAINS.filter((domain) => domain !== 'origin').flatMap((domain) => [
+    { name: domain, type: 'TEXT' },
+    { name: `${domain}_confidence`, type: 'REAL' },
+    { name: `${domain}_confidence_level`, type: 'TEXT' },
+  ]);
+
+  return {
+    orphanRows,
+    tables: [
+      {
+        name: 'export_metadata',
+        columns: [
+          { name: 'id', type: 'INTEGER', primaryKey: true },
+          { name: 'key', type: 'TEXT', notNull: true },
+          { name: 'value', type: 'TEXT' },
+        ],
+        rows: [
+          [1, 'export_version', exportVersion],
+          [2, 'generated_at', generatedAt],
+        ],
+      },
+      {
+        name: 'names',
+        columns: [
+          { name: 'id', type: 'INTEGER', primaryKey: true },
+          { name: 'slug', type: 'TEXT', notNull: true },
+          { name: 'name', type: 'TEXT', notNull: true },
+          { name: 'gender', type: 'TEXT' },
+          { name: 'first_letter', type: 'TEXT' },
+          { name: 'syllables', type: 'INTEGER' },
+          { name: 'wikidata_id', type: 'TEXT' },
+        ],
+        rows: names,
+      },
+      {
+        name: 'knowledge',
+        columns: [
+          { name: 'name_id', type: 'INTEGER', primaryKey: true, references: 'names(id)' },
+          { name: 'origin_country', type: 'TEXT' },
+          { name: 'origin_cluster', type: 'TEXT' },
+          { name: 'language', type: 'TEXT' },
+          { name: 'origin_confidence', type: 'REAL' },
+          { name: 'origin_confidence_level', type: 'TEXT' },
+          ...domainColumns,
+        ],
+        rows: knowledge,
+      },
+      {
+        name: 'citations',
+        columns: [
+          { name: 'id', type: 'INTEGER', primaryKey: true },
+          nameIdColumn(false),
+          { name: 'domain', type: 'TEXT', notNull: true },
+          { name: 'citation_id', type: 'TEXT', notNull: true },
+        ],
+        rows: citations,
+      },
+      {
+        name: 'popularity',
+        columns: [
+          { name: 'id', type: 'INTEGER', primaryKey: true },
+          nameIdColumn(false),
+          { name: 'region', type: 'TEXT', notNull: true },
+          { name: 'source_id', type: 'TEXT' },
+          { name: 'year', type: 'INTEGER', notNull: true },
+          { name: 'rank', type: 'INTEGER' },
+          { name: 'count', type: 'INTEGER' },
+          { name: 'trend_direction', type: 'TEXT' },
+        ],
+        rows: popularity,
+      },
+      {
+        name: 'nicknames',
+        columns: [
+          { name: 'id', type: 'INTEGER', primaryKey: true },
+          nameIdColumn(false),
+          { name: 'nickname', type: 'TEXT', notNull: true },
+          { name: 'kind', type: 'TEXT', notNull: true },
+          { name: 'citation_ids', type: 'TEXT', notNull: true },
+        ],
+        rows: nicknames,
+      },
+      {
+        name: 'edges',
+        columns: [
+          { name: 'id', type: 'INTEGER', primaryKey: true },
+          { name: 'edge_id', type: 'TEXT', notNull: true },
+          { name: 'source_id', type: 'INTEGER', references: 'names(id)' },
+          { name: 'target_id', type: 'INTEGER', references: 'names(id)' },
+          { name: 'relationship_type', type: 'TEXT', notNull: true },
+          { name: 'confidence', type: 'TEXT' },
+          { name: 'weight', type: 'REAL' },
+          { name: 'derived_from', type: 'TEXT' },
+          { name: 'explanation', type: 'TEXT' },
+        ],
+        rows: edges,
+      },
+    ],
+    indexes: [
+      { name: 'names_slug', table: 'names', columns: ['slug'] },
+      { name: 'citations_name_id', table: 'citations', columns: ['name_id'] },
+      { name: 'popularity_name_id', table: 'popularity', columns: ['name_id'] },
+      { name: 'nicknames_name_id', table: 'nicknames', columns: ['name_id'] },
+      { name: 'edges_source_id', table: 'edges', columns: ['source_id'] },
+      { name: 'edges_target_id', table: 'edges', columns: ['target_id'] },
+    ],
+  };
+}
+
 function wrapExportEnvelope(exportVersion, generatedAt, schemaVersion, recordCount, records, extra = {}) {
   return {
     exportVersion,
@@ -188,8 +575,10 @@ function wrapExportEnvelope(exportVersion, generatedAt, schemaVersion, recordCou
 }
 
 function loadExportSources() {
+  const names = loadJson(SOURCE_PATHS.names);
   const knowledgeRecords = loadJson(SOURCE_PATHS.knowledgeRecords);
   const citationRecords = loadJson(SOURCE_PATHS.citationRecords);
+  const provenanceRecords = loadJson(SOURCE_PATHS.provenanceRecords);
   const popularityRecords = loadJson(SOURCE_PATHS.popularityRecords);
   const graphNodes = loadJson(SOURCE_PATHS.graphNodes);
   const graphEdges = loadJson(SOURCE_PATHS.graphEdges);
@@ -204,10 +593,16 @@ function loadExportSources() {
   const kciAudit = fs.existsSync(SOURCE_PATHS.kciAudit)
     ? loadJson(SOURCE_PATHS.kciAudit)
     : null;
+  const nicknames = fs.existsSync(SOURCE_PATHS.nicknames) ? loadJson(SOURCE_PATHS.nicknames) : [];
+  const variants = fs.existsSync(SOURCE_PATHS.variants) ? loadJson(SOURCE_PATHS.variants) : [];
 
   return {
+    names,
+    nicknames,
+    variants,
     knowledgeRecords,
     citationRecords,
+    provenanceRecords,
     popularityRecords,
     graphNodes,
     graphEdges,
@@ -231,8 +626,9 @@ function loadExportSources() {
 }
 
 function buildExportBundle(sources, generatedAt = new Date().toISOString()) {
-  const knowledgeRows = [...(sources.knowledgeRecords.records || [])].sort((a, b) =>
-    a.name.localeCompare(b.name),
+  const knowledgeRows = withProvenance(
+    [...(sources.knowledgeRecords.records || [])].sort((a, b) => a.name.localeCompare(b.name)),
+    sources.provenanceRecords,
   );
   const citationRows = [...(sources.citationRecords.records || [])].sort((a, b) =>
     a.name.localeCompare(b.name),
@@ -268,6 +664,36 @@ function buildExportBundle(sources, generatedAt = new Date().toISOString()) {
     { title: 'Popularity Records Export', baselineReference: sources.popularityRecords.baselineReference },
   );
 
+  const nicknameRows = buildNicknameRows(sources.names, sources.nicknames);
+  const nicknamesJson = wrapExportEnvelope(
+    EXPORT_VERSION,
+    generatedAt,
+    'nicknames-v1',
+    nicknameRows.length,
+    nicknameRows,
+    { title: 'Nicknames Export' },
+  );
+
+  const variantRows = buildVariantRows(sources.names, sources.variants);
+  const variantsJson = wrapExportEnvelope(
+    EXPORT_VERSION,
+    generatedAt,
+    'variants-v1',
+    variantRows.length,
+    variantRows,
+    { title: 'Spelling Variants Export' },
+  );
+
+  const entityRows = buildEntityRows(sources.names, knowledgeRows);
+  const entitiesJson = wrapExportEnvelope(
+    EXPORT_VERSION,
+    generatedAt,
+    '1.0',
+    entityRows.length,
+    entityRows,
+    { title: 'Entity Attributes Export' },
+  );
+
   const graphNodesExport = {
     exportVersion: EXPORT_VERSION,
     generatedAt,
@@ -297,6 +723,7 @@ function buildExportBundle(sources, generatedAt = new Date().toISOString()) {
       navigationVersion: sources.navigation.related.navigationVersion,
       navigationSemanticHash: sources.audits.navigation.validation.semanticHash,
       entityCount: sources.navigation.related.entityCount,
+      rankingProfiles: sources.navigation.related.rankingProfiles ?? null,
       entities: sources.navigation.related.entities,
     },
     origin: {
@@ -382,6 +809,40 @@ function buildExportBundle(sources, generatedAt = new Date().toISOString()) {
     'trend_direction',
   ]);
 
+  const nicknamesCsv = toCsv(
+    nicknameRows.map((row) => ({ ...row, citation_ids: row.citation_ids.join(';') })),
+    ['name', 'slug', 'nickname', 'kind', 'citation_ids'],
+  );
+
+  const variantsCsv = toCsv(variantRows, ['name', 'slug', 'variant', 'language']);
+
+  const sqliteTables = buildSqliteTables({
+    entityRows,
+    knowledgeRows,
+    citationRows,
+    popularityRows,
+    nicknameRows,
+    graphEdges: sources.graphEdges.edges,
+    exportVersion: EXPORT_VERSION,
+    generatedAt,
+  });
+  const sqlite = buildSqliteDatabase(sqliteTables);
+
+  const popularityTimeSeriesRows = buildPopularityTimeSeriesRows(popularityRows);
+  const popularityParquet = buildParquetFile({
+    columns: POPULARITY_PARQUET_COLUMNS,
+    rows: popularityTimeSeriesRows,
+    keyValueMetadata: { exportVersion: EXPORT_VERSION, generatedAt },
+    createdBy: `nameorigin export-engine ${EXPORT_VERSION}`,
+  });
+
+  const linkedDataTriples = buildGraphTriples({
+    nodes: sources.graphNodes.nodes,
+    edges: sources.graphEdges.edges,
+    entityAttributes: new Map(entityRows.map((row) => [row.name, row])),
+  });
+  const vocabularyTriples = buildVocabularyTriples();
+
   const jsonlFromRecords = (records) => records.map((record) => `${JSON.stringify(record)}\n`).join('');
 
   return {
@@ -397,15 +858,32 @@ function buildExportBundle(sources, generatedAt = new Date().toISOString()) {
       popularityJson,
       popularityJsonl: jsonlFromRecords(popularityRows),
       popularityCsv,
+      nicknamesJson,
+      nicknamesJsonl: jsonlFromRecords(nicknameRows),
+      nicknamesCsv,
+      variantsJson,
+      variantsJsonl: jsonlFromRecords(variantRows),
+      variantsCsv,
+      entitiesJson,
       graphNodesExport,
       graphEdgesExport,
       graphJsonl: `${graphJsonlLines.join('\n')}\n`,
       navigationExports,
+      sqlite,
+      popularityParquet,
+      graphJsonld: toJsonLd(linkedDataTriples),
+      graphTurtle: toTurtle(linkedDataTriples),
+      graphNtriples: toNTriples(linkedDataTriples),
+      vocabularyJsonld: toJsonLd(vocabularyTriples),
+      vocabularyTurtle: toTurtle(vocabularyTriples),
     },
     counts: {
       knowledgeRecords: knowledgeRows.length,
       citationRecords: citationRows.length,
       popularityRecords: popularityRows.length,
+      nicknameRecords: nicknameRows.length,
+      variantRecords: variantRows.length,
+      entityRecords: entityRows.length,
       graphNodes: sources.graphNodes.nodes.length,
       graphEdges: sources.graphEdges.edges.length,
       graphJsonlLines: graphJsonlLines.length,
@@ -418,6 +896,15 @@ function buildExportBundle(sources, generatedAt = new Date().toISOString()) {
       knowledgeCsvRows: knowledgeRows.length,
       citationsCsvRows: citationRows.length,
       popularityCsvRows: popularityCsvRows.length,
+      nicknamesCsvRows: nicknameRows.length,
+      variantsCsvRows: variantRows.length,
+      popularityTimeSeriesRows: popularityTimeSeriesRows.length,
+      sqliteTableRows: Object.fromEntries(sqliteTables.tables.map((table) => [table.name, table.rows.length])),
+      sqliteOrphanRows: sqliteTables.orphanRows,
+      linkedDataTriples: linkedDataTriples.length,
+      vocabularyTriples: vocabularyTriples.length,
+      wikidataLinks: entityRows.filter((row) => row.wikidataId).length,
+      fieldsWithoutProvenance: findFieldsWithoutProvenance(knowledgeRows).length,
     },
   };
 }
@@ -440,11 +927,30 @@ function buildManifest(bundle, sources, artifactHashes) {
         sha256: sources.sourceHashes.citationRecords,
         recordCount: bundle.counts.citationRecords,
       },
+      provenanceRecords: {
+        schemaVersion: sources.provenanceRecords.schemaVersion,
+        sha256: sources.sourceHashes.provenanceRecords,
+        recordCount: (sources.provenanceRecords.records || []).length,
+      },
       popularityRecords: {
         schemaVersion: sources.popularityRecords.schemaVersion,
         sha256: sources.sourceHashes.popularityRecords,
         recordCount: bundle.counts.popularityRecords,
       },
+      nicknames: sources.sourceHashes.nicknames
+        ? {
+            schemaVersion: 'nicknames-v1',
+            sha256: sources.sourceHashes.nicknames,
+            recordCount: bundle.counts.nicknameRecords,
+          }
+        : null,
+      variants: sources.sourceHashes.variants
+        ? {
+            schemaVersion: 'variants-v1',
+            sha256: sources.sourceHashes.variants,
+            recordCount: bundle.counts.variantRecords,
+          }
+        : null,
       knowledgeGraph: {
         graphVersion: sources.graphNodes.graphVersion,
         semanticHash: sources.audits.knowledgeGraph.validation.semanticHash,
@@ -466,7 +972,7 @@ function buildManifest(bundle, sources, artifactHashes) {
     },
     artifacts: artifactHashes,
     recordCounts: bundle.counts,
-    formats: ['json', 'jsonl', 'csv'],
+    formats: ['json', 'jsonl', 'csv', ...LINKED_DATA_FORMATS, ...BINARY_EXPORT_FORMATS],
   };
 }
 
@@ -492,6 +998,17 @@ function validateStructuredExports(bundle, manifest, sources) {
   if (bundle.counts.citationRecords !== 3697) {
     errors.push(`Expected 3697 citation records, found ${bundle.counts.citationRecords}.`);
   }
+  if (bundle.counts.entityRecords !== 3697) {
+    errors.push(`Expected 3697 entity records, found ${bundle.counts.entityRecords}.`);
+  }
+  const unmatchedEntities = bundle.files.entitiesJson.records.filter((row) => row.gender == null);
+  if (unmatchedEntities.length > 0) {
+    errors.push(`${unmatchedEntities.length} entity records have no data/names.json row (e.g. ${unmatchedEntities[0].name}).`);
+  }
+  const unprovenancedFields = findFieldsWithoutProvenance(bundle.files.knowledgeJson.records);
+  if (unprovenancedFields.length > 0) {
+    errors.push(`${unprovenancedFields.length} populated knowledge fields have no provenance (e.g. ${unprovenancedFields[0]}).`);
+  }
   if (bundle.counts.graphNodes !== 3697) {
     errors.push(`Expected 3697 graph nodes, found ${bundle.counts.graphNodes}.`);
   }
@@ -508,6 +1025,12 @@ function validateStructuredExports(bundle, manifest, sources) {
   if (bundle.files.popularityJsonl.split('\n').filter(Boolean).length !== bundle.counts.popularityRecords) {
     errors.push('Popularity JSONL line count mismatch.');
   }
+  if (bundle.files.nicknamesJsonl.split('\n').filter(Boolean).length !== bundle.counts.nicknameRecords) {
+    errors.push('Nicknames JSONL line count mismatch.');
+  }
+  if (bundle.files.variantsJsonl.split('\n').filter(Boolean).length !== bundle.counts.variantRecords) {
+    errors.push('Variants JSONL line count mismatch.');
+  }
   if (bundle.files.graphJsonl.split('\n').filter(Boolean).length !== bundle.counts.graphJsonlLines) {
     errors.push('Graph JSONL line count mismatch.');
   }
@@ -527,6 +1050,50 @@ function validateStructuredExports(bundle, manifest, sources) {
     errors.push('Popularity CSV row count mismatch.');
   }
 
+  const nicknamesCsvBodyRows = bundle.files.nicknamesCsv.trim().split('\n').length - 1;
+  if (nicknamesCsvBodyRows !== bundle.counts.nicknamesCsvRows) {
+    errors.push('Nicknames CSV row count mismatch.');
+  }
+
+  const variantsCsvBodyRows = bundle.files.variantsCsv.trim().split('\n').length - 1;
+  if (variantsCsvBodyRows !== bundle.counts.variantsCsvRows) {
+    errors.push('Variants CSV row count mismatch.');
+  }
+
+  const { sqlite, popularityParquet } = bundle.files;
+  if (sqlite.subarray(0, 16).toString('latin1') !== 'SQLite format 3\0') {
+    errors.push('SQLite export is missing the SQLite file header.');
+  } else if (sqlite.readUInt32BE(28) * SQLITE_PAGE_SIZE !== sqlite.length) {
+    errors.push('SQLite export page count does not match its file size.');
+  }
+  const sqliteTableRows = bundle.counts.sqliteTableRows;
+  if (sqliteTableRows.names !== bundle.counts.entityRecords || sqliteTableRows.knowledge !== bundle.counts.knowledgeRecords) {
+    errors.push('SQLite names / knowledge row counts do not match the knowledge export.');
+  }
+  if (sqliteTableRows.popularity !== bundle.counts.popularityTimeSeriesRows) {
+    errors.push('SQLite popularity row count does not match the popularity time series.');
+  }
+  if (sqliteTableRows.nicknames !== bundle.counts.nicknameRecords) {
+    errors.push('SQLite nickname row count does not match the nicknames export.');
+  }
+  if (sqliteTableRows.edges !== bundle.counts.graphEdges) {
+    errors.push('SQLite edge row count does not match graph edges.');
+  }
+  if (bundle.counts.sqliteOrphanRows > 0) {
+    errors.push(`${bundle.counts.sqliteOrphanRows} SQLite rows reference a slug with no names row.`);
+  }
+  if (!isParquetFile(popularityParquet)) {
+    errors.push('Popularity Parquet export is missing its PAR1 header or footer.');
+  }
+
+  if (bundle.files.graphNtriples.split('\n').filter(Boolean).length !== bundle.counts.linkedDataTriples) {
+    errors.push('Graph N-Triples line count does not match the linked-data triple count.');
+  }
+  const linkedDataSubjects = bundle.files.graphJsonld['@graph'].length;
+  if (linkedDataSubjects !== bundle.counts.graphNodes + bundle.counts.graphEdges) {
+    errors.push(`Graph JSON-LD has ${linkedDataSubjects} nodes; expected one per graph node and edge.`);
+  }
+
   if (manifest.sourceLayers.knowledgeGraph.semanticHash !== sources.audits.knowledgeGraph.validation.semanticHash) {
     errors.push('Manifest graph semantic hash mismatch.');
   }
@@ -539,6 +1106,11 @@ function validateStructuredExports(bundle, manifest, sources) {
       errors.push(`Invalid manifest artifact entry: ${artifact.path || 'unknown'}`);
     }
   }
+  for (const format of [...LINKED_DATA_FORMATS, ...BINARY_EXPORT_FORMATS]) {
+    if (!manifest.artifacts.some((artifact) => artifact.format === format)) {
+      errors.push(`Manifest has no ${format} artifact.`);
+    }
+  }
 
   return {
     status: errors.length === 0 ? 'PASS' : 'FAIL',
@@ -551,8 +1123,12 @@ module.exports = {
   EXPORT_VERSION,
   SOURCE_PATHS,
   KNOWLEDGE_DOMAINS,
+  BINARY_EXPORT_FORMATS,
+  LINKED_DATA_FORMATS,
+  POPULARITY_PARQUET_COLUMNS,
   stableHash,
   hashFile,
+  hashFileBinary,
   slugFromName,
   csvEscape,
   toCsv,
@@ -564,4 +1140,10 @@ module.exports = {
   buildKnowledgeCsvRows,
   buildCitationCsvRows,
   buildPopularityCsvRows,
+  buildPopularityTimeSeriesRows,
+  buildNicknameRows,
+  buildVariantRows,
+  buildSqliteTables,
+  buildEntityRows,
+  wikidataIdFromNameRow,
 };
@@ -0,0 +1,348 @@
+/**
+ * lib/export/linked-data.js — RDF serializations of the knowledge graph.
+ *
+ * Turns graph nodes and edges into triples under the NameOrigin vocabulary
+ * and writes them as JSON-LD, Turtle and N-Triples
+ * (https://www.w3.org/TR/rdf11-concepts/). Each name entity is a
+ * schema:DefinedTerm. Each edge becomes one direct triple (name:a
+ * no:hasVariant name:b) plus a no:Relationship node that carries its
+ * confidence and derivation. No I/O, and the output is deterministic: the
+ * same nodes and edges always produce the same text.
+ */
+
+const SITE_URL = 'https://nameorigin.io';
+const VOCABULARY_IRI = `${SITE_URL}/vocab`;
+const VOCABULARY_VERSION = '1.0';
+
+const PREFIXES = Object.freeze({
+  no: `${VOCABULARY_IRI}#`,
+  name: `${SITE_URL}/id/name/`,
+  relationship: `${SITE_URL}/id/relationship/`,
+  schema: 'https://schema.org/',
+  wd: 'http://www.wikidata.org/entity/',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  dcterms: 'http://purl.org/dc/terms/',
+});
+
+const WIKIDATA_QID = /^Q[1-9]\d*$/;
+
+/** Graph relationship type → vocabulary property. Every type is symmetric in the graph. */
+const RELATIONSHIP_PROPERTIES = Object.freeze({
+  HAS_VARIANT: {
+    term: 'hasVariant',
+    label: 'has variant',
+    comment: 'The two names are spelling variants of each other.',
+  },
+  SAME_ORIGIN: {
+    term: 'sameOrigin',
+    label: 'same origin',
+    comment: 'The two names share an origin cluster or, failing that, an origin country.',
+  },
+  SAME_LANGUAGE: {
+    term: 'sameLanguage',
+    label: 'same language',
+    comment: 'The two names share a primary language.',
+  },
+  RELATED_MEANING: {
+    term: 'relatedMeaning',
+    label: 'related meaning',
+    comment: 'The two names have the same or a closely related meaning.',
+  },
+  SIMILAR_PRONUNCIATION: {
+    term: 'similarPronunciation',
+    label: 'similar pronunciation',
+    comment: 'The two names sound alike.',
+  },
+  SAME_CULTURAL_GROUP: {
+    term: 'sameCulturalGroup',
+    label: 'same cultural group',
+    comment: 'The two names belong to the same cultural naming tradition.',
+  },
+  NICKNAME_OF: {
+    term: 'nicknameOf',
+    label: 'nickname of',
+    comment: 'The subject name is a common nickname for the object name.',
+    symmetric: false,
+  },
+  DIMINUTIVE_OF: {
+    term: 'diminutiveOf',
+    label: 'diminutive of',
+    comment: 'The subject name is a diminutive of the object name.',
+    symmetric: false,
+  },
+  SHARES_ROOT: {
+    term: 'sharesRoot',
+    label: 'shares root',
+    comment: 'The two names derive from the same etymological root word.',
+  },
+  CROSS_LANGUAGE_EQUIVALENT: {
+    term: 'crossLanguageEquivalent',
+    label: 'cross-language equivalent',
+    comment: 'The two names are forms of the same name in different languages.',
+  },
+});
+
+const iri = (value) => ({ iri: value });
+const literal = (value, language = null) => ({ literal: String(value), language });
+const term = (prefix, local) => iri(`${PREFIXES[prefix]}${local}`);
+const triple = (subject, predicate, object) => ({ subject, predicate, object });
+
+const RDF_TYPE = term('rdf', 'type');
+
+/** Relationship properties are symmetric unless marked `symmetric: false`. */
+function propertyTypes(property) {
+  return property.symmetric === false
+    ? [term('owl', 'ObjectProperty')]
+    : [term('owl', 'ObjectProperty'), term('owl', 'SymmetricProperty')];
+}
+
+function entityIri(slug) {
+  return term('name', encodeURIComponent(slug));
+}
+
+function relationshipIri(edgeId) {
+  return term('relationship', String(edgeId).split(':').map(encodeURIComponent).join(':'));
+}
+
+function relationshipProperty(relationshipType) {
+  const property = RELATIONSHIP_PROPERTIES[relationshipType];
+  if (!property) {
+    throw new Error(`No linked-data property for relationship type "${relationshipType}".`);
+  }
+  return term('no', property.term);
+}
+
+/**
+ * Triples for the knowledge graph, grouped by subject: each entity (in node
+ * order) followed by its outgoing relationships, then one no:Relationship
+ * node per edge (in edge order).
+ * @param {{ nodes: object[], edges: object[], entityAttributes?: Map<string, { gender?: string, wikidataId?: string }> }} graph
+ *   entityAttributes is keyed by display name.
+ */
+function buildGraphTriples({ nodes, edges, entityAttributes = new Map() }) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+    outgoing.get(edge.source).push(edge);
+  }
+
+  const triples = [];
+  for (const node of nodes) {
+    const subject = entityIri(node.slug);
+    const attributes = entityAttributes.get(node.displayName) || {};
+    triples.push(
+      triple(subject, RDF_TYPE, term('no', 'NameEntity')),
+      triple(subject, RDF_TYPE, term('schema', 'DefinedTerm')),
+      triple(subject, term('schema', 'name'), literal(node.displayName)),
+      triple(subject, term('schema', 'termCode'), literal(node.slug)),
+      triple(subject, term('schema', 'url'), iri(`${SITE_URL}/name/${encodeURIComponent(node.slug)}/`)),
+    );
+    if (attributes.gender) triples.push(triple(subject, term('no', 'gender'), literal(attributes.gender)));
+    if (WIKIDATA_QID.test(attributes.wikidataId || '')) {
+      triples.push(
+        triple(subject, term('owl', 'sameAs'), term('wd', attributes.wikidataId)),
+        triple(subject, term('schema', 'sameAs'), iri(`https://www.wikidata.org/wiki/${attributes.wikidataId}`)),
+      );
+    }
+    for (const edge of outgoing.get(node.slug) || []) {
+      triples.push(triple(subject, relationshipProperty(edge.relationshipType), entityIri(edge.target)));
+    }
+  }
+
+  for (const edge of edges) {
+    const subject = relationshipIri(edge.id);
+    triples.push(
+      triple(subject, RDF_TYPE, term('no', 'Relationship')),
+      triple(subject, term('no', 'relationshipType'), relationshipProperty(edge.relationshipType)),
+      triple(subject, term('no', 'source'), entityIri(edge.source)),
+      triple(subject, term('no', 'target'), entityIri(edge.target)),
+      triple(subject, term('no', 'confidence'), literal(edge.confidence)),
+      ...(edge.derivedFrom || []).map((field) => triple(subject, term('no', 'derivedFrom'), literal(field))),
+    );
+  }
+
+  return triples;
+}
+
+function describe(subject, types, label, comment, extra = []) {
+  return [
+    ...types.map((type) => triple(subject, RDF_TYPE, type)),
+    triple(subject, term('rdfs', 'label'), literal(label, 'en')),
+    triple(subject, term('rdfs', 'comment'), literal(comment, 'en')),
+    triple(subject, term('rdfs', 'isDefinedBy'), iri(VOCABULARY_IRI)),
+    ...extra,
+  ];
+}
+
+/** Triples for the vocabulary itself: the ontology, its two classes and every property the graph uses. */
+function buildVocabularyTriples() {
+  const nameEntity = term('no', 'NameEntity');
+  const relationship = term('no', 'Relationship');
+  const ontology = iri(VOCABULARY_IRI);
+  const withDomainRange = (subject, domain, range) => [
+    triple(subject, term('rdfs', 'domain'), domain),
+    triple(subject, term('rdfs', 'range'), range),
+  ];
+
+  const triples = [
+    triple(ontology, RDF_TYPE, term('owl', 'Ontology')),
+    triple(ontology, term('dcterms', 'title'), literal('NameOrigin vocabulary', 'en')),
+    triple(
+      ontology,
+      term('dcterms', 'description'),
+      literal('Classes and properties for name entities and the relationships between them in the NameOrigin knowledge graph.', 'en'),
+    ),
+    triple(ontology, term('owl', 'versionInfo'), literal(VOCABULARY_VERSION)),
+    ...describe(nameEntity, [term('owl', 'Class')], 'name entity', 'A given name catalogued by NameOrigin.', [
+      triple(nameEntity, term('rdfs', 'subClassOf'), term('schema', 'DefinedTerm')),
+    ]),
+    ...describe(
+      relationship,
+      [term('owl', 'Class')],
+      'relationship',
+      'One edge of the knowledge graph, with the confidence and entity fields it was derived from.',
+    ),
+  ];
+
+  for (const [relationshipType, property] of Object.entries(RELATIONSHIP_PROPERTIES)) {
+    const subject = term('no', property.term);
+    triples.push(
+      ...describe(subject, propertyTypes(property), property.label, property.comment, [
+        ...withDomainRange(subject, nameEntity, nameEntity),
+        triple(subject, term('no', 'relationshipTypeCode'), literal(relationshipType)),
+      ]),
+    );
+  }
+
+  const relationshipProperties = [
+    ['relationshipType', 'ObjectProperty', 'relationship type', 'The direct property this relationship asserts.', term('rdf', 'Property')],
+    ['source', 'ObjectProperty', 'source', 'The entity the relationship starts from.', nameEntity],
+    ['target', 'ObjectProperty', 'target', 'The entity the relationship points to.', nameEntity],
+    ['confidence', 'DatatypeProperty', 'confidence', 'Confidence level: exact, strong, moderate or weak.', term('rdfs', 'Literal')],
+    ['derivedFrom', 'DatatypeProperty', 'derived from', 'Entity field the relationship was computed from.', term('rdfs', 'Literal')],
+  ];
+  for (const [local, kind, label, comment, range] of relationshipProperties) {
+    const subject = term('no', local);
+    triples.push(...describe(subject, [term('owl', kind)], label, comment, withDomainRange(subject, relationship, range)));
+  }
+
+  const gender = term('no', 'gender');
+  triples.push(
+    ...describe(
+      gender,
+      [term('owl', 'DatatypeProperty')],
+      'gender',
+      'Gender association as catalogued: boy, girl or unisex. Not a claim about any bearer.',
+      withDomainRange(gender, nameEntity, term('rdfs', 'Literal')),
+    ),
+  );
+  const typeCode = term('no', 'relationshipTypeCode');
+  triples.push(
+    ...describe(
+      typeCode,
+      [term('owl', 'DatatypeProperty')],
+      'relationship type code',
+      'The relationship type as named in graph-edges.json.',
+      withDomainRange(typeCode, term('rdf', 'Property'), term('rdfs', 'Literal')),
+    ),
+  );
+
+  return triples;
+}
+
+// --- Serializers ---
+
+function escapeString(value) {
+  return value.replace(/[\\"\n\r\t]/g, (char) => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' })[char]);
+}
+
+function formatIri(value) {
+  if (/[\u0000- <>"{}|^`\\]/.test(value)) throw new Error(`Invalid IRI for RDF export: ${value}`);
+  return `<${value}>`;
+}
+
+function formatLiteral(node) {
+  return `"${escapeString(node.literal)}"${node.language ? `@${node.language}` : ''}`;
+}
+
+/** Prefixed name when the local part is safe in Turtle and JSON-LD, else null. */
+function compactIri(value) {
+  for (const [prefix, namespace] of Object.entries(PREFIXES)) {
+    if (!value.startsWith(namespace)) continue;
+    const local = value.slice(namespace.length);
+    if (/^[A-Za-z0-9_][A-Za-z0-9_:-]*$/.test(local)) return `${prefix}:${local}`;
+  }
+  return null;
+}
+
+function toNTriples(triples) {
+  const format = (node) => (node.iri != null ? formatIri(node.iri) : formatLiteral(node));
+  return triples.map((t) => `${format(t.subject)} ${format(t.predicate)} ${format(t.object)} .\n`).join('');
+}
+
+/** Runs of triples that share a subject, with their objects grouped by predicate. */
+function groupBySubject(triples) {
+  const groups = [];
+  for (const t of triples) {
+    let group = groups[groups.length - 1];
+    if (!group || group.subject !== t.subject.iri) {
+      group = { subject: t.subject.iri, predicates: [] };
+      groups.push(group);
+    }
+    const entry = group.predicates.find((candidate) => candidate.predicate === t.predicate.iri);
+    if (entry) entry.objects.push(t.object);
+    else group.predicates.push({ predicate: t.predicate.iri, objects: [t.object] });
+  }
+  return groups;
+}
+
+function toTurtle(triples) {
+  const formatTerm = (node) => {
+    if (node.iri == null) return formatLiteral(node);
+    return compactIri(node.iri) || formatIri(node.iri);
+  };
+  const prefixLines = Object.entries(PREFIXES).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`);
+  const blocks = groupBySubject(triples).map((group) => {
+    const lines = group.predicates.map(({ predicate, objects }) => {
+      const verb = predicate === RDF_TYPE.iri ? 'a' : formatTerm(iri(predicate));
+      return `    ${verb} ${objects.map(formatTerm).join(', ')}`;
+    });
+    return `${formatTerm(iri(group.subject))}\n${lines.join(' ;\n')} .`;
+  });
+  return `${prefixLines.join('\n')}\n\n${blocks.join('\n\n')}\n`;
+}
+
+/** Compacted JSON-LD document: the prefixes as @context and one @graph node per subject. */
+function toJsonLd(triples) {
+  const compact = (value) => compactIri(value) || value;
+  const graph = groupBySubject(triples).map((group) => {
+    const node = { '@id': compact(group.subject) };
+    for (const { predicate, objects } of group.predicates) {
+      const key = predicate === RDF_TYPE.iri ? '@type' : compact(predicate);
+      const values = objects.map((object) => {
+        if (key === '@type') return compact(object.iri);
+        if (object.iri != null) return { '@id': compact(object.iri) };
+        return object.language ? { '@value': object.literal, '@language': object.language } : object.literal;
+      });
+      node[key] = values.length === 1 ? values[0] : values;
+    }
+    return node;
+  });
+  return { '@context': { ...PREFIXES }, '@graph': graph };
+}
+
+module.exports = {
+  SITE_URL,
+  VOCABULARY_IRI,
+  VOCABULARY_VERSION,
+  PREFIXES,
+  RELATIONSHIP_PROPERTIES,
+  WIKIDATA_QID,
+  buildGraphTriples,
+  buildVocabularyTriples,
+  toNTriples,
+  toTurtle,
+  toJsonLd,
+};
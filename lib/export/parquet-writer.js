@@ -0,0 +1,289 @@
+/**
+ * lib/export/parquet-writer.js — Dependency-free Apache Parquet file writer.
+ *
+ * Writes flat (non-nested) tables as a single row group: uncompressed,
+ * PLAIN-encoded data pages (v1) with RLE definition levels for optional
+ * columns, and Thrift compact-protocol page headers and footer
+ * (https://github.com/apache/parquet-format). Deterministic — the same rows
+ * always produce the same bytes.
+ *
+ * Column types: 'string' (BYTE_ARRAY, UTF8), 'int32', 'int64', 'double'.
+ */
+
+const MAGIC = Buffer.from('PAR1', 'latin1');
+const PAGE_ROW_LIMIT = 10000;
+
+/** parquet.thrift enums. */
+const PHYSICAL_TYPES = Object.freeze({ INT32: 1, INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 });
+const REPETITION = Object.freeze({ REQUIRED: 0, OPTIONAL: 1 });
+const CONVERTED_UTF8 = 0;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_TYPE_DATA = 0;
+
+const COLUMN_TYPES = Object.freeze({
+  string: { physicalType: PHYSICAL_TYPES.BYTE_ARRAY, utf8: true },
+  int32: { physicalType: PHYSICAL_TYPES.INT32 },
+  int64: { physicalType: PHYSICAL_TYPES.INT64 },
+  double: { physicalType: PHYSICAL_TYPES.DOUBLE },
+});
+
+/** Thrift compact-protocol field and element types. */
+const T = Object.freeze({
+  I32: 5,
+  I64: 6,
+  BINARY: 8,
+  LIST: 9,
+  STRUCT: 12,
+});
+
+function uleb128(value) {
+  const bytes = [];
+  let rest = BigInt(value);
+  do {
+    let byte = Number(rest & 0x7fn);
+    rest >>= 7n;
+    if (rest > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (rest > 0n);
+  return bytes;
+}
+
+function zigzag(value) {
+  const big = BigInt(value);
+  return big >= 0n ? big << 1n : (-big << 1n) - 1n;
+}
+
+/**
+ * Minimal Thrift compact-protocol encoder. Structs are written from field
+ * lists: [fieldId, type, value], with value a nested field list for STRUCT
+ * and { type, items } for LIST. Fields with a null value are omitted.
+ */
+function encodeStruct(fields) {
+  const bytes = [];
+  let lastId = 0;
+  for (const [id, type, value] of fields) {
+    if (value == null) continue;
+    const delta = id - lastId;
+    if (delta > 0 && delta <= 15) bytes.push((delta << 4) | type);
+    else bytes.push(type, ...uleb128(zigzag(id)));
+    lastId = id;
+    bytes.push(...encodeValue(type, value));
+  }
+  bytes.push(0);
+  return bytes;
+}
+
+function encodeValue(type, value) {
+  switch (type) {
+    case T.I32:
+    case T.I64:
+      return uleb128(zigzag(value));
+    case T.BINARY: {
+      const data = Buffer.from(value, 'utf8');
+      return [...uleb128(data.length), ...data];
+    }
+    case T.STRUCT:
+      return encodeStruct(value);
+    case T.LIST: {
+      const header = value.items.length < 15
+        ? [(value.items.length << 4) | value.type]
+        : [0xf0 | value.type, ...uleb128(value.items.length)];
+      return [...header, ...value.items.flatMap((item) => encodeValue(value.type, item))];
+    }
+    default:
+      throw new Error(`Unsupported Thrift type ${type}.`);
+  }
+}
+
+/** RLE / bit-packed hybrid for definition levels (bit width 1), as RLE runs, with the v1 4-byte length prefix. */
+function encodeDefinitionLevels(levels) {
+  const bytes = [];
+  for (let start = 0; start < levels.length;) {
+    let end = start;
+    while (end < levels.length && levels[end] === levels[start]) end += 1;
+    bytes.push(...uleb128((end - start) << 1), levels[start]);
+    start = end;
+  }
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32LE(bytes.length);
+  return Buffer.concat([prefix, Buffer.from(bytes)]);
+}
+
+function encodePlainValues(columnType, values) {
+  switch (columnType) {
+    case 'string':
+      return Buffer.concat(
+        values.flatMap((value) => {
+          const data = Buffer.from(String(value), 'utf8');
+          const length = Buffer.alloc(4);
+          length.writeUInt32LE(data.length);
+          return [length, data];
+        }),
+      );
+    case 'int32': {
+      const buffer = Buffer.alloc(values.length * 4);
+      values.forEach((value, i) => buffer.writeInt32LE(value, i * 4));
+      return buffer;
+    }
+    case 'int64': {
+      const buffer = Buffer.alloc(values.length * 8);
+      values.forEach((value, i) => buffer.writeBigInt64LE(BigInt(value), i * 8));
+      return buffer;
+    }
+    case 'double': {
+      const buffer = Buffer.alloc(values.length * 8);
+      values.forEach((value, i) => buffer.writeDoubleLE(value, i * 8));
+      return buffer;
+    }
+    default:
+      throw new Error(`Unsupported Parquet column type "${columnType}".`);
+  }
+}
+
+function encodeDataPage(column, values) {
+  const present = values.filter((value) => value != null);
+  if (!column.optional && present.length !== values.length) {
+    throw new Error(`Parquet column "${column.name}" is required but has null values.`);
+  }
+  const body = Buffer.concat([
+    column.optional ? encodeDefinitionLevels(values.map((value) => (value == null ? 0 : 1))) : Buffer.alloc(0),
+    encodePlainValues(column.type, present),
+  ]);
+  const header = Buffer.from(
+    encodeStruct([
+      [1, T.I32, PAGE_TYPE_DATA],
+      [2, T.I32, body.length],
+      [3, T.I32, body.length],
+      [
+        5,
+        T.STRUCT,
+        [
+          [1, T.I32, values.length],
+          [2, T.I32, ENCODING_PLAIN],
+          [3, T.I32, ENCODING_RLE],
+          [4, T.I32, ENCODING_RLE],
+        ],
+      ],
+    ]),
+  );
+  return Buffer.concat([header, body]);
+}
+
+function schemaElement(column) {
+  const { physicalType, utf8 } = COLUMN_TYPES[column.type];
+  return [
+    [1, T.I32, physicalType],
+    [3, T.I32, column.optional ? REPETITION.OPTIONAL : REPETITION.REQUIRED],
+    [4, T.BINARY, column.name],
+    [6, T.I32, utf8 ? CONVERTED_UTF8 : null],
+    [10, T.STRUCT, utf8 ? [[1, T.STRUCT, []]] : null],
+  ];
+}
+
+/**
+ * Builds a Parquet file.
+ * @param {{ columns: { name: string, type: 'string'|'int32'|'int64'|'double', optional?: boolean }[],
+ *   rows: object[], keyValueMetadata?: object, createdBy?: string }} table - rows are objects keyed by column name
+ * @returns {Buffer}
+ */
+function buildParquetFile({ columns, rows, keyValueMetadata = {}, createdBy = null }) {
+  for (const column of columns) {
+    if (!COLUMN_TYPES[column.type]) throw new Error(`Unsupported Parquet column type "${column.type}".`);
+  }
+
+  const chunks = [MAGIC];
+  let offset = MAGIC.length;
+  const columnChunks = [];
+
+  for (const column of columns) {
+    const values = rows.map((row) => row[column.name] ?? null);
+    const dataPageOffset = offset;
+    let chunkSize = 0;
+    const pageCount = Math.max(1, Math.ceil(values.length / PAGE_ROW_LIMIT));
+    for (let i = 0; i < pageCount; i += 1) {
+      const page = encodeDataPage(column, values.slice(i * PAGE_ROW_LIMIT, (i + 1) * PAGE_ROW_LIMIT));
+      chunks.push(page);
+      chunkSize += page.length;
+    }
+    offset += chunkSize;
+
+    columnChunks.push([
+      [2, T.I64, dataPageOffset],
+      [
+        3,
+        T.STRUCT,
+        [
+          [1, T.I32, COLUMN_TYPES[column.type].physicalType],
+          [2, T.LIST, { type: T.I32, items: [ENCODING_PLAIN, ENCODING_RLE] }],
+          [3, T.LIST, { type: T.BINARY, items: [column.name] }],
+          [4, T.I32, CODEC_UNCOMPRESSED],
+          [5, T.I64, values.length],
+          [6, T.I64, chunkSize],
+          [7, T.I64, chunkSize],
+          [9, T.I64, dataPageOffset],
+        ],
+      ],
+    ]);
+  }
+
+  const totalByteSize = offset - MAGIC.length;
+  const keyValues = Object.entries(keyValueMetadata).map(([key, value]) => [
+    [1, T.BINARY, key],
+    [2, T.BINARY, String(value)],
+  ]);
+  const footer = Buffer.from(
+    encodeStruct([
+      [1, T.I32, 1],
+      [
+        2,
+        T.LIST,
+        {
+          type: T.STRUCT,
+          items: [
+            [
+              [4, T.BINARY, 'schema'],
+              [5, T.I32, columns.length],
+            ],
+            ...columns.map(schemaElement),
+          ],
+        },
+      ],
+      [3, T.I64, rows.length],
+      [
+        4,
+        T.LIST,
+        {
+          type: T.STRUCT,
+          items: [
+            [
+              [1, T.LIST, { type: T.STRUCT, items: columnChunks }],
+              [2, T.I64, totalByteSize],
+              [3, T.I64, rows.length],
+            ],
+          ],
+        },
+      ],
+      [5, T.LIST, keyValues.length ? { type: T.STRUCT, items: keyValues } : null],
+      [6, T.BINARY, createdBy],
+    ]),
+  );
+  const footerLength = Buffer.alloc(4);
+  footerLength.writeUInt32LE(footer.length);
+
+  return Buffer.concat([...chunks, footer, footerLength, MAGIC]);
+}
+
+/** Leading and trailing PAR1 magic with a footer length that fits the file. */
+function isParquetFile(buffer) {
+  if (buffer.length < 12) return false;
+  if (!buffer.subarray(0, 4).equals(MAGIC) || !buffer.subarray(buffer.length - 4).equals(MAGIC)) return false;
+  return buffer.readUInt32LE(buffer.length - 8) + 12 <= buffer.length;
+}
+
+module.exports = {
+  PAGE_ROW_LIMIT,
+  buildParquetFile,
+  isParquetFile,
+};
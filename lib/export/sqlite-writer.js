@@ -0,0 +1,459 @@
+/**
+ * lib/export/sqlite-writer.js — Dependency-free SQLite 3 database file writer.
+ *
+ * Serializes table definitions and rows straight to the SQLite file format
+ * (https://www.sqlite.org/fileformat2.html), so the export engine can ship a
+ * .sqlite artifact without a native module. Write-once: every b-tree is
+ * packed bottom-up with no free pages, journal or WAL, and nothing in the file
+ * depends on the clock — the same tables always produce the same bytes.
+ *
+ * Supported: rowid tables whose first column is INTEGER PRIMARY KEY, NULL /
+ * integer / real / text values, overflow pages, and secondary indexes.
+ */
+
+const PAGE_SIZE = 4096;
+const FILE_HEADER_SIZE = 100;
+const SQLITE_VERSION_NUMBER = 3040001;
+
+const PAGE_TYPES = Object.freeze({
+  interiorIndex: 0x02,
+  interiorTable: 0x05,
+  leafIndex: 0x0a,
+  leafTable: 0x0d,
+});
+
+const MIN_LOCAL = Math.floor(((PAGE_SIZE - 12) * 32) / 255) - 23;
+const TABLE_MAX_LOCAL = PAGE_SIZE - 35;
+const INDEX_MAX_LOCAL = Math.floor(((PAGE_SIZE - 12) * 64) / 255) - 23;
+
+/** SQLite big-endian varint. Only non-negative safe integers are needed here (sizes, rowids, serial types). */
+function encodeVarint(value) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`SQLite varint out of range: ${value}`);
+  }
+  const bytes = [];
+  let rest = value;
+  do {
+    bytes.unshift(rest % 128);
+    rest = Math.floor(rest / 128);
+  } while (rest > 0);
+  for (let i = 0; i < bytes.length - 1; i += 1) bytes[i] |= 0x80;
+  return Buffer.from(bytes);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+const INTEGER_WIDTHS = Object.freeze([
+  { serialType: 1, bytes: 1 },
+  { serialType: 2, bytes: 2 },
+  { serialType: 3, bytes: 3 },
+  { serialType: 4, bytes: 4 },
+  { serialType: 5, bytes: 6 },
+]);
+
+/** Serial type and body bytes for one column value. */
+function encodeValue(value) {
+  if (value == null) return { serialType: 0, body: Buffer.alloc(0) };
+  if (typeof value === 'boolean') return encodeValue(value ? 1 : 0);
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      if (value === 0) return { serialType: 8, body: Buffer.alloc(0) };
+      if (value === 1) return { serialType: 9, body: Buffer.alloc(0) };
+      for (const { serialType, bytes } of INTEGER_WIDTHS) {
+        const limit = 2 ** (bytes * 8 - 1);
+        if (value >= -limit && value < limit) {
+          const body = Buffer.alloc(bytes);
+          body.writeIntBE(value, 0, bytes);
+          return { serialType, body };
+        }
+      }
+      const body = Buffer.alloc(8);
+      body.writeBigInt64BE(BigInt(value));
+      return { serialType: 6, body };
+    }
+    if (!Number.isFinite(value)) throw new Error(`SQLite writer cannot store ${value}.`);
+    const body = Buffer.alloc(8);
+    body.writeDoubleBE(value);
+    return { serialType: 7, body };
+  }
+  if (typeof value === 'string') {
+    const body = Buffer.from(value, 'utf8');
+    return { serialType: 13 + 2 * body.length, body };
+  }
+  if (Buffer.isBuffer(value)) return { serialType: 12 + 2 * value.length, body: value };
+  throw new Error(`SQLite writer cannot store a value of type ${typeof value}.`);
+}
+
+/** Record format: header size, serial types, then the column bodies. */
+function encodeRecord(values) {
+  const encoded = values.map(encodeValue);
+  const types = Buffer.concat(encoded.map(({ serialType }) => encodeVarint(serialType)));
+  let headerSize = types.length + 1;
+  while (encodeVarint(headerSize).length + types.length !== headerSize) headerSize += 1;
+  return Buffer.concat([encodeVarint(headerSize), types, ...encoded.map(({ body }) => body)]);
+}
+
+/** SQLite sort order for index keys: NULL < numbers < text (BINARY collation) < blobs. */
+function typeRank(value) {
+  if (value == null) return 0;
+  if (typeof value === 'number' || typeof value === 'boolean') return 1;
+  if (typeof value === 'string') return 2;
+  return 3;
+}
+
+function compareValues(left, right) {
+  const rankDiff = typeRank(left) - typeRank(right);
+  if (rankDiff !== 0) return rankDiff;
+  if (left == null) return 0;
+  if (typeof left === 'string') return Buffer.compare(Buffer.from(left, 'utf8'), Buffer.from(right, 'utf8'));
+  if (Buffer.isBuffer(left)) return Buffer.compare(left, right);
+  return Number(left) - Number(right);
+}
+
+function compareKeys(left, right) {
+  for (let i = 0; i < left.length; i += 1) {
+    const diff = compareValues(left[i], right[i]);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/** Page numbers are 1-based; page 1 holds the file header and the sqlite_schema root. */
+function createPager() {
+  const pages = [null];
+  return {
+    allocate() {
+      pages.push(null);
+      return pages.length;
+    },
+    set(pageNumber, buffer) {
+      pages[pageNumber - 1] = buffer;
+    },
+    get count() {
+      return pages.length;
+    },
+    pages,
+  };
+}
+
+function localPayloadSize(payloadSize, maxLocal) {
+  if (payloadSize <= maxLocal) return payloadSize;
+  const surplus = MIN_LOCAL + ((payloadSize - MIN_LOCAL) % (PAGE_SIZE - 4));
+  return surplus <= maxLocal ? surplus : MIN_LOCAL;
+}
+
+/** Local part of a payload plus, when it spills, the 4-byte pointer to its first overflow page. */
+function spillPayload(pager, payload, maxLocal) {
+  const localSize = localPayloadSize(payload.length, maxLocal);
+  if (localSize === payload.length) return payload;
+
+  const chunkSize = PAGE_SIZE - 4;
+  const overflowPages = [];
+  for (let offset = localSize; offset < payload.length; offset += chunkSize) {
+    overflowPages.push({ pageNumber: pager.allocate(), chunk: payload.subarray(offset, offset + chunkSize) });
+  }
+  overflowPages.forEach(({ pageNumber, chunk }, i) => {
+    const page = Buffer.alloc(PAGE_SIZE);
+    page.writeUInt32BE(i + 1 < overflowPages.length ? overflowPages[i + 1].pageNumber : 0, 0);
+    chunk.copy(page, 4);
+    pager.set(pageNumber, page);
+  });
+  return Buffer.concat([payload.subarray(0, localSize), uint32(overflowPages[0].pageNumber)]);
+}
+
+function isInteriorPage(pageType) {
+  return pageType === PAGE_TYPES.interiorIndex || pageType === PAGE_TYPES.interiorTable;
+}
+
+function pageCapacity(pageType, headerOffset = 0) {
+  return PAGE_SIZE - headerOffset - (isInteriorPage(pageType) ? 12 : 8);
+}
+
+/** Lays out one b-tree page: header, cell pointer array, then cells packed against the end of the page. */
+function buildBtreePage(pageType, cells, rightChild = 0, headerOffset = 0) {
+  const page = Buffer.alloc(PAGE_SIZE);
+  const headerSize = isInteriorPage(pageType) ? 12 : 8;
+  let contentStart = PAGE_SIZE;
+  cells.forEach((cell, i) => {
+    contentStart -= cell.length;
+    cell.copy(page, contentStart);
+    page.writeUInt16BE(contentStart, headerOffset + headerSize + 2 * i);
+  });
+  if (contentStart < headerOffset + headerSize + 2 * cells.length) {
+    throw new Error('SQLite writer overfilled a b-tree page.');
+  }
+  page[headerOffset] = pageType;
+  page.writeUInt16BE(0, headerOffset + 1);
+  page.writeUInt16BE(cells.length, headerOffset + 3);
+  page.writeUInt16BE(contentStart === 65536 ? 0 : contentStart, headerOffset + 5);
+  page[headerOffset + 7] = 0;
+  if (isInteriorPage(pageType)) page.writeUInt32BE(rightChild, headerOffset + 8);
+  return page;
+}
+
+function writePage(pager, pageType, cells, rightChild) {
+  const pageNumber = pager.allocate();
+  pager.set(pageNumber, buildBtreePage(pageType, cells, rightChild));
+  return pageNumber;
+}
+
+/** Splits `items` into runs whose cell sizes (plus 2-byte pointers) fit `capacity`. */
+function packRuns(items, sizeOf, capacity) {
+  const runs = [];
+  let run = [];
+  let used = 0;
+  for (const item of items) {
+    const size = sizeOf(item) + 2;
+    if (run.length > 0 && used + size > capacity) {
+      runs.push(run);
+      run = [];
+      used = 0;
+    }
+    run.push(item);
+    used += size;
+  }
+  if (run.length > 0 || runs.length === 0) runs.push(run);
+  return runs;
+}
+
+/**
+ * Writes a table b-tree. `rows` are { rowid, record } in ascending rowid order.
+ * @returns {number} root page number
+ */
+function writeTableTree(pager, rows) {
+  const cells = rows.map(({ rowid, record }) => ({
+    rowid,
+    cell: Buffer.concat([
+      encodeVarint(record.length),
+      encodeVarint(rowid),
+      spillPayload(pager, record, TABLE_MAX_LOCAL),
+    ]),
+  }));
+
+  let level = packRuns(cells, (item) => item.cell.length, pageCapacity(PAGE_TYPES.leafTable)).map((run) => ({
+    pageNumber: writePage(pager, PAGE_TYPES.leafTable, run.map((item) => item.cell)),
+    maxRowid: run.length ? run[run.length - 1].rowid : 0,
+  }));
+
+  while (level.length > 1) {
+    const runs = packRuns(
+      level,
+      (child) => 4 + encodeVarint(child.maxRowid).length,
+      pageCapacity(PAGE_TYPES.interiorTable),
+    );
+    // Each run's last child becomes the right-most pointer; an interior page needs at least one cell.
+    const last = runs[runs.length - 1];
+    if (last.length === 1 && runs.length > 1) last.unshift(runs[runs.length - 2].pop());
+    level = runs.map((run) => ({
+      pageNumber: writePage(
+        pager,
+        PAGE_TYPES.interiorTable,
+        run.slice(0, -1).map((child) => Buffer.concat([uint32(child.pageNumber), encodeVarint(child.maxRowid)])),
+        run[run.length - 1].pageNumber,
+      ),
+      maxRowid: run[run.length - 1].maxRowid,
+    }));
+  }
+  return level[0].pageNumber;
+}
+
+/**
+ * Groups an index level: each group becomes one page and the entry between two
+ * groups moves up a level as the divider. Every group keeps at least one entry.
+ */
+function splitIndexLevel(entries, sizeOf, capacity) {
+  const groups = [];
+  const dividers = [];
+  let group = [];
+  let used = 0;
+  for (let i = 0; i < entries.length; i += 1) {
+    const size = sizeOf(entries[i]) + 2;
+    if (group.length > 0 && used + size > capacity) {
+      if (i === entries.length - 1) {
+        // The divider would leave the last group empty; promote this group's last entry instead.
+        dividers.push(group.pop());
+        groups.push(group);
+        group = [entries[i]];
+        used = size;
+        continue;
+      }
+      groups.push(group);
+      dividers.push(entries[i]);
+      group = [];
+      used = 0;
+      continue;
+    }
+    group.push(entries[i]);
+    used += size;
+  }
+  groups.push(group);
+  return { groups, dividers };
+}
+
+/**
+ * Writes an index b-tree. Unlike a table b-tree, each key is stored exactly
+ * once: entries that divide two child pages live only in the parent.
+ * @param {Buffer[]} records - index records (key columns then rowid), sorted
+ * @returns {number} root page number
+ */
+function writeIndexTree(pager, records) {
+  const cells = records.map((record) =>
+    Buffer.concat([encodeVarint(record.length), spillPayload(pager, record, INDEX_MAX_LOCAL)]),
+  );
+
+  const leaves = splitIndexLevel(cells, (cell) => cell.length, pageCapacity(PAGE_TYPES.leafIndex));
+  let children = leaves.groups.map((group) => writePage(pager, PAGE_TYPES.leafIndex, group));
+  let dividers = leaves.dividers;
+
+  while (children.length > 1) {
+    // Interior entry i pairs child i with divider i; the final child is the right-most pointer.
+    const entries = dividers.map((divider, i) => ({ child: children[i], divider }));
+    const level = splitIndexLevel(
+      entries,
+      (entry) => 4 + entry.divider.length,
+      pageCapacity(PAGE_TYPES.interiorIndex),
+    );
+    const nextChildren = [];
+    let consumed = 0;
+    level.groups.forEach((group, i) => {
+      consumed += group.length;
+      const rightChild = i < level.dividers.length ? level.dividers[i].child : children[children.length - 1];
+      if (i < level.dividers.length) consumed += 1;
+      nextChildren.push(
+        writePage(
+          pager,
+          PAGE_TYPES.interiorIndex,
+          group.map((entry) => Buffer.concat([uint32(entry.child), entry.divider])),
+          rightChild,
+        ),
+      );
+    });
+    if (consumed !== entries.length) throw new Error('SQLite writer lost index entries while packing.');
+    children = nextChildren;
+    dividers = level.dividers.map((entry) => entry.divider);
+  }
+  return children[0];
+}
+
+function quoteIdentifier(name) {
+  return /^[a-z_][a-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+function columnSql(column) {
+  const parts = [quoteIdentifier(column.name), column.type];
+  if (column.primaryKey) parts.push('PRIMARY KEY');
+  if (column.notNull && !column.primaryKey) parts.push('NOT NULL');
+  if (column.references) parts.push(`REFERENCES ${column.references}`);
+  return parts.join(' ');
+}
+
+/** CREATE TABLE statement for a table definition, as stored in sqlite_schema. */
+function createTableSql(table) {
+  return `CREATE TABLE ${quoteIdentifier(table.name)} (${table.columns.map(columnSql).join(', ')})`;
+}
+
+function createIndexSql(index) {
+  return `CREATE INDEX ${quoteIdentifier(index.name)} ON ${quoteIdentifier(index.table)} (${index.columns
+    .map(quoteIdentifier)
+    .join(', ')})`;
+}
+
+function buildFileHeader(pageCount) {
+  const header = Buffer.alloc(FILE_HEADER_SIZE);
+  header.write('SQLite format 3\0', 0, 'latin1');
+  header.writeUInt16BE(PAGE_SIZE, 16);
+  header[18] = 1; // legacy (rollback journal) write version
+  header[19] = 1; // legacy read version
+  header[20] = 0; // reserved bytes per page
+  header[21] = 64; // max embedded payload fraction
+  header[22] = 32; // min embedded payload fraction
+  header[23] = 32; // leaf payload fraction
+  header.writeUInt32BE(1, 24); // file change counter
+  header.writeUInt32BE(pageCount, 28);
+  header.writeUInt32BE(1, 40); // schema cookie
+  header.writeUInt32BE(4, 44); // schema format
+  header.writeUInt32BE(1, 56); // text encoding: UTF-8
+  header.writeUInt32BE(1, 92); // version-valid-for (matches the change counter)
+  header.writeUInt32BE(SQLITE_VERSION_NUMBER, 96);
+  return header;
+}
+
+/**
+ * Builds a complete database file.
+ * @param {{ tables: object[], indexes?: object[] }} database
+ *   tables: { name, columns: [{ name, type, primaryKey?, notNull?, references? }], rows: any[][] } —
+ *   the first column must be INTEGER PRIMARY KEY (the rowid); rows must be in ascending rowid order.
+ *   indexes: { name, table, columns: string[] }
+ * @returns {Buffer}
+ */
+function buildSqliteDatabase({ tables, indexes = [] }) {
+  const pager = createPager();
+  const schemaRows = [];
+  const tablesByName = new Map();
+
+  for (const table of tables) {
+    const [rowidColumn] = table.columns;
+    if (!rowidColumn?.primaryKey || rowidColumn.type !== 'INTEGER') {
+      throw new Error(`SQLite table "${table.name}" must start with an INTEGER PRIMARY KEY column.`);
+    }
+    let previousRowid = -Infinity;
+    const rows = table.rows.map((row) => {
+      const rowid = row[0];
+      if (!Number.isSafeInteger(rowid) || rowid <= previousRowid) {
+        throw new Error(`SQLite table "${table.name}" rowids must be ascending integers (got ${rowid}).`);
+      }
+      if (row.length !== table.columns.length) {
+        throw new Error(`SQLite table "${table.name}" row ${rowid} has ${row.length} values for ${table.columns.length} columns.`);
+      }
+      previousRowid = rowid;
+      // The rowid alias column is stored as NULL in the record.
+      return { rowid, record: encodeRecord([null, ...row.slice(1)]) };
+    });
+    const rootPage = writeTableTree(pager, rows);
+    tablesByName.set(table.name, table);
+    schemaRows.push(['table', table.name, table.name, rootPage, createTableSql(table)]);
+  }
+
+  for (const index of indexes) {
+    const table = tablesByName.get(index.table);
+    if (!table) throw new Error(`SQLite index "${index.name}" names unknown table "${index.table}".`);
+    const positions = index.columns.map((column) => {
+      const position = table.columns.findIndex((candidate) => candidate.name === column);
+      if (position === -1) throw new Error(`SQLite index "${index.name}" names unknown column "${column}".`);
+      return position;
+    });
+    const keys = table.rows
+      .map((row) => [...positions.map((position) => row[position]), row[0]])
+      .sort(compareKeys);
+    const rootPage = writeIndexTree(pager, keys.map(encodeRecord));
+    schemaRows.push(['index', index.name, index.table, rootPage, createIndexSql(index)]);
+  }
+
+  const schemaCells = schemaRows.map((values, i) => {
+    const record = encodeRecord(values);
+    if (record.length > TABLE_MAX_LOCAL) throw new Error('SQLite schema entry too large for page 1.');
+    return Buffer.concat([encodeVarint(record.length), encodeVarint(i + 1), record]);
+  });
+  const schemaSize = schemaCells.reduce((sum, cell) => sum + cell.length + 2, 0);
+  if (schemaSize > pageCapacity(PAGE_TYPES.leafTable, FILE_HEADER_SIZE)) {
+    throw new Error('SQLite schema does not fit on page 1.');
+  }
+  const firstPage = buildBtreePage(PAGE_TYPES.leafTable, schemaCells, 0, FILE_HEADER_SIZE);
+  buildFileHeader(pager.count).copy(firstPage, 0);
+  pager.set(1, firstPage);
+
+  return Buffer.concat(pager.pages);
+}
+
+module.exports = {
+  PAGE_SIZE,
+  encodeVarint,
+  encodeRecord,
+  createTableSql,
+  createIndexSql,
+  buildSqliteDatabase,
+};
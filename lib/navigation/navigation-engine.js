@@ -7,6 +7,7 @@
  */
 
 const crypto = require('crypto');
+const { RANKING_PROFILES, rankByProfiles } = require('./related-ranking.js');
 
 const NAVIGATION_VERSION = '17B-v1';
 const MAX_RELATED_PER_TYPE = 25;
@@ -25,6 +26,10 @@ const EXPLORER_RELATIONSHIP_TYPES = Object.freeze([
   'RELATED_MEANING',
   'SIMILAR_PRONUNCIATION',
   'SAME_CULTURAL_GROUP',
+  'NICKNAME_OF',
+  'DIMINUTIVE_OF',
+  'SHARES_ROOT',
+  'CROSS_LANGUAGE_EQUIVALENT',
 ]);
 
 function stableHash(value) {
@@ -52,9 +57,12 @@ function compareConfidence(left, right) {
   return 0;
 }
 
+/** Strongest confidence first, then highest pair affinity (`weight`), then target slug. */
 function compareNavigationEntries(left, right) {
   const confidenceDiff = compareConfidence(left.confidence, right.confidence);
   if (confidenceDiff !== 0) return confidenceDiff;
+  const weightDiff = (right.weight ?? 0) - (left.weight ?? 0);
+  if (weightDiff !== 0) return weightDiff;
   return left.target.localeCompare(right.target);
 }
 
@@ -68,6 +76,7 @@ function edgeToEntry(slug, edge) {
     target,
     relationship: edge.relationshipType,
     confidence: edge.confidence,
+    weight: edge.weight ?? null,
     derivedFrom: [...edge.derivedFrom],
     explanation: edge.explanation ? { ...edge.explanation } : null,
   };
@@ -88,14 +97,19 @@ function limitEntries(entries, limit = MAX_RELATED_PER_TYPE) {
   return sortEntries(entries).slice(0, limit);
 }
 
-function collectEntriesForSlug(slug, edges) {
-  const entries = [];
+/** Edges incident to each slug, in edge order; self-loops are left out. */
+function edgesBySlug(edges) {
+  const bySlug = new Map();
+  const add = (slug, edge) => {
+    if (!bySlug.has(slug)) bySlug.set(slug, []);
+    bySlug.get(slug).push(edge);
+  };
   for (const edge of edges) {
-    if (edge.source !== slug && edge.target !== slug) continue;
     if (edge.source === edge.target) continue;
-    entries.push(edgeToEntry(slug, edge));
+    add(edge.source, edge);
+    add(edge.target, edge);
   }
-  return entries;
+  return bySlug;
 }
 
 function groupEntriesByRelationship(entries) {
@@ -107,8 +121,9 @@ function groupEntriesByRelationship(entries) {
   return grouped;
 }
 
+/** `edges` are the slug's incident edges (see edgesBySlug). */
 function buildRelatedNamesEntity(slug, edges) {
-  const allEntries = collectEntriesForSlug(slug, edges);
+  const allEntries = edges.map((edge) => edgeToEntry(slug, edge));
   const byRelationship = groupEntriesByRelationship(allEntries);
   const limitedByType = new Map();
 
@@ -143,8 +158,9 @@ function buildRelatedNamesEntity(slug, edges) {
 }
 
 function buildRelatedNamesIndex(nodes, edges) {
+  const incident = edgesBySlug(edges);
   return nodes
-    .map((node) => buildRelatedNamesEntity(node.slug, edges))
+    .map((node) => buildRelatedNamesEntity(node.slug, incident.get(node.slug) || []))
     .sort((left, right) => left.slug.localeCompare(right.slug));
 }
 
@@ -167,12 +183,17 @@ function explorerGroupId(relationshipType, explanation) {
       if (explanation?.meaning) {
         return `meaning:${normalizeText(explanation.meaning)}`;
       }
-      if (explanation?.meaningCluster) {
-        return `cluster:${normalizeText(explanation.meaningCluster)}`;
+      if (explanation?.meaningConcept) {
+        return `concept:${explanation.meaningConcept}`;
       }
       return null;
     }
     case 'SIMILAR_PRONUNCIATION': {
+      // Graded edges group by a shared primary Double Metaphone key; pairs whose keys differ form no group.
+      if (explanation?.method && explanation.method !== 'phonetic-spelling') {
+        const [sourceCode, targetCode] = explanation.phoneticCodes || [];
+        return sourceCode && sourceCode === targetCode ? `phonetic:${sourceCode.toLowerCase()}` : null;
+      }
       if (!explanation?.pronunciation) return null;
       return `pronunciation:${normalizePronunciation(explanation.pronunciation)}`;
     }
@@ -182,13 +203,46 @@ function explorerGroupId(relationshipType, explanation) {
       const language = normalizeText(explanation?.language) || '*';
       return `cultural:${cluster}|${country}|${language}`;
     }
+    case 'NICKNAME_OF': {
+      if (!explanation?.fullName) return null;
+      return `nicknames:${normalizeText(explanation.fullName)}`;
+    }
+    case 'DIMINUTIVE_OF': {
+      if (!explanation?.fullName) return null;
+      return `diminutives:${normalizeText(explanation.fullName)}`;
+    }
+    case 'SHARES_ROOT': {
+      if (!explanation?.rootWord) return null;
+      const word = normalizeText(explanation.rootWord);
+      const language = normalizeText(explanation.rootLanguage);
+      return language ? `root:${word}|${language}` : `root:${word}`;
+    }
+    case 'CROSS_LANGUAGE_EQUIVALENT': {
+      if (!explanation?.anchorSlug) return null;
+      return `equivalents:${explanation.anchorSlug}`;
+    }
     default:
       return null;
   }
 }
 
-function explorerGroupLabel(explanation) {
+/** RELATED_MEANING edges also join the hub of every meaning concept the two names share. */
+function conceptHubIds(relationshipType, explanation) {
+  if (relationshipType !== 'RELATED_MEANING') return [];
+  return (explanation?.meaningConcepts || []).map((concept) => `concept:${concept.id}`);
+}
+
+function explorerGroupLabel(groupId, explanation) {
   if (!explanation) return {};
+  if (groupId.startsWith('phonetic:')) return { phoneticCode: explanation.phoneticCodes[0] };
+  if (groupId.startsWith('pronunciation:')) return { pronunciation: explanation.pronunciation };
+  if (groupId.startsWith('meaning:')) return { meaning: explanation.meaning };
+  if (groupId.startsWith('nicknames:') || groupId.startsWith('diminutives:')) return { fullName: explanation.fullName };
+  if (groupId.startsWith('equivalents:')) return { anchorName: explanation.anchorName };
+  if (groupId.startsWith('concept:')) {
+    const concept = (explanation.meaningConcepts || []).find((entry) => `concept:${entry.id}` === groupId);
+    return { meaningConcept: concept.id, meaningConceptLabel: concept.label };
+  }
   return { ...explanation };
 }
 
@@ -198,22 +252,50 @@ function addGroupMember(groups, groupId, relationshipType, edge, slug) {
       id: groupId,
       relationshipType,
       derivedFrom: [...edge.derivedFrom],
-      label: explorerGroupLabel(edge.explanation),
+      label: explorerGroupLabel(groupId, edge.explanation),
       members: new Set(),
     });
   }
   groups.get(groupId).members.add(slug);
 }
 
-function buildExplorerIndex(edges, relationshipType) {
+/**
+ * Communities of the large graph groups (data/graph/communities.json) keyed by
+ * explorer group id. Members are capped like explorer group members.
+ */
+function subclustersByGroupId(communityGroups, relationshipType) {
+  const subclusters = new Map();
+  for (const group of communityGroups || []) {
+    if (group.relationshipType !== relationshipType) continue;
+    const groupId = explorerGroupId(relationshipType, group.explanation);
+    if (!groupId) continue;
+    subclusters.set(
+      groupId,
+      group.communities.map((community) => ({
+        anchor: community.anchor,
+        memberCount: community.memberCount,
+        members: community.members.slice(0, MAX_GROUP_MEMBERS),
+      })),
+    );
+  }
+  return subclusters;
+}
+
+/**
+ * Explorer groups for one relationship type. Groups that the graph split into
+ * communities list them as `subclusters`, largest first; other groups have none.
+ */
+function buildExplorerIndex(edges, relationshipType, communityGroups = []) {
+  const subclusters = subclustersByGroupId(communityGroups, relationshipType);
   const filtered = edges.filter((edge) => edge.relationshipType === relationshipType);
   const groups = new Map();
 
   for (const edge of filtered) {
-    const groupId = explorerGroupId(relationshipType, edge.explanation);
-    if (!groupId) continue;
-    addGroupMember(groups, groupId, relationshipType, edge, edge.source);
-    addGroupMember(groups, groupId, relationshipType, edge, edge.target);
+    const groupIds = [explorerGroupId(relationshipType, edge.explanation), ...conceptHubIds(relationshipType, edge.explanation)];
+    for (const groupId of new Set(groupIds.filter(Boolean))) {
+      addGroupMember(groups, groupId, relationshipType, edge, edge.source);
+      addGroupMember(groups, groupId, relationshipType, edge, edge.target);
+    }
   }
 
   return [...groups.values()]
@@ -226,6 +308,7 @@ function buildExplorerIndex(edges, relationshipType) {
         label: group.label,
         memberCount: members.length,
         members: members.slice(0, MAX_GROUP_MEMBERS),
+        subclusters: subclusters.get(group.id) || [],
       };
     })
     .sort((left, right) => left.id.localeCompare(right.id));
@@ -255,14 +338,23 @@ function computeNavigationMetrics(relatedNamesIndex) {
   };
 }
 
-function buildNavigationReport(graphPayload, graphSemanticHash) {
-  const { nodes, edges, generatedAt, graphVersion, entityCount } = graphPayload;
-
-  const relatedNames = buildRelatedNamesIndex(nodes, edges);
+/**
+ * @param {object} graphPayload - graph nodes, edges and communities
+ * @param {string} graphSemanticHash
+ * @param {Map<string, object>} [rankingAttributes] - from related-ranking.js buildRankingAttributes()
+ */
+function buildNavigationReport(graphPayload, graphSemanticHash, rankingAttributes = new Map()) {
+  const { nodes, edges, communities, generatedAt, graphVersion, entityCount } = graphPayload;
+
+  const relatedNames = buildRelatedNamesIndex(nodes, edges).map((entity) => ({
+    ...entity,
+    rankingAttributes: rankingAttributes.get(entity.slug) || { gender: null, completeness: null, popularity: {} },
+    rankings: rankByProfiles(entity, rankingAttributes),
+  }));
   const explorerIndexes = Object.fromEntries(
     EXPLORER_RELATIONSHIP_TYPES.map((relationshipType) => [
       relationshipType,
-      buildExplorerIndex(edges, relationshipType),
+      buildExplorerIndex(edges, relationshipType, communities),
     ]),
   );
 
@@ -278,6 +370,7 @@ function buildNavigationReport(graphPayload, graphSemanticHash) {
     graphVersion,
     graphSemanticHash,
     entityCount,
+    rankingProfiles: RANKING_PROFILES,
     relatedNames,
     explorerIndexes,
     metrics,
@@ -290,6 +383,7 @@ function hashNavigationSemantic(report) {
     graphVersion: report.graphVersion,
     graphSemanticHash: report.graphSemanticHash,
     entityCount: report.entityCount,
+    rankingProfiles: report.rankingProfiles,
     relatedNames: report.relatedNames,
     explorerIndexes: report.explorerIndexes,
     metrics: report.metrics,
@@ -300,6 +394,9 @@ function validateNavigation(report, graphPayload) {
   const errors = [];
   const slugSet = new Set(graphPayload.nodes.map((node) => node.slug));
   const graphEdgeIds = new Set(graphPayload.edges.map((edge) => edge.id));
+  const graphEdgeKeys = new Set(
+    graphPayload.edges.map((edge) => `${edge.relationshipType}|${edge.source}|${edge.target}`),
+  );
 
   if (report.relatedNames.length !== report.entityCount) {
     errors.push('Related names index length does not match entity count.');
@@ -332,17 +429,20 @@ function validateNavigation(report, graphPayload) {
       if (entry.target === entity.slug) {
         errors.push(`Self reference in entry: ${entity.slug}`);
       }
-      const matchingEdges = graphPayload.edges.filter(
-        (edge) =>
-          edge.relationshipType === entry.relationship &&
-          ((edge.source === entity.slug && edge.target === entry.target) ||
-            (edge.source === entry.target && edge.target === entity.slug)),
-      );
-      if (!matchingEdges.length) {
+      if (
+        !graphEdgeKeys.has(`${entry.relationship}|${entity.slug}|${entry.target}`) &&
+        !graphEdgeKeys.has(`${entry.relationship}|${entry.target}|${entity.slug}`)
+      ) {
         errors.push(`Navigation entry missing graph edge: ${entity.slug} -> ${entry.target}`);
       }
     }
 
+    for (const [profile, ranked] of Object.entries(entity.rankings || {})) {
+      if (ranked.length !== entity.relatedNames.length || !ranked.every((target) => seenTargets.has(target))) {
+        errors.push(`Ranking ${profile} for ${entity.slug} does not list exactly its related names.`);
+      }
+    }
+
     for (const [relationship, block] of Object.entries(entity.byRelationship || {})) {
       if (block.entries.length > MAX_RELATED_PER_TYPE) {
         errors.push(
@@ -374,6 +474,14 @@ function validateNavigation(report, graphPayload) {
       if (group.memberCount < group.members.length) {
         errors.push(`memberCount mismatch in explorer group ${group.id}.`);
       }
+      for (const subcluster of group.subclusters || []) {
+        if (!subcluster.members.every((member) => slugSet.has(member))) {
+          errors.push(`Unknown subcluster member in explorer group ${group.id}.`);
+        }
+        if (subcluster.members.length > MAX_GROUP_MEMBERS || subcluster.memberCount < subcluster.members.length) {
+          errors.push(`Subcluster member limit exceeded in explorer group ${group.id}.`);
+        }
+      }
     }
   }
 
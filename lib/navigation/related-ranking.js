@@ -0,0 +1,202 @@
+/**
+ * lib/navigation/related-ranking.js — Related-name ranking profiles for Phase 17B navigation.
+ *
+ * Scores every related name of an entity as a weighted sum of signals in
+ * [0, 1]: relationship confidence, multiplicity (how many relationship types
+ * link the pair), popularity in a requested country, gender match and KCI
+ * completeness. Weights come from a named profile or are supplied per call.
+ * Shared by the navigation build and the API. Pure functions — no I/O.
+ */
+
+const RANKING_SIGNALS = Object.freeze(['confidence', 'multiplicity', 'popularity', 'genderMatch', 'completeness']);
+
+const CONFIDENCE_SCORES = Object.freeze({ exact: 1, strong: 0.75, moderate: 0.5, weak: 0.25 });
+
+/** Pairs linked by this many relationship types or more score multiplicity 1. */
+const MAX_MULTIPLICITY = 4;
+
+/** Popularity falls on a log scale from rank 1 (score 1) to this rank (score 0). */
+const POPULARITY_RANK_FLOOR = 10000;
+
+const GENDERS = Object.freeze(['boy', 'girl', 'unisex']);
+const SCORE_DECIMALS = 6;
+
+/**
+ * Named weight sets. A weight is in [-1, 1]; a negative weight ranks names
+ * with a low signal first, so `rare-first` favours less popular names.
+ */
+const RANKING_PROFILES = Object.freeze({
+  default: Object.freeze({
+    description: 'Closest relationships first, lifted by popularity, gender match and completeness.',
+    weights: Object.freeze({ confidence: 0.4, multiplicity: 0.25, popularity: 0.15, genderMatch: 0.1, completeness: 0.1 }),
+  }),
+  'popular-first': Object.freeze({
+    description: 'Most popular names first among close relationships.',
+    weights: Object.freeze({ confidence: 0.2, multiplicity: 0.15, popularity: 0.5, genderMatch: 0.1, completeness: 0.05 }),
+  }),
+  'rare-first': Object.freeze({
+    description: 'Least popular names first among close relationships.',
+    weights: Object.freeze({ confidence: 0.3, multiplicity: 0.2, popularity: -0.4, genderMatch: 0.05, completeness: 0.05 }),
+  }),
+});
+
+const DEFAULT_RANKING_PROFILE = 'default';
+
+function normalizeKey(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function clampUnit(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function roundScore(value) {
+  return Number(value.toFixed(SCORE_DECIMALS));
+}
+
+/** Latest-year rank per region; regions whose latest year has no rank are left out. */
+function latestRanks(popularityRecord) {
+  const ranks = {};
+  const regions = popularityRecord?.popularity?.regions || {};
+  for (const region of Object.keys(regions).sort((a, b) => a.localeCompare(b))) {
+    let latest = null;
+    for (const row of regions[region].records || []) {
+      if (!latest || row.year > latest.year) latest = row;
+    }
+    if (latest?.rank != null) ranks[region] = latest.rank;
+  }
+  return ranks;
+}
+
+/**
+ * Per-slug attributes the signals read, keyed by graph node slug. Names and
+ * popularity records are matched on the node's display name; KCI entities on slug.
+ * @param {object[]} nodes - graph nodes ({ slug, displayName })
+ * @param {{ names?: object[], popularityRecords?: object[], kciEntities?: object[] }} sources
+ * @returns {Map<string, { gender: string|null, completeness: number|null, popularity: object }>}
+ */
+function buildRankingAttributes(nodes, { names = [], popularityRecords = [], kciEntities = [] } = {}) {
+  const genderByName = new Map(names.map((row) => [normalizeKey(row.name), row.gender]));
+  const popularityByName = new Map(popularityRecords.map((record) => [normalizeKey(record.name), record]));
+  const kciBySlug = new Map(kciEntities.map((entity) => [entity.slug, entity.score]));
+
+  const attributes = new Map();
+  for (const node of nodes) {
+    const key = normalizeKey(node.displayName);
+    const gender = normalizeKey(genderByName.get(key));
+    const kciScore = kciBySlug.get(node.slug);
+    attributes.set(node.slug, {
+      gender: GENDERS.includes(gender) ? gender : null,
+      completeness: kciScore == null ? null : roundScore(clampUnit(kciScore / 100)),
+      popularity: latestRanks(popularityByName.get(key)),
+    });
+  }
+  return attributes;
+}
+
+/** Best rank in `country`, or in any region when no country is requested. */
+function popularityScore(attributes, country) {
+  const ranks = attributes?.popularity || {};
+  const rank = country ? ranks[country] : Math.min(Infinity, ...Object.values(ranks));
+  if (rank == null || !Number.isFinite(rank) || rank < 1) return 0;
+  return clampUnit(1 - Math.log10(rank) / Math.log10(POPULARITY_RANK_FLOOR));
+}
+
+/** 1 when genders agree or either side is unisex, 0.5 when unknown, else 0. */
+function genderMatchScore(targetGender, gender) {
+  if (!gender || !targetGender) return 0.5;
+  if (targetGender === gender || targetGender === 'unisex' || gender === 'unisex') return 1;
+  return 0;
+}
+
+/**
+ * Validates per-call ranking options. `weights` may override some signals of
+ * the profile; the others keep the profile's value. Throws on unknown
+ * profiles, signals, genders or out-of-range weights.
+ * @param {{ profile?: string, weights?: object, country?: string, gender?: string }} options
+ */
+function normalizeRankingOptions({ profile = DEFAULT_RANKING_PROFILE, weights = null, country = null, gender = null } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(RANKING_PROFILES, profile)) {
+    throw new Error(`Unknown ranking profile "${profile}". Use one of: ${Object.keys(RANKING_PROFILES).join(', ')}.`);
+  }
+  const merged = { ...RANKING_PROFILES[profile].weights };
+  for (const [signal, value] of Object.entries(weights || {})) {
+    if (!RANKING_SIGNALS.includes(signal)) {
+      throw new Error(`Unknown ranking signal "${signal}". Use one of: ${RANKING_SIGNALS.join(', ')}.`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < -1 || value > 1) {
+      throw new Error(`Weight for "${signal}" must be a number from -1 to 1.`);
+    }
+    merged[signal] = value;
+  }
+  const normalizedGender = gender ? normalizeKey(gender) : null;
+  if (normalizedGender && !GENDERS.includes(normalizedGender)) {
+    throw new Error(`Unknown gender "${gender}". Use one of: ${GENDERS.join(', ')}.`);
+  }
+  return {
+    profile,
+    weights: merged,
+    country: country ? String(country).trim().toUpperCase() : null,
+    gender: normalizedGender,
+  };
+}
+
+/** Relationship types linking the entity to each target, counted over `byRelationship`. */
+function multiplicityByTarget(entity) {
+  const counts = new Map();
+  for (const block of Object.values(entity.byRelationship || {})) {
+    for (const entry of block.entries) counts.set(entry.target, (counts.get(entry.target) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Ranks an entity's related names. `entity` is a navigation entity; without a
+ * requested gender, targets are matched against the entity's own gender.
+ * Ties keep the entity's `entries` order.
+ * @param {object} entity - navigation entity ({ slug, entries, byRelationship })
+ * @param {Map<string, object>} attributesBySlug - from buildRankingAttributes()
+ * @param {object} options - normalizeRankingOptions() result
+ * @returns {{ slug: string, score: number, signals: object }[]}
+ */
+function rankRelatedNames(entity, attributesBySlug, options) {
+  const multiplicity = multiplicityByTarget(entity);
+  const gender = options.gender || attributesBySlug.get(entity.slug)?.gender || null;
+
+  return entity.entries
+    .map((entry, position) => {
+      const attributes = attributesBySlug.get(entry.target);
+      const signals = {
+        confidence: CONFIDENCE_SCORES[entry.confidence] ?? 0,
+        multiplicity: roundScore(Math.min(multiplicity.get(entry.target) || 1, MAX_MULTIPLICITY) / MAX_MULTIPLICITY),
+        popularity: roundScore(popularityScore(attributes, options.country)),
+        genderMatch: genderMatchScore(attributes?.gender, gender),
+        completeness: attributes?.completeness ?? 0,
+      };
+      const score = RANKING_SIGNALS.reduce((sum, signal) => sum + options.weights[signal] * signals[signal], 0);
+      return { slug: entry.target, score: roundScore(score), signals, position };
+    })
+    .sort((left, right) => right.score - left.score || left.position - right.position)
+    .map(({ slug, score, signals }) => ({ slug, score, signals }));
+}
+
+/** Target slugs in each named profile's order, with no country or gender override. */
+function rankByProfiles(entity, attributesBySlug) {
+  return Object.fromEntries(
+    Object.keys(RANKING_PROFILES).map((profile) => [
+      profile,
+      rankRelatedNames(entity, attributesBySlug, normalizeRankingOptions({ profile })).map((ranked) => ranked.slug),
+    ]),
+  );
+}
+
+module.exports = {
+  RANKING_SIGNALS,
+  RANKING_PROFILES,
+  DEFAULT_RANKING_PROFILE,
+  GENDERS,
+  buildRankingAttributes,
+  normalizeRankingOptions,
+  rankRelatedNames,
+  rankByProfiles,
+};
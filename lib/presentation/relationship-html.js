@@ -140,6 +140,76 @@ function renderExplorerPageBody(model) {
   );
 }
 
+function relationshipModifier(relationship) {
+  return String(relationship || '').toLowerCase().replace(/_/g, '-');
+}
+
+function renderEgoNetworkListItem(node, edges) {
+  const badges = edges
+    .map(
+      (edge) =>
+        `<span class="relationship-badge relationship-badge--type relationship-graph__type--${relationshipModifier(edge.relationship)}">` +
+        `${escapeHtml(edge.relationshipLabel)}</span>` +
+        renderConfidenceBadge(edge.confidence),
+    )
+    .join('');
+  return (
+    `<li class="relationship-graph__item">` +
+    `<a href="${escapeHtml(node.href)}">${escapeHtml(node.displayName)}</a>` +
+    `<span class="relationship-graph__badges">${badges}</span>` +
+    `</li>`
+  );
+}
+
+/**
+ * Body of the interactive name-family explorer (/relationships/explorer/).
+ * The graph is drawn by /js/relationship-explorer.js from ego-network JSON;
+ * the related-names list is the keyboard and no-script equivalent, rendered
+ * here for the initial name and kept in sync by the script.
+ * @param {{ network: object, relationshipTypes: { type: string, label: string }[], graphBasePath: string }} model
+ */
+function renderGraphExplorerBody(model) {
+  const { network } = model;
+  const toggles = model.relationshipTypes
+    .map(
+      ({ type, label }) =>
+        `<label class="relationship-graph__toggle relationship-graph__type--${relationshipModifier(type)}">` +
+        `<input type="checkbox" name="relationship" value="${escapeHtml(type)}" checked> ${escapeHtml(label)}</label>`,
+    )
+    .join('');
+
+  const items = network.nodes
+    .filter((node) => node.depth === 1)
+    .map((node) =>
+      renderEgoNetworkListItem(
+        node,
+        network.edges.filter((edge) => edge.source === network.slug && edge.target === node.slug),
+      ),
+    )
+    .join('');
+
+  return (
+    `<h1>Name Family Explorer</h1>` +
+    `<p class="relationship-explorer-intro">See how names connect through shared origins, meanings, sounds, nicknames and roots. Select a name in the graph or the list to center on it.</p>` +
+    `<section class="relationship-graph" id="relationship-graph-explorer" data-graph-base="${escapeHtml(model.graphBasePath)}" data-initial-slug="${escapeHtml(network.slug)}">` +
+    `<form class="relationship-graph__search" role="search">` +
+    `<label for="relationship-graph-search">Center on a name</label> ` +
+    `<input id="relationship-graph-search" type="search" list="relationship-graph-names" autocomplete="off" value="${escapeHtml(network.displayName)}"> ` +
+    `<datalist id="relationship-graph-names"></datalist>` +
+    `<button type="submit">Show</button>` +
+    `</form>` +
+    `<fieldset class="relationship-graph__types"><legend>Relationship types</legend>${toggles}</fieldset>` +
+    `<p class="relationship-graph__status" role="status" aria-live="polite">` +
+    `Names related to <a href="${escapeHtml(network.href)}">${escapeHtml(network.displayName)}</a></p>` +
+    `<div class="relationship-graph__canvas" aria-hidden="true"></div>` +
+    `<h2 id="relationship-graph-list-heading">Related names</h2>` +
+    `<ul class="relationship-graph__list" aria-labelledby="relationship-graph-list-heading">${items}</ul>` +
+    `<noscript><p>The interactive graph needs JavaScript. The list above shows every related name.</p></noscript>` +
+    `</section>` +
+    `<script src="/js/relationship-explorer.js" defer></script>`
+  );
+}
+
 function breadcrumbJsonLd(items) {
   return {
     '@context': 'https://schema.org',
@@ -260,6 +330,7 @@ module.exports = {
   RELATIONSHIP_NAV_MARKER_END,
   renderRelationshipNavigationSection,
   renderExplorerPageBody,
+  renderGraphExplorerBody,
   renderPageLayout,
   wrapRelationshipNavigationMarkers,
   injectRelationshipNavigationSection,
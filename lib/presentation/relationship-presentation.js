@@ -22,6 +22,10 @@ const NAVIGATION_ARTIFACTS = Object.freeze({
   meaningNavigation: 'meaning-navigation.json',
   pronunciationNavigation: 'pronunciation-navigation.json',
   culturalNavigation: 'cultural-navigation.json',
+  nicknameNavigation: 'nickname-navigation.json',
+  diminutiveNavigation: 'diminutive-navigation.json',
+  rootNavigation: 'root-navigation.json',
+  equivalentNavigation: 'equivalent-navigation.json',
 });
 
 const RELATIONSHIP_SECTIONS = Object.freeze([
@@ -30,6 +34,10 @@ const RELATIONSHIP_SECTIONS = Object.freeze([
   { type: 'RELATED_MEANING', title: 'Related Meaning', explorerKind: 'meaning' },
   { type: 'SIMILAR_PRONUNCIATION', title: 'Similar Pronunciation', explorerKind: 'pronunciation' },
   { type: 'SAME_CULTURAL_GROUP', title: 'Cultural Group', explorerKind: 'cultural' },
+  { type: 'NICKNAME_OF', title: 'Nicknames', explorerKind: 'nickname' },
+  { type: 'DIMINUTIVE_OF', title: 'Diminutives', explorerKind: 'diminutive' },
+  { type: 'SHARES_ROOT', title: 'Shared Root', explorerKind: 'root' },
+  { type: 'CROSS_LANGUAGE_EQUIVALENT', title: 'In Other Languages', explorerKind: 'equivalent' },
 ]);
 
 const RELATIONSHIP_BADGE_LABELS = Object.freeze({
@@ -39,6 +47,10 @@ const RELATIONSHIP_BADGE_LABELS = Object.freeze({
   SIMILAR_PRONUNCIATION: 'Similar Pronunciation',
   SAME_CULTURAL_GROUP: 'Cultural Group',
   HAS_VARIANT: 'Variant',
+  NICKNAME_OF: 'Nickname',
+  DIMINUTIVE_OF: 'Diminutive',
+  SHARES_ROOT: 'Shared Root',
+  CROSS_LANGUAGE_EQUIVALENT: 'Cross-Language Equivalent',
 });
 
 const EXPLORER_KINDS = Object.freeze({
@@ -47,6 +59,10 @@ const EXPLORER_KINDS = Object.freeze({
   RELATED_MEANING: 'meaning',
   SIMILAR_PRONUNCIATION: 'pronunciation',
   SAME_CULTURAL_GROUP: 'cultural',
+  NICKNAME_OF: 'nickname',
+  DIMINUTIVE_OF: 'diminutive',
+  SHARES_ROOT: 'root',
+  CROSS_LANGUAGE_EQUIVALENT: 'equivalent',
 });
 
 function stableHash(value) {
@@ -82,6 +98,10 @@ function namePagePath(slug) {
   return `/name/${slug}/`;
 }
 
+function egoNetworkPath(slug) {
+  return `/relationships/graph/${slug}.json`;
+}
+
 function formatList(items) {
   const values = items.filter(Boolean);
   if (values.length === 0) return '';
@@ -110,11 +130,18 @@ function buildEntryExplanation(entry) {
       if (explanation.meaning) {
         return `These names share the same meaning: ${explanation.meaning}.`;
       }
-      if (explanation.meaningCluster) {
-        return `These names have closely related meanings in the ${explanation.meaningCluster} cluster.`;
+      if (explanation.meaningConceptLabel) {
+        return `These names share the meaning concept ${explanation.meaningConceptLabel.toLowerCase()}.`;
       }
       return 'These names have closely related meanings.';
     case 'SIMILAR_PRONUNCIATION':
+      if (explanation.method === 'ipa' || explanation.method === 'double-metaphone') {
+        const basis = explanation.method === 'ipa' ? 'IPA transcriptions' : 'Double Metaphone';
+        return `These names sound alike (${basis}, phonetic distance ${explanation.distance}).`;
+      }
+      if (explanation.phoneticCode) {
+        return `These names share the phonetic key ${explanation.phoneticCode}.`;
+      }
       if (explanation.pronunciation) {
         return `These names share a similar pronunciation: ${explanation.pronunciation}.`;
       }
@@ -130,6 +157,30 @@ function buildEntryExplanation(entry) {
       }
       return 'These names belong to the same cultural group.';
     }
+    case 'NICKNAME_OF':
+      if (explanation.nickname && explanation.fullName) {
+        return `${explanation.nickname} is a nickname for ${explanation.fullName}.`;
+      }
+      if (explanation.fullName) return `These names are ${explanation.fullName} and its nicknames.`;
+      return 'One of these names is a nickname for the other.';
+    case 'DIMINUTIVE_OF':
+      if (explanation.diminutive && explanation.fullName) {
+        return `${explanation.diminutive} is a diminutive of ${explanation.fullName}.`;
+      }
+      if (explanation.fullName) return `These names are ${explanation.fullName} and its diminutives.`;
+      return 'One of these names is a diminutive of the other.';
+    case 'SHARES_ROOT':
+      if (explanation.rootWord && explanation.rootLanguage) {
+        return `These names share the ${explanation.rootLanguage} root “${explanation.rootWord}”.`;
+      }
+      if (explanation.rootWord) return `These names share the root “${explanation.rootWord}”.`;
+      return 'These names share an etymological root.';
+    case 'CROSS_LANGUAGE_EQUIVALENT':
+      if (explanation.anchorName && explanation.equivalentLanguage) {
+        return `These names are cross-language equivalents (the ${explanation.equivalentLanguage} form of ${explanation.anchorName}).`;
+      }
+      if (explanation.anchorName) return `These names are cross-language equivalents of ${explanation.anchorName}.`;
+      return 'These names are cross-language equivalents.';
     default:
       return 'These names are related through the knowledge graph.';
   }
@@ -146,16 +197,26 @@ function buildGroupTitle(kind, group) {
       return label.language ? `${label.language} Language Names` : 'Same Language Names';
     case 'meaning':
       if (label.meaning) return `Names Meaning “${label.meaning}”`;
-      if (label.meaningCluster) return `Names in the “${label.meaningCluster}” Meaning Cluster`;
+      if (label.meaningConceptLabel) return `Names About ${label.meaningConceptLabel}`;
       return 'Related Meaning Names';
     case 'pronunciation':
-      return label.pronunciation
-        ? `Names Pronounced Like “${label.pronunciation}”`
-        : 'Similar Pronunciation Names';
+      if (label.pronunciation) return `Names Pronounced Like “${label.pronunciation}”`;
+      if (label.phoneticCode) return `Names With the Phonetic Key ${label.phoneticCode}`;
+      return 'Similar Pronunciation Names';
     case 'cultural': {
       const parts = formatList([label.originCluster, label.originCountry, label.language]);
       return parts ? `${parts} Cultural Group Names` : 'Cultural Group Names';
     }
+    case 'nickname':
+      return label.fullName ? `Nicknames for ${label.fullName}` : 'Nickname Names';
+    case 'diminutive':
+      return label.fullName ? `Diminutives of ${label.fullName}` : 'Diminutive Names';
+    case 'root':
+      if (label.rootWord && label.rootLanguage) return `Names From the ${label.rootLanguage} Root “${label.rootWord}”`;
+      if (label.rootWord) return `Names From the Root “${label.rootWord}”`;
+      return 'Shared Root Names';
+    case 'equivalent':
+      return label.anchorName ? `${label.anchorName} in Other Languages` : 'Cross-Language Equivalents';
     default:
       return 'Related Names Explorer';
   }
@@ -187,11 +248,12 @@ function indexGroupsByMember(groups) {
 
 function createRelationshipPresentationContext() {
   const relatedNamesPayload = loadJson(path.join(DATA_DIR, NAVIGATION_ARTIFACTS.relatedNames));
-  const originPayload = loadJson(path.join(DATA_DIR, NAVIGATION_ARTIFACTS.originNavigation));
-  const languagePayload = loadJson(path.join(DATA_DIR, NAVIGATION_ARTIFACTS.languageNavigation));
-  const meaningPayload = loadJson(path.join(DATA_DIR, NAVIGATION_ARTIFACTS.meaningNavigation));
-  const pronunciationPayload = loadJson(path.join(DATA_DIR, NAVIGATION_ARTIFACTS.pronunciationNavigation));
-  const culturalPayload = loadJson(path.join(DATA_DIR, NAVIGATION_ARTIFACTS.culturalNavigation));
+  const explorerPayloads = Object.fromEntries(
+    Object.values(EXPLORER_KINDS).map((kind) => [
+      kind,
+      loadJson(path.join(DATA_DIR, NAVIGATION_ARTIFACTS[`${kind}Navigation`])),
+    ]),
+  );
   const navigationAudit = loadJson(path.join(AUDIT_DIR, 'navigation.json'));
 
   const entityBySlug = new Map(
@@ -208,20 +270,12 @@ function createRelationshipPresentationContext() {
     generatedAt: relatedNamesPayload.generatedAt,
     entityBySlug,
     entities: relatedNamesPayload.entities || [],
-    explorers: {
-      origin: originPayload.groups || [],
-      language: languagePayload.groups || [],
-      meaning: meaningPayload.groups || [],
-      pronunciation: pronunciationPayload.groups || [],
-      cultural: culturalPayload.groups || [],
-    },
-    explorerIndexByMember: {
-      origin: indexGroupsByMember(originPayload.groups),
-      language: indexGroupsByMember(languagePayload.groups),
-      meaning: indexGroupsByMember(meaningPayload.groups),
-      pronunciation: indexGroupsByMember(pronunciationPayload.groups),
-      cultural: indexGroupsByMember(culturalPayload.groups),
-    },
+    explorers: Object.fromEntries(
+      Object.entries(explorerPayloads).map(([kind, payload]) => [kind, payload.groups || []]),
+    ),
+    explorerIndexByMember: Object.fromEntries(
+      Object.entries(explorerPayloads).map(([kind, payload]) => [kind, indexGroupsByMember(payload.groups)]),
+    ),
   };
 }
 
@@ -302,6 +356,86 @@ function buildExplorerPresentation(kind, group) {
   };
 }
 
+/**
+ * Ego network of one name for the interactive explorer: the name, its related
+ * names, one typed edge per navigation entry from the name, and the entries
+ * between related names (each pair and type once, source before target).
+ */
+function buildEgoNetwork(slug, ctx) {
+  const entity = ctx.entityBySlug.get(slug);
+  if (!entity) return null;
+
+  const members = new Set([slug, ...(entity.relatedNames || [])]);
+  const nodes = [...members].map((member) => ({
+    slug: member,
+    displayName: slugToDisplayName(member),
+    href: namePagePath(member),
+    depth: member === slug ? 0 : 1,
+  }));
+
+  const edges = [];
+  const seen = new Set();
+  const addEdge = (source, target, entry) => {
+    const key = `${entry.relationship}|${source}|${target}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    edges.push({
+      source,
+      target,
+      relationship: entry.relationship,
+      relationshipLabel: RELATIONSHIP_BADGE_LABELS[entry.relationship] || entry.relationship,
+      confidence: entry.confidence,
+      weight: entry.weight ?? null,
+    });
+  };
+  for (const block of Object.values(entity.byRelationship || {})) {
+    for (const entry of block.entries) addEdge(slug, entry.target, entry);
+  }
+  for (const member of [...members].filter((other) => other !== slug).sort((a, b) => a.localeCompare(b))) {
+    for (const block of Object.values(ctx.entityBySlug.get(member)?.byRelationship || {})) {
+      for (const entry of block.entries) {
+        if (entry.target === slug || !members.has(entry.target)) continue;
+        const [source, target] = member.localeCompare(entry.target) < 0 ? [member, entry.target] : [entry.target, member];
+        addEdge(source, target, entry);
+      }
+    }
+  }
+
+  const counts = new Map();
+  for (const edge of edges) counts.set(edge.relationship, (counts.get(edge.relationship) || 0) + 1);
+
+  return {
+    presentationVersion: PRESENTATION_VERSION,
+    slug,
+    displayName: slugToDisplayName(slug),
+    href: namePagePath(slug),
+    relationshipTypes: Object.keys(RELATIONSHIP_BADGE_LABELS)
+      .filter((type) => counts.has(type))
+      .map((type) => ({ type, label: RELATIONSHIP_BADGE_LABELS[type], edgeCount: counts.get(type) })),
+    nodes,
+    edges,
+  };
+}
+
+/** Names the explorer can center on, for its search box. */
+function buildEgoNetworkIndex(ctx) {
+  return ctx.entities
+    .filter((entity) => (entity.relatedNames || []).length > 0)
+    .map((entity) => ({ slug: entity.slug, displayName: slugToDisplayName(entity.slug), path: egoNetworkPath(entity.slug) }));
+}
+
+/** The name the explorer opens on: the most connected, ties by slug. */
+function defaultEgoSlug(ctx) {
+  let best = null;
+  for (const entity of ctx.entities) {
+    const count = (entity.relatedNames || []).length;
+    if (!best || count > best.count || (count === best.count && entity.slug.localeCompare(best.slug) < 0)) {
+      best = { slug: entity.slug, count };
+    }
+  }
+  return best?.slug || null;
+}
+
 function collectAllExplorerPresentations(ctx) {
   const presentations = [];
   for (const [kind, groups] of Object.entries(ctx.explorers)) {
@@ -319,6 +453,7 @@ function buildPresentationReport(ctx) {
     .filter(Boolean);
 
   const explorerPresentations = collectAllExplorerPresentations(ctx);
+  const egoNetworks = ctx.entities.map((entity) => buildEgoNetwork(entity.slug, ctx)).filter(Boolean);
 
   let relatedNameCards = 0;
   let pagesWithContent = 0;
@@ -342,6 +477,8 @@ function buildPresentationReport(ctx) {
     entityCount: ctx.entityCount,
     namePresentations,
     explorerPresentations,
+    egoNetworks,
+    defaultEgoSlug: defaultEgoSlug(ctx),
     metrics: {
       entityCount: ctx.entityCount,
       pagesWithContent,
@@ -349,6 +486,8 @@ function buildPresentationReport(ctx) {
       explorerPages: explorerPresentations.length,
       relatedNameCards,
       explorerGroups: explorerPresentations.length,
+      egoNetworks: egoNetworks.length,
+      egoNetworkEdges: egoNetworks.reduce((sum, network) => sum + network.edges.length, 0),
     },
   };
 }
@@ -371,6 +510,12 @@ function hashPresentationSemantic(report) {
     memberCount: model.memberCount,
   }));
 
+  const egoSections = report.egoNetworks.map((network) => ({
+    slug: network.slug,
+    nodes: network.nodes.map((node) => node.slug),
+    edges: network.edges.map((edge) => [edge.source, edge.target, edge.relationship, edge.confidence]),
+  }));
+
   return stableHash({
     presentationVersion: report.presentationVersion,
     navigationSemanticHash: report.navigationSemanticHash,
@@ -378,6 +523,7 @@ function hashPresentationSemantic(report) {
     entityCount: report.entityCount,
     nameSections,
     explorerSections,
+    egoSections,
     metrics: report.metrics,
   });
 }
@@ -393,11 +539,15 @@ module.exports = {
   groupIdToUrlSegment,
   explorerPagePath,
   namePagePath,
+  egoNetworkPath,
   buildEntryExplanation,
+  buildGroupTitle,
   createRelationshipPresentationContext,
   buildRelationshipPresentationForSlug,
   buildExplorerPresentation,
   collectAllExplorerPresentations,
+  buildEgoNetwork,
+  buildEgoNetworkIndex,
   buildPresentationReport,
   hashPresentationSemantic,
 };
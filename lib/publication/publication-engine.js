@@ -3,11 +3,18 @@
  *
  * Read-only release packaging over the frozen Export Contract and API outputs.
  * Does not regenerate editorial, graph, navigation, export, or API layers.
+ * Per-entity changes against the previous release come from lib/api/release-diff.js.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const {
+  indexReleaseSnapshot,
+  isValidVersion,
+  loadReleaseSnapshot,
+  diffReleaseSnapshots,
+} = require('../api/release-diff.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const EXPORT_DIR = path.join(ROOT, 'exports');
@@ -34,9 +41,16 @@ const BUNDLE_FILES = Object.freeze([
   { source: 'popularity.json', category: 'popularity' },
   { source: 'popularity.jsonl', category: 'popularity' },
   { source: 'popularity.csv', category: 'popularity' },
+  { source: 'popularity.parquet', category: 'popularity' },
+  { source: 'nameorigin.sqlite', category: 'database' },
   { source: 'graph-nodes.json', category: 'graph' },
   { source: 'graph-edges.json', category: 'graph' },
   { source: 'graph.jsonl', category: 'graph' },
+  { source: 'graph.jsonld', category: 'graph' },
+  { source: 'graph.ttl', category: 'graph' },
+  { source: 'graph.nt', category: 'graph' },
+  { source: 'vocabulary.jsonld', category: 'graph' },
+  { source: 'vocabulary.ttl', category: 'graph' },
   { source: 'navigation-related.json', category: 'navigation' },
   { source: 'navigation-origin.json', category: 'navigation' },
   { source: 'navigation-language.json', category: 'navigation' },
@@ -66,7 +80,31 @@ function loadJson(absPath) {
   return JSON.parse(fs.readFileSync(absPath, 'utf8'));
 }
 
-function loadPublicationInputs() {
+/**
+ * Most recent other release under releases/ by manifest releaseTimestamp
+ * (ties by version), or null when this is the first release.
+ */
+function findPreviousReleaseVersion(datasetVersion) {
+  if (!fs.existsSync(RELEASES_DIR)) return null;
+  const candidates = [];
+  for (const entry of fs.readdirSync(RELEASES_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name === datasetVersion) continue;
+    const manifestPath = path.join(RELEASES_DIR, entry.name, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) continue;
+    const manifest = loadJson(manifestPath);
+    candidates.push({ version: entry.name, releaseTimestamp: manifest.releaseTimestamp || '' });
+  }
+  candidates.sort(
+    (a, b) => b.releaseTimestamp.localeCompare(a.releaseTimestamp) || b.version.localeCompare(a.version),
+  );
+  return candidates[0]?.version ?? null;
+}
+
+/**
+ * @param {{ previousVersion?: string|null }} [options] - release to diff against;
+ *   defaults to findPreviousReleaseVersion(). Pass null for no previous release.
+ */
+function loadPublicationInputs(options = {}) {
   const exportManifest = loadJson(path.join(EXPORT_DIR, 'manifest.json'));
   const structuredExportsAudit = loadJson(AUDIT_PATHS.structuredExports);
   const apiAudit = loadJson(AUDIT_PATHS.api);
@@ -77,8 +115,28 @@ function loadPublicationInputs() {
     throw new Error('Missing api/ directory — run generate-api-indexes.js first.');
   }
 
+  const datasetVersion = exportManifest.exportVersion;
+  const previousVersion =
+    options.previousVersion === undefined ? findPreviousReleaseVersion(datasetVersion) : options.previousVersion;
+  if (previousVersion != null && (!isValidVersion(previousVersion) || previousVersion === datasetVersion)) {
+    throw new Error(`Invalid previous release version: ${previousVersion}`);
+  }
+  const previousSnapshot = previousVersion ? loadReleaseSnapshot(previousVersion, RELEASES_DIR) : null;
+  if (previousVersion && !previousSnapshot) {
+    throw new Error(`Missing previous release: releases/${previousVersion}/manifest.json`);
+  }
+
   return {
-    datasetVersion: exportManifest.exportVersion,
+    datasetVersion,
+    previousVersion,
+    previousSnapshot,
+    currentSnapshot: indexReleaseSnapshot({
+      datasetVersion,
+      knowledge: loadJson(path.join(EXPORT_DIR, 'knowledge.json')),
+      citations: loadJson(path.join(EXPORT_DIR, 'citations.json')),
+      popularity: loadJson(path.join(EXPORT_DIR, 'popularity.json')),
+      graphEdges: loadJson(path.join(EXPORT_DIR, 'graph-edges.json')),
+    }),
     exportManifest,
     structuredExportsAudit,
     apiAudit,
@@ -132,10 +190,12 @@ This directory contains a frozen, versioned publication bundle derived from the
 
 - \`knowledge/\` — Knowledge record exports (JSON, JSONL, CSV)
 - \`citations/\` — Citation record exports
-- \`popularity/\` — Popularity record exports
-- \`graph/\` — Knowledge graph nodes, edges, and JSONL
+- \`popularity/\` — Popularity record exports (plus \`popularity.parquet\` time series)
+- \`database/\` — \`nameorigin.sqlite\`, names, knowledge, citations, popularity and edges joined by foreign keys
+- \`graph/\` — Knowledge graph nodes, edges, and JSONL, plus RDF (\`graph.jsonld\`, \`graph.ttl\`, \`graph.nt\`) and the vocabulary
 - \`navigation/\` — Navigation contract artifacts
 - \`api/\` — Versioned API static payloads (\`/api/v1/\`)
+- \`changes.json\` — Per-entity changes since the previous release
 - \`manifest.json\` — Publication manifest with semantic hashes
 - \`checksums.sha256\` — SHA-256 checksums for independent verification
 
@@ -169,7 +229,18 @@ terms governing commercial use and attribution requirements.
 `;
 }
 
-function buildReleaseChangelog(currentVersion, previousVersion, manifest) {
+/**
+ * Per-entity diff against the previous release. The first release has no
+ * baseline: fromVersion is null and the entity list is empty.
+ */
+function buildReleaseChanges(inputs) {
+  if (!inputs.previousSnapshot) {
+    return { ...diffReleaseSnapshots(inputs.currentSnapshot, inputs.currentSnapshot), fromVersion: null };
+  }
+  return diffReleaseSnapshots(inputs.previousSnapshot, inputs.currentSnapshot);
+}
+
+function buildReleaseChangelog(currentVersion, previousVersion, manifest, changes) {
   const lines = [
     `# Changelog — ${currentVersion}`,
     '',
@@ -209,9 +280,33 @@ function buildReleaseChangelog(currentVersion, previousVersion, manifest) {
     `- API semantic hash: ${manifest.hashes.apiSemanticHash}`,
     `- Publication semantic hash: ${manifest.publicationSemanticHash}`,
     '',
+  );
+
+  if (previousVersion) {
+    const { summary } = changes;
+    lines.push(
+      `## Entity changes since ${previousVersion}`,
+      '',
+      `- Entities added: ${summary.entitiesAdded}`,
+      `- Entities removed: ${summary.entitiesRemoved}`,
+      `- Entities changed: ${summary.entitiesChanged}`,
+      ...Object.entries(summary.fieldChanges).map(([field, count]) => `  - ${field}: ${count}`),
+      `- Entities with citation changes: ${summary.citationChanges}`,
+      `- Entities with popularity changes: ${summary.popularityChanges}`,
+      `- Relationship edges added: ${summary.edgesAdded}`,
+      `- Relationship edges removed: ${summary.edgesRemoved}`,
+      '',
+      'Per-entity detail: `changes.json`.',
+      '',
+    );
+  }
+
+  lines.push(
     '## Release notes',
     '',
-    'Initial versioned dataset publication release. No upstream editorial, graph, navigation, export, or API layers were modified during packaging.',
+    previousVersion
+      ? 'Versioned dataset publication release. No upstream editorial, graph, navigation, export, or API layers were modified during packaging.'
+      : 'Initial versioned dataset publication release. No upstream editorial, graph, navigation, export, or API layers were modified during packaging.',
     '',
   );
 
@@ -246,7 +341,7 @@ function buildPublicationManifest(inputs, packagedFiles, generatedAt) {
     title: 'nameorigin.io Versioned Dataset Publication v1',
     baselineReference: 'export-contract-v1',
     readOnly: true,
-    previousVersion: null,
+    previousVersion: inputs.previousVersion,
     apiVersion: apiAudit.apiVersion,
     schemaVersions: {
       knowledgeRecords: exportManifest.sourceLayers.knowledgeRecords.schemaVersion,
@@ -263,6 +358,7 @@ function buildPublicationManifest(inputs, packagedFiles, generatedAt) {
       apiSemanticHash: apiAudit.validation.semanticHash,
     },
     publicationSemanticHash,
+    changes: inputs.changesSummary,
     compatibility: {
       exportContract: inputs.datasetVersion,
       apiVersion: apiAudit.apiVersion,
@@ -277,6 +373,7 @@ function buildPublicationManifest(inputs, packagedFiles, generatedAt) {
       popularity: packagedFiles.filter((file) => file.path.startsWith('popularity/')).length,
       graph: packagedFiles.filter((file) => file.path.startsWith('graph/')).length,
       navigation: packagedFiles.filter((file) => file.path.startsWith('navigation/')).length,
+      database: packagedFiles.filter((file) => file.path.startsWith('database/')).length,
       api: packagedFiles.filter((file) => file.path.startsWith('api/')).length,
     },
   };
@@ -324,17 +421,23 @@ function buildPublicationBundle(inputs, generatedAt = new Date().toISOString())
   const readmePath = 'README.md';
   const licensePath = 'LICENSE.txt';
   const changelogPath = 'CHANGELOG.md';
+  const changesPath = 'changes.json';
 
   fs.writeFileSync(path.join(releaseDir, licensePath), buildReleaseLicense());
 
+  const changes = buildReleaseChanges(inputs);
+  fs.writeFileSync(path.join(releaseDir, changesPath), `${JSON.stringify(changes, null, 2)}\n`);
+  packagedPaths.push(changesPath);
+  const manifestInputs = { ...inputs, changesSummary: { fromVersion: changes.fromVersion, ...changes.summary } };
+
   let packagedFiles = packagedPaths.map((relativePath) =>
     collectPackagedFileMetrics(releaseDir, relativePath),
   );
 
-  let manifest = buildPublicationManifest(inputs, packagedFiles, generatedAt);
+  let manifest = buildPublicationManifest(manifestInputs, packagedFiles, generatedAt);
   fs.writeFileSync(
     path.join(releaseDir, changelogPath),
-    buildReleaseChangelog(inputs.datasetVersion, null, manifest),
+    buildReleaseChangelog(inputs.datasetVersion, inputs.previousVersion, manifest, changes),
   );
   fs.writeFileSync(path.join(releaseDir, readmePath), buildReleaseReadme(inputs.datasetVersion, manifest));
 
@@ -345,7 +448,7 @@ function buildPublicationBundle(inputs, generatedAt = new Date().toISOString())
     collectPackagedFileMetrics(releaseDir, changelogPath),
   ];
 
-  manifest = buildPublicationManifest(inputs, packagedFiles, generatedAt);
+  manifest = buildPublicationManifest(manifestInputs, packagedFiles, generatedAt);
   const manifestPath = 'manifest.json';
   fs.writeFileSync(path.join(releaseDir, manifestPath), `${JSON.stringify(manifest, null, 2)}\n`);
   packagedFiles.push(collectPackagedFileMetrics(releaseDir, manifestPath));
@@ -370,6 +473,7 @@ function buildPublicationBundle(inputs, generatedAt = new Date().toISOString())
     datasetVersion: inputs.datasetVersion,
     releaseDir,
     manifest,
+    changes,
     packagedFiles,
     checksumsPath,
   };
@@ -402,6 +506,22 @@ function validatePublicationBundle(report, inputs) {
     errors.push('Missing bundled API manifest.');
   }
 
+  const changesPath = path.join(releaseDir, 'changes.json');
+  if (!fs.existsSync(changesPath)) {
+    errors.push('Missing release changes.json.');
+  } else {
+    const changes = JSON.parse(fs.readFileSync(changesPath, 'utf8'));
+    if (changes.toVersion !== report.datasetVersion) {
+      errors.push(`changes.json toVersion ${changes.toVersion} does not match ${report.datasetVersion}.`);
+    }
+    if (changes.fromVersion !== manifest.previousVersion) {
+      errors.push('changes.json fromVersion does not match manifest previousVersion.');
+    }
+    if (!manifest.previousVersion && changes.entities.length > 0) {
+      errors.push('Initial release changes.json must not list entity changes.');
+    }
+  }
+
   const checksumsContent = fs.readFileSync(path.join(releaseDir, 'checksums.sha256'), 'utf8');
   for (const file of packagedFiles) {
     if (file.path === 'checksums.sha256') continue;
@@ -449,7 +569,9 @@ module.exports = {
   stableHash,
   hashFile,
   hashFileBinary,
+  findPreviousReleaseVersion,
   loadPublicationInputs,
+  buildReleaseChanges,
   buildPublicationBundle,
   buildChecksumsFile,
   hashPublicationSemantic,
@@ -0,0 +1,100 @@
+/**
+ * lib/render/culture.js — Cultural significance rendering policy.
+ *
+ * Single truthfulness policy for culture assertions in page output.
+ * Every culture statement is exactly one of:
+ *   - researched  (an assertion in data/religion-culture-records.json with at
+ *                  least one Citation ID)
+ *   - disclosed-unknown (explicit missing-information — never fallback prose)
+ *
+ * culturalSignificance and each regional note are judged on their own. The
+ * "various cultural traditions" family of origin fallbacks is rejected here
+ * too — it is the same generic prose under a different heading.
+ *
+ * Does not read datasets or adapters — callers pass the canonical `culture`
+ * domain (lib/canonical/domains/culture.js).
+ */
+
+const { sortedIds } = require('../canonical/util.js');
+const { FALLBACK_MARKERS: ORIGIN_FALLBACK_MARKERS } = require('./origin.js');
+
+const FALLBACK_MARKERS = [
+  ...ORIGIN_FALLBACK_MARKERS,
+  'cultural significance varies',
+  'significant in many cultures',
+  'beloved across cultures',
+  'timeless appeal',
+];
+
+const DISCLOSED_UNKNOWN_TABLE = '—';
+const DISCLOSED_UNKNOWN_SENTENCE = 'Cultural significance is not currently recorded in our sources.';
+const DISCLOSED_UNKNOWN_SHORT = 'cultural significance not recorded in our sources';
+
+function disclosedUnknown() {
+  return {
+    kind: 'disclosed-unknown',
+    hasCulture: false,
+    culturalSignificance: '',
+    regionalNotes: [],
+    citationIds: [],
+    displayText: DISCLOSED_UNKNOWN_SENTENCE,
+    tableLabel: DISCLOSED_UNKNOWN_TABLE,
+    metaPhrase: DISCLOSED_UNKNOWN_SHORT,
+  };
+}
+
+function isFallbackMarker(text) {
+  if (!text || typeof text !== 'string') return false;
+  const lower = text.toLowerCase().trim();
+  return FALLBACK_MARKERS.some((m) => lower.includes(m));
+}
+
+/** A text assertion is researched when it is real text and cites at least one source. */
+function isResearchedText(value, citationIds) {
+  const text = String(value ?? '').trim();
+  return Boolean(text) && !isFallbackMarker(text) && sortedIds(citationIds).length > 0;
+}
+
+function isResearchedRegionalNote(note) {
+  const region = String(note?.region ?? '').trim();
+  const text = String(note?.note ?? '').trim();
+  return Boolean(region && text) && !isFallbackMarker(text);
+}
+
+/** @param {object|null} culture - canonical `culture` domain of one entity */
+function resolveCulture(culture) {
+  if (!culture) return disclosedUnknown();
+  const ids = culture.citationIds || {};
+  const text = isResearchedText(culture.culturalSignificance, ids.culturalSignificance) ? culture.culturalSignificance.trim() : '';
+  const regionalNotes = sortedIds(ids.regionalNotes).length ? (culture.regionalNotes || []).filter(isResearchedRegionalNote) : [];
+  if (!text && regionalNotes.length === 0) return disclosedUnknown();
+
+  const citationIds = sortedIds([...(text ? ids.culturalSignificance : []), ...(regionalNotes.length ? ids.regionalNotes : [])]);
+
+  return {
+    kind: 'researched',
+    hasCulture: true,
+    culturalSignificance: text,
+    regionalNotes: regionalNotes.map((note) => ({ region: note.region.trim(), note: note.note.trim() })),
+    citationIds,
+    displayText: text || DISCLOSED_UNKNOWN_SENTENCE,
+    tableLabel: text || DISCLOSED_UNKNOWN_TABLE,
+    metaPhrase: text ? 'cultural significance recorded' : DISCLOSED_UNKNOWN_SHORT,
+  };
+}
+
+function recordHasCulture(culture) {
+  return resolveCulture(culture).hasCulture;
+}
+
+module.exports = {
+  FALLBACK_MARKERS,
+  DISCLOSED_UNKNOWN_TABLE,
+  DISCLOSED_UNKNOWN_SENTENCE,
+  DISCLOSED_UNKNOWN_SHORT,
+  resolveCulture,
+  recordHasCulture,
+  isResearchedText,
+  isResearchedRegionalNote,
+  isFallbackMarker,
+};
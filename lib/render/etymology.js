@@ -0,0 +1,120 @@
+/**
+ * lib/render/etymology.js — Structured etymology rendering policy.
+ *
+ * Single truthfulness policy for derivation chains and root morphemes in
+ * page output. A structured etymology is exactly one of:
+ *   - researched  (a record in data/etymology-records.json whose every step
+ *                  and morpheme has a known language code and at least one
+ *                  Citation ID)
+ *   - disclosed-unknown (explicit missing-information — never fallback prose)
+ *
+ * The record is judged whole, unlike religion assertions: dropping one
+ * uncited step would print a chain that skips a stage of the name's history.
+ * Morphemes whose gloss is fallback text render without the gloss.
+ *
+ * Does not read datasets or adapters — callers pass the canonical `etymology`
+ * domain (lib/canonical/domains/etymology.js), which only carries a chain
+ * when the whole record is cited.
+ */
+
+const { sortedIds } = require('../canonical/util.js');
+const { languageName } = require('../canonical/etymology-languages.js');
+
+const FALLBACK_MARKERS = [
+  'of uncertain origin',
+  'origin unknown',
+  'unknown origin',
+  'various origins',
+  'a documented given name',
+  'meaning varies',
+];
+
+const DISCLOSED_UNKNOWN_TABLE = '—';
+const DISCLOSED_UNKNOWN_SENTENCE = 'A sourced derivation for this name is not currently recorded.';
+const DISCLOSED_UNKNOWN_SHORT = 'derivation not recorded in our sources';
+
+function disclosedUnknown() {
+  return {
+    kind: 'disclosed-unknown',
+    hasEtymology: false,
+    rootWord: '',
+    rootLanguage: '',
+    chain: [],
+    morphemes: [],
+    citationIds: [],
+    chainText: '',
+    displayText: DISCLOSED_UNKNOWN_SENTENCE,
+    tableLabel: DISCLOSED_UNKNOWN_TABLE,
+    metaPhrase: DISCLOSED_UNKNOWN_SHORT,
+  };
+}
+
+function isFallbackMarker(text) {
+  if (!text || typeof text !== 'string') return false;
+  const lower = text.toLowerCase().trim();
+  return FALLBACK_MARKERS.some((m) => lower.includes(m));
+}
+
+/** A step or morpheme is researched when it has a form and a known language. */
+function isResearchedItem(item) {
+  return Boolean(String(item?.form ?? '').trim()) && Boolean(languageName(item.language));
+}
+
+/** "Ioannes" or, for non-Latin scripts, "Yochanan (יוחנן)". */
+function displayForm(item) {
+  const form = item.form.trim();
+  const transliteration = String(item.transliteration || '').trim();
+  return transliteration && transliteration !== form ? `${transliteration} (${form})` : form;
+}
+
+/** @param {object|null} etymology - canonical `etymology` domain of one entity */
+function resolveEtymology(etymology) {
+  const chain = etymology?.derivationChain || [];
+  const morphemes = etymology?.morphemes || [];
+  const ids = etymology?.citationIds || {};
+  if (chain.length === 0 || !chain.every(isResearchedItem) || !morphemes.every(isResearchedItem)) {
+    return disclosedUnknown();
+  }
+  if (sortedIds(ids.derivationChain).length === 0) return disclosedUnknown();
+
+  const steps = chain.map((item) => ({
+    form: displayForm(item),
+    language: languageName(item.language),
+    text: `${languageName(item.language)} ${displayForm(item)}`,
+  }));
+  const citationIds = sortedIds([...(ids.derivationChain || []), ...(ids.morphemes || [])]);
+  const chainText = steps.map((s) => s.text).join(' → ');
+
+  return {
+    kind: 'researched',
+    hasEtymology: true,
+    rootWord: chain[0].transliteration || chain[0].form,
+    rootLanguage: steps[0].language,
+    chain: steps,
+    morphemes: morphemes.map((item) => ({
+      form: displayForm(item),
+      language: languageName(item.language),
+      gloss: item.gloss && !isFallbackMarker(item.gloss) ? item.gloss.trim() : '',
+    })),
+    citationIds,
+    chainText,
+    displayText: chainText,
+    tableLabel: `${steps[0].language} ${steps[0].form}`,
+    metaPhrase: `from ${steps[0].language} ${steps[0].form}`,
+  };
+}
+
+function recordHasEtymology(etymology) {
+  return resolveEtymology(etymology).hasEtymology;
+}
+
+module.exports = {
+  FALLBACK_MARKERS,
+  DISCLOSED_UNKNOWN_TABLE,
+  DISCLOSED_UNKNOWN_SENTENCE,
+  DISCLOSED_UNKNOWN_SHORT,
+  resolveEtymology,
+  recordHasEtymology,
+  isResearchedItem,
+  isFallbackMarker,
+};
@@ -0,0 +1,175 @@
+/**
+ * lib/render/history.js — Structured history rendering policy.
+ *
+ * Single truthfulness policy for first attestations and notable bearers in
+ * page output. Every history statement is exactly one of:
+ *   - researched  (an assertion in data/history-records.json with at least
+ *                  one Citation ID)
+ *   - disclosed-unknown (explicit missing-information — never fallback prose)
+ *
+ * Each assertion (the first recorded use, each bearer) is judged on its own:
+ * an uncited one is dropped, the cited ones still render. The timeline merges
+ * both, ordered by year.
+ *
+ * Does not read datasets or adapters — callers pass the canonical `history`
+ * domain (lib/canonical/domains/history.js).
+ */
+
+const { sortedIds } = require('../canonical/util.js');
+
+const FALLBACK_MARKERS = [
+  'used for centuries',
+  'used throughout history',
+  'long history',
+  'many notable people',
+  'various historical figures',
+  'various notable bearers',
+];
+
+const DISCLOSED_UNKNOWN_TABLE = '—';
+const DISCLOSED_UNKNOWN_SENTENCE = 'A dated first use or notable bearers are not currently recorded in our sources.';
+const DISCLOSED_UNKNOWN_SHORT = 'history not recorded in our sources';
+
+const WIKIDATA_QID = /^Q[1-9][0-9]*$/;
+
+function disclosedUnknown() {
+  return {
+    kind: 'disclosed-unknown',
+    hasHistory: false,
+    firstRecordedUse: null,
+    bearers: [],
+    timeline: [],
+    citationIds: [],
+    displayText: DISCLOSED_UNKNOWN_SENTENCE,
+    tableLabel: DISCLOSED_UNKNOWN_TABLE,
+    metaPhrase: DISCLOSED_UNKNOWN_SHORT,
+  };
+}
+
+function isFallbackMarker(text) {
+  if (!text || typeof text !== 'string') return false;
+  const lower = text.toLowerCase().trim();
+  return FALLBACK_MARKERS.some((m) => lower.includes(m));
+}
+
+function hasText(value) {
+  return Boolean(String(value ?? '').trim()) && !isFallbackMarker(value);
+}
+
+/** Exactly one of year / century is an integer. */
+function hasOneDate(attestation) {
+  return Number.isInteger(attestation?.year) !== Number.isInteger(attestation?.century);
+}
+
+function isResearchedAttestation(attestation) {
+  return hasOneDate(attestation) && hasText(attestation.region) && hasText(attestation.source);
+}
+
+function isResearchedBearer(bearer) {
+  return (
+    hasText(bearer?.name) &&
+    hasText(bearer.role) &&
+    hasText(bearer.era) &&
+    Number.isInteger(bearer.sortYear) &&
+    (bearer.wikidataQid == null || WIKIDATA_QID.test(bearer.wikidataQid))
+  );
+}
+
+function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+}
+
+/** 1066 → "1066", { century: 12 } → "12th century", -300 → "300 BCE", approximate → "c. …". */
+function formatAttestationDate(attestation) {
+  const bce = (value) => (value < 0 ? ' BCE' : '');
+  const text = Number.isInteger(attestation.year)
+    ? `${Math.abs(attestation.year)}${bce(attestation.year)}`
+    : `${ordinal(Math.abs(attestation.century))} century${bce(attestation.century)}`;
+  return attestation.approximate ? `c. ${text}` : text;
+}
+
+/** Timeline position of an attestation: the year, or the first year of the century. */
+function attestationSortYear(attestation) {
+  if (Number.isInteger(attestation.year)) return attestation.year;
+  const c = attestation.century;
+  return c > 0 ? (c - 1) * 100 + 1 : c * 100;
+}
+
+/** @param {object|null} history - canonical `history` domain of one entity */
+function resolveHistory(history) {
+  if (!history) return disclosedUnknown();
+  const ids = history.citationIds || {};
+  const attestation =
+    sortedIds(ids.firstRecordedUse).length && isResearchedAttestation(history.firstRecordedUse) ? history.firstRecordedUse : null;
+  const bearers = sortedIds(ids.notableBearers).length ? (history.notableBearers || []).filter(isResearchedBearer) : [];
+  if (!attestation && bearers.length === 0) return disclosedUnknown();
+
+  const firstRecordedUse = attestation
+    ? {
+        dateText: formatAttestationDate(attestation),
+        region: attestation.region.trim(),
+        source: attestation.source.trim(),
+        sortYear: attestationSortYear(attestation),
+      }
+    : null;
+  const resolvedBearers = bearers.map((bearer) => ({
+    name: bearer.name.trim(),
+    role: bearer.role.trim(),
+    era: bearer.era.trim(),
+    sortYear: bearer.sortYear,
+    wikidataQid: bearer.wikidataQid || null,
+    wikidataUrl: bearer.wikidataQid ? `https://www.wikidata.org/wiki/${bearer.wikidataQid}` : null,
+  }));
+
+  const timeline = [
+    ...(firstRecordedUse
+      ? [
+          {
+            kind: 'firstRecordedUse',
+            sortYear: firstRecordedUse.sortYear,
+            dateText: firstRecordedUse.dateText,
+            text: `First recorded in ${firstRecordedUse.region} (${firstRecordedUse.source})`,
+            wikidataUrl: null,
+          },
+        ]
+      : []),
+    ...resolvedBearers.map((b) => ({ kind: 'bearer', sortYear: b.sortYear, dateText: b.era, text: `${b.name}, ${b.role}`, wikidataUrl: b.wikidataUrl })),
+  ].sort((a, b) => a.sortYear - b.sortYear || (a.kind === b.kind ? 0 : a.kind === 'firstRecordedUse' ? -1 : 1));
+
+  const citationIds = sortedIds([...(attestation ? ids.firstRecordedUse : []), ...(bearers.length ? ids.notableBearers : [])]);
+  const summary = firstRecordedUse
+    ? `First recorded ${firstRecordedUse.dateText}, ${firstRecordedUse.region}`
+    : `Notable bearers include ${resolvedBearers.slice(0, 3).map((b) => b.name).join(', ')}`;
+
+  return {
+    kind: 'researched',
+    hasHistory: true,
+    firstRecordedUse,
+    bearers: resolvedBearers,
+    timeline,
+    citationIds,
+    displayText: `${summary}.`,
+    tableLabel: firstRecordedUse ? firstRecordedUse.dateText : DISCLOSED_UNKNOWN_TABLE,
+    metaPhrase: firstRecordedUse ? `first recorded ${firstRecordedUse.dateText}` : `${resolvedBearers.length} notable bearers`,
+  };
+}
+
+function recordHasHistory(history) {
+  return resolveHistory(history).hasHistory;
+}
+
+module.exports = {
+  FALLBACK_MARKERS,
+  DISCLOSED_UNKNOWN_TABLE,
+  DISCLOSED_UNKNOWN_SENTENCE,
+  DISCLOSED_UNKNOWN_SHORT,
+  WIKIDATA_QID,
+  resolveHistory,
+  recordHasHistory,
+  isResearchedAttestation,
+  isResearchedBearer,
+  formatAttestationDate,
+  isFallbackMarker,
+};
@@ -0,0 +1,114 @@
+/**
+ * lib/render/nicknames.js — Nicknames and diminutives rendering policy.
+ *
+ * Single truthfulness policy for nickname assertions in page output.
+ * Every nickname statement is exactly one of:
+ *   - researched  (curated data/nicknames.json rows with at least one Citation ID)
+ *   - disclosed-unknown (explicit missing-information — never fallback prose)
+ *
+ * A row without a citation, with a blank form or with fallback text is not
+ * researched and is never rendered. No nickname is derived from the name
+ * itself (no truncation, no "-y"/"-ie" guessing).
+ *
+ * Does not read datasets or adapters — callers pass legacy nickname rows
+ * ({ name_id, nickname, kind, citation_ids }) for one name.
+ */
+
+const { sortedIds } = require('../canonical/util.js');
+
+const NICKNAME_KINDS = Object.freeze(['nickname', 'diminutive']);
+
+const FALLBACK_MARKERS = [
+  'no common nicknames',
+  'nicknames vary',
+  'nickname varies',
+  'various nicknames',
+  'many possible nicknames',
+  'can be shortened in many ways',
+  'shortened form of the name',
+];
+
+const DISCLOSED_UNKNOWN_TABLE = '—';
+const DISCLOSED_UNKNOWN_SENTENCE = 'Nicknames are not currently recorded in our sources.';
+const DISCLOSED_UNKNOWN_SHORT = 'nicknames not recorded in our sources';
+
+function disclosedUnknown() {
+  return {
+    kind: 'disclosed-unknown',
+    hasNicknames: false,
+    nicknames: [],
+    diminutives: [],
+    citationIds: [],
+    displayText: DISCLOSED_UNKNOWN_SENTENCE,
+    tableLabel: DISCLOSED_UNKNOWN_TABLE,
+    metaPhrase: DISCLOSED_UNKNOWN_SHORT,
+  };
+}
+
+function isFallbackMarker(text) {
+  if (!text || typeof text !== 'string') return false;
+  const lower = text.toLowerCase().trim();
+  return FALLBACK_MARKERS.some((m) => lower.includes(m));
+}
+
+/** A row is researched when its form is real text, its kind is known and it cites at least one source. */
+function isResearchedRow(row) {
+  const form = (row && row.nickname != null ? String(row.nickname) : '').trim();
+  if (!form || isFallbackMarker(form)) return false;
+  if (!NICKNAME_KINDS.includes(row.kind)) return false;
+  return sortedIds(row.citation_ids).length > 0;
+}
+
+/** @param {object[]} rows - legacy nickname rows for one name, in curated order */
+function resolveNicknames(rows) {
+  const researched = (rows || []).filter(isResearchedRow);
+  if (researched.length === 0) return disclosedUnknown();
+
+  const formsOf = (kind) => {
+    const seen = new Set();
+    const forms = [];
+    for (const row of researched) {
+      const form = String(row.nickname).trim();
+      if (row.kind !== kind || seen.has(form.toLowerCase())) continue;
+      seen.add(form.toLowerCase());
+      forms.push(form);
+    }
+    return forms;
+  };
+  const nicknames = formsOf('nickname');
+  const diminutives = formsOf('diminutive');
+  const citationIds = sortedIds(researched.flatMap((row) => row.citation_ids));
+  const label = [...nicknames, ...diminutives].join(', ');
+
+  return {
+    kind: 'researched',
+    hasNicknames: true,
+    nicknames,
+    diminutives,
+    citationIds,
+    displayText: label,
+    tableLabel: label,
+    metaPhrase: `nicknames include ${label}`,
+  };
+}
+
+function recordHasNicknames(rows) {
+  return resolveNicknames(rows).hasNicknames;
+}
+
+function nicknamesTableLabel(rows) {
+  return resolveNicknames(rows).tableLabel;
+}
+
+module.exports = {
+  NICKNAME_KINDS,
+  FALLBACK_MARKERS,
+  DISCLOSED_UNKNOWN_TABLE,
+  DISCLOSED_UNKNOWN_SENTENCE,
+  DISCLOSED_UNKNOWN_SHORT,
+  resolveNicknames,
+  recordHasNicknames,
+  nicknamesTableLabel,
+  isResearchedRow,
+  isFallbackMarker,
+};
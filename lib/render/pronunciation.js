@@ -7,10 +7,22 @@
  *   - empty      (explicit missing-information — never guessed or placeholder prose)
  *   - computed   (reserved — not implemented)
  *
- * Does not read datasets or adapters — callers pass legacy/enriched name records.
+ * IPA follows the same rule through resolveIpa(): a transcription is
+ * researched (editor-supplied in data/pronunciation-records.json, valid
+ * against lib/canonical/ipa-inventory.js, with at least one Citation ID) or
+ * the whole block is empty. Recordings attach only to a researched
+ * transcription of the same locale. Nothing is ever "computed".
+ *
+ * Does not read datasets or adapters — callers pass legacy/enriched name
+ * records, or the canonical `pronunciation` domain
+ * (lib/canonical/domains/pronunciation.js) for the IPA block.
  * No rewriting, IPA generation, or phonetic inference.
  */
 
+const { sortedIds } = require('../canonical/util.js');
+const { isValidIpa } = require('../canonical/ipa-inventory.js');
+const { localeLabel } = require('../canonical/pronunciation-locales.js');
+
 const FALLBACK_MARKERS = [
   'easy to pronounce',
   'easy pronunciation',
@@ -79,12 +91,52 @@ function snippetBulletText(record) {
   return DISCLOSED_UNKNOWN_SENTENCE;
 }
 
+const DISCLOSED_UNKNOWN_IPA_SENTENCE = 'An IPA transcription is not currently recorded in our sources.';
+
+function isResearchedTranscription(transcription) {
+  return Boolean(localeLabel(transcription?.locale)) && isValidIpa(transcription.ipa);
+}
+
+/**
+ * @param {object|null} pronunciation - canonical `pronunciation` domain of one entity
+ * @param {Set<string>|null} [publishedAudioUrls] - when given, only recordings at
+ *   these URLs get a player (a listed file that was not copied has none)
+ */
+function resolveIpa(pronunciation, publishedAudioUrls = null) {
+  const citationIds = sortedIds(pronunciation?.citationIds?.ipa);
+  const transcriptions = citationIds.length ? (pronunciation.ipaVariants || []).filter(isResearchedTranscription) : [];
+  if (transcriptions.length === 0) {
+    return { kind: 'empty', hasIpa: false, variants: [], citationIds: [], displayText: DISCLOSED_UNKNOWN_IPA_SENTENCE };
+  }
+  const audio = (pronunciation.audio || []).filter((asset) => !publishedAudioUrls || publishedAudioUrls.has(asset.url));
+  const variants = transcriptions.map((t) => {
+    const asset = audio.find((a) => a.locale === t.locale);
+    return {
+      locale: t.locale,
+      label: localeLabel(t.locale),
+      ipa: t.ipa.trim().normalize('NFC'),
+      native: Boolean(t.native),
+      audio: asset ? { url: asset.url, mimeType: asset.mimeType, speaker: asset.speaker || null, license: asset.license } : null,
+    };
+  });
+  return {
+    kind: 'researched',
+    hasIpa: true,
+    variants,
+    citationIds,
+    displayText: variants.map((v) => `${v.ipa} (${v.label})`).join('; '),
+  };
+}
+
 module.exports = {
   FALLBACK_MARKERS,
   DISCLOSED_UNKNOWN_TABLE,
   DISCLOSED_UNKNOWN_SENTENCE,
   DISCLOSED_UNKNOWN_SHORT,
+  DISCLOSED_UNKNOWN_IPA_SENTENCE,
   resolvePronunciation,
+  resolveIpa,
+  isResearchedTranscription,
   recordHasPronunciation,
   pronunciationTableLabel,
   paaPronunciationAnswer,
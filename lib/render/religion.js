@@ -0,0 +1,109 @@
+/**
+ * lib/render/religion.js — Religious tradition rendering policy.
+ *
+ * Single truthfulness policy for religion assertions in page output.
+ * Every religion statement is exactly one of:
+ *   - researched  (an assertion in data/religion-culture-records.json with at
+ *                  least one Citation ID)
+ *   - disclosed-unknown (explicit missing-information — never fallback prose)
+ *
+ * Each assertion (tradition, scripturalReference, the feast days) is judged
+ * on its own: an uncited one is dropped, the cited ones still render. Never
+ * derived from the categories.json "biblical" style tag.
+ *
+ * Does not read datasets or adapters — callers pass the canonical `religion`
+ * domain (lib/canonical/domains/religion.js), whose `citationIds` map keys
+ * each assertion to its Citation IDs.
+ */
+
+const { sortedIds } = require('../canonical/util.js');
+
+const FALLBACK_MARKERS = [
+  'various religious traditions',
+  'many religious traditions',
+  'multiple faiths',
+  'many faiths',
+  'religious significance varies',
+  'spiritual significance in many',
+  'used across religions',
+];
+
+const DISCLOSED_UNKNOWN_TABLE = '—';
+const DISCLOSED_UNKNOWN_SENTENCE = 'A religious tradition is not currently recorded in our sources.';
+const DISCLOSED_UNKNOWN_SHORT = 'religious tradition not recorded in our sources';
+
+function disclosedUnknown() {
+  return {
+    kind: 'disclosed-unknown',
+    hasReligion: false,
+    tradition: '',
+    scripturalReference: '',
+    feastDays: [],
+    citationIds: [],
+    displayText: DISCLOSED_UNKNOWN_SENTENCE,
+    tableLabel: DISCLOSED_UNKNOWN_TABLE,
+    metaPhrase: DISCLOSED_UNKNOWN_SHORT,
+  };
+}
+
+function isFallbackMarker(text) {
+  if (!text || typeof text !== 'string') return false;
+  const lower = text.toLowerCase().trim();
+  return FALLBACK_MARKERS.some((m) => lower.includes(m));
+}
+
+/** A text assertion is researched when it is real text and cites at least one source. */
+function isResearchedText(value, citationIds) {
+  const text = String(value ?? '').trim();
+  return Boolean(text) && !isFallbackMarker(text) && sortedIds(citationIds).length > 0;
+}
+
+function isResearchedFeastDay(feastDay) {
+  const saint = String(feastDay?.saint ?? '').trim();
+  const tradition = String(feastDay?.tradition ?? '').trim();
+  return Boolean(saint && tradition) && /^\d{2}-\d{2}$/.test(feastDay.date || '');
+}
+
+/** @param {object|null} religion - canonical `religion` domain of one entity */
+function resolveReligion(religion) {
+  if (!religion) return disclosedUnknown();
+  const ids = religion.citationIds || {};
+  const tradition = isResearchedText(religion.tradition, ids.tradition) ? religion.tradition.trim() : '';
+  const scripture = isResearchedText(religion.scripturalReference, ids.scripturalReference) ? religion.scripturalReference.trim() : '';
+  const feastDays = sortedIds(ids.feastDays).length ? (religion.feastDays || []).filter(isResearchedFeastDay) : [];
+  if (!tradition && !scripture && feastDays.length === 0) return disclosedUnknown();
+
+  const citationIds = sortedIds([
+    ...(tradition ? ids.tradition : []),
+    ...(scripture ? ids.scripturalReference : []),
+    ...(feastDays.length ? ids.feastDays : []),
+  ]);
+
+  return {
+    kind: 'researched',
+    hasReligion: true,
+    tradition,
+    scripturalReference: scripture,
+    feastDays: feastDays.map((day) => ({ saint: day.saint.trim(), date: day.date, tradition: day.tradition.trim() })),
+    citationIds,
+    displayText: tradition || DISCLOSED_UNKNOWN_SENTENCE,
+    tableLabel: tradition || DISCLOSED_UNKNOWN_TABLE,
+    metaPhrase: tradition ? `${tradition} tradition` : DISCLOSED_UNKNOWN_SHORT,
+  };
+}
+
+function recordHasReligion(religion) {
+  return resolveReligion(religion).hasReligion;
+}
+
+module.exports = {
+  FALLBACK_MARKERS,
+  DISCLOSED_UNKNOWN_TABLE,
+  DISCLOSED_UNKNOWN_SENTENCE,
+  DISCLOSED_UNKNOWN_SHORT,
+  resolveReligion,
+  recordHasReligion,
+  isResearchedText,
+  isResearchedFeastDay,
+  isFallbackMarker,
+};
@@ -8,6 +8,11 @@
  * scoring logic here; this is a re-view/re-rank of already-computed data,
  * same discipline as Phase 1C's truthfulness-hotspots.js re-viewing
  * page-truthfulness.js.
+ *
+ * When audit/graph-anomalies.json exists (written by
+ * scripts/build/generate-knowledge-graph.js), its contradictions between
+ * connected entities are added as a second, entity-level review queue, and
+ * each field carries its anomaly counts. They do not change the field ranking.
  */
 
 const path = require('path');
@@ -38,19 +43,68 @@ function run() {
 
   queue.forEach((q, i) => { q.rank = i + 1; });
 
+  const anomalies = readJsonSafe(path.join(AUDIT_DIR, 'graph-anomalies.json'));
+  const graphAnomalies = anomalies ? summarizeGraphAnomalies(anomalies) : null;
+  if (graphAnomalies) {
+    for (const q of queue) {
+      const field = graphAnomalies.fields.find((f) => f.field === q.field);
+      q.graphAnomalyReasons = field ? field.reasons : 0;
+      q.graphAnomalyEntities = field ? field.entities : 0;
+    }
+  }
+
   const report = {
     generatedAt: new Date().toISOString(),
     readOnly: true,
     scope: 'Ranks knowledge FIELDS by measured project-wide impact, not individual pages. Sort key: audit/knowledge-roi.json knowledgeRecoveryScore (ties broken by recoverableOccurrenceTotal). No implementation or editorial-effort estimate is included — only measured impact.',
     queue,
+    graphAnomalies,
     notes: [
       'This ranking answers "which missing field, if populated, touches the most currently-non-factual rendered statements across the most pages" — it does not account for how difficult or time-consuming any given field is to research, which is deliberately out of scope for a read-only measurement phase.',
       'Fields with zero fallback/disclosed-missing occurrences (fully computed or fully curated fields) are excluded from this queue entirely, since they have no measurable recovery potential — see audit/knowledge-roi.json for the complete field list including those.',
+      graphAnomalies
+        ? 'graphAnomalies re-views audit/graph-anomalies.json: entities whose graph connections contradict each other (variant pairs with different genders, origins or roots), ordered by high-severity findings then flagged edges. Oversized or single-word meaning concept hubs add to the reason count of the meaning field. It is an entity-level queue alongside the field ranking — the field ranking itself is unchanged.'
+        : 'graphAnomalies is null: audit/graph-anomalies.json was not found — run scripts/build/generate-knowledge-graph.js to include graph contradictions.',
     ],
   };
 
   writeAuditJson('editorial-priority-queue.json', report);
   console.log('Fields queued:', queue.length, '| #1:', queue[0] ? queue[0].field : 'none');
+  if (graphAnomalies) console.log('Graph anomaly entities queued:', graphAnomalies.entities.length);
+}
+
+/** Per-field totals and the entity review queue from audit/graph-anomalies.json. */
+function summarizeGraphAnomalies(anomalies) {
+  const fields = new Map();
+  for (const entity of anomalies.entities) {
+    for (const field of entity.fields) {
+      if (!fields.has(field)) fields.set(field, { field, reasons: 0, entities: 0 });
+      fields.get(field).entities += 1;
+    }
+  }
+  for (const finding of [...anomalies.anomalies, ...(anomalies.meaningHubs || [])]) {
+    for (const reason of finding.reasons) {
+      if (!fields.has(reason.field)) fields.set(reason.field, { field: reason.field, reasons: 0, entities: 0 });
+      fields.get(reason.field).reasons += 1;
+    }
+  }
+
+  return {
+    source: 'audit/graph-anomalies.json',
+    generatedAt: anomalies.generatedAt,
+    graphSemanticHash: anomalies.graphSemanticHash,
+    anomalousEdges: anomalies.metrics.anomalousEdges,
+    fields: [...fields.values()].sort((a, b) => b.reasons - a.reasons || a.field.localeCompare(b.field)),
+    entities: anomalies.entities.map((e, i) => ({
+      rank: i + 1,
+      slug: e.slug,
+      displayName: e.displayName,
+      highSeverity: e.highSeverity,
+      anomalyEdges: e.anomalyEdges,
+      codes: e.codes,
+      fields: e.fields,
+    })),
+  };
 }
 
 run();
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Phase 17A — Knowledge graph build benchmark.
+ *
+ * Builds the graph for a deterministic synthetic corpus (100,000 entities by
+ * default), validates it, and fails when the build exceeds the time budget.
+ * Reads and writes no data/ files.
+ *
+ * Usage: node scripts/build/benchmark-knowledge-graph.js [--entities=100000] [--budget-ms=120000]
+ */
+
+const {
+  buildKnowledgeGraphReport,
+  validateKnowledgeGraph,
+} = require('../../lib/analysis/relationship-engine.js');
+
+const DEFAULT_ENTITY_COUNT = 100000;
+const DEFAULT_TIME_BUDGET_MS = 120000;
+const SEED = 17;
+
+const SYLLABLES = [
+  'a', 'ka', 'li', 'ma', 'na', 'ra', 'sa', 'ta', 'el', 'ri', 'jo', 'an', 'de', 'lo', 'mi',
+  'ne', 'sha', 'tho', 'cha', 'ia', 'ey', 'on', 'us', 'phi', 'ya', 'zo', 'be', 'ca', 'vi', 'dan',
+];
+const CULTURES = [
+  { cluster: 'Hebrew', country: 'Israel', language: 'Hebrew' },
+  { cluster: 'Latin', country: 'Italy', language: 'Latin' },
+  { cluster: 'Greek', country: 'Greece', language: 'Greek' },
+  { cluster: 'Celtic', country: 'Ireland', language: 'Irish' },
+  { cluster: 'Germanic', country: 'Germany', language: 'German' },
+  { cluster: 'Sanskrit', country: 'India', language: 'Sanskrit' },
+  { cluster: 'Arabic', country: 'Saudi Arabia', language: 'Arabic' },
+  { cluster: null, country: 'Japan', language: 'Japanese' },
+  { cluster: null, country: 'Nigeria', language: 'Yoruba' },
+  { cluster: 'English', country: 'England', language: 'English' },
+];
+const MEANINGS = [
+  'light', 'bringer of light', 'radiant', 'gift of God', 'God is gracious', 'strong warrior',
+  'little fire', 'lily flower', 'of the sea', 'beloved', 'wise counsel', 'peace', 'noble ruler',
+  'bright star', 'olive tree', 'victory of the people', 'protector', 'joyful', 'life', 'pure',
+];
+
+function parseArgs(argv) {
+  const options = { entities: DEFAULT_ENTITY_COUNT, budgetMs: DEFAULT_TIME_BUDGET_MS };
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'entities') options.entities = Number(value);
+    if (key === 'budget-ms') options.budgetMs = Number(value);
+  }
+  if (!Number.isInteger(options.entities) || options.entities < 1) {
+    throw new Error('--entities must be a positive integer.');
+  }
+  if (!Number.isFinite(options.budgetMs) || options.budgetMs <= 0) {
+    throw new Error('--budget-ms must be a positive number.');
+  }
+  return options;
+}
+
+/** mulberry32 — small seeded PRNG so every run builds the same corpus. */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+function syntheticNames(count, random) {
+  const names = new Set();
+  while (names.size < count) {
+    let name = '';
+    const syllableCount = 2 + Math.floor(random() * 3);
+    for (let i = 0; i < syllableCount; i += 1) name += pick(random, SYLLABLES);
+    names.add(name[0].toUpperCase() + name.slice(1));
+  }
+  return [...names];
+}
+
+/** Up to `max` other corpus names, or none with probability 1 - `share`. */
+function pickNames(random, names, share, max) {
+  if (random() >= share) return [];
+  return Array.from({ length: 1 + Math.floor(random() * max) }, () => pick(random, names));
+}
+
+/**
+ * Canonical-entity-shaped records with every field the relationship engine
+ * reads. About one root word per 250 names keeps SHARES_ROOT groups large
+ * enough to need community detection, as origin and language groups do.
+ */
+function buildSyntheticEntities(count, seed = SEED) {
+  const random = createRandom(seed);
+  const names = syntheticNames(count, random);
+  const rootWords = syntheticNames(Math.max(1, Math.round(count / 250)), random).map((word) => word.toLowerCase());
+  return names.map((name, index) => {
+    const culture = pick(random, CULTURES);
+    const variant = names[(index + 1 + Math.floor(random() * 50)) % names.length];
+    const rootWord = random() < 0.6 ? pick(random, rootWords) : null;
+    return {
+      identity: { id: index + 1, slug: name.toLowerCase(), name },
+      origin: { cluster: culture.cluster, country: culture.country },
+      language: { primary: culture.language },
+      meaning: { primary: random() < 0.8 ? pick(random, MEANINGS) : null },
+      pronunciation: { phoneticSpelling: random() < 0.5 ? name.toUpperCase() : null, ipa: null },
+      variants: { spellingVariants: random() < 0.1 ? [{ spelling: variant, language: culture.language }] : [] },
+      nicknames: {
+        commonNicknames: pickNames(random, names, 0.15, 2),
+        diminutives: pickNames(random, names, 0.1, 1),
+      },
+      etymology: {
+        rootWord,
+        rootLanguage: rootWord && random() < 0.9 ? culture.language : null,
+      },
+      relatedNames: {
+        equivalents: pickNames(random, names, 0.1, 3).map((equivalent) => ({
+          nameId: equivalent.toLowerCase(),
+          language: pick(random, CULTURES).language,
+        })),
+      },
+    };
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const entities = buildSyntheticEntities(options.entities);
+
+  const startedAt = process.hrtime.bigint();
+  const report = buildKnowledgeGraphReport(entities, '2026-01-01T00:00:00.000Z');
+  const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  const validation = validateKnowledgeGraph(report);
+
+  const errors = [...validation.errors];
+  if (elapsedMs > options.budgetMs) {
+    errors.push(`Graph build took ${Math.round(elapsedMs)} ms, over the ${options.budgetMs} ms budget.`);
+  }
+
+  const status = errors.length === 0 ? 'PASS' : 'FAIL';
+  console.log('Knowledge graph benchmark:', status);
+  console.log('  Entities:', entities.length);
+  console.log('  Edges:', report.metrics.edgeCount);
+  console.log('  Build time (ms):', Math.round(elapsedMs), `(budget ${options.budgetMs})`);
+  console.log('  Heap used (MB):', Math.round(process.memoryUsage().heapUsed / 1024 / 1024));
+  if (errors.length) {
+    for (const error of errors.slice(0, 20)) console.error('  -', error);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -22,6 +22,7 @@ const {
   buildSearchResponse,
   API_VERSION,
 } = require('../../lib/api/export-api.js');
+const { getOpenApiDocument } = require('../../lib/api/query-server.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const API_DIR = path.join(ROOT, 'api');
@@ -118,6 +119,8 @@ function main() {
     slugs: report.searchIndex.slugs,
   });
 
+  writeJson(path.join(API_V1_DIR, 'facets.json'), report.facetResponse);
+
   for (const prefix of 'abcdefghijklmnopqrstuvwxyz'.split('')) {
     writeJson(
       path.join(API_V1_DIR, 'search', `${prefix}.json`),
@@ -125,6 +128,8 @@ function main() {
     );
   }
 
+  writeJson(path.join(API_V1_DIR, 'openapi.json'), getOpenApiDocument());
+
   writeJson(path.join(API_DIR, 'indexes', 'endpoints.json'), {
     apiVersion: API_VERSION,
     datasetVersion: contract.manifest.exportVersion,
@@ -178,7 +183,8 @@ function main() {
         report.endpoints.meaning +
         report.endpoints.cultural +
         report.endpoints.searchIndex +
-        26,
+        26 +
+        1,
       formats: ['json'],
     },
     validation: {
@@ -202,7 +208,9 @@ function main() {
       meaning: 'api/v1/meaning/{group}.json',
       cultural: 'api/v1/cultural/{group}.json',
       searchIndex: 'api/v1/search-index.json',
+      facets: 'api/v1/facets.json',
       searchPrefix: 'api/v1/search/{prefix}.json',
+      openapi: 'api/v1/openapi.json',
     },
   };
 
@@ -3,6 +3,9 @@
  * Phase 17A — Generate deterministic Knowledge Graph artifacts.
  *
  * Usage: node scripts/build/generate-knowledge-graph.js
+ *
+ * Also writes audit/graph-anomalies.json: semantic contradictions between
+ * connected entities (see lib/analysis/graph-anomalies.js).
  */
 
 const fs = require('fs');
@@ -16,10 +19,12 @@ const {
   filterEdgesByType,
   validateKnowledgeGraph,
 } = require('../../lib/analysis/relationship-engine.js');
+const { detectGraphAnomalies } = require('../../lib/analysis/graph-anomalies.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const GRAPH_DIR = path.join(ROOT, 'data', 'graph');
 const AUDIT_PATH = path.join(ROOT, 'audit', 'knowledge-graph.json');
+const ANOMALIES_PATH = path.join(ROOT, 'audit', 'graph-anomalies.json');
 const KNOWLEDGE_RECORDS_PATH = path.join(ROOT, 'data', 'knowledge-records.json');
 
 function hashFile(absPath) {
@@ -41,6 +46,7 @@ function main() {
   const report = buildKnowledgeGraphReport(entities, generatedAt);
   const validation = validateKnowledgeGraph(report);
   const semanticHash = hashGraphSemantic(report);
+  const anomalies = detectGraphAnomalies(entities, report);
 
   const graphPayload = {
     schemaVersion: '17A-v1',
@@ -85,6 +91,37 @@ function main() {
     edges: filterEdgesByType(report.edges, 'SIMILAR_PRONUNCIATION'),
   });
 
+  writeJson(path.join(GRAPH_DIR, 'nickname-network.json'), {
+    ...graphPayload,
+    relationshipType: 'NICKNAME_OF',
+    edges: filterEdgesByType(report.edges, 'NICKNAME_OF'),
+  });
+
+  writeJson(path.join(GRAPH_DIR, 'diminutive-network.json'), {
+    ...graphPayload,
+    relationshipType: 'DIMINUTIVE_OF',
+    edges: filterEdgesByType(report.edges, 'DIMINUTIVE_OF'),
+  });
+
+  writeJson(path.join(GRAPH_DIR, 'root-network.json'), {
+    ...graphPayload,
+    relationshipType: 'SHARES_ROOT',
+    edges: filterEdgesByType(report.edges, 'SHARES_ROOT'),
+  });
+
+  writeJson(path.join(GRAPH_DIR, 'equivalent-network.json'), {
+    ...graphPayload,
+    relationshipType: 'CROSS_LANGUAGE_EQUIVALENT',
+    edges: filterEdgesByType(report.edges, 'CROSS_LANGUAGE_EQUIVALENT'),
+  });
+
+  writeJson(path.join(GRAPH_DIR, 'communities.json'), {
+    ...graphPayload,
+    largeGroupCount: report.metrics.largeGroupCount,
+    communityCount: report.metrics.communityCount,
+    groups: report.communities,
+  });
+
   const editorialHashAfter = hashFile(KNOWLEDGE_RECORDS_PATH);
   const audit = {
     generatedAt,
@@ -112,20 +149,45 @@ function main() {
       meaningNetwork: 'data/graph/meaning-network.json',
       variantNetwork: 'data/graph/variant-network.json',
       pronunciationNetwork: 'data/graph/pronunciation-network.json',
+      nicknameNetwork: 'data/graph/nickname-network.json',
+      diminutiveNetwork: 'data/graph/diminutive-network.json',
+      rootNetwork: 'data/graph/root-network.json',
+      equivalentNetwork: 'data/graph/equivalent-network.json',
+      communities: 'data/graph/communities.json',
+      graphAnomalies: 'audit/graph-anomalies.json',
     },
   };
 
   fs.mkdirSync(path.dirname(AUDIT_PATH), { recursive: true });
   writeJson(AUDIT_PATH, audit);
 
+  writeJson(ANOMALIES_PATH, {
+    generatedAt,
+    phase: '17A',
+    title: 'Knowledge Graph Anomalies',
+    readOnly: true,
+    anomalyVersion: anomalies.anomalyVersion,
+    graphVersion: report.graphVersion,
+    graphSemanticHash: semanticHash,
+    entityCount: report.entityCount,
+    metrics: anomalies.metrics,
+    anomalies: anomalies.anomalies,
+    entities: anomalies.entities,
+    meaningHubs: anomalies.meaningHubs,
+  });
+
   console.log('Knowledge graph generation complete.');
   console.log('  Nodes:', report.metrics.nodeCount);
   console.log('  Edges:', report.metrics.edgeCount);
   console.log('  Average degree:', report.metrics.averageDegree);
   console.log('  Disconnected components:', report.metrics.disconnectedComponents);
+  console.log('  Communities:', report.metrics.communityCount, `(${report.metrics.largeGroupCount} large groups)`);
   console.log('  Validation:', validation.status);
+  console.log('  Anomalous edges:', anomalies.metrics.anomalousEdges, `(${anomalies.metrics.anomalousEntities} entities)`);
+  console.log('  Meaning hubs flagged:', anomalies.metrics.meaningHubs);
   console.log('  Semantic hash:', semanticHash.slice(0, 16) + '...');
   console.log('  Audit:', AUDIT_PATH);
+  console.log('  Anomalies:', ANOMALIES_PATH);
 
   if (validation.status !== 'PASS') {
     process.exitCode = 1;
@@ -16,6 +16,7 @@ const {
   validateNavigation,
   NAVIGATION_VERSION,
 } = require('../../lib/navigation/navigation-engine.js');
+const { buildRankingAttributes } = require('../../lib/navigation/related-ranking.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const GRAPH_DIR = path.join(ROOT, 'data', 'graph');
@@ -23,6 +24,22 @@ const NAVIGATION_DIR = path.join(ROOT, 'data', 'navigation');
 const GRAPH_AUDIT_PATH = path.join(ROOT, 'audit', 'knowledge-graph.json');
 const NAVIGATION_AUDIT_PATH = path.join(ROOT, 'audit', 'navigation.json');
 const KNOWLEDGE_RECORDS_PATH = path.join(ROOT, 'data', 'knowledge-records.json');
+const NAMES_PATH = path.join(ROOT, 'data', 'names.json');
+const POPULARITY_RECORDS_PATH = path.join(ROOT, 'data', 'popularity-records.json');
+const KCI_AUDIT_PATH = path.join(ROOT, 'audit', 'knowledge-completeness.json');
+
+/** One explorer artifact per explorer relationship type, under data/navigation/. */
+const EXPLORER_ARTIFACTS = Object.freeze([
+  { file: 'origin-navigation.json', outputKey: 'originNavigation', relationshipType: 'SAME_ORIGIN' },
+  { file: 'language-navigation.json', outputKey: 'languageNavigation', relationshipType: 'SAME_LANGUAGE' },
+  { file: 'meaning-navigation.json', outputKey: 'meaningNavigation', relationshipType: 'RELATED_MEANING' },
+  { file: 'pronunciation-navigation.json', outputKey: 'pronunciationNavigation', relationshipType: 'SIMILAR_PRONUNCIATION' },
+  { file: 'cultural-navigation.json', outputKey: 'culturalNavigation', relationshipType: 'SAME_CULTURAL_GROUP' },
+  { file: 'nickname-navigation.json', outputKey: 'nicknameNavigation', relationshipType: 'NICKNAME_OF' },
+  { file: 'diminutive-navigation.json', outputKey: 'diminutiveNavigation', relationshipType: 'DIMINUTIVE_OF' },
+  { file: 'root-navigation.json', outputKey: 'rootNavigation', relationshipType: 'SHARES_ROOT' },
+  { file: 'equivalent-navigation.json', outputKey: 'equivalentNavigation', relationshipType: 'CROSS_LANGUAGE_EQUIVALENT' },
+]);
 
 function hashFile(absPath) {
   if (!fs.existsSync(absPath)) return null;
@@ -42,6 +59,16 @@ function readGraphArtifact(name) {
   return JSON.parse(fs.readFileSync(absPath, 'utf8'));
 }
 
+/** Inputs of the ranking signals; a missing file leaves its signal unknown for every name. */
+function readRankingSources() {
+  const read = (absPath) => (fs.existsSync(absPath) ? JSON.parse(fs.readFileSync(absPath, 'utf8')) : null);
+  return {
+    names: read(NAMES_PATH) || [],
+    popularityRecords: read(POPULARITY_RECORDS_PATH)?.records || [],
+    kciEntities: read(KCI_AUDIT_PATH)?.entities || [],
+  };
+}
+
 function main() {
   if (!fs.existsSync(GRAPH_AUDIT_PATH)) {
     console.error('Missing audit/knowledge-graph.json — run generate-knowledge-graph.js first.');
@@ -54,6 +81,7 @@ function main() {
 
   const nodesPayload = readGraphArtifact('nodes.json');
   const edgesPayload = readGraphArtifact('edges.json');
+  const communitiesPayload = readGraphArtifact('communities.json');
 
   const graphPayload = {
     generatedAt: nodesPayload.generatedAt,
@@ -61,10 +89,12 @@ function main() {
     entityCount: nodesPayload.entityCount,
     nodes: nodesPayload.nodes,
     edges: edgesPayload.edges,
+    communities: communitiesPayload.groups,
   };
 
   const graphSemanticHash = graphAudit.validation.semanticHash;
-  const report = buildNavigationReport(graphPayload, graphSemanticHash);
+  const rankingAttributes = buildRankingAttributes(graphPayload.nodes, readRankingSources());
+  const report = buildNavigationReport(graphPayload, graphSemanticHash, rankingAttributes);
   const validation = validateNavigation(report, graphPayload);
   const semanticHash = hashNavigationSemantic(report);
 
@@ -79,38 +109,17 @@ function main() {
 
   writeJson(path.join(NAVIGATION_DIR, 'related-names.json'), {
     ...artifactHeader,
+    rankingProfiles: report.rankingProfiles,
     entities: report.relatedNames,
   });
 
-  writeJson(path.join(NAVIGATION_DIR, 'origin-navigation.json'), {
-    ...artifactHeader,
-    relationshipType: 'SAME_ORIGIN',
-    groups: report.explorerIndexes.SAME_ORIGIN,
-  });
-
-  writeJson(path.join(NAVIGATION_DIR, 'language-navigation.json'), {
-    ...artifactHeader,
-    relationshipType: 'SAME_LANGUAGE',
-    groups: report.explorerIndexes.SAME_LANGUAGE,
-  });
-
-  writeJson(path.join(NAVIGATION_DIR, 'meaning-navigation.json'), {
-    ...artifactHeader,
-    relationshipType: 'RELATED_MEANING',
-    groups: report.explorerIndexes.RELATED_MEANING,
-  });
-
-  writeJson(path.join(NAVIGATION_DIR, 'pronunciation-navigation.json'), {
-    ...artifactHeader,
-    relationshipType: 'SIMILAR_PRONUNCIATION',
-    groups: report.explorerIndexes.SIMILAR_PRONUNCIATION,
-  });
-
-  writeJson(path.join(NAVIGATION_DIR, 'cultural-navigation.json'), {
-    ...artifactHeader,
-    relationshipType: 'SAME_CULTURAL_GROUP',
-    groups: report.explorerIndexes.SAME_CULTURAL_GROUP,
-  });
+  for (const artifact of EXPLORER_ARTIFACTS) {
+    writeJson(path.join(NAVIGATION_DIR, artifact.file), {
+      ...artifactHeader,
+      relationshipType: artifact.relationshipType,
+      groups: report.explorerIndexes[artifact.relationshipType],
+    });
+  }
 
   const editorialHashAfter = hashFile(KNOWLEDGE_RECORDS_PATH);
 
@@ -125,6 +134,7 @@ function main() {
     graphSemanticHash: report.graphSemanticHash,
     entityCount: report.entityCount,
     metrics: report.metrics,
+    rankingProfiles: Object.keys(report.rankingProfiles),
     validation: {
       ...validation,
       deterministicOrdering: validation.status === 'PASS',
@@ -138,11 +148,9 @@ function main() {
     },
     outputs: {
       relatedNames: 'data/navigation/related-names.json',
-      originNavigation: 'data/navigation/origin-navigation.json',
-      languageNavigation: 'data/navigation/language-navigation.json',
-      meaningNavigation: 'data/navigation/meaning-navigation.json',
-      pronunciationNavigation: 'data/navigation/pronunciation-navigation.json',
-      culturalNavigation: 'data/navigation/cultural-navigation.json',
+      ...Object.fromEntries(
+        EXPLORER_ARTIFACTS.map((artifact) => [artifact.outputKey, `data/navigation/${artifact.file}`]),
+      ),
     },
   };
 
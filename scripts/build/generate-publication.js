@@ -2,7 +2,10 @@
 /**
  * Phase 19A — Generate versioned dataset publication bundles.
  *
- * Usage: node scripts/build/generate-publication.js
+ * Usage: node scripts/build/generate-publication.js [--previous=<datasetVersion>|--previous=none]
+ *
+ * changes.json diffs against --previous, or by default the most recent other
+ * release under releases/.
  *
  * Prerequisites:
  *   node scripts/build/generate-structured-exports.js
@@ -25,6 +28,11 @@ const {
 const ROOT = path.join(__dirname, '..', '..');
 const AUDIT_PATH = path.join(ROOT, 'audit', 'publication.json');
 
+function readArg(name, fallback) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
 function writeJson(absPath, payload) {
   fs.mkdirSync(path.dirname(absPath), { recursive: true });
   fs.writeFileSync(absPath, `${JSON.stringify(payload, null, 2)}\n`);
@@ -57,7 +65,10 @@ function main() {
   const exportHashBefore = hashFile(path.join(EXPORT_DIR, 'manifest.json'));
   const apiManifestBefore = hashFile(path.join(API_DIR, 'v1', 'manifest.json'));
 
-  const inputs = loadPublicationInputs();
+  const previousArg = readArg('previous', undefined);
+  const inputs = loadPublicationInputs({
+    previousVersion: previousArg === 'none' ? null : previousArg,
+  });
   const report = buildPublicationBundle(inputs);
   const validation = validatePublicationBundle(report, inputs);
   const semanticHash = hashPublicationSemantic(report);
@@ -76,6 +87,8 @@ function main() {
     generationTimeMs: Date.now() - startedAt,
     metrics: {
       releaseVersion: report.datasetVersion,
+      previousVersion: report.manifest.previousVersion,
+      changes: report.changes.summary,
       filesPackaged: report.manifest.filesPackaged,
       totalBytes: report.manifest.totalBytes,
       checksumCount: report.manifest.checksumCount,
@@ -97,6 +110,7 @@ function main() {
       releaseDirectory: path.relative(ROOT, report.releaseDir),
       manifest: path.join(path.relative(ROOT, report.releaseDir), 'manifest.json'),
       checksums: path.join(path.relative(ROOT, report.releaseDir), 'checksums.sha256'),
+      changes: path.join(path.relative(ROOT, report.releaseDir), 'changes.json'),
     },
   };
 
@@ -104,6 +118,11 @@ function main() {
 
   console.log('Publication generation complete.');
   console.log('  Release version:', report.datasetVersion);
+  console.log('  Previous version:', report.manifest.previousVersion || 'none');
+  console.log(
+    '  Entity changes:',
+    `+${report.changes.summary.entitiesAdded} -${report.changes.summary.entitiesRemoved} ~${report.changes.summary.entitiesChanged}`,
+  );
   console.log('  Files packaged:', report.manifest.filesPackaged);
   console.log('  Total bytes:', report.manifest.totalBytes);
   console.log('  Checksum count:', report.manifest.checksumCount);
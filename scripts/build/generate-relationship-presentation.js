@@ -15,11 +15,15 @@ const {
   buildRelationshipPresentationForSlug,
   buildPresentationReport,
   hashPresentationSemantic,
+  buildGroupTitle,
   groupIdToUrlSegment,
+  buildEgoNetworkIndex,
+  RELATIONSHIP_BADGE_LABELS,
 } = require('../../lib/presentation/relationship-presentation.js');
 const {
   renderRelationshipNavigationSection,
   renderExplorerPageBody,
+  renderGraphExplorerBody,
   renderPageLayout,
   injectRelationshipNavigationSection,
   RELATIONSHIP_NAV_MARKER_START,
@@ -28,6 +32,7 @@ const {
 const ROOT = path.join(__dirname, '..', '..');
 const NAME_DIR = path.join(ROOT, 'name');
 const RELATIONSHIPS_DIR = path.join(ROOT, 'relationships');
+const EGO_NETWORK_DIR = path.join(RELATIONSHIPS_DIR, 'graph');
 const AUDIT_PATH = path.join(ROOT, 'audit', 'relationship-presentation.json');
 const KNOWLEDGE_RECORDS_PATH = path.join(ROOT, 'data', 'knowledge-records.json');
 const NAVIGATION_AUDIT_PATH = path.join(ROOT, 'audit', 'navigation.json');
@@ -74,6 +79,10 @@ function renderRelationshipsHub(ctx) {
     { title: 'Related Meaning', kind: 'meaning', href: '/relationships/meaning/' },
     { title: 'Similar Pronunciation', kind: 'pronunciation', href: '/relationships/pronunciation/' },
     { title: 'Cultural Groups', kind: 'cultural', href: '/relationships/cultural/' },
+    { title: 'Nicknames', kind: 'nickname', href: '/relationships/nickname/' },
+    { title: 'Diminutives', kind: 'diminutive', href: '/relationships/diminutive/' },
+    { title: 'Shared Roots', kind: 'root', href: '/relationships/root/' },
+    { title: 'Cross-Language Equivalents', kind: 'equivalent', href: '/relationships/equivalent/' },
   ];
 
   const body = sections
@@ -83,7 +92,7 @@ function renderRelationshipsHub(ctx) {
         .slice(0, 12)
         .map(
           (group) =>
-            `<li><a href="/relationships/${section.kind}/${groupIdToUrlSegment(group.id)}/">${group.label?.originCluster || group.label?.language || group.label?.meaning || group.label?.pronunciation || group.label?.meaningCluster || group.id}</a> (${group.memberCount})</li>`,
+            `<li><a href="/relationships/${section.kind}/${groupIdToUrlSegment(group.id)}/">${buildGroupTitle(section.kind, group)}</a> (${group.memberCount})</li>`,
         )
         .join('');
       return (
@@ -100,13 +109,35 @@ function renderRelationshipsHub(ctx) {
   return renderPageLayout({
     siteUrl: SITE_URL,
     title: `Relationship Explorers | ${SITE_URL.replace(/^https?:\/\//, '')}`,
-    description: 'Explore baby names by origin, language, meaning, pronunciation, and cultural group.',
+    description: 'Explore baby names by origin, language, meaning, pronunciation, cultural group, nicknames, roots, and equivalents in other languages.',
     path: '/relationships/',
     breadcrumb: [
       { name: 'Home', path: '/' },
       { name: 'Relationships', path: '/relationships/' },
     ],
-    mainContent: `<h1>Relationship Explorers</h1><p>Browse deterministic relationship groups derived from the frozen navigation layer.</p>${body}`,
+    mainContent:
+      `<h1>Relationship Explorers</h1><p>Browse deterministic relationship groups derived from the frozen navigation layer.</p>` +
+      `<p class="relationship-explorer-graph-link"><a href="/relationships/explorer/">Explore name families as an interactive graph</a></p>${body}`,
+  });
+}
+
+function renderGraphExplorerPage(report) {
+  const network = report.egoNetworks.find((row) => row.slug === report.defaultEgoSlug);
+  return renderPageLayout({
+    siteUrl: SITE_URL,
+    title: `Name Family Explorer | ${SITE_URL.replace(/^https?:\/\//, '')}`,
+    description: 'Browse families of related baby names as an interactive graph of origins, meanings, sounds, nicknames and roots.',
+    path: '/relationships/explorer/',
+    breadcrumb: [
+      { name: 'Home', path: '/' },
+      { name: 'Relationships', path: '/relationships/' },
+      { name: 'Name Family Explorer', path: '/relationships/explorer/' },
+    ],
+    mainContent: renderGraphExplorerBody({
+      network,
+      relationshipTypes: Object.entries(RELATIONSHIP_BADGE_LABELS).map(([type, label]) => ({ type, label })),
+      graphBasePath: '/relationships/graph/',
+    }),
   });
 }
 
@@ -117,12 +148,16 @@ function renderKindIndex(kind, groups) {
     meaning: 'Related Meaning Explorers',
     pronunciation: 'Similar Pronunciation Explorers',
     cultural: 'Cultural Group Explorers',
+    nickname: 'Nickname Explorers',
+    diminutive: 'Diminutive Explorers',
+    root: 'Shared Root Explorers',
+    equivalent: 'Cross-Language Equivalent Explorers',
   };
 
   const list = groups
     .map(
       (group) =>
-        `<li><a href="/relationships/${kind}/${groupIdToUrlSegment(group.id)}/">${group.label?.originCluster || group.label?.language || group.label?.meaning || group.label?.pronunciation || group.label?.meaningCluster || group.id}</a> (${group.memberCount})</li>`,
+        `<li><a href="/relationships/${kind}/${groupIdToUrlSegment(group.id)}/">${buildGroupTitle(kind, group)}</a> (${group.memberCount})</li>`,
     )
     .join('');
 
@@ -189,6 +224,19 @@ function main() {
 
   writeHtml(path.join(RELATIONSHIPS_DIR, 'index.html'), renderRelationshipsHub(ctx));
 
+  fs.mkdirSync(EGO_NETWORK_DIR, { recursive: true });
+  for (const network of report.egoNetworks) {
+    fs.writeFileSync(path.join(EGO_NETWORK_DIR, `${network.slug}.json`), `${JSON.stringify(network)}\n`);
+  }
+  writeJson(path.join(EGO_NETWORK_DIR, 'index.json'), {
+    presentationVersion: report.presentationVersion,
+    navigationSemanticHash: report.navigationSemanticHash,
+    names: buildEgoNetworkIndex(ctx),
+  });
+  if (report.defaultEgoSlug) {
+    writeHtml(path.join(RELATIONSHIPS_DIR, 'explorer', 'index.html'), renderGraphExplorerPage(report));
+  }
+
   for (const [kind, groups] of Object.entries(ctx.explorers)) {
     writeHtml(path.join(RELATIONSHIPS_DIR, kind, 'index.html'), renderKindIndex(kind, groups));
     for (const group of groups) {
@@ -271,6 +319,9 @@ function main() {
       namePages: 'name/{slug}/index.html',
       relationshipsHub: 'relationships/index.html',
       explorerPages: 'relationships/{kind}/{group-id}/index.html',
+      egoNetworks: 'relationships/graph/{slug}.json',
+      egoNetworkIndex: 'relationships/graph/index.json',
+      graphExplorer: 'relationships/explorer/index.html',
     },
   };
 
@@ -280,6 +331,7 @@ function main() {
   console.log('  Name pages updated:', pagesUpdated);
   console.log('  Explorer pages:', report.metrics.explorerPages);
   console.log('  Related name cards:', relatedNameCards);
+  console.log('  Ego networks:', report.metrics.egoNetworks);
   console.log('  Broken links:', brokenLinks.length);
   console.log('  Validation:', validationStatus);
   console.log('  Semantic hash:', semanticHash.slice(0, 16) + '...');
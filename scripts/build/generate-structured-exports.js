@@ -7,6 +7,10 @@
  * Prerequisites:
  *   node scripts/build/generate-knowledge-graph.js
  *   node scripts/build/generate-navigation.js
+ *
+ * Rebuilds data/provenance-records.json first when it no longer matches the
+ * Knowledge and Citation Records, so knowledge exports never carry a stale
+ * provenance trail. The export engine itself still only reads its sources.
  */
 
 const fs = require('fs');
@@ -14,13 +18,22 @@ const path = require('path');
 const {
   EXPORT_VERSION,
   SOURCE_PATHS,
+  BINARY_EXPORT_FORMATS,
+  LINKED_DATA_FORMATS,
   hashFile,
+  hashFileBinary,
   loadExportSources,
   buildExportBundle,
   buildManifest,
   hashExportSemantic,
   validateStructuredExports,
 } = require('../../lib/export/export-engine.js');
+const {
+  buildProvenanceRecordsPayload,
+  loadProvenanceRecordsPayload,
+  hashProvenanceRecordsSemantic,
+  writeProvenanceRecords,
+} = require('../editorial/provenance-records-v1.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const EXPORT_DIR = path.join(ROOT, 'exports');
@@ -36,9 +49,23 @@ const ARTIFACT_SPECS = [
   { key: 'popularityJson', path: 'popularity.json', format: 'json', countKey: 'popularityRecords' },
   { key: 'popularityJsonl', path: 'popularity.jsonl', format: 'jsonl', countKey: 'popularityRecords' },
   { key: 'popularityCsv', path: 'popularity.csv', format: 'csv', countKey: 'popularityCsvRows' },
+  { key: 'nicknamesJson', path: 'nicknames.json', format: 'json', countKey: 'nicknameRecords' },
+  { key: 'nicknamesJsonl', path: 'nicknames.jsonl', format: 'jsonl', countKey: 'nicknameRecords' },
+  { key: 'nicknamesCsv', path: 'nicknames.csv', format: 'csv', countKey: 'nicknamesCsvRows' },
+  { key: 'variantsJson', path: 'variants.json', format: 'json', countKey: 'variantRecords' },
+  { key: 'variantsJsonl', path: 'variants.jsonl', format: 'jsonl', countKey: 'variantRecords' },
+  { key: 'variantsCsv', path: 'variants.csv', format: 'csv', countKey: 'variantsCsvRows' },
+  { key: 'entitiesJson', path: 'entities.json', format: 'json', countKey: 'entityRecords' },
   { key: 'graphNodesExport', path: 'graph-nodes.json', format: 'json', countKey: 'graphNodes' },
   { key: 'graphEdgesExport', path: 'graph-edges.json', format: 'json', countKey: 'graphEdges' },
   { key: 'graphJsonl', path: 'graph.jsonl', format: 'jsonl', countKey: 'graphJsonlLines' },
+  { key: 'graphJsonld', path: 'graph.jsonld', format: 'jsonld', countKey: 'linkedDataTriples' },
+  { key: 'graphTurtle', path: 'graph.ttl', format: 'turtle', countKey: 'linkedDataTriples' },
+  { key: 'graphNtriples', path: 'graph.nt', format: 'ntriples', countKey: 'linkedDataTriples' },
+  { key: 'vocabularyJsonld', path: 'vocabulary.jsonld', format: 'jsonld', countKey: 'vocabularyTriples' },
+  { key: 'vocabularyTurtle', path: 'vocabulary.ttl', format: 'turtle', countKey: 'vocabularyTriples' },
+  { key: 'sqlite', path: 'nameorigin.sqlite', format: 'sqlite', countKey: 'entityRecords' },
+  { key: 'popularityParquet', path: 'popularity.parquet', format: 'parquet', countKey: 'popularityTimeSeriesRows' },
 ];
 
 const NAVIGATION_SPECS = [
@@ -78,9 +105,19 @@ function validateForbiddenImports() {
   }
 }
 
+/** Rewrites data/provenance-records.json only when its records differ from a rebuild. */
+function refreshProvenanceRecords() {
+  const rebuilt = buildProvenanceRecordsPayload();
+  const current = loadProvenanceRecordsPayload();
+  if (current && hashProvenanceRecordsSemantic(current) === hashProvenanceRecordsSemantic(rebuilt)) return false;
+  writeProvenanceRecords(rebuilt);
+  return true;
+}
+
 function main() {
   const startedAt = Date.now();
   validateForbiddenImports();
+  const provenanceRefreshed = refreshProvenanceRecords();
 
   const sourceHashesBefore = Object.fromEntries(
     Object.entries(SOURCE_PATHS).map(([key, absPath]) => [key, hashFile(absPath)]),
@@ -95,13 +132,13 @@ function main() {
   for (const spec of ARTIFACT_SPECS) {
     const content = bundle.files[spec.key];
     const absPath = path.join(EXPORT_DIR, spec.path);
-    if (spec.format === 'json') writeJson(absPath, content);
+    if (spec.format === 'json' || spec.format === 'jsonld') writeJson(absPath, content);
     else writeText(absPath, content);
     artifactHashes.push({
       path: spec.path,
       format: spec.format,
       recordCount: bundle.counts[spec.countKey],
-      sha256: hashFile(absPath),
+      sha256: BINARY_EXPORT_FORMATS.includes(spec.format) ? hashFileBinary(absPath) : hashFile(absPath),
     });
   }
 
@@ -152,7 +189,7 @@ function main() {
         bundle.counts.graphNodes +
         bundle.counts.graphEdges +
         bundle.counts.navigationEntities,
-      formats: ['json', 'jsonl', 'csv'],
+      formats: ['json', 'jsonl', 'csv', ...LINKED_DATA_FORMATS, ...BINARY_EXPORT_FORMATS],
       recordCounts: bundle.counts,
       artifacts: artifactHashes.length + 1,
     },
@@ -163,6 +200,7 @@ function main() {
       frozenLayers: {
         knowledgeRecordsUnchanged: frozenLayerChecks.knowledgeRecords,
         citationRecordsUnchanged: frozenLayerChecks.citationRecords,
+        provenanceRecordsUnchanged: frozenLayerChecks.provenanceRecords,
         popularityRecordsUnchanged: frozenLayerChecks.popularityRecords,
         knowledgeGraphUnchanged:
           frozenLayerChecks.graphNodes &&
@@ -176,6 +214,7 @@ function main() {
           frozenLayerChecks.navigationPronunciation &&
           frozenLayerChecks.navigationCultural &&
           frozenLayerChecks.navigationAudit,
+        namesUnchanged: frozenLayerChecks.names,
         kciUnchanged: frozenLayerChecks.kciAudit !== false,
         allSourceArtifactsUnchanged: Object.values(frozenLayerChecks).every(Boolean),
       },
@@ -189,11 +228,15 @@ function main() {
   writeJson(AUDIT_PATH, audit);
 
   console.log('Structured export generation complete.');
+  console.log('  Provenance records:', provenanceRefreshed ? 'rebuilt (were stale)' : 'current');
   console.log('  Files generated:', audit.metrics.filesGenerated);
   console.log('  Knowledge records:', bundle.counts.knowledgeRecords);
   console.log('  Citation records:', bundle.counts.citationRecords);
   console.log('  Popularity records:', bundle.counts.popularityRecords);
   console.log('  Graph edges:', bundle.counts.graphEdges);
+  console.log('  Popularity time series rows:', bundle.counts.popularityTimeSeriesRows);
+  console.log('  Linked-data triples:', bundle.counts.linkedDataTriples);
+  console.log('  Wikidata links:', bundle.counts.wikidataLinks);
   console.log('  Generation time (ms):', generationTimeMs);
   console.log('  Validation:', validation.status);
   console.log('  Semantic hash:', manifest.semanticHash.slice(0, 16) + '...');
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Religion and Culture Records v1 — coverage audit.
+ *
+ * Counts researched religion and culture assertions per field, traditions,
+ * feast days by month and Citation ID usage, and confirms every assertion is
+ * cited. Writes audit/religion-culture.json. Reads editorial data only.
+ *
+ * Usage:
+ *   node scripts/build/run-religion-culture-audit.js
+ *   node scripts/build/run-religion-culture-audit.js --apply
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadJson, normalizeKey } = require('../editorial/knowledge-record-v2.js');
+const {
+  RELIGION_CULTURE_PATHS,
+  findRecordErrors,
+  listAssertions,
+  loadReligionCultureRecordsPayload,
+} = require('../editorial/religion-culture-records-v1.js');
+const { hashRecordsSemantic } = require('../editorial/records-v1-lib.js');
+const { runNodeScript } = require('../editorial/apply-phase15b-wave2-lib.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const AUDIT_DIR = path.join(ROOT, 'audit');
+const OUT_PATH = path.join(AUDIT_DIR, 'religion-culture.json');
+const ENTITY_COUNT = 3697;
+
+function countBy(values) {
+  const counts = {};
+  for (const value of values) counts[value] = (counts[value] || 0) + 1;
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function coverage(count) {
+  return { count, percent: Number(((count / ENTITY_COUNT) * 100).toFixed(2)) };
+}
+
+function main() {
+  if (process.argv.includes('--apply')) {
+    runNodeScript('scripts/editorial/apply-religion-culture-research.js');
+  }
+
+  const payload = loadReligionCultureRecordsPayload();
+  const records = payload.records || [];
+  const nameKeys = new Set(loadJson(RELIGION_CULTURE_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((loadJson(RELIGION_CULTURE_PATHS.registry, { citations: [] }).citations || []).map((row) => row.id));
+  const assertions = records.flatMap(listAssertions);
+  const errors = records.flatMap((record) => findRecordErrors(record, { nameKeys, registryIds }));
+  const withField = (predicate) => records.filter(predicate).length;
+
+  const report = {
+    title: 'Religion and Culture Records v1 — Coverage Audit',
+    generatedAt: new Date().toISOString(),
+    recordsPresent: fs.existsSync(RELIGION_CULTURE_PATHS.records),
+    semanticHash: hashRecordsSemantic(payload),
+    recordCount: records.length,
+    assertionCount: assertions.length,
+    coverage: {
+      religion: coverage(withField((r) => r.religion)),
+      tradition: coverage(withField((r) => r.religion?.tradition)),
+      scripturalReference: coverage(withField((r) => r.religion?.scripturalReference)),
+      feastDays: coverage(withField((r) => (r.religion?.feastDays || []).length > 0)),
+      culture: coverage(withField((r) => r.culture)),
+      culturalSignificance: coverage(withField((r) => r.culture?.culturalSignificance)),
+      regionalNotes: coverage(withField((r) => (r.culture?.regionalNotes || []).length > 0)),
+    },
+    assertionsByField: countBy(assertions.map((a) => a.field)),
+    traditions: countBy(records.map((r) => r.religion?.tradition?.value).filter(Boolean)),
+    feastDaysByMonth: countBy(records.flatMap((r) => (r.religion?.feastDays || []).map((day) => day.date.slice(0, 2)))),
+    regions: countBy(records.flatMap((r) => (r.culture?.regionalNotes || []).map((note) => note.region))),
+    citationUsage: countBy(assertions.flatMap((a) => a.citationIds || [])),
+    validation: {
+      status: errors.length === 0 ? 'PASS' : 'FAIL',
+      uncitedAssertions: assertions.filter((a) => !(a.citationIds || []).length).length,
+      errorCount: errors.length,
+      errors: errors.slice(0, 50),
+    },
+  };
+
+  fs.mkdirSync(AUDIT_DIR, { recursive: true });
+  fs.writeFileSync(OUT_PATH, JSON.stringify(report, null, 2));
+
+  console.log('Religion and culture audit:', report.validation.status);
+  console.log('  Records:', report.recordCount);
+  console.log('  Assertions:', report.assertionCount);
+  console.log('  Names with a tradition:', report.coverage.tradition.count);
+  console.log('  Names with feast days:', report.coverage.feastDays.count);
+  console.log('  Names with cultural significance:', report.coverage.culturalSignificance.count);
+  console.log('  Output:', path.relative(ROOT, OUT_PATH));
+  if (errors.length) process.exitCode = 1;
+}
+
+main();
@@ -18,9 +18,13 @@ const {
   hashApiSemantic,
   validateApiReport,
   buildNameResponse,
+  buildBatchResponse,
   buildSearchResponse,
   buildManifestResponse,
+  buildContractSnapshot,
 } = require('../../lib/api/export-api.js');
+const { buildGraphqlResponse } = require('../../lib/api/graphql-schema.js');
+const { diffReleaseSnapshots } = require('../../lib/api/release-diff.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const API_DIR = path.join(ROOT, 'api');
@@ -40,7 +44,20 @@ const FORBIDDEN_REQUIRE_PATTERNS = [
 function readSourceFiles() {
   return [
     path.join(ROOT, 'lib/api/export-api.js'),
+    path.join(ROOT, 'lib/api/facet-query.js'),
+    path.join(ROOT, 'lib/api/fuzzy-search.js'),
+    path.join(ROOT, 'lib/api/graph-query.js'),
+    path.join(ROOT, 'lib/api/graphql-language.js'),
+    path.join(ROOT, 'lib/api/graphql-executor.js'),
+    path.join(ROOT, 'lib/api/graphql-schema.js'),
+    path.join(ROOT, 'lib/api/openapi.js'),
+    path.join(ROOT, 'lib/api/query-server.js'),
+    path.join(ROOT, 'lib/api/release-diff.js'),
+    path.join(ROOT, 'lib/navigation/related-ranking.js'),
+    path.join(ROOT, 'lib/analysis/phonetic-similarity.js'),
+    path.join(ROOT, 'scripts/build/validate-openapi.js'),
     path.join(ROOT, 'scripts/build/generate-api-indexes.js'),
+    path.join(ROOT, 'scripts/serve-api.js'),
   ];
 }
 
@@ -142,6 +159,53 @@ function main() {
     }
   }
 
+  const graphqlSlug = indexes.slugs[0];
+  const graphqlRequest = {
+    query: 'query($slug: String!) { name(slug: $slug) { slug name variants { slug popularity { region } } } }',
+    variables: { slug: graphqlSlug },
+  };
+  const graphqlA = buildGraphqlResponse(contract, indexes, graphqlRequest);
+  const graphqlB = buildGraphqlResponse(contract, indexes, graphqlRequest);
+  if (graphqlA.errors) {
+    errors.push(`GraphQL sample query failed: ${graphqlA.errors[0].message}`);
+  } else if (graphqlA.data.name?.name !== buildNameResponse(contract, indexes, graphqlSlug).knowledge.name) {
+    errors.push(`GraphQL name lookup disagrees with name endpoint: ${graphqlSlug}`);
+  }
+  if (JSON.stringify(graphqlA) !== JSON.stringify(graphqlB)) {
+    errors.push('GraphQL response is not deterministic.');
+  }
+
+  // 3,000 nested selection sets (9,000 characters) must be refused while parsing, not overflow the stack.
+  const deepQuery = `${'{a'.repeat(3000)}${'}'.repeat(3000)}`;
+  let deep;
+  try {
+    deep = buildGraphqlResponse(contract, indexes, { query: deepQuery });
+  } catch (error) {
+    errors.push(`Deeply nested GraphQL query threw: ${error.message}`);
+  }
+  if (deep && !/^Query depth exceeds/.test(deep.errors?.[0]?.message || '')) {
+    errors.push('Deeply nested GraphQL query was not rejected for its depth.');
+  }
+
+  const batchSlugs = [...indexes.slugs.slice(0, 3), 'not-a-name'];
+  const batch = buildBatchResponse(contract, indexes, batchSlugs);
+  for (const slug of indexes.slugs.slice(0, 3)) {
+    const { status, ...records } = batch.results[slug] || {};
+    const expected = buildNameResponse(contract, indexes, slug);
+    if (status !== 'found' || JSON.stringify(records.knowledge) !== JSON.stringify(expected.knowledge)) {
+      errors.push(`Batch lookup disagrees with name endpoint: ${slug}`);
+    }
+  }
+  if (batch.results['not-a-name']?.status !== 'not_found' || batch.notFound.length !== 1) {
+    errors.push('Batch lookup did not mark the unknown slug as not_found.');
+  }
+
+  const snapshot = buildContractSnapshot(contract);
+  const selfDiff = diffReleaseSnapshots(snapshot, snapshot);
+  if (selfDiff.entities.length > 0) {
+    errors.push(`Release diff of the contract against itself lists ${selfDiff.entities.length} changed entities.`);
+  }
+
   const status = errors.length === 0 ? 'PASS' : 'FAIL';
   console.log('API validation:', status);
   console.log('  Name endpoint files:', nameFiles);
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Validate Etymology Records v1: schema, names, language codes, chains that
+ * end at the name, and a registered Citation ID behind every morpheme and
+ * derivation step.
+ *
+ * Usage: node scripts/build/validate-etymology-records.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadJson, normalizeKey } = require('../editorial/knowledge-record-v2.js');
+const { validateSchema, validateOrdering } = require('../editorial/records-v1-lib.js');
+const {
+  ETYMOLOGY_STRUCTURE_PATHS,
+  findRecordErrors,
+} = require('../editorial/etymology-structure-v1.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCHEMA_PATH = path.join(ROOT, 'schemas', 'etymology-records-v1.schema.json');
+
+function main() {
+  if (!fs.existsSync(ETYMOLOGY_STRUCTURE_PATHS.records)) {
+    console.log('Etymology records validation: SKIPPED (data/etymology-records.json not present — rootWord and rootLanguage stay null).');
+    return;
+  }
+
+  const payload = loadJson(ETYMOLOGY_STRUCTURE_PATHS.records, null);
+  const records = payload.records || [];
+  const schemaResult = validateSchema(payload, SCHEMA_PATH);
+  const nameKeys = new Set(loadJson(ETYMOLOGY_STRUCTURE_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((loadJson(ETYMOLOGY_STRUCTURE_PATHS.registry, { citations: [] }).citations || []).map((row) => row.id));
+
+  const errors = [
+    ...(schemaResult.valid ? [] : schemaResult.errors),
+    ...validateOrdering(records),
+    ...records.flatMap((record) => findRecordErrors(record, { nameKeys, registryIds })),
+  ];
+
+  console.log('Etymology records validation:', errors.length === 0 ? 'PASS' : 'FAIL');
+  console.log('  Records:', records.length);
+  console.log('  Derivation steps:', records.reduce((sum, r) => sum + r.derivationChain.length, 0));
+  console.log('  Morphemes:', records.reduce((sum, r) => sum + r.morphemes.length, 0));
+  console.log('  Schema valid:', schemaResult.valid);
+
+  if (errors.length) {
+    errors.slice(0, 20).forEach((msg) => console.error('  -', msg));
+    process.exitCode = 1;
+  }
+}
+
+main();
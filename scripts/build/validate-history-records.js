@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Validate History Records v1: schema, names, dates, Wikidata QIDs, and a
+ * registered Citation ID behind every first attestation and notable bearer.
+ *
+ * Usage: node scripts/build/validate-history-records.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadJson, normalizeKey } = require('../editorial/knowledge-record-v2.js');
+const { validateSchema, validateOrdering } = require('../editorial/records-v1-lib.js');
+const {
+  HISTORY_RECORD_PATHS,
+  findRecordErrors,
+  listAssertions,
+} = require('../editorial/history-records-v1.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCHEMA_PATH = path.join(ROOT, 'schemas', 'history-records-v1.schema.json');
+
+function main() {
+  if (!fs.existsSync(HISTORY_RECORD_PATHS.records)) {
+    console.log('History records validation: SKIPPED (data/history-records.json not present — firstRecordedUse and notableBearers stay null).');
+    return;
+  }
+
+  const payload = loadJson(HISTORY_RECORD_PATHS.records, null);
+  const records = payload.records || [];
+  const schemaResult = validateSchema(payload, SCHEMA_PATH);
+  const nameKeys = new Set(loadJson(HISTORY_RECORD_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((loadJson(HISTORY_RECORD_PATHS.registry, { citations: [] }).citations || []).map((row) => row.id));
+
+  const errors = [
+    ...(schemaResult.valid ? [] : schemaResult.errors),
+    ...validateOrdering(records),
+    ...records.flatMap((record) => findRecordErrors(record, { nameKeys, registryIds })),
+  ];
+
+  const assertions = records.flatMap(listAssertions);
+  console.log('History records validation:', errors.length === 0 ? 'PASS' : 'FAIL');
+  console.log('  Records:', records.length);
+  console.log('  First recorded uses:', assertions.filter((a) => a.field === 'firstRecordedUse').length);
+  console.log('  Notable bearers:', assertions.filter((a) => a.field === 'notableBearers').length);
+  console.log('  Schema valid:', schemaResult.valid);
+
+  if (errors.length) {
+    errors.slice(0, 20).forEach((msg) => console.error('  -', msg));
+    process.exitCode = 1;
+  }
+}
+
+main();
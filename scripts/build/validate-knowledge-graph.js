@@ -2,12 +2,18 @@
 /**
  * Phase 17A — Validate Knowledge Graph artifacts.
  *
- * Usage: node scripts/build/validate-knowledge-graph.js
+ * Usage: node scripts/build/validate-knowledge-graph.js [--full-benchmark]
+ *
+ * Also runs benchmark-knowledge-graph.js at a fifth of its size and budget,
+ * so a change that slows the engine fails validation. --full-benchmark runs
+ * it at 100,000 entities against the 120 s budget instead; run that before
+ * publishing a dataset release.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { spawnSync } = require('child_process');
 const loaders = require('../../lib/canonical/loaders.js');
 const { buildAllEntities } = require('../../lib/canonical/entity-builder.js');
 const {
@@ -19,12 +25,32 @@ const {
 const ROOT = path.join(__dirname, '..', '..');
 const AUDIT_PATH = path.join(ROOT, 'audit', 'knowledge-graph.json');
 const KNOWLEDGE_RECORDS_PATH = path.join(ROOT, 'data', 'knowledge-records.json');
+const BENCHMARK_SCRIPT = path.join(ROOT, 'scripts', 'build', 'benchmark-knowledge-graph.js');
+
+/** 20,000 synthetic entities against 24 s: the 100k benchmark's 120 s budget, scaled down. */
+const REDUCED_BENCHMARK = Object.freeze({ entities: 20000, budgetMs: 24000 });
+const FULL_BENCHMARK = Object.freeze({ entities: 100000, budgetMs: 120000 });
 
 function hashFile(absPath) {
   if (!fs.existsSync(absPath)) return null;
   return crypto.createHash('sha256').update(fs.readFileSync(absPath, 'utf8')).digest('hex');
 }
 
+/** Runs the benchmark at one size and budget; returns its build-time line and any failure output. */
+function runBenchmark({ entities, budgetMs }) {
+  const args = [`--entities=${entities}`, `--budget-ms=${budgetMs}`];
+  const result = spawnSync('node', [BENCHMARK_SCRIPT, ...args], {
+    cwd: ROOT,
+    encoding: 'utf8',
+  });
+  const output = `${result.stdout || ''}${result.stderr || ''}`;
+  const buildTime = (output.match(/Build time \(ms\): (.*)/) || [])[1] || null;
+  return {
+    buildTime,
+    errors: result.status === 0 ? [] : [`Graph benchmark (${args.join(' ')}) failed:\n${output.trim()}`],
+  };
+}
+
 function main() {
   if (!fs.existsSync(AUDIT_PATH)) {
     console.error('Missing audit/knowledge-graph.json — run generate-knowledge-graph.js first.');
@@ -47,6 +73,9 @@ function main() {
   if (entities.length !== 3697) {
     errors.push(`Expected 3697 entities, found ${entities.length}.`);
   }
+  const benchmarkSize = process.argv.includes('--full-benchmark') ? FULL_BENCHMARK : REDUCED_BENCHMARK;
+  const benchmark = runBenchmark(benchmarkSize);
+  errors.push(...benchmark.errors);
   if (audit.validation.editorialDataUnchanged === false) {
     errors.push('Prior graph generation reported editorial data mutation.');
   }
@@ -59,6 +88,10 @@ function main() {
   console.log('  Nodes:', rebuilt.metrics.nodeCount);
   console.log('  Edges:', rebuilt.metrics.edgeCount);
   console.log('  Semantic hash match:', rebuiltHash === audit.validation.semanticHash);
+  console.log(
+    `  Benchmark build time (ms, ${benchmarkSize.entities.toLocaleString('en-US')} entities):`,
+    benchmark.buildTime || 'failed',
+  );
   if (errors.length) {
     for (const error of errors) console.error('  -', error);
     process.exitCode = 1;
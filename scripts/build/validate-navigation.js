@@ -13,12 +13,16 @@ const {
   hashNavigationSemantic,
   validateNavigation,
 } = require('../../lib/navigation/navigation-engine.js');
+const { buildRankingAttributes } = require('../../lib/navigation/related-ranking.js');
 
 const ROOT = path.join(__dirname, '..', '..');
 const GRAPH_DIR = path.join(ROOT, 'data', 'graph');
 const GRAPH_AUDIT_PATH = path.join(ROOT, 'audit', 'knowledge-graph.json');
 const NAVIGATION_AUDIT_PATH = path.join(ROOT, 'audit', 'navigation.json');
 const KNOWLEDGE_RECORDS_PATH = path.join(ROOT, 'data', 'knowledge-records.json');
+const NAMES_PATH = path.join(ROOT, 'data', 'names.json');
+const POPULARITY_RECORDS_PATH = path.join(ROOT, 'data', 'popularity-records.json');
+const KCI_AUDIT_PATH = path.join(ROOT, 'audit', 'knowledge-completeness.json');
 
 function hashFile(absPath) {
   if (!fs.existsSync(absPath)) return null;
@@ -33,6 +37,16 @@ function readGraphArtifact(name) {
   return JSON.parse(fs.readFileSync(absPath, 'utf8'));
 }
 
+/** Inputs of the ranking signals; a missing file leaves its signal unknown for every name. */
+function readRankingSources() {
+  const read = (absPath) => (fs.existsSync(absPath) ? JSON.parse(fs.readFileSync(absPath, 'utf8')) : null);
+  return {
+    names: read(NAMES_PATH) || [],
+    popularityRecords: read(POPULARITY_RECORDS_PATH)?.records || [],
+    kciEntities: read(KCI_AUDIT_PATH)?.entities || [],
+  };
+}
+
 function main() {
   if (!fs.existsSync(NAVIGATION_AUDIT_PATH)) {
     console.error('Missing audit/navigation.json — run generate-navigation.js first.');
@@ -52,6 +66,7 @@ function main() {
 
   const nodesPayload = readGraphArtifact('nodes.json');
   const edgesPayload = readGraphArtifact('edges.json');
+  const communitiesPayload = readGraphArtifact('communities.json');
 
   const graphPayload = {
     generatedAt: nodesPayload.generatedAt,
@@ -59,9 +74,11 @@ function main() {
     entityCount: nodesPayload.entityCount,
     nodes: nodesPayload.nodes,
     edges: edgesPayload.edges,
+    communities: communitiesPayload.groups,
   };
 
-  const rebuilt = buildNavigationReport(graphPayload, graphAudit.validation.semanticHash);
+  const rankingAttributes = buildRankingAttributes(graphPayload.nodes, readRankingSources());
+  const rebuilt = buildNavigationReport(graphPayload, graphAudit.validation.semanticHash, rankingAttributes);
   const validation = validateNavigation(rebuilt, graphPayload);
   const rebuiltHash = hashNavigationSemantic(rebuilt);
 
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Validate the curated nickname dataset (data/nicknames.json) against
+ * schemas/nicknames-v1.schema.json, data/names.json and the Citation Registry.
+ *
+ * Usage: node scripts/build/validate-nicknames.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateNode } = require('../../lib/canonical/schema-check.js');
+const { isFallbackMarker } = require('../../lib/render/nicknames.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCHEMA_PATH = path.join(ROOT, 'schemas', 'nicknames-v1.schema.json');
+const NICKNAMES_PATH = path.join(ROOT, 'data', 'nicknames.json');
+const NAMES_PATH = path.join(ROOT, 'data', 'names.json');
+const REGISTRY_PATH = path.join(ROOT, 'data', 'citation-registry.json');
+
+function loadJson(absPath) {
+  if (!fs.existsSync(absPath)) throw new Error(`Missing ${path.relative(ROOT, absPath)}`);
+  return JSON.parse(fs.readFileSync(absPath, 'utf8'));
+}
+
+function validateSchema(rows) {
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const errors = validateNode(rows, schema, '$', { root: schema });
+  // schema-check does not implement minLength / minItems; enforce them here.
+  (Array.isArray(rows) ? rows : []).forEach((row, i) => {
+    if (!String(row.nickname || '').trim()) errors.push(`$[${i}].nickname: must not be blank`);
+    if (!Array.isArray(row.citation_ids) || row.citation_ids.length === 0) errors.push(`$[${i}].citation_ids: must cite at least one source`);
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+function validateRows(rows, names, registry) {
+  const errors = [];
+  const nameById = new Map(names.map((row) => [row.id, row.name]));
+  const registryIds = new Set((registry.citations || []).map((row) => row.id));
+  const seen = new Set();
+
+  rows.forEach((row, i) => {
+    const label = `Row ${i} (${row.nickname} for name_id ${row.name_id})`;
+    const fullName = nameById.get(row.name_id);
+    if (fullName == null) {
+      errors.push(`${label}: name_id is not in data/names.json.`);
+    } else if (String(row.nickname).trim().toLowerCase() === String(fullName).toLowerCase()) {
+      errors.push(`${label}: a name is not its own nickname.`);
+    }
+    if (isFallbackMarker(row.nickname)) errors.push(`${label}: fallback text is not a nickname.`);
+    for (const citationId of row.citation_ids || []) {
+      if (!registryIds.has(citationId)) errors.push(`${label}: unknown Citation ID ${citationId}.`);
+    }
+    const key = `${row.name_id}|${String(row.nickname).trim().toLowerCase()}`;
+    if (seen.has(key)) errors.push(`${label}: form listed twice for this name (a form has one kind).`);
+    seen.add(key);
+  });
+  return errors;
+}
+
+function main() {
+  if (!fs.existsSync(NICKNAMES_PATH)) {
+    console.log('Nicknames validation: SKIPPED (data/nicknames.json not present — the nicknames domain stays null).');
+    return;
+  }
+
+  const rows = loadJson(NICKNAMES_PATH);
+  const schemaResult = validateSchema(rows);
+  const errors = [
+    ...(schemaResult.valid ? [] : schemaResult.errors),
+    ...(Array.isArray(rows) ? validateRows(rows, loadJson(NAMES_PATH), loadJson(REGISTRY_PATH)) : []),
+  ];
+
+  const list = Array.isArray(rows) ? rows : [];
+  console.log('Nicknames validation:', errors.length === 0 ? 'PASS' : 'FAIL');
+  console.log('  Rows:', list.length);
+  console.log('  Names with nicknames:', new Set(list.map((row) => row.name_id)).size);
+  console.log('  Nicknames:', list.filter((row) => row.kind === 'nickname').length);
+  console.log('  Diminutives:', list.filter((row) => row.kind === 'diminutive').length);
+  console.log('  Schema valid:', schemaResult.valid);
+
+  if (errors.length) {
+    errors.slice(0, 20).forEach((msg) => console.error('  -', msg));
+    process.exitCode = 1;
+  }
+}
+
+main();
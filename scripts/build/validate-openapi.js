@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Validate the API v1 OpenAPI document and check every generated api/v1/ file
+ * against it.
+ *
+ * Usage: node scripts/build/validate-openapi.js
+ *
+ * Prerequisite: node scripts/build/generate-api-indexes.js
+ *
+ * Checks that api/v1/openapi.json matches a fresh build from the route table,
+ * that every $ref resolves, then validates each static payload under api/v1/
+ * against its route's response schema. Routes with no static files (names,
+ * batch, changes, graph, graphql, errors) are validated through handleApiRequest().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadExportContract } = require('../../lib/api/export-api.js');
+const { validateOpenApiDocument, SCHEMA_PREFIX } = require('../../lib/api/openapi.js');
+const {
+  API_PREFIX,
+  ROUTES,
+  createApiContext,
+  routePath,
+  getOpenApiDocument,
+  handleApiRequest,
+} = require('../../lib/api/query-server.js');
+const { validateNode } = require('../../lib/canonical/schema-check.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const API_V1_DIR = path.join(ROOT, 'api', 'v1');
+const OPENAPI_PATH = path.join(API_V1_DIR, 'openapi.json');
+
+/** Static files that are not a route's response: file path (relative to api/v1) → schema name. */
+const STATIC_FILE_SCHEMAS = Object.freeze({
+  'search-index.json': 'SearchIndexFile',
+  'openapi.json': null,
+});
+
+function listJsonFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const absPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listJsonFiles(absPath));
+    else if (entry.name.endsWith('.json')) files.push(absPath);
+  }
+  return files.sort();
+}
+
+/** Schema name for a static file: explicit entry, search prefix file, or the route its URL resolves to. */
+function schemaNameForFile(relPath) {
+  if (relPath in STATIC_FILE_SCHEMAS) return STATIC_FILE_SCHEMAS[relPath];
+  if (relPath.startsWith('search/')) return 'SearchResponse';
+  const subPath = routePath(`${API_PREFIX}/${relPath}`);
+  const route = ROUTES.find((candidate) => candidate.pattern.test(subPath));
+  return route?.spec?.response;
+}
+
+function checkPayload(document, schemaName, payload, label, errors) {
+  const issues = validateNode(payload, { $ref: `${SCHEMA_PREFIX}${schemaName}` }, '$', { root: document });
+  for (const issue of issues.slice(0, 3)) errors.push(`${label} (${schemaName}): ${issue}`);
+  return issues.length === 0;
+}
+
+/** Live requests for routes that have no static payload, with the schema each must match. */
+function liveSamples(contract, api) {
+  const [first, second] = api.indexes.slugs;
+  const version = contract.manifest.exportVersion;
+  return [
+    { url: `${API_PREFIX}/names?limit=5`, schema: 'NameListResponse' },
+    { url: `${API_PREFIX}/name/${first}`, schema: 'NameResponse' },
+    { url: `${API_PREFIX}/batch?slugs=${first},${second},not-a-name`, schema: 'BatchResponse' },
+    {
+      method: 'POST',
+      url: `${API_PREFIX}/batch`,
+      body: JSON.stringify({ slugs: [first] }),
+      schema: 'BatchResponse',
+    },
+    { url: `${API_PREFIX}/changes?since=${encodeURIComponent(version)}`, schema: 'ChangesResponse' },
+    { url: `${API_PREFIX}/facets?limit=5`, schema: 'FacetResponse' },
+    { url: `${API_PREFIX}/search?q=${first.slice(0, 3)}`, schema: 'SearchResponse' },
+    { url: `${API_PREFIX}/graph/path?from=${first}&to=${second}`, schema: 'GraphPathResponse' },
+    { url: `${API_PREFIX}/graph/neighborhood/${first}?depth=2&limit=5`, schema: 'GraphNeighborhoodResponse' },
+    { url: `${API_PREFIX}/graph/component/${first}?limit=5`, schema: 'GraphComponentResponse' },
+    { url: `${API_PREFIX}/graph/centrality?measure=pagerank&limit=5`, schema: 'GraphCentralityResponse' },
+    { url: `${API_PREFIX}/graphql/schema`, schema: 'GraphqlSchemaResponse' },
+    {
+      method: 'POST',
+      url: `${API_PREFIX}/graphql`,
+      body: JSON.stringify({ query: `{ name(slug: "${first}") { slug name } }` }),
+      schema: 'GraphqlResponse',
+    },
+    { url: `${API_PREFIX}/graphql?query=${encodeURIComponent('{ nope }')}`, schema: 'GraphqlResponse' },
+    { url: `${API_PREFIX}/no-such-route`, schema: 'ErrorResponse', status: 404 },
+    { url: `${API_PREFIX}/names?limit=0`, schema: 'ErrorResponse', status: 400 },
+  ];
+}
+
+async function main() {
+  if (!fs.existsSync(OPENAPI_PATH)) {
+    console.error('Missing api/v1/openapi.json — run generate-api-indexes.js first.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const errors = [];
+  const document = getOpenApiDocument();
+  const onDisk = JSON.parse(fs.readFileSync(OPENAPI_PATH, 'utf8'));
+  if (JSON.stringify(onDisk) !== JSON.stringify(document)) {
+    errors.push('api/v1/openapi.json differs from the document built from the route table.');
+  }
+  errors.push(...validateOpenApiDocument(document));
+
+  let fileCount = 0;
+  let checkedCount = 0;
+  for (const absPath of listJsonFiles(API_V1_DIR)) {
+    const relPath = path.relative(API_V1_DIR, absPath).split(path.sep).join('/');
+    fileCount += 1;
+    const schemaName = schemaNameForFile(relPath);
+    if (schemaName === null) continue;
+    if (!schemaName) {
+      errors.push(`api/v1/${relPath}: no route or schema describes this file.`);
+      continue;
+    }
+    const payload = JSON.parse(fs.readFileSync(absPath, 'utf8'));
+    checkPayload(document, schemaName, payload, `api/v1/${relPath}`, errors);
+    checkedCount += 1;
+  }
+
+  const contract = loadExportContract();
+  const api = createApiContext(contract);
+  let liveCount = 0;
+  for (const sample of liveSamples(contract, api)) {
+    const result = await handleApiRequest(api, { method: sample.method || 'GET', url: sample.url, body: sample.body });
+    const label = `${sample.method || 'GET'} ${sample.url}`;
+    if (result.status !== (sample.status || 200)) {
+      errors.push(`${label}: expected status ${sample.status || 200}, got ${result.status}.`);
+      continue;
+    }
+    checkPayload(document, sample.schema, JSON.parse(result.body), label, errors);
+    liveCount += 1;
+  }
+
+  const status = errors.length === 0 ? 'PASS' : 'FAIL';
+  console.log('OpenAPI validation:', status);
+  console.log('  Paths:', Object.keys(document.paths).length);
+  console.log('  Schemas:', Object.keys(document.components.schemas).length);
+  console.log('  Static files checked:', `${checkedCount} of ${fileCount}`);
+  console.log('  Live responses checked:', liveCount);
+  if (errors.length) {
+    for (const error of errors.slice(0, 20)) console.error('  -', error);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
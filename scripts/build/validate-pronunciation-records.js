@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Validate Pronunciation Records v1 and the pronunciation audio manifest:
+ * schema, names, locales, IPA against the character inventory, a registered
+ * Citation ID behind every transcription, and — for each recording — a
+ * matching transcription, the stored file, its size and its SHA-256. Also
+ * checks the IPA inventory itself against fixed native transcriptions, so a
+ * normalization change that rejects real IPA fails here first.
+ *
+ * Usage: node scripts/build/validate-pronunciation-records.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findIpaErrors } = require('../../lib/canonical/ipa-inventory.js');
+const { loadJson, normalizeKey } = require('../editorial/knowledge-record-v2.js');
+const { validateSchema, validateOrdering } = require('../editorial/records-v1-lib.js');
+const {
+  PRONUNCIATION_RECORD_PATHS,
+  findRecordErrors,
+  findAudioAssetErrors,
+  listAssertions,
+  transcriptionKeySet,
+} = require('../editorial/pronunciation-records-v1.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const RECORDS_SCHEMA_PATH = path.join(ROOT, 'schemas', 'pronunciation-records-v1.schema.json');
+const AUDIO_SCHEMA_PATH = path.join(ROOT, 'schemas', 'pronunciation-audio-manifest-v1.schema.json');
+
+// Real transcriptions the inventory must accept, including precomposable
+// letter + diacritic pairs (Portuguese nasals, Mandarin tones), "ç" typed
+// both precomposed and as c + combining cedilla, breathy-voiced stops
+// (Hindi Bhavna), Danish stød and the uvular stop; and respellings it must reject.
+const INVENTORY_CASES = {
+  valid: [
+    '/ˈwɪljəm/', '[ˈʃɪwaːnˠ]', '/ˈsãw̃/', '/ʒõ/', '/ẽ/', '/mā/', '/lǐ/', '/ʃɑ̃ˈtal/', '/t͡ʃaːrli/', '/fʁɑ̃.swa/',
+    '/ç/', '/c\u0327/', '/bʱaːʋnaː/', '/ˈsøːˀn/', '/ɢ/', '[ɢaˈnam]',
+  ],
+  invalid: ['WILL-yum', '/ˈWɪl/', '/ş/', '//', 'ˈwɪljəm'],
+};
+
+function validateInventory() {
+  return [
+    ...INVENTORY_CASES.valid.flatMap((ipa) => findIpaErrors(ipa).map((msg) => `IPA inventory rejects ${ipa}: ${msg}.`)),
+    ...INVENTORY_CASES.invalid.filter((ipa) => findIpaErrors(ipa).length === 0).map((ipa) => `IPA inventory accepts ${ipa}.`),
+  ];
+}
+
+function validateTranscriptionOrdering(records) {
+  return records
+    .filter((record) => {
+      const locales = (record.transcriptions || []).map((t) => String(t.locale));
+      return locales.some((locale, j) => j > 0 && locales[j - 1].localeCompare(locale) > 0);
+    })
+    .map((record) => `${record.name}: transcriptions must be sorted by locale.`);
+}
+
+function validateAudioOrdering(assets) {
+  const errors = [];
+  const seen = new Set();
+  assets.forEach((asset, i) => {
+    const key = `${normalizeKey(asset.name)}|${asset.locale}`;
+    if (seen.has(key)) errors.push(`${asset.name} audio ${asset.locale}: more than one recording.`);
+    seen.add(key);
+    const prev = assets[i - 1];
+    if (prev && (prev.name.localeCompare(asset.name) || prev.locale.localeCompare(asset.locale)) > 0) {
+      errors.push(`${asset.name} audio ${asset.locale}: assets must be sorted by name, then locale.`);
+    }
+  });
+  return errors;
+}
+
+function main() {
+  const inventoryErrors = validateInventory();
+  if (inventoryErrors.length) {
+    console.log('Pronunciation records validation: FAIL');
+    inventoryErrors.forEach((msg) => console.error('  -', msg));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!fs.existsSync(PRONUNCIATION_RECORD_PATHS.records)) {
+    const orphanAudio = fs.existsSync(PRONUNCIATION_RECORD_PATHS.audioManifest);
+    console.log('Pronunciation records validation: SKIPPED (data/pronunciation-records.json not present — ipa and audio stay null).');
+    if (orphanAudio) {
+      console.error('  - data/pronunciation-audio-manifest.json lists recordings but no transcriptions exist.');
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const payload = loadJson(PRONUNCIATION_RECORD_PATHS.records, null);
+  const records = payload.records || [];
+  const schemaResult = validateSchema(payload, RECORDS_SCHEMA_PATH);
+  const nameKeys = new Set(loadJson(PRONUNCIATION_RECORD_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((loadJson(PRONUNCIATION_RECORD_PATHS.registry, { citations: [] }).citations || []).map((row) => row.id));
+
+  const errors = [
+    ...(schemaResult.valid ? [] : schemaResult.errors),
+    ...validateOrdering(records),
+    ...validateTranscriptionOrdering(records),
+    ...records.flatMap((record) => findRecordErrors(record, { nameKeys, registryIds })),
+  ];
+
+  const manifest = fs.existsSync(PRONUNCIATION_RECORD_PATHS.audioManifest) ? loadJson(PRONUNCIATION_RECORD_PATHS.audioManifest, null) : null;
+  const assets = manifest ? manifest.assets || [] : [];
+  const audioSchemaResult = manifest ? validateSchema(manifest, AUDIO_SCHEMA_PATH) : { valid: true, errors: [] };
+  const transcriptionKeys = transcriptionKeySet(records);
+  errors.push(
+    ...(audioSchemaResult.valid ? [] : audioSchemaResult.errors),
+    ...validateAudioOrdering(assets),
+    ...assets.flatMap((asset) => findAudioAssetErrors(asset, { transcriptionKeys })),
+  );
+
+  const transcriptions = records.flatMap(listAssertions);
+  console.log('Pronunciation records validation:', errors.length === 0 ? 'PASS' : 'FAIL');
+  console.log('  Records:', records.length);
+  console.log('  Transcriptions:', transcriptions.length);
+  console.log('  Locales:', [...new Set(transcriptions.map((t) => t.key))].sort().join(', ') || '—');
+  console.log('  Audio recordings:', manifest ? assets.length : 'no manifest');
+  console.log('  Schema valid:', schemaResult.valid && audioSchemaResult.valid);
+
+  if (errors.length) {
+    errors.slice(0, 20).forEach((msg) => console.error('  -', msg));
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Validate Provenance Records v1: every populated Knowledge Record field has
+ * a provenance entry naming its override file and Citation IDs, and those IDs
+ * match Citation Records.
+ *
+ * Prerequisite: node scripts/editorial/build-provenance-records.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateNode } = require('../../lib/canonical/schema-check.js');
+const { loadJson, loadKnowledgeRecordsPayload, normalizeKey } = require('../editorial/knowledge-record-v2.js');
+const { loadCitationRecordsPayload } = require('../editorial/citation-records-v1.js');
+const {
+  DOMAINS,
+  PROVENANCE_RECORD_PATHS,
+  buildProvenanceRecordsPayload,
+  findProvenanceGaps,
+  hashProvenanceRecordsSemantic,
+} = require('../editorial/provenance-records-v1.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCHEMA_PATH = path.join(ROOT, 'schemas', 'provenance-records-v1.schema.json');
+
+function validateSchema(payload) {
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const errors = validateNode(payload, schema, '$', { root: schema });
+  return { valid: errors.length === 0, errors };
+}
+
+function validateReferencedFiles(payload) {
+  const errors = [];
+  const checked = new Map();
+  const exists = (relPath) => {
+    if (!checked.has(relPath)) checked.set(relPath, fs.existsSync(path.join(ROOT, relPath)));
+    return checked.get(relPath);
+  };
+  for (const record of payload.records || []) {
+    for (const [domain, field] of Object.entries(record.fields || {})) {
+      for (const relPath of [field.override, field.research, field.batch?.artifact, field.applyScript]) {
+        if (relPath && !exists(relPath)) {
+          errors.push(`${record.name}.${domain} provenance references a missing file: ${relPath}`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+function validateCitationIds(payload, citationRecords) {
+  const errors = [];
+  const citationsByName = new Map(
+    (citationRecords.records || []).map((row) => [normalizeKey(row.name), row.citations || {}]),
+  );
+  for (const record of payload.records || []) {
+    const citations = citationsByName.get(normalizeKey(record.name)) || {};
+    for (const domain of DOMAINS) {
+      const field = record.fields?.[domain];
+      if (!field) continue;
+      if ((field.citationIds || []).join('|') !== (citations[domain] || []).join('|')) {
+        errors.push(`${record.name}.${domain} provenance Citation IDs differ from Citation Records.`);
+      }
+    }
+  }
+  return errors;
+}
+
+function validateDeterministicRebuild(payload) {
+  const rebuilt = buildProvenanceRecordsPayload({ generatedAt: payload.generatedAt });
+  if (hashProvenanceRecordsSemantic(payload) !== hashProvenanceRecordsSemantic(rebuilt)) {
+    return ['Deterministic rebuild produced different provenance record content — rerun build-provenance-records.js.'];
+  }
+  return [];
+}
+
+function main() {
+  const payload = loadJson(PROVENANCE_RECORD_PATHS.records, null);
+  if (!payload) throw new Error('Missing data/provenance-records.json');
+
+  const knowledgeRecords = loadKnowledgeRecordsPayload();
+  if (!knowledgeRecords) throw new Error('Missing data/knowledge-records.json');
+  const citationRecords = loadCitationRecordsPayload();
+  if (!citationRecords) throw new Error('Missing data/citation-records.json');
+
+  const schemaResult = validateSchema(payload);
+  const errors = [
+    ...(schemaResult.valid ? [] : schemaResult.errors),
+    ...findProvenanceGaps(knowledgeRecords.records, payload),
+    ...validateCitationIds(payload, citationRecords),
+    ...validateReferencedFiles(payload),
+    ...validateDeterministicRebuild(payload),
+  ];
+
+  console.log('Provenance records validation:', errors.length === 0 ? 'PASS' : 'FAIL');
+  console.log('  Provenance Records:', (payload.records || []).length);
+  console.log('  Schema valid:', schemaResult.valid);
+  console.log('  Populated fields:', payload.stats?.populatedFields ?? 'n/a');
+  console.log('  Fields traced to a wave/batch artifact:', payload.stats?.fieldsWithBatch ?? 'n/a');
+
+  if (errors.length) {
+    errors.slice(0, 20).forEach((msg) => console.error('  -', msg));
+    process.exitCode = 1;
+    throw new Error('Provenance records validation failed.');
+  }
+}
+
+main();
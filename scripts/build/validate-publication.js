@@ -35,6 +35,7 @@ function readSourceFiles() {
   return [
     path.join(ROOT, 'lib/publication/publication-engine.js'),
     path.join(ROOT, 'scripts/build/generate-publication.js'),
+    path.join(ROOT, 'lib/api/release-diff.js'),
   ];
 }
 
@@ -63,7 +64,8 @@ function main() {
   const errors = [];
   validateForbiddenImports(errors);
 
-  const inputs = loadPublicationInputs();
+  // Rebuild against the release the audit diffed against (undefined in older audits: auto-detect).
+  const inputs = loadPublicationInputs({ previousVersion: audit.metrics.previousVersion });
   const releaseDir = path.join(RELEASES_DIR, inputs.datasetVersion);
   if (!fs.existsSync(releaseDir)) {
     console.error(`Missing release directory: ${path.relative(ROOT, releaseDir)}`);
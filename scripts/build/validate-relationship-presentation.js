@@ -26,6 +26,7 @@ const {
 const ROOT = path.join(__dirname, '..', '..');
 const NAME_DIR = path.join(ROOT, 'name');
 const RELATIONSHIPS_DIR = path.join(ROOT, 'relationships');
+const EGO_NETWORK_DIR = path.join(RELATIONSHIPS_DIR, 'graph');
 const AUDIT_PATH = path.join(ROOT, 'audit', 'relationship-presentation.json');
 const NAVIGATION_AUDIT_PATH = path.join(ROOT, 'audit', 'navigation.json');
 const GRAPH_AUDIT_PATH = path.join(ROOT, 'audit', 'knowledge-graph.json');
@@ -95,6 +96,33 @@ function validateExplanationProvenance(model, errors) {
   }
 }
 
+/** Every ego network is written, and its edges stay inside its own node set. */
+function validateEgoNetworks(report, errors) {
+  let missing = 0;
+  for (const network of report.egoNetworks) {
+    const slugs = new Set(network.nodes.map((node) => node.slug));
+    for (const edge of network.edges) {
+      if (!slugs.has(edge.source) || !slugs.has(edge.target)) {
+        errors.push(`Ego network ${network.slug} has an edge outside its nodes: ${edge.source} -> ${edge.target}`);
+        break;
+      }
+    }
+    const absPath = path.join(EGO_NETWORK_DIR, `${network.slug}.json`);
+    if (!fs.existsSync(absPath)) missing += 1;
+    else if (fs.readFileSync(absPath, 'utf8') !== `${JSON.stringify(network)}\n`) {
+      errors.push(`Ego network file is stale: relationships/graph/${network.slug}.json`);
+    }
+  }
+  if (missing) errors.push(`${missing} ego network files are missing under relationships/graph/.`);
+  if (!fs.existsSync(path.join(EGO_NETWORK_DIR, 'index.json'))) errors.push('Missing relationships/graph/index.json');
+  const explorerPath = path.join(RELATIONSHIPS_DIR, 'explorer', 'index.html');
+  if (!fs.existsSync(explorerPath)) {
+    errors.push('Missing graph explorer page: /relationships/explorer/');
+  } else if (!fs.readFileSync(explorerPath, 'utf8').includes('relationship-graph__list')) {
+    errors.push('Graph explorer page is missing its related-names list.');
+  }
+}
+
 function main() {
   if (!fs.existsSync(AUDIT_PATH)) {
     console.error('Missing audit/relationship-presentation.json — run generate-relationship-presentation.js first.');
@@ -116,6 +144,7 @@ function main() {
 
   validateForbiddenImports(errors);
   validateDeterministicPresentation(ctx, errors);
+  validateEgoNetworks(rebuilt, errors);
 
   if (rebuiltHash !== audit.validation.semanticHash) {
     errors.push('Deterministic rebuild produced a different semantic hash.');
@@ -201,6 +230,7 @@ function main() {
   console.log('  Pages with relationship section:', pagesWithSection);
   console.log('  Explorer pages:', rebuilt.metrics.explorerPages);
   console.log('  Related name cards:', relatedNameCards);
+  console.log('  Ego networks:', rebuilt.metrics.egoNetworks);
   console.log('  Semantic hash match:', rebuiltHash === audit.validation.semanticHash);
   console.log('  Navigation hash match:', navigationAudit.validation.semanticHash === audit.navigationSemanticHash);
   if (errors.length) {
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Validate Religion and Culture Records v1: schema, names, and a registered
+ * Citation ID behind every assertion.
+ *
+ * Usage: node scripts/build/validate-religion-culture-records.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadJson, normalizeKey } = require('../editorial/knowledge-record-v2.js');
+const { validateSchema, validateOrdering } = require('../editorial/records-v1-lib.js');
+const {
+  RELIGION_CULTURE_PATHS,
+  findRecordErrors,
+  listAssertions,
+} = require('../editorial/religion-culture-records-v1.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCHEMA_PATH = path.join(ROOT, 'schemas', 'religion-culture-records-v1.schema.json');
+
+function main() {
+  if (!fs.existsSync(RELIGION_CULTURE_PATHS.records)) {
+    console.log('Religion and culture validation: SKIPPED (data/religion-culture-records.json not present — both domains stay null).');
+    return;
+  }
+
+  const payload = loadJson(RELIGION_CULTURE_PATHS.records, null);
+  const records = payload.records || [];
+  const schemaResult = validateSchema(payload, SCHEMA_PATH);
+  const nameKeys = new Set(loadJson(RELIGION_CULTURE_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((loadJson(RELIGION_CULTURE_PATHS.registry, { citations: [] }).citations || []).map((row) => row.id));
+
+  const errors = [
+    ...(schemaResult.valid ? [] : schemaResult.errors),
+    ...validateOrdering(records),
+    ...records.flatMap((record) => findRecordErrors(record, { nameKeys, registryIds })),
+  ];
+
+  const assertions = records.flatMap(listAssertions);
+  console.log('Religion and culture validation:', errors.length === 0 ? 'PASS' : 'FAIL');
+  console.log('  Records:', records.length);
+  console.log('  Assertions:', assertions.length);
+  console.log('  Feast days:', assertions.filter((a) => a.field === 'religion.feastDays').length);
+  console.log('  Regional notes:', assertions.filter((a) => a.field === 'culture.regionalNotes').length);
+  console.log('  Schema valid:', schemaResult.valid);
+
+  if (errors.length) {
+    errors.slice(0, 20).forEach((msg) => console.error('  -', msg));
+    process.exitCode = 1;
+  }
+}
+
+main();
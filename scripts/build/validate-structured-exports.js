@@ -10,7 +10,9 @@ const path = require('path');
 const crypto = require('crypto');
 const {
   SOURCE_PATHS,
+  BINARY_EXPORT_FORMATS,
   hashFile,
+  hashFileBinary,
   loadExportSources,
   buildExportBundle,
   buildManifest,
@@ -34,6 +36,9 @@ const FORBIDDEN_REQUIRE_PATTERNS = [
 function readSourceFiles() {
   return [
     path.join(ROOT, 'lib/export/export-engine.js'),
+    path.join(ROOT, 'lib/export/sqlite-writer.js'),
+    path.join(ROOT, 'lib/export/parquet-writer.js'),
+    path.join(ROOT, 'lib/export/linked-data.js'),
     path.join(ROOT, 'scripts/build/generate-structured-exports.js'),
   ];
 }
@@ -89,7 +94,7 @@ function main() {
       errors.push(`Missing export artifact: ${artifact.path}`);
       return artifact;
     }
-    const sha256 = hashFile(absPath);
+    const sha256 = BINARY_EXPORT_FORMATS.includes(artifact.format) ? hashFileBinary(absPath) : hashFile(absPath);
     if (sha256 !== artifact.sha256) {
       errors.push(`Artifact hash mismatch: ${artifact.path}`);
     }
@@ -124,7 +129,9 @@ function main() {
     { path: 'knowledge.jsonl', expected: rebuiltBundle.counts.knowledgeRecords },
     { path: 'citations.jsonl', expected: rebuiltBundle.counts.citationRecords },
     { path: 'popularity.jsonl', expected: rebuiltBundle.counts.popularityRecords },
+    { path: 'nicknames.jsonl', expected: rebuiltBundle.counts.nicknameRecords },
     { path: 'graph.jsonl', expected: rebuiltBundle.counts.graphJsonlLines },
+    { path: 'graph.nt', expected: rebuiltBundle.counts.linkedDataTriples },
   ];
 
   for (const check of formatChecks) {
@@ -140,6 +147,7 @@ function main() {
     { path: 'knowledge.csv', expected: rebuiltBundle.counts.knowledgeCsvRows },
     { path: 'citations.csv', expected: rebuiltBundle.counts.citationsCsvRows },
     { path: 'popularity.csv', expected: rebuiltBundle.counts.popularityCsvRows },
+    { path: 'nicknames.csv', expected: rebuiltBundle.counts.nicknamesCsvRows },
   ];
 
   for (const check of csvChecks) {
@@ -151,6 +159,19 @@ function main() {
     }
   }
 
+  const binaryChecks = [
+    { path: 'nameorigin.sqlite', key: 'sqlite' },
+    { path: 'popularity.parquet', key: 'popularityParquet' },
+  ];
+
+  for (const check of binaryChecks) {
+    const absPath = path.join(EXPORT_DIR, check.path);
+    if (!fs.existsSync(absPath)) continue;
+    if (!fs.readFileSync(absPath).equals(rebuiltBundle.files[check.key])) {
+      errors.push(`${check.path} differs from a deterministic rebuild.`);
+    }
+  }
+
   const knowledgeJson = JSON.parse(fs.readFileSync(path.join(EXPORT_DIR, 'knowledge.json'), 'utf8'));
   if (knowledgeJson.exportVersion !== '18A-v1') {
     errors.push('Knowledge export missing exportVersion 18A-v1.');
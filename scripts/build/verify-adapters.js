@@ -5,7 +5,8 @@
  * Reads data/canonical/names.json (Phase 3A output, not rebuilt here),
  * runs it through lib/adapters/legacy-datasets.js, and verifies the result
  * against the ORIGINAL legacy datasets (data/names.json, data/popularity.json,
- * data/categories.json, data/variants.json) — not against the canonical
+ * data/categories.json, data/variants.json, and data/nicknames.json when
+ * present) — not against the canonical
  * data again, since the adapter's whole purpose is legacy-shape fidelity.
  * Writes audit/adapter-validation.json. Read-only against every existing
  * dataset; writes only to /audit/.
@@ -138,6 +139,29 @@ function run() {
     detail: { categoryContentMismatches, variantContentMismatches, popularityContentMismatches, note: 'Literal array order differs from the original files in some cases (verified separately, not a failure — see docs/ADAPTER_LAYER.md) because the original datasets were built in multiple passes; content per name_id is what this check verifies.' },
   });
 
+  // --- Check 4b: curated nickname rows preserved (optional dataset; forms the builder documents as dropped are excluded) ---
+  const nicknamesPath = path.join(ROOT, 'data', 'nicknames.json');
+  if (fs.existsSync(nicknamesPath)) {
+    const nameById = new Map(origNames.map((n) => [n.id, String(n.name).toLowerCase()]));
+    const expectedNicknames = new Map();
+    for (const r of loadJson('data/nicknames.json')) {
+      const form = String(r.nickname).trim();
+      if (form.toLowerCase() === nameById.get(r.name_id)) continue;
+      if (!expectedNicknames.has(r.name_id)) expectedNicknames.set(r.name_id, new Map());
+      const forms = expectedNicknames.get(r.name_id);
+      if (!forms.has(form.toLowerCase())) forms.set(form.toLowerCase(), `${form}|${r.kind}`);
+    }
+    const nickGroupsAdapter = groupRowsByKey(legacy.nicknames.map((r) => ({ name_id: r.name_id, key: `${r.nickname}|${r.kind}` })), 'name_id', 'key');
+    let nicknameContentMismatches = 0;
+    for (const [id, forms] of expectedNicknames) { if (!setsEqual(nickGroupsAdapter.get(id) || [], [...forms.values()])) nicknameContentMismatches += 1; }
+    const uncitedNicknameRows = legacy.nicknames.filter((r) => !r.citation_ids.length).length;
+    checks.push({
+      check: 'Nickname content preserved (per-name_id sets, every row cited)',
+      result: nicknameContentMismatches === 0 && uncitedNicknameRows === 0 && nickGroupsAdapter.size === expectedNicknames.size ? 'PASS' : 'FAIL',
+      detail: { nicknameContentMismatches, uncitedNicknameRows, namesWithNicknames: nickGroupsAdapter.size },
+    });
+  }
+
   // --- Check 5: null handling preserved — zero fallback-text markers anywhere in adapter output ---
   const allStrings = [];
   function collectStrings(v) {
@@ -146,7 +170,7 @@ function run() {
     if (Array.isArray(v)) { v.forEach(collectStrings); return; }
     if (typeof v === 'object') { Object.values(v).forEach(collectStrings); }
   }
-  [legacy.names, legacy.namesEnriched, legacy.popularity, legacy.categories, legacy.variants].forEach((coll) => coll.forEach(collectStrings));
+  [legacy.names, legacy.namesEnriched, legacy.popularity, legacy.categories, legacy.variants, legacy.nicknames].forEach((coll) => coll.forEach(collectStrings));
   const joined = allStrings.join(' • ');
   const fallbackHits = KNOWN_FALLBACK_MARKERS.filter((m) => joined.includes(m));
   checks.push({ check: 'Null handling preserved (zero fallback-text markers)', result: fallbackHits.length === 0 ? 'PASS' : 'FAIL', detail: `${fallbackHits.length} marker(s) found`, failures: fallbackHits });
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Apply editor-approved etymology structure
+ * (data/sources/etymology-structure-proposals.json, `status: "approved"`)
+ * to data/etymology-records.json.
+ *
+ * Proposals still marked `proposed` or `rejected` are ignored. Preserves
+ * every existing record unchanged. Fails before writing if any approved
+ * morpheme or derivation step lacks a Citation ID, cites one missing from the
+ * registry, or uses an unknown language code.
+ */
+
+const {
+  ETYMOLOGY_STRUCTURE_PATHS,
+  findRecordErrors,
+  toRecord,
+  mergeApprovedRecords,
+  buildRecordsPayload,
+  loadEtymologyRecordsPayload,
+  writeEtymologyRecords,
+} = require('./etymology-structure-v1.js');
+const { loadJson, normalizeKey } = require('./knowledge-record-v2.js');
+
+function main() {
+  const proposals = loadJson(ETYMOLOGY_STRUCTURE_PATHS.proposals, null);
+  if (!proposals || !Array.isArray(proposals.entries)) {
+    throw new Error('Missing or invalid etymology-structure-proposals.json — run propose-etymology-structure.js first.');
+  }
+  const registry = loadJson(ETYMOLOGY_STRUCTURE_PATHS.registry, null);
+  if (!registry) throw new Error('Missing citation registry — run build-citation-registry.js first.');
+
+  const nameKeys = new Set(loadJson(ETYMOLOGY_STRUCTURE_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((registry.citations || []).map((row) => row.id));
+
+  const approved = [];
+  let skippedMissing = 0;
+  for (const entry of proposals.entries.filter((e) => e.status === 'approved')) {
+    if (!nameKeys.has(normalizeKey(entry.name))) {
+      skippedMissing += 1;
+      continue;
+    }
+    const record = toRecord(entry);
+    const errors = findRecordErrors(record, { nameKeys, registryIds });
+    if (errors.length) throw new Error(`Approved proposal rejected:\n  - ${errors.join('\n  - ')}`);
+    approved.push(record);
+  }
+
+  const existing = loadEtymologyRecordsPayload();
+  const { records, added, skippedExisting } = mergeApprovedRecords(existing.records || [], approved);
+  writeEtymologyRecords(buildRecordsPayload(records));
+
+  console.log('Etymology structure applied.');
+  console.log('  Approved proposals:', approved.length + skippedMissing);
+  console.log('  New records added:', added);
+  console.log('  Skipped (already structured):', skippedExisting);
+  console.log('  Skipped (not in names.json):', skippedMissing);
+  console.log('  Total records now:', records.length);
+}
+
+main();
@@ -0,0 +1,68 @@
+/**
+ * History Records v1 — shared apply helpers for structured history batches.
+ *
+ * A batch script passes curated records ({ name, firstRecordedUse?,
+ * notableBearers? }) to applyHistoryRecords(), which checks them, merges them
+ * into data/history-records.json first-write-wins, logs each batch entry in
+ * data/sources/history-records-research.json, and re-validates.
+ */
+
+const { loadJson, normalizeKey } = require('./knowledge-record-v2.js');
+const { logResearchEntries } = require('./records-v1-lib.js');
+const { runNodeScript } = require('./apply-phase15b-wave2-lib.js');
+const {
+  HISTORY_RECORD_PATHS,
+  findRecordErrors,
+  mergeHistoryEntries,
+  buildRecordsPayload,
+  loadHistoryRecordsPayload,
+  writeHistoryRecords,
+} = require('./history-records-v1.js');
+
+/**
+ * Applies one batch. Names not in data/names.json are skipped and counted;
+ * any other problem throws before anything is written.
+ * @returns {{ created: number, skipped: number, assertionsAdded: number, skippedExisting: number, phaseLabel: string }}
+ */
+function applyHistoryRecords(records, options = {}) {
+  const phaseLabel = options.phaseLabel || 'History Records v1';
+  const registry = loadJson(HISTORY_RECORD_PATHS.registry, null);
+  if (!registry) throw new Error('Missing citation registry — run build-citation-registry.js first.');
+
+  const nameKeys = new Set(loadJson(HISTORY_RECORD_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((registry.citations || []).map((row) => row.id));
+
+  const entries = [];
+  let skipped = 0;
+  for (const record of records) {
+    if (!nameKeys.has(normalizeKey(record.name))) {
+      skipped += 1;
+      continue;
+    }
+    const errors = findRecordErrors(record, { nameKeys, registryIds });
+    if (errors.length) throw new Error(`${phaseLabel} record rejected:\n  - ${errors.join('\n  - ')}`);
+    entries.push(record);
+  }
+
+  const existing = loadHistoryRecordsPayload();
+  const existingKeys = new Set((existing.records || []).map((record) => normalizeKey(record.name)));
+  const { records: merged, added, skippedExisting } = mergeHistoryEntries(existing.records || [], entries);
+
+  writeHistoryRecords(buildRecordsPayload(merged));
+  logResearchEntries(HISTORY_RECORD_PATHS.research, entries, phaseLabel);
+
+  runNodeScript('scripts/build/validate-history-records.js');
+
+  return {
+    created: entries.filter((entry) => !existingKeys.has(normalizeKey(entry.name))).length,
+    skipped,
+    assertionsAdded: added,
+    skippedExisting,
+    phaseLabel,
+  };
+}
+
+module.exports = {
+  HISTORY_RECORD_PATHS,
+  applyHistoryRecords,
+};
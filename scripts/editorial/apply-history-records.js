@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * History Records v1 — apply one curated batch.
+ *
+ * The batch is a module exporting HISTORY_RECORDS (and optionally
+ * PHASE_LABEL), like the phase15b-*-curated-data.js files.
+ *
+ * Usage:
+ *   node scripts/editorial/apply-history-records.js scripts/editorial/history-records-batch1-curated-data.js
+ */
+
+const path = require('path');
+const { applyHistoryRecords } = require('./apply-history-records-lib.js');
+
+function main() {
+  const modulePath = process.argv[2];
+  if (!modulePath) throw new Error('Usage: apply-history-records.js <curated-data module>');
+  const batch = require(path.resolve(modulePath));
+  if (!Array.isArray(batch.HISTORY_RECORDS)) throw new Error(`${modulePath} must export a HISTORY_RECORDS array.`);
+
+  const phaseLabel = batch.PHASE_LABEL || path.basename(modulePath, '.js');
+  const result = applyHistoryRecords(batch.HISTORY_RECORDS, { phaseLabel });
+
+  console.log(`${result.phaseLabel} applied.`);
+  console.log('  Names with new records:', result.created);
+  console.log('  Assertions added:', result.assertionsAdded);
+  console.log('  Skipped (already recorded):', result.skippedExisting);
+  console.log('  Skipped (not in names.json):', result.skipped);
+}
+
+main();
@@ -206,6 +206,7 @@ function applyCreationRecords(records, options = {}) {
   runNodeScript('scripts/editorial/rebuild-names-enriched.js');
   runNodeScript('scripts/editorial/resolve-citations.js');
   runNodeScript('scripts/editorial/build-citation-records.js');
+  runNodeScript('scripts/editorial/build-provenance-records.js');
 
   return { created, skipped, domainsAdded, phaseLabel };
 }
@@ -0,0 +1,68 @@
+/**
+ * Pronunciation Records v1 — shared apply helpers for IPA batches.
+ *
+ * A batch script passes curated records ({ name, transcriptions }) to
+ * applyPronunciationRecords(), which checks them, merges them into
+ * data/pronunciation-records.json first-write-wins per locale, logs each batch
+ * entry in data/sources/pronunciation-ipa-research.json, and re-validates.
+ */
+
+const { loadJson, normalizeKey } = require('./knowledge-record-v2.js');
+const { logResearchEntries } = require('./records-v1-lib.js');
+const { runNodeScript } = require('./apply-phase15b-wave2-lib.js');
+const {
+  PRONUNCIATION_RECORD_PATHS,
+  findRecordErrors,
+  mergeTranscriptions,
+  buildRecordsPayload,
+  loadPronunciationRecordsPayload,
+  writePronunciationRecords,
+} = require('./pronunciation-records-v1.js');
+
+/**
+ * Applies one batch. Names not in data/names.json are skipped and counted;
+ * any other problem throws before anything is written.
+ * @returns {{ created: number, skipped: number, transcriptionsAdded: number, skippedExisting: number, phaseLabel: string }}
+ */
+function applyPronunciationRecords(records, options = {}) {
+  const phaseLabel = options.phaseLabel || 'Pronunciation Records v1';
+  const registry = loadJson(PRONUNCIATION_RECORD_PATHS.registry, null);
+  if (!registry) throw new Error('Missing citation registry — run build-citation-registry.js first.');
+
+  const nameKeys = new Set(loadJson(PRONUNCIATION_RECORD_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((registry.citations || []).map((row) => row.id));
+
+  const entries = [];
+  let skipped = 0;
+  for (const record of records) {
+    if (!nameKeys.has(normalizeKey(record.name))) {
+      skipped += 1;
+      continue;
+    }
+    const errors = findRecordErrors(record, { nameKeys, registryIds });
+    if (errors.length) throw new Error(`${phaseLabel} record rejected:\n  - ${errors.join('\n  - ')}`);
+    entries.push(record);
+  }
+
+  const existing = loadPronunciationRecordsPayload();
+  const existingKeys = new Set((existing.records || []).map((record) => normalizeKey(record.name)));
+  const { records: merged, added, skippedExisting } = mergeTranscriptions(existing.records || [], entries);
+
+  writePronunciationRecords(buildRecordsPayload(merged));
+  logResearchEntries(PRONUNCIATION_RECORD_PATHS.research, entries, phaseLabel);
+
+  runNodeScript('scripts/build/validate-pronunciation-records.js');
+
+  return {
+    created: entries.filter((entry) => !existingKeys.has(normalizeKey(entry.name))).length,
+    skipped,
+    transcriptionsAdded: added,
+    skippedExisting,
+    phaseLabel,
+  };
+}
+
+module.exports = {
+  PRONUNCIATION_RECORD_PATHS,
+  applyPronunciationRecords,
+};
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Pronunciation Records v1 — apply one curated IPA batch.
+ *
+ * The batch is a module exporting PRONUNCIATION_RECORDS (and optionally
+ * PHASE_LABEL), like the phase15b-*-curated-data.js files.
+ *
+ * Usage:
+ *   node scripts/editorial/apply-pronunciation-records.js scripts/editorial/pronunciation-ipa-batch1-curated-data.js
+ */
+
+const path = require('path');
+const { applyPronunciationRecords } = require('./apply-pronunciation-records-lib.js');
+
+function main() {
+  const modulePath = process.argv[2];
+  if (!modulePath) throw new Error('Usage: apply-pronunciation-records.js <curated-data module>');
+  const batch = require(path.resolve(modulePath));
+  if (!Array.isArray(batch.PRONUNCIATION_RECORDS)) throw new Error(`${modulePath} must export a PRONUNCIATION_RECORDS array.`);
+
+  const phaseLabel = batch.PHASE_LABEL || path.basename(modulePath, '.js');
+  const result = applyPronunciationRecords(batch.PRONUNCIATION_RECORDS, { phaseLabel });
+
+  console.log(`${result.phaseLabel} applied.`);
+  console.log('  Names with new records:', result.created);
+  console.log('  Transcriptions added:', result.transcriptionsAdded);
+  console.log('  Skipped (locale already recorded):', result.skippedExisting);
+  console.log('  Skipped (not in names.json):', result.skipped);
+}
+
+main();
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Apply religion and culture research (data/sources/religion-culture-research.json)
+ * to data/religion-culture-records.json.
+ *
+ * Preserves every existing assertion unchanged. Fails before writing if any
+ * new assertion lacks a Citation ID or cites one missing from the registry.
+ */
+
+const {
+  RELIGION_CULTURE_PATHS,
+  findRecordErrors,
+  mergeResearchEntries,
+  buildRecordsPayload,
+  loadReligionCultureRecordsPayload,
+  writeReligionCultureRecords,
+} = require('./religion-culture-records-v1.js');
+const { loadJson, normalizeKey } = require('./knowledge-record-v2.js');
+
+function main() {
+  const research = loadJson(RELIGION_CULTURE_PATHS.research, null);
+  if (!research || !Array.isArray(research.entries)) {
+    throw new Error('Missing or invalid religion-culture-research.json');
+  }
+  const registry = loadJson(RELIGION_CULTURE_PATHS.registry, null);
+  if (!registry) throw new Error('Missing citation registry — run build-citation-registry.js first.');
+
+  const nameKeys = new Set(loadJson(RELIGION_CULTURE_PATHS.names, []).map((row) => normalizeKey(row.name)));
+  const registryIds = new Set((registry.citations || []).map((row) => row.id));
+
+  const entries = [];
+  let skippedMissing = 0;
+  for (const entry of research.entries) {
+    if (!nameKeys.has(normalizeKey(entry.name))) {
+      skippedMissing += 1;
+      continue;
+    }
+    const errors = findRecordErrors(entry, { nameKeys, registryIds });
+    if (errors.length) throw new Error(`Research entry rejected:\n  - ${errors.join('\n  - ')}`);
+    entries.push(entry);
+  }
+
+  const existing = loadReligionCultureRecordsPayload();
+  const { records, added, skippedExisting } = mergeResearchEntries(existing.records || [], entries);
+  writeReligionCultureRecords(buildRecordsPayload(records));
+
+  console.log('Religion and culture research applied.');
+  console.log('  New assertions added:', added);
+  console.log('  Skipped (already researched):', skippedExisting);
+  console.log('  Skipped (not in names.json):', skippedMissing);
+  console.log('  Total records now:', records.length);
+}
+
+main();
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Build field-level Provenance Records from Knowledge Records, research
+ * artifacts and Citation Records.
+ *
+ * Prerequisites: build-knowledge-records.js, build-citation-records.js
+ */
+
+const {
+  buildProvenanceRecordsPayload,
+  writeProvenanceRecords,
+  PROVENANCE_RECORD_PATHS,
+} = require('./provenance-records-v1.js');
+
+function main() {
+  const payload = buildProvenanceRecordsPayload();
+  writeProvenanceRecords(payload);
+
+  console.log('Provenance records built.');
+  console.log('  Provenance Records:', payload.stats.provenanceRecords);
+  console.log('  Populated fields:', payload.stats.populatedFields);
+  console.log('  Fields traced to a wave/batch artifact:', payload.stats.fieldsWithBatch);
+  console.log('  Fields with an apply script:', payload.stats.fieldsWithApplyScript);
+  console.log('  Output:', PROVENANCE_RECORD_PATHS.records);
+}
+
+main();
@@ -0,0 +1,408 @@
+/**
+ * Etymology Structure v1 shared library.
+ *
+ * Structured etymology records (data/etymology-records.json): root morphemes
+ * with language codes and a derivation chain, oldest form first, where every
+ * morpheme and every step carries its own Citation Registry IDs.
+ *
+ * Records are never written from prose directly. proposeEtymologyStructure()
+ * reads one Wave 1 etymology sentence and proposes a structure for an editor
+ * to correct, cite and mark `approved`; apply-etymology-structure.js merges
+ * approved proposals first-write-wins.
+ */
+
+const path = require('path');
+const { normalizeKey } = require('./knowledge-record-v2.js');
+const { recordsFile, writeJsonFile } = require('./records-v1-lib.js');
+const { languageCode, languageName, languageLabels } = require('../../lib/canonical/etymology-languages.js');
+const etymologyPolicy = require('../../lib/render/etymology.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+const ETYMOLOGY_STRUCTURE_PATHS = {
+  records: path.join(DATA_DIR, 'etymology-records.json'),
+  proposals: path.join(DATA_DIR, 'sources', 'etymology-structure-proposals.json'),
+  wave1Research: path.join(DATA_DIR, 'sources', 'etymology-wave1-research.json'),
+  names: path.join(DATA_DIR, 'names.json'),
+  namesEnriched: path.join(DATA_DIR, 'names-enriched.json'),
+  citationRecords: path.join(DATA_DIR, 'citation-records.json'),
+  registry: path.join(DATA_DIR, 'citation-registry.json'),
+};
+
+const PROPOSAL_STATUSES = ['proposed', 'approved', 'rejected'];
+
+// ---------------------------------------------------------------------------
+// Prose parser
+// ---------------------------------------------------------------------------
+
+const LABEL_PATTERN = languageLabels()
+  .map((label) => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  .join('|');
+
+// "Spanish form of James", "Feminine form of Bernard", "Short form of Alexander".
+const DERIVED_FORM = new RegExp(
+  `^(?:(${LABEL_PATTERN})\\s+)?(?:feminine\\s+|masculine\\s+)?(?:short\\s+|pet\\s+|anglicized\\s+)?` +
+    `(?:form|diminutive|variant|feminine|masculine|spelling)(?:\\s+form)?\\s+of\\s+(.+)$`,
+  'i',
+);
+
+// "From the Hebrew name Yochanan", "From Old English here", "From Punjabi".
+const FROM_LANGUAGE = new RegExp(
+  `^(?:possibly\\s+|ultimately\\s+)?(?:from|via)\\s+(?:the\\s+|an?\\s+)?(${LABEL_PATTERN})(?=[\\s,]|$)\\s*(.*)$`,
+  'i',
+);
+
+// Words between the language and the form that describe, rather than name, the source.
+const DESCRIPTOR = /^(?:(?:given|personal|family|place|occupational|medieval)\s+)?(?:name|word|surname|element|title|term|byname)s?\b\s*/i;
+
+// Hedges that add nothing structural: "from Gaelic Niall, of debated meaning".
+const TRAILING_HEDGE = /,\s+of\s+(?:debated|uncertain|unknown|disputed)\s+(?:meaning|origin)$/i;
+
+const NON_LATIN = /[^\u0000-\u024F\u1E00-\u1EFF\s'’.-]/;
+
+// One morpheme: `form (transliteration), meaning "gloss" or "gloss"`.
+const MORPHEME = /^([^,"(]+?)(?:\s+\(([^)]+)\))?(?:,?\s+meaning\s+"([^"]+?)[,.]?"(?:\s+or\s+"[^"]+")?)?$/i;
+
+// Clauses start at ", from …" / ", via …", never inside a quoted gloss. A gloss
+// that swallowed the comma ("meaning "God is gracious," via Greek …") ends one too.
+function splitClauses(prose) {
+  const text = String(prose || '').trim().replace(/\.$/, '');
+  const clauses = [];
+  let start = 0;
+  let inQuote = false;
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '"') {
+      inQuote = !inQuote;
+      if (!inQuote && text[i - 1] === ',' && /^"\s+(?:possibly\s+|ultimately\s+)?(?:from|via)\s/i.test(text.slice(i))) {
+        clauses.push(text.slice(start, i + 1).trim());
+        start = i + 1;
+      }
+    }
+    if (!inQuote && text[i] === ',' && /^,\s+(?:possibly\s+|ultimately\s+)?(?:from|via)\s/i.test(text.slice(i))) {
+      clauses.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  clauses.push(text.slice(start).trim());
+  return clauses.filter(Boolean);
+}
+
+// A form is a word or a short name, never a fragment of a sentence.
+const PLAIN_FORM = /^(?!.*\b(?:and|or|of|the|from|via|meaning|name|word)\b)[^\s]+(?:\s+[^\s]+){0,2}$/i;
+
+// `here, meaning "army," and weald, meaning "power"` → two morphemes.
+function parseMorphemes(text, language) {
+  const parts = String(text || '').split(/(?<=")\s*,?\s+and\s+(?=[^\s"])/);
+  const morphemes = [];
+  for (const part of parts) {
+    const match = part.trim().replace(/\.$/, '').match(MORPHEME);
+    if (!match || !PLAIN_FORM.test(match[1].trim())) return null;
+    morphemes.push({
+      ...scripts(match[1], match[2]),
+      language,
+      gloss: match[3] ? match[3].trim() : null,
+      citationIds: [],
+    });
+  }
+  return morphemes;
+}
+
+// The transliteration is the Latin-script spelling, whichever side of the parentheses the prose put it on.
+function scripts(written, parenthesized) {
+  const a = String(written || '').trim();
+  const b = parenthesized ? String(parenthesized).trim() : null;
+  if (b && !NON_LATIN.test(a) && NON_LATIN.test(b)) return { form: b, transliteration: a };
+  return { form: a, transliteration: b };
+}
+
+function step(form, transliteration, language) {
+  return { ...scripts(form, transliteration), language, citationIds: [] };
+}
+
+// "Greek Ioannes and Latin Johannes": one intermediate form per language, in order.
+const LANGUAGE_LIST_SPLIT = new RegExp(`\\s+and\\s+(?=(?:${LABEL_PATTERN})\\s)`, 'i');
+
+/**
+ * Parses one "via …" clause into the intermediate steps it names, oldest
+ * first: "via Greek Ioannes and Latin Johannes" is two steps. Returns null
+ * when any item is not a language followed by a single form. `contextCode`
+ * (the name's language) resolves ambiguous labels such as "Gaelic".
+ */
+function parseViaClause(clause, contextCode) {
+  const match = clause.match(FROM_LANGUAGE);
+  if (!match || !/^(?:possibly\s+|ultimately\s+)?via\s/i.test(clause)) return null;
+  const items = `${match[1]} ${match[2]}`.split(LANGUAGE_LIST_SPLIT);
+  const steps = [];
+  for (const item of items) {
+    const parts = item.trim().match(new RegExp(`^(${LABEL_PATTERN})\\s+(.+)$`, 'i'));
+    const form = parts && parts[2].replace(DESCRIPTOR, '').replace(TRAILING_HEDGE, '').match(/^([^,"(]+?)(?:\s+\(([^)]+)\))?$/);
+    if (!form || !PLAIN_FORM.test(form[1].trim())) return null;
+    steps.push(step(form[1].trim(), form[2], languageCode(parts[1], contextCode)));
+  }
+  return { steps, morphemes: [] };
+}
+
+/**
+ * Parses one "from …" clause into the older steps it names (oldest first)
+ * and, when it names word elements rather than a single form, its morphemes.
+ * Returns null when the clause does not fit the Wave 1 sentence shapes.
+ */
+function parseFromClause(clause, name, contextCode) {
+  const match = clause.match(FROM_LANGUAGE);
+  if (!match || /^(?:possibly\s+|ultimately\s+)?via\s/i.test(clause)) return null;
+  const language = languageCode(match[1], contextCode);
+  let rest = match[2].replace(DESCRIPTOR, '').replace(TRAILING_HEDGE, '').trim();
+
+  // "From Punjabi, meaning …": the name itself is the word.
+  if (!rest || /^,?\s*meaning\s/i.test(rest)) {
+    const gloss = (rest.match(/meaning\s+"([^"]+?)[,.]?"/i) || [])[1] || null;
+    return {
+      steps: [step(name, null, language)],
+      morphemes: [{ form: name, transliteration: null, language, gloss, citationIds: [] }],
+      selfNamed: true,
+    };
+  }
+
+  // "From Latin Drusilla, diminutive of Drusus, meaning …".
+  const nested = rest.match(/^([^,"(]+?)(?:\s+\(([^)]+)\))?,\s+(?:a\s+)?(?:diminutive|form|short form|feminine form)\s+of\s+(.+)$/i);
+  if (nested) {
+    const morphemes = parseMorphemes(nested[3], language);
+    if (!morphemes) return null;
+    return {
+      steps: [step(morphemes[0].form, morphemes[0].transliteration, language), step(nested[1].trim(), nested[2], language)],
+      morphemes,
+    };
+  }
+
+  const morphemes = parseMorphemes(rest, language);
+  if (!morphemes) return null;
+  if (morphemes.length > 1) {
+    return {
+      steps: [step(morphemes.map((m) => m.transliteration || m.form).join(' + '), null, language)],
+      morphemes,
+    };
+  }
+  const [only] = morphemes;
+  return { steps: [step(only.form, only.transliteration, language)], morphemes };
+}
+
+/**
+ * Proposes structured etymology from Wave 1 prose for editor review.
+ *
+ * `nameLanguage` is the name's own language label (names-enriched.json
+ * `language`), used for the final step when the prose does not say, and to
+ * resolve an ambiguous label such as "Gaelic" or "Norman"; one it cannot
+ * resolve leaves its step without a language, so the parse is partial. The
+ * proposal carries no Citation IDs: an editor adds them per step and per
+ * morpheme before setting `status: "approved"`.
+ *
+ * @returns {{ name, prose, status, parse: 'complete'|'partial'|'unparsed',
+ *   rootWord, rootLanguage, morphemes, derivationChain, unparsed: string[] }}
+ */
+function proposeEtymologyStructure(name, prose, nameLanguage = null) {
+  const clauses = splitClauses(prose);
+  const unparsed = [];
+  let morphemes = [];
+  const nameLanguageCode = languageCode(nameLanguage);
+  let nameStepLanguage = nameLanguageCode;
+  // Oldest first. A "from" clause names the source of the clause before it, so
+  // its steps go just before that clause's steps; a "via" clause names forms
+  // between the clause before it and the name, so its steps go just after.
+  const chain = [];
+  let previous = null; // { start, end, kind } of the last parsed clause's steps
+  let oldestStart = Infinity;
+
+  clauses.forEach((clause, i) => {
+    if (i === 0) {
+      const derived = clause.match(DERIVED_FORM);
+      if (derived) {
+        if (derived[1]) nameStepLanguage = languageCode(derived[1], nameLanguageCode);
+        // "Short form of Alison or Alyssa" names no single source: left for the editor.
+        const source = /\sor\s/.test(derived[2]) ? null : derived[2].match(/^([^,"(]+?)(?:\s+\(([^)]+)\))?$/);
+        if (source && PLAIN_FORM.test(source[1].trim())) {
+          chain.push(step(source[1].trim(), source[2], null));
+          previous = { start: 0, end: 1, kind: 'from' };
+          oldestStart = 0;
+          return;
+        }
+      }
+    }
+    const isVia = /^(?:possibly\s+|ultimately\s+)?via\s/i.test(clause);
+    // "From A, via B, from C" does not say whether C is older than A or B: left for the editor.
+    const parsed = isVia ? parseViaClause(clause, nameLanguageCode) : previous?.kind === 'via' ? null : parseFromClause(clause, name, nameLanguageCode);
+    if (!parsed) {
+      unparsed.push(clause);
+      return;
+    }
+    if (parsed.selfNamed) {
+      nameStepLanguage = nameStepLanguage || parsed.steps[0].language;
+      parsed.steps[0].language = parsed.steps[0].language || nameStepLanguage;
+    }
+    const steps = [...parsed.steps];
+    if (isVia) {
+      const at = previous ? previous.end : chain.length;
+      chain.splice(at, 0, ...steps);
+      previous = { start: at, end: at + steps.length, kind: 'via' };
+      return;
+    }
+    const at = previous ? previous.start : 0;
+    // A bare "form of James" step takes its language from the next "from" clause only when that clause names James itself.
+    const next = chain[at];
+    const newest = steps[steps.length - 1];
+    if (next && next.language == null && normalizeKey(next.form) === normalizeKey(newest.form)) {
+      next.language = newest.language;
+      next.transliteration = next.transliteration || newest.transliteration;
+      steps.pop();
+    }
+    chain.splice(at, 0, ...steps);
+    previous = { start: at, end: at + steps.length, kind: 'from' };
+    // Root morphemes belong to the oldest clause that names any.
+    if (parsed.morphemes.length && at <= oldestStart) morphemes = parsed.morphemes;
+    oldestStart = Math.min(oldestStart, at);
+  });
+
+  const last = chain[chain.length - 1];
+  if (!last || normalizeKey(last.form) !== normalizeKey(name)) {
+    chain.push(step(name, null, nameStepLanguage));
+  } else if (last.language == null) {
+    last.language = nameStepLanguage;
+  }
+
+  const hasStructure = chain.length > 1 || morphemes.length > 0;
+  const incomplete = unparsed.length > 0 || chain.some((s) => !s.language) || morphemes.some((m) => !m.language);
+  let parse = 'complete';
+  if (!hasStructure) parse = 'unparsed';
+  else if (incomplete) parse = 'partial';
+
+  return {
+    name,
+    prose,
+    status: 'proposed',
+    parse,
+    rootWord: hasStructure ? chain[0].transliteration || chain[0].form : null,
+    rootLanguage: hasStructure ? languageName(chain[0].language) : null,
+    morphemes,
+    derivationChain: hasStructure ? chain : [],
+    unparsed,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Records
+// ---------------------------------------------------------------------------
+
+/** Every cited item in one record as `{ field, index, form, language, citationIds }`. */
+function listAssertions(record) {
+  return [
+    ...(record.morphemes || []).map((item, index) => ({ field: 'morphemes', index, ...item })),
+    ...(record.derivationChain || []).map((item, index) => ({ field: 'derivationChain', index, ...item })),
+  ];
+}
+
+/**
+ * Reasons one record may not be published: an unknown name, an empty chain,
+ * a chain that does not end at the name, an unknown language code, a blank
+ * form, a fallback gloss, or a morpheme or step without Citation IDs or
+ * citing an ID missing from the registry.
+ */
+function findRecordErrors(record, { nameKeys, registryIds }) {
+  const errors = [];
+  const label = record.name || '(unnamed)';
+  if (!nameKeys.has(normalizeKey(record.name))) errors.push(`${label}: not in data/names.json.`);
+
+  const chain = record.derivationChain || [];
+  if (chain.length === 0) errors.push(`${label}: derivationChain needs at least one step.`);
+  else if (normalizeKey(chain[chain.length - 1].form) !== normalizeKey(record.name)) {
+    errors.push(`${label}: derivationChain must end at the name itself.`);
+  }
+
+  for (const item of listAssertions(record)) {
+    const where = `${label} ${item.field}[${item.index}]`;
+    if (!String(item.form || '').trim()) errors.push(`${where}: blank form.`);
+    if (!languageName(item.language)) errors.push(`${where}: unknown language code ${item.language}.`);
+    if (etymologyPolicy.isFallbackMarker(item.gloss)) errors.push(`${where}: fallback gloss is not a researched meaning.`);
+    const ids = Array.isArray(item.citationIds) ? item.citationIds : [];
+    if (ids.length === 0) errors.push(`${where}: every morpheme and step needs at least one Citation ID.`);
+    for (const id of ids) {
+      if (!registryIds.has(id)) errors.push(`${where}: unknown Citation ID ${id}.`);
+    }
+  }
+  return errors;
+}
+
+/** Strips proposal-only fields, keeping what data/etymology-records.json stores. */
+function toRecord(proposal) {
+  const morpheme = (m) => ({
+    form: m.form,
+    transliteration: m.transliteration || null,
+    language: m.language,
+    gloss: m.gloss || null,
+    citationIds: m.citationIds || [],
+  });
+  const chainStep = (s) => ({
+    form: s.form,
+    transliteration: s.transliteration || null,
+    language: s.language,
+    citationIds: s.citationIds || [],
+  });
+  return {
+    name: proposal.name,
+    morphemes: (proposal.morphemes || []).map(morpheme),
+    derivationChain: (proposal.derivationChain || []).map(chainStep),
+  };
+}
+
+/**
+ * Merges approved records into existing ones. First write wins per name: a
+ * name that already has a structured record is left unchanged.
+ * @returns {{ records: object[], added: number, skippedExisting: number }}
+ */
+function mergeApprovedRecords(records, approved) {
+  const byKey = new Map(records.map((record) => [normalizeKey(record.name), record]));
+  let added = 0;
+  let skippedExisting = 0;
+  for (const record of approved) {
+    const key = normalizeKey(record.name);
+    if (byKey.has(key)) {
+      skippedExisting += 1;
+      continue;
+    }
+    byKey.set(key, record);
+    added += 1;
+  }
+  return {
+    records: [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    added,
+    skippedExisting,
+  };
+}
+
+const {
+  buildPayload: buildRecordsPayload,
+  load: loadEtymologyRecordsPayload,
+  write: writeEtymologyRecords,
+} = recordsFile(ETYMOLOGY_STRUCTURE_PATHS.records, {
+  title: 'Etymology Records v1',
+  methodology:
+    'Editor-approved structured etymology. Proposals are parsed from Wave 1 etymology prose, then corrected and cited by an editor; every morpheme and derivation step cites at least one Citation Registry source.',
+});
+
+function writeEtymologyProposals(payload) {
+  writeJsonFile(ETYMOLOGY_STRUCTURE_PATHS.proposals, payload);
+}
+
+module.exports = {
+  ETYMOLOGY_STRUCTURE_PATHS,
+  PROPOSAL_STATUSES,
+  splitClauses,
+  proposeEtymologyStructure,
+  listAssertions,
+  findRecordErrors,
+  toRecord,
+  mergeApprovedRecords,
+  buildRecordsPayload,
+  loadEtymologyRecordsPayload,
+  writeEtymologyRecords,
+  writeEtymologyProposals,
+};
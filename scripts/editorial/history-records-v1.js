@@ -0,0 +1,161 @@
+/**
+ * History Records v1 shared library.
+ *
+ * One editorial record per name for the structured half of the canonical
+ * `history` domain (data/history-records.json): a dated first attestation
+ * (year or century, region, attesting source) and notable bearers (name,
+ * role, era, optional Wikidata QID). Every assertion carries its own Citation
+ * Registry IDs. apply-history-records-lib.js merges batches first-write-wins.
+ */
+
+const path = require('path');
+const { normalizeKey } = require('./knowledge-record-v2.js');
+const { recordsFile } = require('./records-v1-lib.js');
+const historyPolicy = require('../../lib/render/history.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+const HISTORY_RECORD_PATHS = {
+  records: path.join(DATA_DIR, 'history-records.json'),
+  research: path.join(DATA_DIR, 'sources', 'history-records-research.json'),
+  names: path.join(DATA_DIR, 'names.json'),
+  registry: path.join(DATA_DIR, 'citation-registry.json'),
+};
+
+/** Bearers are the same person when name and timeline year match. */
+function bearerKey(bearer) {
+  return `${normalizeKey(bearer.name)}|${bearer.sortYear}`;
+}
+
+/** Every assertion in one record as `{ field, key, text, citationIds }`. */
+function listAssertions(record) {
+  const assertions = [];
+  if (record.firstRecordedUse) {
+    assertions.push({
+      field: 'firstRecordedUse',
+      key: 'firstRecordedUse',
+      text: record.firstRecordedUse.source,
+      citationIds: record.firstRecordedUse.citationIds,
+    });
+  }
+  for (const bearer of record.notableBearers || []) {
+    assertions.push({ field: 'notableBearers', key: bearerKey(bearer), text: bearer.name, citationIds: bearer.citationIds });
+  }
+  return assertions;
+}
+
+/**
+ * Reasons one record may not be published: an unknown name, an assertion
+ * without Citation IDs or citing an ID missing from the registry, an
+ * attestation without exactly one of year and century, a blank region,
+ * source, role or era, a bearer without an integer sortYear, a malformed
+ * Wikidata QID, or fallback text.
+ */
+function findRecordErrors(record, { nameKeys, registryIds }) {
+  const errors = [];
+  const label = record.name || '(unnamed)';
+  if (!nameKeys.has(normalizeKey(record.name))) errors.push(`${label}: not in data/names.json.`);
+
+  for (const assertion of listAssertions(record)) {
+    const where = `${label} ${assertion.field}`;
+    const ids = Array.isArray(assertion.citationIds) ? assertion.citationIds : [];
+    if (ids.length === 0) errors.push(`${where}: every assertion needs at least one Citation ID.`);
+    for (const id of ids) {
+      if (!registryIds.has(id)) errors.push(`${where}: unknown Citation ID ${id}.`);
+    }
+  }
+
+  const attestation = record.firstRecordedUse;
+  if (attestation) {
+    const where = `${label} firstRecordedUse`;
+    if (Number.isInteger(attestation.year) === Number.isInteger(attestation.century)) {
+      errors.push(`${where}: set exactly one of year or century.`);
+    }
+    if (attestation.century === 0) errors.push(`${where}: there is no century 0.`);
+    for (const field of ['region', 'source']) {
+      if (!String(attestation[field] || '').trim()) errors.push(`${where}: blank ${field}.`);
+      else if (historyPolicy.isFallbackMarker(attestation[field])) errors.push(`${where}: fallback ${field} is not a researched assertion.`);
+    }
+  }
+
+  for (const bearer of record.notableBearers || []) {
+    const where = `${label} notableBearers ${bearer.name || '(unnamed)'}`;
+    for (const field of ['name', 'role', 'era']) {
+      if (!String(bearer[field] || '').trim()) errors.push(`${where}: blank ${field}.`);
+      else if (historyPolicy.isFallbackMarker(bearer[field])) errors.push(`${where}: fallback ${field} is not a researched assertion.`);
+    }
+    if (!Number.isInteger(bearer.sortYear)) errors.push(`${where}: sortYear must be an integer year.`);
+    if (bearer.wikidataQid != null && !historyPolicy.WIKIDATA_QID.test(bearer.wikidataQid)) {
+      errors.push(`${where}: Wikidata QID must look like Q42.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Merges new entries into existing records. First write wins: an existing
+ * first attestation is never replaced, and a bearer already listed (same name
+ * and sortYear) is not added twice.
+ * @returns {{ records: object[], added: number, skippedExisting: number }}
+ */
+function mergeHistoryEntries(records, entries) {
+  const byKey = new Map(records.map((record) => [normalizeKey(record.name), JSON.parse(JSON.stringify(record))]));
+  let added = 0;
+  let skippedExisting = 0;
+
+  for (const entry of entries) {
+    const key = normalizeKey(entry.name);
+    if (!byKey.has(key)) byKey.set(key, { name: entry.name });
+    const record = byKey.get(key);
+
+    if (entry.firstRecordedUse) {
+      if (record.firstRecordedUse) skippedExisting += 1;
+      else {
+        record.firstRecordedUse = entry.firstRecordedUse;
+        added += 1;
+      }
+    }
+    if (entry.notableBearers) {
+      record.notableBearers = record.notableBearers || [];
+      const seen = new Set(record.notableBearers.map(bearerKey));
+      for (const bearer of entry.notableBearers) {
+        if (seen.has(bearerKey(bearer))) {
+          skippedExisting += 1;
+          continue;
+        }
+        seen.add(bearerKey(bearer));
+        record.notableBearers.push(bearer);
+        added += 1;
+      }
+      record.notableBearers.sort((a, b) => a.sortYear - b.sortYear || a.name.localeCompare(b.name));
+    }
+  }
+
+  return {
+    records: [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    added,
+    skippedExisting,
+  };
+}
+
+const {
+  buildPayload: buildRecordsPayload,
+  load: loadHistoryRecordsPayload,
+  write: writeHistoryRecords,
+} = recordsFile(HISTORY_RECORD_PATHS.records, {
+  title: 'History Records v1',
+  methodology:
+    'Editorial structured history. Each first recorded use (year or century, region, attesting source) and each notable bearer cites at least one Citation Registry source. Never extracted from the Phase 5E history prose.',
+});
+
+module.exports = {
+  HISTORY_RECORD_PATHS,
+  bearerKey,
+  listAssertions,
+  findRecordErrors,
+  mergeHistoryEntries,
+  buildRecordsPayload,
+  loadHistoryRecordsPayload,
+  writeHistoryRecords,
+};
@@ -0,0 +1,197 @@
+/**
+ * Pronunciation Records v1 shared library.
+ *
+ * Two optional files behind the IPA and audio half of the canonical
+ * `pronunciation` domain:
+ *   - data/pronunciation-records.json — editor-supplied IPA, one transcription
+ *     per locale (en-US, en-GB, the native language …), each validated against
+ *     lib/canonical/ipa-inventory.js and cited.
+ *   - data/pronunciation-audio-manifest.json — recordings stored in
+ *     data/pronunciation-audio/, each with its size and SHA-256 checksum, each
+ *     voicing one recorded transcription.
+ * apply-pronunciation-records-lib.js merges IPA batches first-write-wins;
+ * register-pronunciation-audio.js adds recordings to the manifest.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeKey } = require('./knowledge-record-v2.js');
+const { recordsFile } = require('./records-v1-lib.js');
+const { findIpaErrors } = require('../../lib/canonical/ipa-inventory.js');
+const { findLocaleErrors } = require('../../lib/canonical/pronunciation-locales.js');
+const { AUDIO_MIME_TYPES, audioFileName } = require('../../lib/canonical/pronunciation-audio.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+const PRONUNCIATION_RECORD_PATHS = {
+  records: path.join(DATA_DIR, 'pronunciation-records.json'),
+  research: path.join(DATA_DIR, 'sources', 'pronunciation-ipa-research.json'),
+  audioManifest: path.join(DATA_DIR, 'pronunciation-audio-manifest.json'),
+  audioDir: path.join(DATA_DIR, 'pronunciation-audio'),
+  names: path.join(DATA_DIR, 'names.json'),
+  registry: path.join(DATA_DIR, 'citation-registry.json'),
+};
+
+/** Every transcription in one record as `{ field, key, text, citationIds }`. */
+function listAssertions(record) {
+  return (record.transcriptions || []).map((t) => ({
+    field: 'ipa',
+    key: t.locale,
+    text: t.ipa,
+    citationIds: t.citationIds,
+  }));
+}
+
+/**
+ * Reasons one record may not be published: an unknown name, a transcription
+ * that is not valid IPA, a malformed or repeated locale, more than one native
+ * transcription, or a transcription without Citation IDs or citing an ID
+ * missing from the registry.
+ */
+function findRecordErrors(record, { nameKeys, registryIds }) {
+  const errors = [];
+  const label = record.name || '(unnamed)';
+  if (!nameKeys.has(normalizeKey(record.name))) errors.push(`${label}: not in data/names.json.`);
+
+  const transcriptions = record.transcriptions || [];
+  if (transcriptions.length === 0) errors.push(`${label}: needs at least one transcription.`);
+  const seen = new Set();
+  for (const t of transcriptions) {
+    const where = `${label} ipa ${t.locale || '(no locale)'}`;
+    for (const msg of findLocaleErrors(t.locale)) errors.push(`${where}: ${msg}`);
+    if (seen.has(t.locale)) errors.push(`${where}: more than one transcription for this locale.`);
+    seen.add(t.locale);
+    for (const msg of findIpaErrors(t.ipa)) errors.push(`${where}: ${msg}.`);
+    if (typeof t.native !== 'boolean') errors.push(`${where}: native must be true or false.`);
+    const ids = Array.isArray(t.citationIds) ? t.citationIds : [];
+    if (ids.length === 0) errors.push(`${where}: every transcription needs at least one Citation ID.`);
+    for (const id of ids) {
+      if (!registryIds.has(id)) errors.push(`${where}: unknown Citation ID ${id}.`);
+    }
+  }
+  if (transcriptions.filter((t) => t.native === true).length > 1) errors.push(`${label}: at most one transcription may be native.`);
+  return errors;
+}
+
+/**
+ * Merges new entries into existing records. First write wins: a locale that
+ * already has a transcription keeps it, and a second native transcription is
+ * not added.
+ * @returns {{ records: object[], added: number, skippedExisting: number }}
+ */
+function mergeTranscriptions(records, entries) {
+  const byKey = new Map(records.map((record) => [normalizeKey(record.name), JSON.parse(JSON.stringify(record))]));
+  let added = 0;
+  let skippedExisting = 0;
+
+  for (const entry of entries) {
+    const key = normalizeKey(entry.name);
+    if (!byKey.has(key)) byKey.set(key, { name: entry.name, transcriptions: [] });
+    const record = byKey.get(key);
+    for (const t of entry.transcriptions || []) {
+      const hasLocale = record.transcriptions.some((existing) => existing.locale === t.locale);
+      const secondNative = t.native && record.transcriptions.some((existing) => existing.native);
+      if (hasLocale || secondNative) {
+        skippedExisting += 1;
+        continue;
+      }
+      record.transcriptions.push({ ...t, ipa: t.ipa.trim().normalize('NFC') });
+      added += 1;
+    }
+    record.transcriptions.sort((a, b) => a.locale.localeCompare(b.locale));
+  }
+
+  return {
+    records: [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    added,
+    skippedExisting,
+  };
+}
+
+const {
+  buildPayload: buildRecordsPayload,
+  load: loadPronunciationRecordsPayload,
+  write: writePronunciationRecords,
+} = recordsFile(PRONUNCIATION_RECORD_PATHS.records, {
+  title: 'Pronunciation Records v1',
+  methodology:
+    'Editor-supplied IPA, one transcription per locale, each checked against the IPA character inventory and citing at least one Citation Registry source. Never generated from respellings or spelling.',
+});
+
+function sha256File(absPath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(absPath)).digest('hex');
+}
+
+/**
+ * Reasons one manifest entry may not be published, before its stored file is
+ * looked at: no matching transcription (same name and locale) in
+ * data/pronunciation-records.json, a file name that does not follow
+ * <slug>.<locale>.<ext>, an extension and MIME type that disagree, or a blank
+ * licence.
+ */
+function findAudioMetadataErrors(asset, { transcriptionKeys }) {
+  const errors = [];
+  const where = `${asset.name || '(unnamed)'} audio ${asset.locale || '(no locale)'}`;
+  if (!transcriptionKeys.has(`${normalizeKey(asset.name)}|${asset.locale}`)) {
+    errors.push(`${where}: no ${asset.locale} transcription recorded for this name.`);
+  }
+  const ext = path.extname(String(asset.file || '')).toLowerCase();
+  if (!AUDIO_MIME_TYPES[ext]) errors.push(`${where}: unsupported file type ${ext || '(none)'}.`);
+  else {
+    if (asset.file !== audioFileName(asset.name, asset.locale, ext)) {
+      errors.push(`${where}: file must be named ${audioFileName(asset.name, asset.locale, ext)}.`);
+    }
+    if (asset.mimeType !== AUDIO_MIME_TYPES[ext]) errors.push(`${where}: ${ext} files are ${AUDIO_MIME_TYPES[ext]}.`);
+  }
+  if (!String(asset.license || '').trim()) errors.push(`${where}: blank license.`);
+  return errors;
+}
+
+/** findAudioMetadataErrors plus a missing file in data/pronunciation-audio/, or a size or checksum that no longer matches it. */
+function findAudioAssetErrors(asset, context) {
+  const errors = findAudioMetadataErrors(asset, context);
+  const where = `${asset.name || '(unnamed)'} audio ${asset.locale || '(no locale)'}`;
+  const absPath = path.join(PRONUNCIATION_RECORD_PATHS.audioDir, path.basename(String(asset.file || '')));
+  if (!asset.file || !fs.existsSync(absPath)) {
+    errors.push(`${where}: file missing from data/pronunciation-audio/.`);
+    return errors;
+  }
+  if (fs.statSync(absPath).size !== asset.bytes) errors.push(`${where}: size does not match the file.`);
+  if (sha256File(absPath) !== asset.sha256) errors.push(`${where}: checksum does not match the file.`);
+  return errors;
+}
+
+const {
+  buildPayload: buildAudioManifestPayload,
+  load: loadAudioManifestPayload,
+  write: writeAudioManifest,
+} = recordsFile(PRONUNCIATION_RECORD_PATHS.audioManifest, {
+  title: 'Pronunciation Audio Manifest v1',
+  methodology:
+    'Recordings stored in data/pronunciation-audio/, one per name and locale, each voicing a transcription in data/pronunciation-records.json. Size and SHA-256 are taken from the file when it is registered and re-checked by the validator.',
+  listKey: 'assets',
+});
+
+/** `name|locale` keys of every recorded transcription, for matching audio assets. */
+function transcriptionKeySet(records) {
+  return new Set(records.flatMap((record) => (record.transcriptions || []).map((t) => `${normalizeKey(record.name)}|${t.locale}`)));
+}
+
+module.exports = {
+  PRONUNCIATION_RECORD_PATHS,
+  listAssertions,
+  findRecordErrors,
+  mergeTranscriptions,
+  buildRecordsPayload,
+  loadPronunciationRecordsPayload,
+  writePronunciationRecords,
+  sha256File,
+  findAudioMetadataErrors,
+  findAudioAssetErrors,
+  buildAudioManifestPayload,
+  loadAudioManifestPayload,
+  writeAudioManifest,
+  transcriptionKeySet,
+};
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Propose structured etymology from Wave 1 prose for editor review.
+ *
+ * Reads data/sources/etymology-wave1-research.json and writes
+ * data/sources/etymology-structure-proposals.json: one proposal per name with
+ * parsed root morphemes and derivation chain, the name's existing etymology
+ * Citation IDs as suggestions, and any clause the parser could not place.
+ *
+ * Re-running refreshes `proposed` entries only; entries an editor has marked
+ * `approved` or `rejected` are kept as they are.
+ */
+
+const {
+  ETYMOLOGY_STRUCTURE_PATHS,
+  proposeEtymologyStructure,
+  writeEtymologyProposals,
+} = require('./etymology-structure-v1.js');
+const { loadJson, normalizeKey } = require('./knowledge-record-v2.js');
+
+function main() {
+  const research = loadJson(ETYMOLOGY_STRUCTURE_PATHS.wave1Research, null);
+  if (!research || !Array.isArray(research.entries)) {
+    throw new Error('Missing etymology-wave1-research.json — run build-etymology-wave1-research.js first.');
+  }
+
+  const languageByName = new Map(
+    loadJson(ETYMOLOGY_STRUCTURE_PATHS.namesEnriched, []).map((row) => [normalizeKey(row.name), row.language]),
+  );
+  const citationsByName = new Map(
+    (loadJson(ETYMOLOGY_STRUCTURE_PATHS.citationRecords, { records: [] }).records || []).map((row) => [
+      normalizeKey(row.name),
+      row.citations?.etymology || [],
+    ]),
+  );
+  const reviewedByName = new Map(
+    (loadJson(ETYMOLOGY_STRUCTURE_PATHS.proposals, { entries: [] }).entries || [])
+      .filter((entry) => entry.status !== 'proposed')
+      .map((entry) => [normalizeKey(entry.name), entry]),
+  );
+
+  const entries = research.entries.map((row) => {
+    const key = normalizeKey(row.name);
+    if (reviewedByName.has(key)) return reviewedByName.get(key);
+    return {
+      ...proposeEtymologyStructure(row.name, row.etymology, languageByName.get(key) || null),
+      suggestedCitationIds: citationsByName.get(key) || [],
+    };
+  });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  const countParse = (parse) => entries.filter((e) => e.status === 'proposed' && e.parse === parse).length;
+  writeEtymologyProposals({
+    title: 'Etymology Structure Proposals v1',
+    generatedAt: new Date().toISOString(),
+    methodology:
+      'Machine-parsed from Wave 1 etymology prose. Nothing here is published: an editor corrects each proposal, adds Citation IDs to every morpheme and derivation step, and sets status to "approved" before apply-etymology-structure.js reads it.',
+    stats: {
+      proposals: entries.length,
+      complete: countParse('complete'),
+      partial: countParse('partial'),
+      unparsed: countParse('unparsed'),
+      reviewed: entries.filter((e) => e.status !== 'proposed').length,
+    },
+    entries,
+  });
+
+  console.log('Etymology structure proposals written.');
+  console.log('  Proposals:', entries.length);
+  console.log('  Parsed completely:', countParse('complete'));
+  console.log('  Parsed partially:', countParse('partial'));
+  console.log('  Unparsed:', countParse('unparsed'));
+  console.log('  Already reviewed (kept):', entries.filter((e) => e.status !== 'proposed').length);
+  console.log('  Output:', ETYMOLOGY_STRUCTURE_PATHS.proposals);
+}
+
+main();
@@ -0,0 +1,275 @@
+/**
+ * Provenance Records v1 shared library.
+ *
+ * Builds one field-level provenance trail per Knowledge Record: the override
+ * file that holds each populated domain value, the cumulative research file
+ * that supplies its sources, the wave/batch research artifact that introduced
+ * the value, the apply script for that artifact, and the domain's Citation
+ * IDs. Reads editorial artifacts only; modifies none of them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DOMAINS,
+  PATHS,
+  loadJson,
+  loadKnowledgeRecordsPayload,
+  loadResearchIndexes,
+  normalizeKey,
+} = require('./knowledge-record-v2.js');
+const { isDomainPopulated, loadCitationRecordsPayload } = require('./citation-records-v1.js');
+const { stableHash } = require('./citation-infrastructure-v1.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const SOURCES_DIR = path.join(DATA_DIR, 'sources');
+const EDITORIAL_SCRIPTS_DIR = __dirname;
+
+const RECORDS_SCHEMA_VERSION = '1.0';
+
+const PROVENANCE_RECORD_PATHS = {
+  records: path.join(DATA_DIR, 'provenance-records.json'),
+};
+
+const OVERRIDE_PATHS = {
+  origin: PATHS.originOverrides,
+  meaning: PATHS.meaningOverrides,
+  pronunciation: PATHS.pronunciationOverrides,
+  etymology: PATHS.etymologyOverrides,
+  history: PATHS.historyOverrides,
+};
+
+const DOMAIN_RESEARCH_PATHS = {
+  origin: PATHS.originResearch,
+  meaning: PATHS.meaningResearch,
+  pronunciation: PATHS.pronunciationResearch,
+  etymology: PATHS.etymologyResearch,
+  history: PATHS.historyResearch,
+};
+
+function relativePath(absPath) {
+  return path.relative(ROOT, absPath).split(path.sep).join('/');
+}
+
+/** scripts/editorial/apply-<artifact>.js for data/sources/<artifact>.json, when that script exists. */
+function applyScriptFor(researchPath) {
+  const scriptName = `apply-${path.basename(researchPath, '.json')}.js`;
+  const absPath = path.join(EDITORIAL_SCRIPTS_DIR, scriptName);
+  return fs.existsSync(absPath) ? relativePath(absPath) : null;
+}
+
+/**
+ * Wave/batch research artifacts under data/sources/ (every *-research.json
+ * except the five cumulative domain research files), oldest first.
+ */
+function loadBatchArtifacts() {
+  if (!fs.existsSync(SOURCES_DIR)) return [];
+  const domainResearch = new Set(Object.values(DOMAIN_RESEARCH_PATHS));
+  return fs
+    .readdirSync(SOURCES_DIR)
+    .filter((file) => file.endsWith('-research.json'))
+    .map((file) => path.join(SOURCES_DIR, file))
+    .filter((absPath) => !domainResearch.has(absPath))
+    .map((absPath) => {
+      const payload = loadJson(absPath, { entries: [] });
+      const entries = new Map();
+      for (const entry of Array.isArray(payload.entries) ? payload.entries : []) {
+        const key = normalizeKey(entry.name);
+        if (key && !entries.has(key)) entries.set(key, entry);
+      }
+      return {
+        artifact: relativePath(absPath),
+        title: payload.title ?? null,
+        phase: payload.phase ?? null,
+        wave: payload.wave ?? null,
+        batch: payload.batch ?? null,
+        generatedAt: payload.generatedAt ?? null,
+        applyScript: applyScriptFor(absPath),
+        entries,
+      };
+    })
+    .sort(
+      (a, b) =>
+        String(a.generatedAt ?? '').localeCompare(String(b.generatedAt ?? '')) ||
+        a.artifact.localeCompare(b.artifact),
+    );
+}
+
+function comparableValue(domain, value) {
+  if (value == null) return null;
+  if (domain === 'origin') {
+    return JSON.stringify([value.origin_country ?? null, value.origin_cluster ?? null, value.language ?? null]);
+  }
+  return String(value).trim() || null;
+}
+
+/** The oldest batch artifact whose entry for `key` carries exactly this domain value. */
+function findIntroducingBatch(batchArtifacts, key, domain, value) {
+  const expected = comparableValue(domain, value);
+  return (
+    batchArtifacts.find((artifact) => {
+      const entry = artifact.entries.get(key);
+      return entry && comparableValue(domain, entry[domain]) === expected;
+    }) || null
+  );
+}
+
+function buildFieldProvenance({ key, domain, value, research, batchArtifacts, citationIds }) {
+  const batch = findIntroducingBatch(batchArtifacts, key, domain, value);
+  const researchPath = research[domain].has(key) ? DOMAIN_RESEARCH_PATHS[domain] : null;
+  return {
+    override: relativePath(OVERRIDE_PATHS[domain]),
+    research: researchPath ? relativePath(researchPath) : null,
+    batch: batch
+      ? {
+          artifact: batch.artifact,
+          title: batch.title,
+          phase: batch.phase,
+          wave: batch.wave,
+          batch: batch.batch,
+          generatedAt: batch.generatedAt,
+        }
+      : null,
+    applyScript: batch ? batch.applyScript : researchPath ? applyScriptFor(researchPath) : null,
+    citationIds: citationIds || [],
+  };
+}
+
+function buildProvenanceRecordsPayload(options = {}) {
+  const knowledgeRecords = loadKnowledgeRecordsPayload();
+  if (!knowledgeRecords) {
+    throw new Error('Missing data/knowledge-records.json — run build-knowledge-records.js first.');
+  }
+  const citationRecords = loadCitationRecordsPayload();
+  if (!citationRecords) {
+    throw new Error('Missing data/citation-records.json — run build-citation-records.js first.');
+  }
+
+  const research = loadResearchIndexes();
+  const batchArtifacts = loadBatchArtifacts();
+  const citationsByName = new Map(
+    (citationRecords.records || []).map((row) => [normalizeKey(row.name), row.citations || {}]),
+  );
+
+  const domainCoverage = Object.fromEntries(DOMAINS.map((domain) => [domain, 0]));
+  let fieldsWithBatch = 0;
+  let fieldsWithResearch = 0;
+  let fieldsWithApplyScript = 0;
+
+  const records = [];
+  for (const kr of knowledgeRecords.records || []) {
+    const key = normalizeKey(kr.name);
+    const citations = citationsByName.get(key) || {};
+    const fields = {};
+    for (const domain of DOMAINS) {
+      if (!isDomainPopulated(kr, domain)) continue;
+      const field = buildFieldProvenance({
+        key,
+        domain,
+        value: kr[domain].value,
+        research,
+        batchArtifacts,
+        citationIds: citations[domain],
+      });
+      fields[domain] = field;
+      domainCoverage[domain] += 1;
+      if (field.batch) fieldsWithBatch += 1;
+      if (field.research) fieldsWithResearch += 1;
+      if (field.applyScript) fieldsWithApplyScript += 1;
+    }
+    records.push({ name: kr.name, fields });
+  }
+
+  records.sort((a, b) => a.name.localeCompare(b.name));
+  const totalFields = Object.values(domainCoverage).reduce((sum, count) => sum + count, 0);
+
+  return {
+    schemaVersion: RECORDS_SCHEMA_VERSION,
+    title: 'Provenance Records v1',
+    generatedAt: options.generatedAt ?? new Date().toISOString(),
+    baselineReference: 'editorial-architecture-v2',
+    methodology:
+      'Field-level provenance derived from override files, cumulative domain research, wave/batch research artifacts and Citation Records. Editorial content remains unchanged.',
+    stats: {
+      provenanceRecords: records.length,
+      knowledgeRecords: (knowledgeRecords.records || []).length,
+      populatedFields: totalFields,
+      fieldsWithResearch,
+      fieldsWithBatch,
+      fieldsWithApplyScript,
+      batchArtifacts: batchArtifacts.length,
+      domainCoverage,
+    },
+    records,
+  };
+}
+
+/**
+ * Populated Knowledge Record fields without provenance: no entry, no override
+ * file, or no Citation IDs. Also reports entries for unpopulated fields and
+ * provenance records with no Knowledge Record.
+ */
+function findProvenanceGaps(knowledgeRecords, provenancePayload) {
+  const errors = [];
+  const provenanceByName = new Map(
+    (provenancePayload?.records || []).map((row) => [normalizeKey(row.name), row.fields || {}]),
+  );
+  const knowledgeKeys = new Set();
+
+  for (const kr of knowledgeRecords || []) {
+    const key = normalizeKey(kr.name);
+    knowledgeKeys.add(key);
+    const fields = provenanceByName.get(key) || {};
+    for (const domain of DOMAINS) {
+      const field = fields[domain];
+      if (!isDomainPopulated(kr, domain)) {
+        if (field) errors.push(`${kr.name}.${domain} has provenance but no value.`);
+        continue;
+      }
+      if (!field) {
+        errors.push(`${kr.name}.${domain} is populated but has no provenance.`);
+      } else if (!field.override) {
+        errors.push(`${kr.name}.${domain} provenance names no override file.`);
+      } else if (!Array.isArray(field.citationIds) || field.citationIds.length === 0) {
+        errors.push(`${kr.name}.${domain} provenance has no Citation IDs.`);
+      }
+    }
+  }
+
+  for (const row of provenancePayload?.records || []) {
+    if (!knowledgeKeys.has(normalizeKey(row.name))) {
+      errors.push(`Provenance record has no Knowledge Record: ${row.name}`);
+    }
+  }
+
+  return errors;
+}
+
+function loadProvenanceRecordsPayload() {
+  return loadJson(PROVENANCE_RECORD_PATHS.records, null);
+}
+
+function hashProvenanceRecordsSemantic(payload) {
+  return stableHash({
+    schemaVersion: payload.schemaVersion,
+    records: payload.records,
+  });
+}
+
+function writeProvenanceRecords(payload) {
+  fs.mkdirSync(path.dirname(PROVENANCE_RECORD_PATHS.records), { recursive: true });
+  fs.writeFileSync(PROVENANCE_RECORD_PATHS.records, JSON.stringify(payload, null, 2));
+}
+
+module.exports = {
+  DOMAINS,
+  PROVENANCE_RECORD_PATHS,
+  RECORDS_SCHEMA_VERSION,
+  loadBatchArtifacts,
+  buildProvenanceRecordsPayload,
+  findProvenanceGaps,
+  loadProvenanceRecordsPayload,
+  hashProvenanceRecordsSemantic,
+  writeProvenanceRecords,
+};
@@ -0,0 +1,96 @@
+/**
+ * Records v1 shared helpers — the optional *-records.json layers (religion and
+ * culture, etymology, history, pronunciation) and their audio manifest.
+ *
+ * Every such file is `{ schemaVersion, title, generatedAt, methodology,
+ * records }`, one record per name sorted by name. recordsFile() builds, loads
+ * and writes one of them; validateSchema() and validateOrdering() are the
+ * checks every validator in scripts/build/ runs before its own.
+ *
+ * Each applied batch is logged in a research file under data/sources/, one
+ * entry per name and phase label, sorted by name then phase label.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateNode } = require('../../lib/canonical/schema-check.js');
+const { loadJson, normalizeKey } = require('./knowledge-record-v2.js');
+const { stableHash } = require('./citation-infrastructure-v1.js');
+
+const RECORDS_SCHEMA_VERSION = '1.0';
+
+function writeJsonFile(absPath, payload) {
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  fs.writeFileSync(absPath, JSON.stringify(payload, null, 2));
+}
+
+/**
+ * Payload helpers for the file at `absPath`. `listKey` names its array —
+ * `records`, or `assets` for the audio manifest.
+ * @returns {{ buildPayload: function, load: function, write: function }}
+ */
+function recordsFile(absPath, { title, methodology, listKey = 'records' }) {
+  function buildPayload(rows, generatedAt = new Date().toISOString()) {
+    return { schemaVersion: RECORDS_SCHEMA_VERSION, title, generatedAt, methodology, [listKey]: rows };
+  }
+  return {
+    buildPayload,
+    // Optional layer: a checkout without the file has nothing in it.
+    load: () => loadJson(absPath, buildPayload([], null)),
+    write: (payload) => writeJsonFile(absPath, payload),
+  };
+}
+
+/** Hash of the schema version and records only, so a rewrite with a new generatedAt keeps it. */
+function hashRecordsSemantic(payload) {
+  return stableHash({ schemaVersion: payload.schemaVersion, records: payload.records });
+}
+
+function validateSchema(payload, schemaPath) {
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  const errors = validateNode(payload, schema, '$', { root: schema });
+  return { valid: errors.length === 0, errors };
+}
+
+/** One record per name, sorted by name. */
+function validateOrdering(records) {
+  const errors = [];
+  const seen = new Set();
+  records.forEach((record, i) => {
+    const key = normalizeKey(record.name);
+    if (seen.has(key)) errors.push(`${record.name}: more than one record.`);
+    seen.add(key);
+    if (i > 0 && records[i - 1].name.localeCompare(record.name) > 0) {
+      errors.push(`${record.name}: records must be sorted by name.`);
+    }
+  });
+  return errors;
+}
+
+/** Adds `entry` unless the log already has one for the same name and phase label. */
+function appendResearchEntry(researchPayload, entry) {
+  const key = `${normalizeKey(entry.name)}|${entry.phaseLabel}`;
+  const existing = researchPayload.entries.find((row) => `${normalizeKey(row.name)}|${row.phaseLabel}` === key);
+  if (existing) return false;
+  researchPayload.entries.push(entry);
+  return true;
+}
+
+/** Logs every batch entry under `phaseLabel` in the research file at `absPath` and rewrites it. */
+function logResearchEntries(absPath, entries, phaseLabel) {
+  const research = loadJson(absPath, { entries: [] });
+  for (const entry of entries) appendResearchEntry(research, { ...entry, phaseLabel });
+  research.entries.sort((a, b) => String(a.name).localeCompare(String(b.name)) || String(a.phaseLabel).localeCompare(String(b.phaseLabel)));
+  writeJsonFile(absPath, research);
+}
+
+module.exports = {
+  RECORDS_SCHEMA_VERSION,
+  writeJsonFile,
+  recordsFile,
+  hashRecordsSemantic,
+  validateSchema,
+  validateOrdering,
+  appendResearchEntry,
+  logResearchEntries,
+};
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Pronunciation Audio v1 — register one recording.
+ *
+ * Copies the file into data/pronunciation-audio/ as <slug>.<locale>.<ext>,
+ * records its size and SHA-256 in data/pronunciation-audio-manifest.json, and
+ * re-validates. The name must already have a transcription for the locale in
+ * data/pronunciation-records.json. An existing recording for the same name and
+ * locale is only replaced with --replace.
+ *
+ * Usage:
+ *   node scripts/editorial/register-pronunciation-audio.js recordings/william-uk.mp3 --name=William --locale=en-GB --license="CC BY-SA 4.0" [--speaker="…"] [--replace]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeKey } = require('./knowledge-record-v2.js');
+const { runNodeScript } = require('./apply-phase15b-wave2-lib.js');
+const { AUDIO_MIME_TYPES, audioFileName } = require('../../lib/canonical/pronunciation-audio.js');
+const {
+  PRONUNCIATION_RECORD_PATHS,
+  sha256File,
+  findAudioMetadataErrors,
+  buildAudioManifestPayload,
+  loadAudioManifestPayload,
+  loadPronunciationRecordsPayload,
+  transcriptionKeySet,
+  writeAudioManifest,
+} = require('./pronunciation-records-v1.js');
+
+function parseArgs(argv) {
+  const options = { source: null, name: null, locale: null, license: null, speaker: null, replace: false };
+  for (const arg of argv) {
+    if (!arg.startsWith('--')) {
+      options.source = arg;
+      continue;
+    }
+    const [key, ...rest] = arg.replace(/^--/, '').split('=');
+    const value = rest.join('=');
+    if (key === 'name') options.name = value;
+    if (key === 'locale') options.locale = value;
+    if (key === 'license') options.license = value;
+    if (key === 'speaker') options.speaker = value || null;
+    if (key === 'replace') options.replace = true;
+  }
+  if (!options.source || !options.name || !options.locale || !options.license) {
+    throw new Error('Usage: register-pronunciation-audio.js <audio file> --name=<name> --locale=<BCP 47> --license=<licence> [--speaker=<credit>] [--replace]');
+  }
+  if (!fs.existsSync(options.source)) throw new Error(`${options.source} does not exist.`);
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const ext = path.extname(options.source).toLowerCase();
+  if (!AUDIO_MIME_TYPES[ext]) throw new Error(`Unsupported audio type ${ext || '(none)'} — use ${Object.keys(AUDIO_MIME_TYPES).join(', ')}.`);
+
+  const record = (loadPronunciationRecordsPayload().records || []).find((r) => normalizeKey(r.name) === normalizeKey(options.name));
+  const transcriptionKeys = transcriptionKeySet(record ? [record] : []);
+  const name = record ? record.name : options.name;
+
+  const manifest = loadAudioManifestPayload();
+  const existing = (manifest.assets || []).find((a) => normalizeKey(a.name) === normalizeKey(name) && a.locale === options.locale);
+  if (existing && !options.replace) throw new Error(`${name} already has a ${options.locale} recording (${existing.file}) — pass --replace to swap it.`);
+
+  const file = audioFileName(name, options.locale, ext);
+  const target = path.join(PRONUNCIATION_RECORD_PATHS.audioDir, file);
+  const asset = {
+    name,
+    locale: options.locale,
+    file,
+    mimeType: AUDIO_MIME_TYPES[ext],
+    bytes: fs.statSync(options.source).size,
+    sha256: sha256File(options.source),
+    speaker: options.speaker,
+    license: options.license,
+  };
+
+  const errors = findAudioMetadataErrors(asset, { transcriptionKeys });
+  if (errors.length) throw new Error(`Recording rejected:\n  - ${errors.join('\n  - ')}`);
+
+  fs.mkdirSync(PRONUNCIATION_RECORD_PATHS.audioDir, { recursive: true });
+  if (existing && existing.file !== file) fs.rmSync(path.join(PRONUNCIATION_RECORD_PATHS.audioDir, existing.file), { force: true });
+  fs.copyFileSync(options.source, target);
+
+  const assets = (manifest.assets || []).filter((a) => a !== existing);
+  assets.push(asset);
+  assets.sort((a, b) => a.name.localeCompare(b.name) || a.locale.localeCompare(b.locale));
+  writeAudioManifest(buildAudioManifestPayload(assets));
+
+  runNodeScript('scripts/build/validate-pronunciation-records.js');
+
+  console.log(`${existing ? 'Replaced' : 'Registered'} ${name} (${options.locale}): data/pronunciation-audio/${file}`);
+  console.log('  Bytes:', asset.bytes);
+  console.log('  SHA-256:', asset.sha256);
+}
+
+main();
@@ -0,0 +1,182 @@
+/**
+ * Religion and Culture Records v1 shared library.
+ *
+ * One editorial record per name for the canonical `religion` and `culture`
+ * domains (data/religion-culture-records.json). Every assertion — tradition,
+ * scriptural reference, feast day, cultural significance, regional note —
+ * carries its own Citation Registry IDs. Research arrives as
+ * data/sources/religion-culture-research.json and is merged first-write-wins
+ * by apply-religion-culture-research.js, like the per-domain overrides.
+ */
+
+const path = require('path');
+const { normalizeKey } = require('./knowledge-record-v2.js');
+const { recordsFile } = require('./records-v1-lib.js');
+const religionPolicy = require('../../lib/render/religion.js');
+const culturePolicy = require('../../lib/render/culture.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+const RELIGION_CULTURE_PATHS = {
+  records: path.join(DATA_DIR, 'religion-culture-records.json'),
+  research: path.join(DATA_DIR, 'sources', 'religion-culture-research.json'),
+  names: path.join(DATA_DIR, 'names.json'),
+  registry: path.join(DATA_DIR, 'citation-registry.json'),
+};
+
+const FEAST_DAY_DATE = /^(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/;
+
+/**
+ * Every assertion in one record as `{ field, key, text, citationIds }`.
+ * `key` identifies list items (feast day by saint and date, regional note by
+ * region) so a merge never records the same item twice.
+ */
+function listAssertions(record) {
+  const assertions = [];
+  const religion = record.religion || {};
+  const culture = record.culture || {};
+  for (const field of ['tradition', 'scripturalReference']) {
+    if (religion[field]) {
+      assertions.push({ field: `religion.${field}`, key: field, text: religion[field].value, citationIds: religion[field].citationIds });
+    }
+  }
+  for (const day of religion.feastDays || []) {
+    assertions.push({
+      field: 'religion.feastDays',
+      key: `${normalizeKey(day.saint)}|${day.date}`,
+      text: day.saint,
+      citationIds: day.citationIds,
+    });
+  }
+  if (culture.culturalSignificance) {
+    assertions.push({
+      field: 'culture.culturalSignificance',
+      key: 'culturalSignificance',
+      text: culture.culturalSignificance.value,
+      citationIds: culture.culturalSignificance.citationIds,
+    });
+  }
+  for (const note of culture.regionalNotes || []) {
+    assertions.push({ field: 'culture.regionalNotes', key: normalizeKey(note.region), text: note.note, citationIds: note.citationIds });
+  }
+  return assertions;
+}
+
+/**
+ * Reasons one record may not be published: an unknown name, an assertion
+ * without Citation IDs or citing an ID missing from the registry, blank or
+ * fallback text, or a feast day whose date is not MM-DD.
+ */
+function findRecordErrors(record, { nameKeys, registryIds }) {
+  const errors = [];
+  const label = record.name || '(unnamed)';
+  if (!nameKeys.has(normalizeKey(record.name))) errors.push(`${label}: not in data/names.json.`);
+
+  for (const assertion of listAssertions(record)) {
+    const where = `${label} ${assertion.field}`;
+    const ids = Array.isArray(assertion.citationIds) ? assertion.citationIds : [];
+    if (ids.length === 0) errors.push(`${where}: every assertion needs at least one Citation ID.`);
+    for (const id of ids) {
+      if (!registryIds.has(id)) errors.push(`${where}: unknown Citation ID ${id}.`);
+    }
+    if (!String(assertion.text || '').trim()) errors.push(`${where}: blank text.`);
+    const policy = assertion.field.startsWith('religion.') ? religionPolicy : culturePolicy;
+    if (policy.isFallbackMarker(assertion.text)) errors.push(`${where}: fallback text is not a researched assertion.`);
+  }
+  for (const day of record.religion?.feastDays || []) {
+    if (!FEAST_DAY_DATE.test(day.date || '')) errors.push(`${label} religion.feastDays: ${day.saint} date must be MM-DD.`);
+    if (!String(day.tradition || '').trim()) errors.push(`${label} religion.feastDays: ${day.saint} needs a tradition.`);
+  }
+  for (const note of record.culture?.regionalNotes || []) {
+    if (!String(note.region || '').trim()) errors.push(`${label} culture.regionalNotes: a note needs a region.`);
+  }
+  return errors;
+}
+
+/**
+ * Merges research entries into existing records. First write wins: a field
+ * that already holds an assertion, and a feast day or regional note that is
+ * already listed, are left unchanged.
+ * @returns {{ records: object[], added: number, skippedExisting: number }}
+ */
+function mergeResearchEntries(records, entries) {
+  const byKey = new Map(records.map((record) => [normalizeKey(record.name), JSON.parse(JSON.stringify(record))]));
+  let added = 0;
+  let skippedExisting = 0;
+
+  const mergeList = (target, list, keyOf) => {
+    const seen = new Set(target.map(keyOf));
+    for (const item of list || []) {
+      if (seen.has(keyOf(item))) {
+        skippedExisting += 1;
+        continue;
+      }
+      seen.add(keyOf(item));
+      target.push(item);
+      added += 1;
+    }
+  };
+  const mergeField = (target, field, value) => {
+    if (!value) return;
+    if (target[field]) {
+      skippedExisting += 1;
+      return;
+    }
+    target[field] = value;
+    added += 1;
+  };
+
+  for (const entry of entries) {
+    const key = normalizeKey(entry.name);
+    if (!byKey.has(key)) byKey.set(key, { name: entry.name });
+    const record = byKey.get(key);
+
+    if (entry.religion) {
+      const religion = record.religion || {};
+      mergeField(religion, 'tradition', entry.religion.tradition);
+      mergeField(religion, 'scripturalReference', entry.religion.scripturalReference);
+      if (entry.religion.feastDays) {
+        religion.feastDays = religion.feastDays || [];
+        mergeList(religion.feastDays, entry.religion.feastDays, (day) => `${normalizeKey(day.saint)}|${day.date}`);
+      }
+      if (Object.keys(religion).length) record.religion = religion;
+    }
+    if (entry.culture) {
+      const culture = record.culture || {};
+      mergeField(culture, 'culturalSignificance', entry.culture.culturalSignificance);
+      if (entry.culture.regionalNotes) {
+        culture.regionalNotes = culture.regionalNotes || [];
+        mergeList(culture.regionalNotes, entry.culture.regionalNotes, (note) => normalizeKey(note.region));
+      }
+      if (Object.keys(culture).length) record.culture = culture;
+    }
+  }
+
+  return {
+    records: [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    added,
+    skippedExisting,
+  };
+}
+
+const {
+  buildPayload: buildRecordsPayload,
+  load: loadReligionCultureRecordsPayload,
+  write: writeReligionCultureRecords,
+} = recordsFile(RELIGION_CULTURE_PATHS.records, {
+  title: 'Religion and Culture Records v1',
+  methodology:
+    'Editorial religion and culture assertions. Each tradition, scriptural reference, feast day, cultural significance and regional note cites at least one Citation Registry source. Never derived from the categories.json "biblical" style tag.',
+});
+
+module.exports = {
+  RELIGION_CULTURE_PATHS,
+  FEAST_DAY_DATE,
+  listAssertions,
+  findRecordErrors,
+  mergeResearchEntries,
+  buildRecordsPayload,
+  loadReligionCultureRecordsPayload,
+  writeReligionCultureRecords,
+};
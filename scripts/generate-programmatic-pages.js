@@ -11,7 +11,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { loadLegacyCollection, loadJsonFromFile } = require('../lib/adapters/legacy-dataset-runtime.js');
+const { loadLegacyCollection, loadCanonicalEntities, loadJsonFromFile } = require('../lib/adapters/legacy-dataset-runtime.js');
 const {
   resolveOrigin,
   matchesRecordOrigin,
@@ -32,10 +32,22 @@ const {
 } = require('../lib/render/meaning.js');
 const {
   resolvePronunciation,
+  resolveIpa,
   pronunciationTableLabel,
   paaPronunciationAnswer,
   snippetBulletText,
 } = require('../lib/render/pronunciation.js');
+const { resolveNicknames } = require('../lib/render/nicknames.js');
+const { resolveReligion } = require('../lib/render/religion.js');
+const { resolveCulture } = require('../lib/render/culture.js');
+const { resolveEtymology } = require('../lib/render/etymology.js');
+const { resolveHistory } = require('../lib/render/history.js');
+const { AUDIO_URL_PREFIX, audioAssetUrl } = require('../lib/canonical/pronunciation-audio.js');
+const {
+  buildCitationRegistryIndex,
+  resolvePublicationReferences,
+  renderPublicationList,
+} = require('../lib/presentation/citation-presentation.js');
 const { mergeArticleSchema } = require('./aeo-article-schema.js');
 const { getBuildDate } = require('./build-date.js');
 const { getEquivalents } = require('./utils/name-equivalents.js');
@@ -1337,6 +1349,173 @@ function buildEquivalentsSection(record, nameBySlug) {
   return { section, contextLink };
 }
 
+/** "Sources:" list of the Citation Registry publications behind an editorial section ('' when none resolve). */
+function editorialSourcesHtml(citationIds, registryIndex) {
+  const references = resolvePublicationReferences(citationIds, registryIndex);
+  return references.length > 0 ? `<p class="contextual">Sources:</p>${renderPublicationList(references)}` : '';
+}
+
+/**
+ * Nicknames section: curated, cited forms only (lib/render/nicknames.js), with
+ * the publications they cite. Omitted when no researched form exists, like the
+ * Variants section — a missing nickname is never filled with derived forms.
+ */
+function buildNicknamesSection(record, nicknameCtx) {
+  const n = resolveNicknames(nicknameCtx ? nicknameCtx.rowsByNameId.get(record.id) : null);
+  if (!n.hasNicknames) return '';
+  const line = (label, forms) =>
+    forms.length > 0 ? `<p><strong>${label}:</strong> ${forms.map(htmlEscape).join(', ')}</p>` : '';
+  return (
+    `<section aria-labelledby="nicknames-heading"><h2 id="nicknames-heading">Nicknames</h2>` +
+    line('Common nicknames', n.nicknames) +
+    line('Diminutives', n.diminutives) +
+    editorialSourcesHtml(n.citationIds, nicknameCtx.registryIndex) +
+    `</section>`
+  );
+}
+
+const FEAST_DAY_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/** "12-06" → "6 December". */
+function formatFeastDate(date) {
+  const [month, day] = date.split('-').map(Number);
+  return `${day} ${FEAST_DAY_MONTHS[month - 1]}`;
+}
+
+/** The canonical entity behind a legacy name record, or null. */
+function canonicalEntity(record, editorialCtx) {
+  return editorialCtx ? editorialCtx.entityById.get(record.id) || null : null;
+}
+
+/**
+ * Religious tradition section: cited tradition, scriptural reference and
+ * saints' days from the canonical `religion` domain (lib/render/religion.js).
+ * Omitted when nothing is researched — never inferred from the "biblical" style tag.
+ */
+function buildReligionSection(record, editorialCtx) {
+  const r = resolveReligion(canonicalEntity(record, editorialCtx)?.religion || null);
+  if (!r.hasReligion) return '';
+  const feastDays =
+    r.feastDays.length > 0
+      ? `<p><strong>Saints' days:</strong></p><ul>${r.feastDays
+          .map((day) => `<li>${htmlEscape(formatFeastDate(day.date))} — ${htmlEscape(day.saint)} (${htmlEscape(day.tradition)})</li>`)
+          .join('')}</ul>`
+      : '';
+  return (
+    `<section aria-labelledby="religion-heading"><h2 id="religion-heading">Religious tradition</h2>` +
+    (r.tradition ? `<p><strong>Tradition:</strong> ${htmlEscape(r.tradition)}</p>` : '') +
+    (r.scripturalReference ? `<p><strong>Scriptural reference:</strong> ${htmlEscape(r.scripturalReference)}</p>` : '') +
+    feastDays +
+    editorialSourcesHtml(r.citationIds, editorialCtx.registryIndex) +
+    `</section>`
+  );
+}
+
+/** Cultural significance section: cited significance and regional notes from the canonical `culture` domain (lib/render/culture.js). Omitted when nothing is researched. */
+function buildCultureSection(record, editorialCtx) {
+  const c = resolveCulture(canonicalEntity(record, editorialCtx)?.culture || null);
+  if (!c.hasCulture) return '';
+  const notes =
+    c.regionalNotes.length > 0
+      ? `<ul>${c.regionalNotes.map((note) => `<li><strong>${htmlEscape(note.region)}:</strong> ${htmlEscape(note.note)}</li>`).join('')}</ul>`
+      : '';
+  return (
+    `<section aria-labelledby="culture-heading"><h2 id="culture-heading">Cultural significance</h2>` +
+    (c.culturalSignificance ? `<p>${htmlEscape(c.culturalSignificance)}</p>` : '') +
+    notes +
+    editorialSourcesHtml(c.citationIds, editorialCtx.registryIndex) +
+    `</section>`
+  );
+}
+
+/**
+ * Etymology section: the cited derivation chain and root morphemes from the
+ * canonical `etymology` domain (lib/render/etymology.js). Omitted when the name
+ * has no approved record — the Wave 1 prose is never reparsed here.
+ */
+function buildEtymologySection(record, editorialCtx) {
+  const e = resolveEtymology(canonicalEntity(record, editorialCtx)?.etymology || null);
+  if (!e.hasEtymology) return '';
+  const morphemes =
+    e.morphemes.length > 0
+      ? `<p><strong>Root elements:</strong></p><ul>${e.morphemes
+          .map((m) => `<li>${htmlEscape(m.form)} (${htmlEscape(m.language)})${m.gloss ? ` — “${htmlEscape(m.gloss)}”` : ''}</li>`)
+          .join('')}</ul>`
+      : '';
+  return (
+    `<section aria-labelledby="etymology-heading"><h2 id="etymology-heading">Etymology</h2>` +
+    (e.chain.length > 1 ? `<p><strong>Derivation:</strong> ${htmlEscape(e.chainText)}</p>` : `<p><strong>Root:</strong> ${htmlEscape(e.chainText)}</p>`) +
+    morphemes +
+    editorialSourcesHtml(e.citationIds, editorialCtx.registryIndex) +
+    `</section>`
+  );
+}
+
+/**
+ * History timeline section: the cited first recorded use and notable bearers
+ * from the canonical `history` domain (lib/render/history.js), oldest first. Each
+ * bearer links to Wikidata when the record has a QID. Omitted when nothing is
+ * researched — the Phase 5E prose stays in the reference block.
+ */
+function buildHistoryTimelineSection(record, editorialCtx) {
+  const h = resolveHistory(canonicalEntity(record, editorialCtx)?.history || null);
+  if (!h.hasHistory) return '';
+  const items = h.timeline
+    .map((entry) => {
+      const wikidata = entry.wikidataUrl ? ` <a href="${htmlEscape(entry.wikidataUrl)}" rel="nofollow">Wikidata</a>` : '';
+      return `<li><span class="timeline-date">${htmlEscape(entry.dateText)}</span> — ${htmlEscape(entry.text)}${wikidata}</li>`;
+    })
+    .join('');
+  const intro =
+    h.bearers.length > 0
+      ? `<p>Famous people named ${htmlEscape(record.name)}${h.firstRecordedUse ? ' and the earliest recorded use of the name' : ''}, oldest first.</p>`
+      : '';
+  return (
+    `<section aria-labelledby="history-timeline-heading"><h2 id="history-timeline-heading">History timeline</h2>` +
+    intro +
+    `<ol class="name-timeline">${items}</ol>` +
+    editorialSourcesHtml(h.citationIds, editorialCtx.registryIndex) +
+    `</section>`
+  );
+}
+
+/**
+ * How-to-pronounce section: cited IPA per locale from the canonical
+ * `pronunciation` domain (lib/render/pronunciation.js), native first, each
+ * with an audio player when its recording was published. Players load
+ * nothing until pressed, carry an accessible name, and fall back to a download
+ * link. Omitted when no transcription is researched — IPA is never generated.
+ */
+function buildPronunciationIpaSection(record, editorialCtx) {
+  const p = resolveIpa(
+    canonicalEntity(record, editorialCtx)?.pronunciation || null,
+    editorialCtx ? editorialCtx.publishedAudioUrls : new Set(),
+  );
+  if (!p.hasIpa) return '';
+  const nameEsc = htmlEscape(record.name);
+  const items = p.variants
+    .map((v) => {
+      const label = htmlEscape(v.label);
+      const player = v.audio
+        ? ` <audio controls preload="none" aria-label="Hear ${nameEsc} pronounced in ${label}">` +
+          `<source src="${htmlEscape(v.audio.url)}" type="${htmlEscape(v.audio.mimeType)}">` +
+          `<a href="${htmlEscape(v.audio.url)}" download>Download the ${label} recording</a></audio>` +
+          ` <small class="audio-credit">${v.audio.speaker ? `Recorded by ${htmlEscape(v.audio.speaker)}, licensed` : 'Recording licensed'} under ${htmlEscape(v.audio.license)}</small>`
+        : '';
+      return (
+        `<li><strong>${label}${v.native ? ', original language' : ''}:</strong> ` +
+        `<span class="ipa" lang="${htmlEscape(v.locale)}-fonipa">${htmlEscape(v.ipa)}</span>${player}</li>`
+      );
+    })
+    .join('');
+  return (
+    `<section aria-labelledby="pronunciation-ipa-heading"><h2 id="pronunciation-ipa-heading">How to pronounce ${nameEsc}</h2>` +
+    `<ul class="pronunciation-variants">${items}</ul>` +
+    editorialSourcesHtml(p.citationIds, editorialCtx.registryIndex) +
+    `</section>`
+  );
+}
+
 /** Phase 6.3: query-shaped sections (no new URLs); uses existing middle / similar / PAS / related lists. */
 function buildMiddleNamesSEOSection(record, middleNames) {
   if (!Array.isArray(middleNames) || middleNames.length === 0) return '';
@@ -1437,7 +1616,19 @@ ${items}
 </section>`;
 }
 
-function generateNamePage(record, names, popularity, categories, variants, siblingSlugs, topicClusters, kciPresentationCtx) {
+/** Writes one name page; returns its internal link count. `ctx`: shared build inputs and per-domain presentation contexts (see namePageCtx in run). */
+function generateNamePage(record, ctx) {
+  const {
+    names,
+    popularity,
+    categories,
+    variants,
+    siblingSlugs,
+    topicClusters,
+    kciPresentationCtx,
+    nicknameCtx,
+    editorialCtx,
+  } = ctx;
   const buildDate = getBuildDate();
   const nameSlug = slug(record.name);
   const pathSeg = nameDetailPath(record.name);
@@ -1799,6 +1990,13 @@ function generateNamePage(record, names, popularity, categories, variants, sibli
         '</p></section>'
       : '';
 
+  const etymologyHtml = buildEtymologySection(record, editorialCtx);
+  const historyTimelineHtml = buildHistoryTimelineSection(record, editorialCtx);
+  const pronunciationIpaHtml = buildPronunciationIpaSection(record, editorialCtx);
+  const nicknamesHtml = buildNicknamesSection(record, nicknameCtx);
+  const religionHtml = buildReligionSection(record, editorialCtx);
+  const cultureHtml = buildCultureSection(record, editorialCtx);
+
   const nameCategories = (categories || []).filter((c) => c.name_id === record.id).map((c) => c.category);
   const styleTagsHtml =
     nameCategories.length > 0
@@ -1903,6 +2101,7 @@ function generateNamePage(record, names, popularity, categories, variants, sibli
     ${certificateLink}
     <p><strong>Gender:</strong> ${htmlEscape(record.gender || '—')}</p>
     <p><strong>Pronunciation:</strong> ${htmlEscape(resolvePronunciation(record).displayText)}</p>
+    ${pronunciationIpaHtml}
     ${meaningContext}
     ${culturalContextSection}
     ${popularityContext}
@@ -1912,7 +2111,12 @@ function generateNamePage(record, names, popularity, categories, variants, sibli
     ${paaExploreMoreHtml}
     ${popularYearsSection}
     ${popHtml}
+    ${etymologyHtml}
+    ${historyTimelineHtml}
     ${variantsHtml}
+    ${nicknamesHtml}
+    ${religionHtml}
+    ${cultureHtml}
     ${styleTagsHtml}
     ${compatibilityTips}
     ${usageContextSection}
@@ -3127,12 +3331,42 @@ function generateLastNamePage(surnameMeta, names) {
   return html;
 }
 
+/**
+ * Copies each recording in the audio manifest from data/pronunciation-audio/
+ * to /audio/pronunciation/ in the output tree and returns the site-relative
+ * URLs it copied. A listed file that is missing gets no player; checksums are
+ * enforced by scripts/build/validate-pronunciation-records.js.
+ */
+function publishPronunciationAudio(assets) {
+  const published = new Set();
+  const outDir = path.join(OUT_DIR, ...AUDIO_URL_PREFIX.split('/').filter(Boolean));
+  for (const asset of assets) {
+    const source = path.join(DATA_DIR, 'pronunciation-audio', path.basename(String(asset.file || '')));
+    if (!asset.file || !fs.existsSync(source)) continue;
+    ensureDir(outDir);
+    fs.copyFileSync(source, path.join(outDir, path.basename(asset.file)));
+    published.add(audioAssetUrl(asset));
+  }
+  return published;
+}
+
 function run() {
   const names = loadNames();
   const popularity = loadLegacyCollection('popularity');
   const categories = loadLegacyCollection('categories');
   const variants = loadLegacyCollection('variants');
   const countries = loadJsonFromFile('countries');
+  const registryIndex = buildCitationRegistryIndex(loadJsonFromFile('citation-registry'));
+  const nicknameCtx = { rowsByNameId: new Map(), registryIndex };
+  for (const row of loadLegacyCollection('nicknames') || []) {
+    if (!nicknameCtx.rowsByNameId.has(row.name_id)) nicknameCtx.rowsByNameId.set(row.name_id, []);
+    nicknameCtx.rowsByNameId.get(row.name_id).push(row);
+  }
+  const editorialCtx = {
+    entityById: new Map(loadCanonicalEntities().map((entity) => [entity.identity.id, entity])),
+    publishedAudioUrls: publishPronunciationAudio(loadJsonFromFile('pronunciation-audio-manifest').assets || []),
+    registryIndex,
+  };
 
   ensureDir(OUT_DIR);
   ensureDir(path.join(OUT_DIR, 'names'));
@@ -3158,9 +3392,20 @@ function run() {
   }
 
   // Name pages (STEP 6: each ≥ 30 internal links; average > 40)
+  const namePageCtx = {
+    names,
+    popularity,
+    categories,
+    variants,
+    siblingSlugs,
+    topicClusters,
+    kciPresentationCtx,
+    nicknameCtx,
+    editorialCtx,
+  };
   let namePageLinkTotal = 0;
   names.forEach((n) => {
-    namePageLinkTotal += generateNamePage(n, names, popularity, categories, variants, siblingSlugs, topicClusters, kciPresentationCtx);
+    namePageLinkTotal += generateNamePage(n, namePageCtx);
   });
   const avgLinksPerNamePage = names.length ? namePageLinkTotal / names.length : 0;
   if (names.length > 0 && avgLinksPerNamePage <= 40) {
@@ -6,6 +6,7 @@
  * - Normalizes name format (capitalize, accent-stripped variant, slug)
  * - Deduplicates by lowercase name, phonetic similarity, origin match
  * - Adds derived fields: first_letter, length, syllable_estimate, phonetic_code
+ * - Keeps wikidata_id (the Wikidata QID) from import-wikidata-names.js rows
  * Outputs data/normalized-names.json (and optionally data/names.json).
  */
 
@@ -137,6 +138,7 @@ function run() {
         origin_country: r.origin_country || r.origin || null,
         language: r.language || null,
         meaning: r.meaning || null,
+        wikidata_id: r.wikidata_id || null,
         _source: r._source,
         _year: r.year,
         _count: r.count,
@@ -172,6 +174,7 @@ function run() {
       origin_country: group.map((g) => g.origin_country).find(Boolean) || first.origin_country || null,
       language: group.map((g) => g.language).find(Boolean) || first.language || null,
       meaning: group.map((g) => g.meaning).find(Boolean) || first.meaning || null,
+      wikidata_id: group.map((g) => g.wikidata_id).find(Boolean) || null,
       _totalCount: totalCount,
     });
   }
@@ -217,6 +220,7 @@ function run() {
       origin_country: rest.origin_country,
       language: rest.language,
       meaning: rest.meaning,
+      wikidata_id: rest.wikidata_id,
       phonetic: null,
       syllables: rest.syllable_estimate,
       first_letter: rest.first_letter,
@@ -243,6 +247,7 @@ function run() {
     origin_country: r.origin_country,
     language: r.language,
     meaning: r.meaning,
+    wikidata_id: r.wikidata_id,
     phonetic: r.phonetic,
     syllables: r.syllables,
     first_letter: r.first_letter,
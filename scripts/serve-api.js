@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Phase 18C — Local HTTP server for the AI / Research API v1.
+ *
+ * Usage: node scripts/serve-api.js [--port=8787] [--host=127.0.0.1]
+ *
+ * Prerequisite: node scripts/build/generate-structured-exports.js
+ *
+ * Loads the Export Contract once at startup and answers /api/v1/ requests
+ * on demand through lib/api/query-server.js. Restart after regenerating exports.
+ * /api/v1/changes?since= compares against releases/{since}/ when that release exists.
+ */
+
+const http = require('http');
+const { loadExportContract } = require('../lib/api/export-api.js');
+const {
+  MAX_BODY_BYTES,
+  createApiContext,
+  handleApiRequest,
+  payloadTooLargeResult,
+} = require('../lib/api/query-server.js');
+const { loadReleaseSnapshot } = require('../lib/api/release-diff.js');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+
+function readArg(name, fallback) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    if (req.method !== 'POST') {
+      resolve(undefined);
+      return;
+    }
+    const tooLarge = () => Object.assign(new Error('Request body too large.'), { statusCode: 413 });
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+      req.pause();
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading but keep the socket open so the caller can send the 413 before closing it.
+        req.removeListener('data', onData);
+        req.pause();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/** Writes a string body, or an NDJSON chunk iterable with backpressure; stops if the client goes away. */
+async function writeBody(res, body) {
+  if (body == null || typeof body === 'string') {
+    res.end(body == null ? undefined : body);
+    return;
+  }
+  for (const chunk of body) {
+    if (res.destroyed) return;
+    if (!res.write(chunk)) {
+      await new Promise((resolve) => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+      });
+    }
+  }
+  res.end();
+}
+
+function main() {
+  const port = Number(readArg('port', DEFAULT_PORT));
+  const host = readArg('host', DEFAULT_HOST);
+
+  const startedAt = Date.now();
+  const api = createApiContext(loadExportContract(), {
+    loadSnapshot: (version) => loadReleaseSnapshot(version),
+  });
+
+  const server = http.createServer((req, res) => {
+    readBody(req)
+      .then((body) => handleApiRequest(api, { method: req.method, url: req.url, headers: req.headers, body }))
+      .then((result) => {
+        res.writeHead(result.status, result.headers);
+        return writeBody(res, result.body);
+      })
+      .catch((error) => {
+        if (error.statusCode === 413) {
+          const result = payloadTooLargeResult(api, req.url);
+          res.writeHead(result.status, { ...result.headers, Connection: 'close' });
+          res.end(result.body, () => req.destroy());
+          return;
+        }
+        console.error('  -', req.method, req.url, error.message);
+        if (res.headersSent) {
+          res.destroy();
+          return;
+        }
+        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(`${JSON.stringify({ error: { status: 500, code: 'internal_error', message: 'Internal error.' } })}\n`);
+      });
+  });
+
+  server.listen(port, host, () => {
+    console.log('API query server listening.');
+    console.log('  URL:', `http://${host}:${port}/api/v1/manifest`);
+    console.log('  Dataset version:', api.contract.manifest.exportVersion);
+    console.log('  Entities:', api.indexes.slugs.length);
+    console.log('  Startup time (ms):', Date.now() - startedAt);
+  });
+}
+
+main();